@@ -0,0 +1,107 @@
+// Daily AI quota per user
+// Counts AI calls and (estimated) tokens per user and Vietnam calendar day under "usage:<userId>:<YYYY-MM-DD>".
+// Limits come from the user's plan; when a limit is reached the routes answer with the fallback generators.
+// A limit of null means unlimited.
+
+const { toLocalParts, fromLocalParts } = require('./recurrence');
+
+const DEFAULT_PLAN = 'free';
+const DEFAULT_QUOTA_PLANS = {
+  free: { aiCalls: 100, aiTokens: 200000 },
+  unlimited: { aiCalls: null, aiTokens: null }
+};
+
+// Counters are kept a bit longer than a day so /api/usage can still show yesterday around midnight
+const USAGE_TTL = 2 * 24 * 60 * 60;
+
+function usageKey(userId, date) {
+  return `usage:${encodeURIComponent(userId)}:${date}`;
+}
+
+// Helper function to get the Vietnam calendar day and when it ends: { date: 'YYYY-MM-DD', resetAt }
+function quotaDay(now = Date.now()) {
+  const parts = toLocalParts(now);
+  const pad = value => String(value).padStart(2, '0');
+  return {
+    date: `${parts.year}-${pad(parts.month + 1)}-${pad(parts.day)}`,
+    resetAt: new Date(fromLocalParts(parts.year, parts.month, parts.day + 1, 0, 0)).toISOString()
+  };
+}
+
+function remainingOf(limit, used) {
+  return limit === null ? null : Math.max(0, limit - used);
+}
+
+function createAiQuota(store, { plans = DEFAULT_QUOTA_PLANS, defaultPlan = DEFAULT_PLAN } = {}) {
+  if (!plans[defaultPlan]) {
+    throw new Error(`Unknown default quota plan "${defaultPlan}" (available: ${Object.keys(plans).join(', ')})`);
+  }
+
+  // Unknown plan names (e.g. a typo in a token claim) get the default plan instead of unlimited
+  function planFor(name) {
+    const plan = plans[name] ? name : defaultPlan;
+    const limits = plans[plan];
+    return {
+      plan,
+      limits: {
+        aiCalls: limits.aiCalls === undefined ? null : limits.aiCalls,
+        aiTokens: limits.aiTokens === undefined ? null : limits.aiTokens
+      }
+    };
+  }
+
+  // Returns { userId, plan, date, resetAt, used, limits, remaining, allowed }
+  async function check(userId, planName, now = Date.now()) {
+    const { plan, limits } = planFor(planName);
+    const { date, resetAt } = quotaDay(now);
+    const used = (await store.get(usageKey(userId, date))) || { aiCalls: 0, aiTokens: 0 };
+    const remaining = {
+      aiCalls: remainingOf(limits.aiCalls, used.aiCalls),
+      aiTokens: remainingOf(limits.aiTokens, used.aiTokens)
+    };
+
+    return {
+      userId,
+      plan,
+      date,
+      resetAt,
+      used,
+      limits,
+      remaining,
+      allowed: remaining.aiCalls !== 0 && remaining.aiTokens !== 0
+    };
+  }
+
+  // Adds one AI call and its tokens to today's counters
+  async function record(userId, { calls = 1, tokens = 0 } = {}, now = Date.now()) {
+    const key = usageKey(userId, quotaDay(now).date);
+    const used = (await store.get(key)) || { aiCalls: 0, aiTokens: 0 };
+    const updated = { aiCalls: used.aiCalls + calls, aiTokens: used.aiTokens + tokens };
+    await store.set(key, updated, { ttl: USAGE_TTL });
+    return updated;
+  }
+
+  return { plans, defaultPlan, check, record };
+}
+
+// Helper function to read quota options from environment variables
+// AI_QUOTA_PLANS='{"free":{"aiCalls":100,"aiTokens":200000},"pro":{"aiCalls":1000,"aiTokens":null}}', AI_QUOTA_DEFAULT_PLAN
+function aiQuotaOptionsFromEnv(env = process.env) {
+  const options = {};
+  if (env.AI_QUOTA_PLANS) {
+    try {
+      options.plans = JSON.parse(env.AI_QUOTA_PLANS);
+    } catch (error) {
+      throw new Error(`AI_QUOTA_PLANS is not valid JSON: ${error.message}`);
+    }
+  }
+  if (env.AI_QUOTA_DEFAULT_PLAN) options.defaultPlan = env.AI_QUOTA_DEFAULT_PLAN;
+  return options;
+}
+
+module.exports = {
+  DEFAULT_PLAN,
+  DEFAULT_QUOTA_PLANS,
+  createAiQuota,
+  aiQuotaOptionsFromEnv
+};
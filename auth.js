@@ -0,0 +1,268 @@
+// Authentication middleware
+// Derives the user from the request credentials instead of trusting the userId sent by the client:
+// - Authorization: Bearer <JWT> - HS256 with a shared secret, or RS256/ES256 with keys from a JWKS file
+// - X-API-Key: <key> - static keys for service clients, each mapped to a user and a role
+//
+// Admins can act on behalf of a user with the X-On-Behalf-Of header (or the usual userId body/query field).
+// Everyone else always gets their own userId, whatever the request says.
+// The result is stored in req.auth = { userId, subject, role, plan, method, onBehalfOf }
+// (plan is the AI quota plan from the "plan" claim or the API key entry, null for the default plan).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+
+const AUTH_MODES = ['required', 'off'];
+const ADMIN_ROLE = 'admin';
+const USER_ROLE = 'user';
+const ON_BEHALF_HEADER = 'x-on-behalf-of';
+const API_KEY_HEADER = 'x-api-key';
+
+// Seconds of clock difference accepted for exp/nbf
+const CLOCK_TOLERANCE = 30;
+
+// JWT algorithm -> how the signature is checked
+const JWT_ALGORITHMS = {
+  HS256: { type: 'hmac', hash: 'sha256' },
+  RS256: { type: 'rsa', hash: 'sha256' },
+  ES256: { type: 'ec', hash: 'sha256' }
+};
+
+// 401 (UNAUTHORIZED, with a WWW-Authenticate challenge) or 403 (FORBIDDEN), sent by the error middleware
+class AuthError extends ApiError {
+  constructor(message, status = 401) {
+    super(status === 403 ? 'FORBIDDEN' : 'UNAUTHORIZED', message, {
+      status,
+      headers: status === 401 ? { 'WWW-Authenticate': 'Bearer realm="api"' } : null
+    });
+    this.name = 'AuthError';
+  }
+}
+
+function base64UrlDecode(text) {
+  return Buffer.from(text, 'base64url');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Helper function to compare secrets without leaking their length or content through timing
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Helper function to load the public keys of a JWKS file ({ keys: [jwk, ...] }) by kid
+function loadJwks(filePath) {
+  const jwks = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!jwks || !Array.isArray(jwks.keys) || jwks.keys.length === 0) {
+    throw new Error(`JWKS file ${filePath} has no keys`);
+  }
+  return jwks.keys.map(jwk => ({
+    kid: jwk.kid || null,
+    alg: jwk.alg || null,
+    key: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+  }));
+}
+
+// Helper function to verify a compact JWT and return its payload
+// Throws AuthError (401) for every invalid token
+function verifyJwt(token, { secret = null, jwks = [], issuer = null, audience = null, now = Date.now() } = {}) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) throw new AuthError('Malformed token');
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(base64UrlDecode(parts[0]).toString('utf8'));
+    payload = JSON.parse(base64UrlDecode(parts[1]).toString('utf8'));
+  } catch (e) {
+    throw new AuthError('Malformed token');
+  }
+  // Valid JSON is not enough ("null", "1", "[]"), both parts have to be objects
+  if (!isPlainObject(header) || !isPlainObject(payload)) throw new AuthError('Malformed token');
+
+  const algorithm = JWT_ALGORITHMS[header.alg];
+  if (!algorithm) throw new AuthError(`Unsupported token algorithm: ${header.alg}`);
+
+  const signedData = `${parts[0]}.${parts[1]}`;
+  const signature = base64UrlDecode(parts[2]);
+
+  if (algorithm.type === 'hmac') {
+    if (!secret) throw new AuthError('HS256 tokens are not accepted');
+    const expected = crypto.createHmac(algorithm.hash, secret).update(signedData).digest();
+    if (expected.length !== signature.length || !crypto.timingSafeEqual(expected, signature)) {
+      throw new AuthError('Invalid token signature');
+    }
+  } else {
+    const candidates = jwks.filter(entry => (!header.kid || entry.kid === header.kid) && (!entry.alg || entry.alg === header.alg));
+    if (candidates.length === 0) throw new AuthError('No key found for the token');
+
+    // crypto.verify throws when the key does not fit the algorithm (e.g. an Ed25519 key for an RS256 token)
+    const verified = candidates.some(({ key }) => {
+      try {
+        return crypto.verify(
+          algorithm.hash,
+          Buffer.from(signedData),
+          algorithm.type === 'ec' ? { key, dsaEncoding: 'ieee-p1363' } : key,
+          signature
+        );
+      } catch (error) {
+        return false;
+      }
+    });
+    if (!verified) throw new AuthError('Invalid token signature');
+  }
+
+  const seconds = Math.floor(now / 1000);
+  if (typeof payload.exp === 'number' && seconds > payload.exp + CLOCK_TOLERANCE) {
+    throw new AuthError('Token has expired');
+  }
+  if (typeof payload.nbf === 'number' && seconds < payload.nbf - CLOCK_TOLERANCE) {
+    throw new AuthError('Token is not valid yet');
+  }
+  if (issuer && payload.iss !== issuer) {
+    throw new AuthError('Invalid token issuer');
+  }
+  if (audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) throw new AuthError('Invalid token audience');
+  }
+  if (!payload.sub || typeof payload.sub !== 'string') {
+    throw new AuthError('Token has no subject');
+  }
+
+  return payload;
+}
+
+// Helper function to read the role from the usual claim names ("role": "admin" or "roles": ["admin"])
+function roleFromClaims(payload) {
+  const roles = [].concat(payload.role || [], payload.roles || []);
+  return roles.includes(ADMIN_ROLE) ? ADMIN_ROLE : USER_ROLE;
+}
+
+// Helper function to parse "key:userId[:role[:plan]],key2:userId2" into API key entries
+function parseApiKeys(value) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [key, userId, role = USER_ROLE, plan = null] = entry.split(':').map(part => part.trim());
+      if (!key || !userId) throw new Error(`Invalid API key entry "${entry}" (expected key:userId[:role[:plan]])`);
+      return { key, userId, role: role === ADMIN_ROLE ? ADMIN_ROLE : USER_ROLE, plan: plan || null };
+    });
+}
+
+// Options: { mode, jwtSecret, jwksFile, issuer, audience, apiKeys: [{ key, userId, role, plan }] }
+// mode "off" keeps the old behavior (userId from the request, default "default") for local development
+function createAuthenticator(options = {}) {
+  const mode = options.mode || 'required';
+  if (!AUTH_MODES.includes(mode)) {
+    throw new Error(`Unknown auth mode "${mode}" (available: ${AUTH_MODES.join(', ')})`);
+  }
+
+  const jwtOptions = {
+    secret: options.jwtSecret || null,
+    jwks: options.jwksFile ? loadJwks(options.jwksFile) : [],
+    issuer: options.issuer || null,
+    audience: options.audience || null
+  };
+  const apiKeys = options.apiKeys || [];
+  const methods = [
+    ...(jwtOptions.secret ? ['jwt (HS256)'] : []),
+    ...(jwtOptions.jwks.length > 0 ? [`jwt (JWKS, ${jwtOptions.jwks.length} keys)`] : []),
+    ...(apiKeys.length > 0 ? [`api keys (${apiKeys.length})`] : [])
+  ];
+
+  if (mode === 'required' && methods.length === 0) {
+    throw new Error('Authentication is required but no JWT_SECRET, JWT_JWKS_FILE or API_KEYS is configured (set AUTH_MODE=off for local development)');
+  }
+
+  // Helper function to find out who sent the request, throws AuthError
+  function identify(req) {
+    const authorization = req.get('authorization') || '';
+    const apiKey = req.get(API_KEY_HEADER);
+
+    if (/^Bearer\s+/i.test(authorization)) {
+      const payload = verifyJwt(authorization.replace(/^Bearer\s+/i, '').trim(), jwtOptions);
+      const plan = typeof payload.plan === 'string' ? payload.plan : null;
+      return { subject: payload.sub, role: roleFromClaims(payload), plan, method: 'jwt' };
+    }
+    if (apiKey) {
+      const entry = apiKeys.find(candidate => safeEqual(candidate.key, apiKey));
+      if (!entry) throw new AuthError('Invalid API key');
+      return { subject: entry.userId, role: entry.role, plan: entry.plan, method: 'api-key' };
+    }
+    throw new AuthError('Authentication required');
+  }
+
+  // Helper function to pick the user the request acts on
+  function resolveUserId(req, identity) {
+    const requested = req.get(ON_BEHALF_HEADER) ||
+      (req.body && typeof req.body === 'object' && req.body.userId) ||
+      req.query.userId;
+
+    if (identity.role === ADMIN_ROLE && requested) return String(requested);
+    if (req.get(ON_BEHALF_HEADER) && req.get(ON_BEHALF_HEADER) !== identity.subject) {
+      throw new AuthError('Only admins can act on behalf of another user', 403);
+    }
+    return identity.subject;
+  }
+
+  function authenticate(req, res, next) {
+    if (mode === 'off') {
+      const userId = (req.body && typeof req.body === 'object' && req.body.userId) || req.query.userId || 'default';
+      req.auth = { userId: String(userId), subject: null, role: USER_ROLE, plan: null, method: 'none', onBehalfOf: false };
+      return next();
+    }
+
+    try {
+      const identity = identify(req);
+      const userId = resolveUserId(req, identity);
+      req.auth = { userId, ...identity, onBehalfOf: userId !== identity.subject };
+      if (req.auth.onBehalfOf) {
+        logger.info('Admin acting on behalf of user', { admin: identity.subject, userId, method: req.method, path: req.path });
+      }
+      next();
+    } catch (error) {
+      if (!(error instanceof AuthError)) return next(error);
+      logger.warn('Authentication rejected', { method: req.method, path: req.originalUrl.split('?')[0], reason: error.message });
+      next(error);
+    }
+  }
+
+  // Middleware for debug routes: admins only (everyone when authentication is off)
+  function requireAdmin(req, res, next) {
+    if (mode === 'off' || (req.auth && req.auth.role === ADMIN_ROLE)) return next();
+    logger.warn('Admin route rejected', { method: req.method, path: req.originalUrl.split('?')[0], userId: req.auth && req.auth.userId });
+    next(new AuthError('Admin role required', 403));
+  }
+
+  return { mode, methods, authenticate, requireAdmin };
+}
+
+// Helper function to read auth options from environment variables
+// AUTH_MODE=required|off, JWT_SECRET, JWT_JWKS_FILE, JWT_ISSUER, JWT_AUDIENCE, API_KEYS=key:userId[:role[:plan]],...
+function authOptionsFromEnv(env = process.env) {
+  return {
+    mode: env.AUTH_MODE || 'required',
+    jwtSecret: env.JWT_SECRET,
+    jwksFile: env.JWT_JWKS_FILE,
+    issuer: env.JWT_ISSUER,
+    audience: env.JWT_AUDIENCE,
+    apiKeys: parseApiKeys(env.API_KEYS)
+  };
+}
+
+module.exports = {
+  ADMIN_ROLE,
+  AuthError,
+  verifyJwt,
+  parseApiKeys,
+  createAuthenticator,
+  authOptionsFromEnv
+};
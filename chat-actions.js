@@ -0,0 +1,123 @@
+// Chat action parser
+// Pulls every ```json action block out of an AI reply, validates it against the task model
+// and returns typed actions next to the cleaned response text
+
+const { validateTaskData, buildTaskFields, normalizeTaskDates } = require('./task-model');
+
+const ACTION_TYPES = ['create_task', 'create_multiple_tasks', 'update_task', 'delete_task'];
+
+// ```json ... ``` (the language tag is sometimes omitted by the model)
+const ACTION_BLOCK_REGEX = /```(?:json)?\s*([\s\S]*?)\s*```/gi;
+
+// Helper function to validate a single action object
+// Returns { action } when valid or { rejected } with reasons
+function validateAction(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { rejected: { action: null, reasons: ['Action must be a JSON object'], raw } };
+  }
+
+  const { action } = raw;
+
+  if (!ACTION_TYPES.includes(action)) {
+    return { rejected: { action: action || null, reasons: [`Unknown action: ${action}`], raw } };
+  }
+
+  if (action === 'create_task') {
+    const errors = validateTaskData(raw.taskData);
+    if (errors.length > 0) {
+      return { rejected: { action, reasons: errors, raw } };
+    }
+    return { action: { action, taskData: buildTaskFields(raw.taskData) } };
+  }
+
+  if (action === 'create_multiple_tasks') {
+    if (!Array.isArray(raw.taskData) || raw.taskData.length === 0) {
+      return { rejected: { action, reasons: ['taskData must be a non-empty array'], raw } };
+    }
+
+    const reasons = [];
+    const taskData = [];
+    raw.taskData.forEach((item, index) => {
+      const errors = validateTaskData(item);
+      if (errors.length > 0) {
+        reasons.push(...errors.map(error => `taskData[${index}]: ${error}`));
+      } else {
+        taskData.push(buildTaskFields(item));
+      }
+    });
+
+    if (taskData.length === 0) {
+      return { rejected: { action, reasons, raw } };
+    }
+
+    // Keep the valid items, report the invalid ones separately
+    return {
+      action: { action, taskData },
+      rejected: reasons.length > 0 ? { action, reasons, raw } : null
+    };
+  }
+
+  // update_task / delete_task need the id of an existing task
+  if (!raw.taskId || typeof raw.taskId !== 'string') {
+    return { rejected: { action, reasons: ['taskId is required'], raw } };
+  }
+
+  if (action === 'delete_task') {
+    return { action: { action, taskId: raw.taskId } };
+  }
+
+  const errors = validateTaskData(raw.taskData, { partial: true });
+  if (errors.length === 0 && Object.keys(raw.taskData).length === 0) {
+    errors.push('taskData must contain at least one field to update');
+  }
+  if (errors.length > 0) {
+    return { rejected: { action, reasons: errors, raw } };
+  }
+
+  return { action: { action, taskId: raw.taskId, taskData: normalizeTaskDates(raw.taskData) } };
+}
+
+// Helper function to extract all actions from an AI response
+function extractActions(aiResponse) {
+  const actions = [];
+  const rejectedActions = [];
+
+  if (!aiResponse || typeof aiResponse !== 'string') {
+    return { response: aiResponse || '', actions, rejectedActions };
+  }
+
+  const response = aiResponse.replace(ACTION_BLOCK_REGEX, (block, body) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch (e) {
+      // Plain code blocks without "action" are not ours, leave them in the text
+      if (!body.includes('"action"')) return block;
+      rejectedActions.push({ action: null, reasons: [`Invalid JSON: ${e.message}`], raw: body });
+      return '';
+    }
+
+    const items = Array.isArray(parsed) ? parsed : [parsed];
+    if (!items.some(item => item && typeof item === 'object' && 'action' in item)) {
+      return block;
+    }
+
+    items.forEach(item => {
+      const result = validateAction(item);
+      if (result.action) actions.push(result.action);
+      if (result.rejected) rejectedActions.push(result.rejected);
+    });
+
+    return '';
+  })
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return { response, actions, rejectedActions };
+}
+
+module.exports = {
+  ACTION_TYPES,
+  validateAction,
+  extractActions
+};
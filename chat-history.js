@@ -0,0 +1,38 @@
+// Chat history repository
+// Stores each user's conversation under "history:<userId>" with a sliding TTL,
+// so idle conversations expire on their own in every storage driver
+//
+// A conversation is { summary, evictedMessages, messages: [{ message, isUser, timestamp }] }
+// (see chat-memory.js)
+
+const DEFAULT_HISTORY_TTL = 30 * 24 * 60 * 60; // 30 days in seconds
+
+function historyKey(userId) {
+  return `history:${encodeURIComponent(userId)}`;
+}
+
+function emptyHistory() {
+  return { summary: null, evictedMessages: 0, messages: [] };
+}
+
+function createChatHistoryRepository(store, { ttl = DEFAULT_HISTORY_TTL } = {}) {
+  return {
+    async get(userId) {
+      return (await store.get(historyKey(userId))) || emptyHistory();
+    },
+
+    // Every write refreshes the TTL
+    async save(userId, history) {
+      await store.set(historyKey(userId), history, { ttl });
+    },
+
+    async reset(userId) {
+      return store.delete(historyKey(userId));
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_HISTORY_TTL,
+  createChatHistoryRepository
+};
@@ -0,0 +1,168 @@
+// Chat memory manager
+// Keeps the latest turns verbatim within a token budget and folds older turns into a rolling summary,
+// instead of summarizing and resetting the whole conversation every few messages
+//
+// Strategies:
+// - summarize: turns that no longer fit are summarized together with the previous summary (one LLM call)
+// - truncate: turns that no longer fit are dropped, no LLM calls
+//
+// Tokens are estimated from the text length (about 4 characters per token), which is close enough for a budget.
+// The same estimate is used for trimming and for the usage reported by getContext.
+
+const { t, DEFAULT_LOCALE } = require('./i18n');
+const { extractActions } = require('./chat-actions');
+const { logger } = require('./logger');
+
+const MEMORY_STRATEGIES = ['summarize', 'truncate'];
+const CHARS_PER_TOKEN = 4;
+
+// Once the recent turns go over budget they are trimmed to 3/4 of it,
+// so the summary is updated every few messages instead of on every message
+const TRIM_RATIO = 0.75;
+
+// maxTokens: budget for the whole history context (summary + recent turns)
+// summaryTokens: part of the budget kept for the summary (summarize strategy only)
+// minRecentMessages: newest turns that are always kept verbatim, even over budget
+const DEFAULT_MEMORY_OPTIONS = {
+  strategy: 'summarize',
+  maxTokens: 2000,
+  summaryTokens: 400,
+  minRecentMessages: 2
+};
+
+// Helper function to estimate the token count of a text
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+function formatTurn(entry) {
+  return `${entry.isUser ? 'User' : 'AI'}: ${entry.message}`;
+}
+
+// Helper function to check the memory options, throws on invalid values like the other factories
+function validateMemoryOptions(options) {
+  if (!MEMORY_STRATEGIES.includes(options.strategy)) {
+    throw new Error(`Unknown chat memory strategy "${options.strategy}" (available: ${MEMORY_STRATEGIES.join(', ')})`);
+  }
+  ['maxTokens', 'summaryTokens', 'minRecentMessages'].forEach(name => {
+    if (!Number.isInteger(options[name]) || options[name] < 0) {
+      throw new Error(`Chat memory option ${name} must be a non-negative integer`);
+    }
+  });
+  if (options.strategy === 'summarize' && options.summaryTokens >= options.maxTokens) {
+    throw new Error('Chat memory summaryTokens must be smaller than maxTokens');
+  }
+}
+
+// history: repository from chat-history.js, generate(prompt, { userId }) -> Promise<string> (only used by "summarize")
+function createChatMemory(history, { generate, ...overrides } = {}) {
+  const options = { ...DEFAULT_MEMORY_OPTIONS, ...overrides };
+  validateMemoryOptions(options);
+
+  const recentBudget = options.strategy === 'summarize'
+    ? options.maxTokens - options.summaryTokens
+    : options.maxTokens;
+
+  // Helper function to merge the previous summary and the evicted turns into a new summary
+  // Action JSON blocks are stripped first, they cost a lot of tokens and the tasks are in the prompt anyway
+  async function summarize(userId, previousSummary, evicted, locale) {
+    const lines = evicted.map(entry => formatTurn({
+      ...entry,
+      message: entry.isUser ? entry.message : extractActions(entry.message).response
+    }));
+    if (previousSummary) {
+      lines.unshift(`${t(locale, 'prompts.summaryPrefix')} ${previousSummary}`);
+    }
+
+    const summary = String(await generate(t(locale, 'prompts.summary', {
+      conversation: lines.join('\n'),
+      maxWords: Math.max(20, Math.floor(options.summaryTokens / 2))
+    }), { userId })).trim();
+
+    // The model does not always respect the word limit
+    return summary.slice(0, options.summaryTokens * CHARS_PER_TOKEN);
+  }
+
+  return {
+    options,
+
+    // Adds a message and trims the history to the budget
+    // Returns the new summary when older turns were summarized, otherwise null
+    // offline: true trims like the truncate strategy (no LLM call), for requests answered by the fallback
+    async add(userId, message, isUser = true, locale = DEFAULT_LOCALE, { offline = false } = {}) {
+      const state = await history.get(userId);
+      state.messages.push({ message, isUser, timestamp: new Date().toISOString() });
+
+      const evicted = [];
+      let tokens = state.messages.reduce((sum, entry) => sum + estimateTokens(formatTurn(entry)), 0);
+      const target = tokens > recentBudget ? Math.floor(recentBudget * TRIM_RATIO) : recentBudget;
+      while (tokens > target && state.messages.length > options.minRecentMessages) {
+        const entry = state.messages.shift();
+        tokens -= estimateTokens(formatTurn(entry));
+        evicted.push(entry);
+      }
+
+      let newSummary = null;
+      if (evicted.length > 0 && options.strategy === 'summarize' && !offline) {
+        try {
+          newSummary = await summarize(userId, state.summary, evicted, locale);
+          state.summary = newSummary;
+        } catch (error) {
+          // Keep the previous summary, the evicted turns are dropped so the history stays within budget
+          logger.error('Chat history summary failed', { userId, error });
+        }
+      }
+      state.evictedMessages += evicted.length;
+
+      await history.save(userId, state);
+      return newSummary;
+    },
+
+    // Returns { text, usage } where text goes into the prompt and usage reports the context size
+    async getContext(userId, locale = DEFAULT_LOCALE) {
+      const state = await history.get(userId);
+      const summaryLine = state.summary ? `${t(locale, 'prompts.summaryPrefix')} ${state.summary}` : null;
+      const lines = state.messages.map(formatTurn);
+
+      const usage = {
+        strategy: options.strategy,
+        maxTokens: options.maxTokens,
+        tokens: 0,
+        summaryTokens: estimateTokens(summaryLine),
+        recentTokens: lines.reduce((sum, line) => sum + estimateTokens(line), 0),
+        messages: state.messages.length,
+        evictedMessages: state.evictedMessages
+      };
+      usage.tokens = usage.summaryTokens + usage.recentTokens;
+
+      if (!summaryLine && lines.length === 0) return { text: '', usage };
+
+      return {
+        text: `${t(locale, 'prompts.historyHeader')}
+${[summaryLine, ...lines].filter(Boolean).join('\n')}
+
+---`,
+        usage
+      };
+    }
+  };
+}
+
+// Helper function to read memory options from environment variables
+// CHAT_MEMORY_STRATEGY=summarize|truncate, CHAT_MEMORY_MAX_TOKENS, CHAT_MEMORY_SUMMARY_TOKENS, CHAT_MEMORY_MIN_RECENT
+function memoryOptionsFromEnv(env = process.env) {
+  const options = {};
+  if (env.CHAT_MEMORY_STRATEGY) options.strategy = env.CHAT_MEMORY_STRATEGY;
+  if (env.CHAT_MEMORY_MAX_TOKENS) options.maxTokens = parseInt(env.CHAT_MEMORY_MAX_TOKENS, 10);
+  if (env.CHAT_MEMORY_SUMMARY_TOKENS) options.summaryTokens = parseInt(env.CHAT_MEMORY_SUMMARY_TOKENS, 10);
+  if (env.CHAT_MEMORY_MIN_RECENT) options.minRecentMessages = parseInt(env.CHAT_MEMORY_MIN_RECENT, 10);
+  return options;
+}
+
+module.exports = {
+  MEMORY_STRATEGIES,
+  DEFAULT_MEMORY_OPTIONS,
+  estimateTokens,
+  createChatMemory,
+  memoryOptionsFromEnv
+};
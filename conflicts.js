@@ -0,0 +1,121 @@
+// Event conflict detection
+// Compares the occurrences of a new/changed event (recurring events expanded) with the user's existing events
+
+const { expandEvent, expandEvents } = require('./recurrence');
+
+// How far ahead recurring events are checked
+const CONFLICT_HORIZON_DAYS = 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Max overlapping occurrences listed per conflicting event (count is always complete)
+const MAX_LISTED_OVERLAPS = 5;
+
+// Helper function to get the window in which an event's occurrences are compared
+function conflictWindow(event) {
+  const start = new Date(event.startTime).getTime();
+  const end = new Date(event.endTime).getTime();
+  const isRecurring = !!(event.rrule || (event.isRecurring && event.recurrencePattern));
+
+  return {
+    from: new Date(start),
+    to: new Date(isRecurring ? start + CONFLICT_HORIZON_DAYS * DAY_MS : end)
+  };
+}
+
+// Helper function to find overlaps between a candidate event and existing items
+// Returns one entry per conflicting event: { eventId, title, count, overlapMinutes, overlaps: [{ startTime, endTime }] }
+function findConflicts(candidate, existingItems, { excludeId = null } = {}) {
+  if (!candidate || candidate.type !== 'event' || !candidate.startTime || !candidate.endTime) return [];
+
+  const { from, to } = conflictWindow(candidate);
+  // Temporary id so occurrences of an unsaved event can be told apart
+  const candidateOccurrences = expandEvent({ id: candidate.id || 'candidate', ...candidate }, from, to);
+  if (candidateOccurrences.length === 0) return [];
+
+  const others = (existingItems || []).filter(item =>
+    item.type === 'event' && item.id !== excludeId && (!candidate.id || item.id !== candidate.id)
+  );
+  const existingOccurrences = expandEvents(others, from, to);
+
+  const byEvent = new Map();
+
+  candidateOccurrences.forEach(occurrence => {
+    const start = new Date(occurrence.startTime).getTime();
+    const end = new Date(occurrence.endTime).getTime();
+
+    // Existing occurrences are sorted by start time, so nothing after the first later start can overlap
+    for (const other of existingOccurrences) {
+      const otherStart = new Date(other.startTime).getTime();
+      const otherEnd = new Date(other.endTime).getTime();
+      if (otherStart >= end) break;
+      if (otherEnd <= start) continue;
+
+      const overlapStart = Math.max(start, otherStart);
+      const overlapEnd = Math.min(end, otherEnd);
+
+      if (!byEvent.has(other.eventId)) {
+        byEvent.set(other.eventId, {
+          eventId: other.eventId,
+          title: other.title,
+          count: 0,
+          overlapMinutes: 0,
+          overlaps: []
+        });
+      }
+
+      const conflict = byEvent.get(other.eventId);
+      conflict.count++;
+      conflict.overlapMinutes += Math.round((overlapEnd - overlapStart) / 60000);
+      if (conflict.overlaps.length < MAX_LISTED_OVERLAPS) {
+        conflict.overlaps.push({
+          startTime: new Date(overlapStart).toISOString(),
+          endTime: new Date(overlapEnd).toISOString(),
+          existingStartTime: other.startTime,
+          existingEndTime: other.endTime
+        });
+      }
+    }
+  });
+
+  return [...byEvent.values()];
+}
+
+// Helper function to annotate parsed chat actions with conflicts
+// Batches are checked against existing events and against the earlier items of the same batch
+function annotateActionConflicts(actions, existingItems) {
+  const items = [...(existingItems || [])];
+
+  // Unsaved events get placeholder ids such as "action:0" or "action:1:2" (action index, batch index)
+  return actions.map((action, actionIndex) => {
+    if (action.action === 'create_task') {
+      const conflicts = findConflicts(action.taskData, items);
+      if (action.taskData.type === 'event') items.push({ ...action.taskData, id: `action:${actionIndex}` });
+      return { ...action, conflicts };
+    }
+
+    if (action.action === 'create_multiple_tasks') {
+      const conflicts = [];
+      action.taskData.forEach((taskData, index) => {
+        const itemConflicts = findConflicts(taskData, items);
+        if (itemConflicts.length > 0) {
+          conflicts.push({ index, title: taskData.title, conflicts: itemConflicts });
+        }
+        if (taskData.type === 'event') items.push({ ...taskData, id: `action:${actionIndex}:${index}` });
+      });
+      return { ...action, conflicts };
+    }
+
+    if (action.action === 'update_task') {
+      const existing = items.find(item => item.id === action.taskId);
+      if (!existing || existing.type !== 'event') return action;
+      return { ...action, conflicts: findConflicts({ ...existing, ...action.taskData }, items, { excludeId: existing.id }) };
+    }
+
+    return action;
+  });
+}
+
+module.exports = {
+  CONFLICT_HORIZON_DAYS,
+  findConflicts,
+  annotateActionConflicts
+};
@@ -0,0 +1,116 @@
+// API errors
+// Every failed request answers with the same envelope:
+//   { success: false, error: 'message for humans', code: 'VALIDATION_ERROR', details?: [{ field, message }] }
+// Routes throw ApiError (asyncRoute forwards it), errorHandler turns it - and the errors raised by
+// express.json, express.text and cors - into that envelope. Unexpected errors become INTERNAL_ERROR
+// without leaking their message to the client.
+
+const { logger } = require('./logger');
+
+// Error code -> HTTP status
+const ERROR_CODES = {
+  VALIDATION_ERROR: 400,
+  INVALID_JSON: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  CORS_REJECTED: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  UNSUPPORTED_MEDIA_TYPE: 415,
+  RATE_LIMITED: 429,
+  INTERNAL_ERROR: 500
+};
+
+// Options: { details: [{ field, message }], headers: { name: value }, extra: { fields added to the body } }
+class ApiError extends Error {
+  constructor(code, message, { status = ERROR_CODES[code] || 500, details = null, headers = null, extra = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+    this.headers = headers;
+    this.extra = extra;
+  }
+}
+
+// Helper function to build a 400 from field-level details, the message lists every problem
+function validationError(details) {
+  return new ApiError('VALIDATION_ERROR', details.map(detail => detail.message).join('; '), { details });
+}
+
+function notFoundError(message) {
+  return new ApiError('NOT_FOUND', message);
+}
+
+// Helper function to map errors raised outside the routes (body parsers, cors) to an ApiError
+// body-parser marks its errors with a "type" (https://github.com/expressjs/body-parser#errors)
+function toApiError(error) {
+  if (error instanceof ApiError) return error;
+
+  switch (error && error.type) {
+    case 'entity.parse.failed':
+      return new ApiError('INVALID_JSON', `Request body is not valid JSON: ${error.message}`);
+    case 'entity.too.large':
+      return new ApiError('PAYLOAD_TOO_LARGE', `Request body is larger than ${error.limit} bytes`);
+    case 'encoding.unsupported':
+    case 'charset.unsupported':
+      return new ApiError('UNSUPPORTED_MEDIA_TYPE', error.message);
+    default:
+      return new ApiError('INTERNAL_ERROR', 'Internal server error');
+  }
+}
+
+function sendError(res, error) {
+  if (error.headers) res.set(error.headers);
+  return res.status(error.status).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    ...(error.details && { details: error.details }),
+    ...error.extra
+  });
+}
+
+// Helper function to wrap an async route: ApiErrors are forwarded as they are,
+// anything else is logged and answered with INTERNAL_ERROR and the route's failure message
+function asyncRoute(failureMessage, handler) {
+  return (req, res, next) => {
+    Promise.resolve()
+      .then(() => handler(req, res, next))
+      .catch(error => {
+        if (error instanceof ApiError) return next(error);
+        logger.error(failureMessage, { error });
+        next(new ApiError('INTERNAL_ERROR', failureMessage));
+      });
+  };
+}
+
+// Unknown /api routes
+function notFoundHandler(req, res, next) {
+  next(notFoundError(`Route ${req.method} ${req.baseUrl}${req.path} not found`));
+}
+
+// Error middleware (registered after every route)
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) return next(error);
+
+  const apiError = toApiError(error);
+  if (apiError.status >= 500 && apiError !== error) {
+    logger.error('Unhandled error', { method: req.method, path: req.originalUrl.split('?')[0], error });
+  }
+  sendError(res, apiError);
+}
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  validationError,
+  notFoundError,
+  toApiError,
+  sendError,
+  asyncRoute,
+  notFoundHandler,
+  errorHandler
+};
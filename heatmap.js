@@ -0,0 +1,226 @@
+// Busy/free heatmap analytics
+// Builds the day/hour heatmap from tasks and expanded events on the server, so every client gets the same numbers
+//
+// heatmapData keeps the format the frontend used to send: { "Mon_8": 3 } = 3 items touch Monday 8:00-9:00
+// (events count once per hour they cover, tasks once at their due hour). Times are Vietnam local time.
+
+const { toLocalParts, fromLocalParts, expandEvents } = require('./recurrence');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+
+const DAY_KEYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Same student window as the scheduler (07:00-22:00)
+const DAY_START_HOUR = 7;
+const DAY_END_HOUR = 22;
+
+// An hour counts as "usually free" when less than this share of it is busy on average
+const FREE_HOUR_THRESHOLD = 0.25;
+// Weekday/weekend daily averages within this ratio are considered balanced
+const BALANCE_RATIO = 1.5;
+
+const MAX_RANGE_DAYS = 366;
+
+// Helper function to get the current month in local time as [from, to)
+function getMonthRange(date = new Date()) {
+  const parts = toLocalParts(date.getTime());
+  return {
+    from: new Date(fromLocalParts(parts.year, parts.month, 1)),
+    to: new Date(fromLocalParts(parts.year, parts.month + 1, 1))
+  };
+}
+
+function cellKey(weekday, hour) {
+  return `${DAY_KEYS[weekday]}_${hour}`;
+}
+
+function formatHour(hour) {
+  return `${String(hour).padStart(2, '0')}:00`;
+}
+
+// Helper function to count how many times each weekday occurs in [from, to)
+function countWeekdays(from, to) {
+  const counts = [0, 0, 0, 0, 0, 0, 0];
+  const first = toLocalParts(from.getTime());
+  for (let offset = 0; ; offset++) {
+    const dayMs = fromLocalParts(first.year, first.month, first.day + offset);
+    if (dayMs >= to.getTime()) break;
+    if (dayMs + DAY_MS > from.getTime()) counts[toLocalParts(dayMs).weekday]++;
+  }
+  return counts;
+}
+
+// Helper function to build the raw grids: item counts and busy minutes per day/hour
+function buildGrids(items, from, to) {
+  const heatmapData = {};
+  const busyMinutes = {};
+  const add = (weekday, hour, minutes) => {
+    const key = cellKey(weekday, hour);
+    heatmapData[key] = (heatmapData[key] || 0) + 1;
+    if (minutes > 0) busyMinutes[key] = (busyMinutes[key] || 0) + minutes;
+  };
+
+  const fromMs = from.getTime();
+  const toMs = to.getTime();
+
+  expandEvents(items, from, to).forEach(occurrence => {
+    const start = Math.max(new Date(occurrence.startTime).getTime(), fromMs);
+    const end = Math.min(new Date(occurrence.endTime).getTime(), toMs);
+
+    // Vietnam is a whole-hour offset, so UTC hour boundaries are local hour boundaries
+    for (let cursor = start; cursor < end;) {
+      const hourEnd = Math.min(Math.floor(cursor / HOUR_MS) * HOUR_MS + HOUR_MS, end);
+      const parts = toLocalParts(cursor);
+      add(parts.weekday, parts.hours, Math.round((hourEnd - cursor) / 60000));
+      cursor = hourEnd;
+    }
+  });
+
+  (items || [])
+    .filter(item => item && item.type !== 'event' && item.dueDate)
+    .forEach(task => {
+      const dueMs = new Date(task.dueDate).getTime();
+      if (isNaN(dueMs) || dueMs < fromMs || dueMs >= toMs) return;
+      const parts = toLocalParts(dueMs);
+      add(parts.weekday, parts.hours, 0);
+    });
+
+  return { heatmapData, busyMinutes };
+}
+
+// Helper function to analyse the grids: peak hours, longest usually-free blocks, weekday/weekend balance
+function analyseHeatmap({ heatmapData, busyMinutes }, weekdayCounts) {
+  const cells = Object.keys(heatmapData).map(key => {
+    const [day, hour] = key.split('_');
+    return { day, hour: parseInt(hour, 10), count: heatmapData[key], busyMinutes: busyMinutes[key] || 0 };
+  });
+
+  const peakHours = cells
+    .filter(cell => cell.busyMinutes > 0 || cell.count > 0)
+    .sort((a, b) => b.busyMinutes - a.busyMinutes || b.count - a.count ||
+      DAY_KEYS.indexOf(a.day) - DAY_KEYS.indexOf(b.day) || a.hour - b.hour)
+    .slice(0, 5)
+    .map(cell => ({ ...cell, label: `${cell.day} ${formatHour(cell.hour)}-${formatHour(cell.hour + 1)}` }));
+
+  // Free blocks inside the student window, based on the average week of the range
+  const freeBlocks = [];
+  DAY_KEYS.forEach((day, weekday) => {
+    const days = weekdayCounts[weekday];
+    if (days === 0) return;
+
+    let blockStart = null;
+    for (let hour = DAY_START_HOUR; hour <= DAY_END_HOUR; hour++) {
+      const busyShare = hour < DAY_END_HOUR ? (busyMinutes[cellKey(weekday, hour)] || 0) / (days * 60) : 1;
+      const isFree = hour < DAY_END_HOUR && busyShare < FREE_HOUR_THRESHOLD;
+
+      if (isFree && blockStart === null) blockStart = hour;
+      if (!isFree && blockStart !== null) {
+        freeBlocks.push({
+          day,
+          start: formatHour(blockStart),
+          end: formatHour(hour),
+          minutes: (hour - blockStart) * 60,
+          label: `${day} ${formatHour(blockStart)}-${formatHour(hour)}`
+        });
+        blockStart = null;
+      }
+    }
+  });
+  const longestFreeBlocks = freeBlocks
+    .sort((a, b) => b.minutes - a.minutes || DAY_KEYS.indexOf(a.day) - DAY_KEYS.indexOf(b.day) || a.start.localeCompare(b.start))
+    .slice(0, 5);
+
+  // Busy minutes per weekday, averaged per calendar day in the range
+  const minutesByDay = DAY_KEYS.map((day, weekday) => cells
+    .filter(cell => cell.day === day)
+    .reduce((total, cell) => total + cell.busyMinutes, 0) / Math.max(weekdayCounts[weekday], 1));
+
+  const weekdayAverage = Math.round(minutesByDay.slice(0, 5).reduce((a, b) => a + b, 0) / 5);
+  const weekendAverage = Math.round(minutesByDay.slice(5).reduce((a, b) => a + b, 0) / 2);
+
+  let balance = 'balanced';
+  if (weekdayAverage > 0 || weekendAverage > 0) {
+    if (weekdayAverage > weekendAverage * BALANCE_RATIO) balance = 'weekday-heavy';
+    else if (weekendAverage > weekdayAverage * BALANCE_RATIO) balance = 'weekend-heavy';
+  }
+
+  const busiestIndex = minutesByDay.indexOf(Math.max(...minutesByDay));
+  const freestIndex = minutesByDay.indexOf(Math.min(...minutesByDay));
+
+  return {
+    peakHours,
+    longestFreeBlocks,
+    weekdayWeekendBalance: {
+      weekdayAverageMinutes: weekdayAverage,
+      weekendAverageMinutes: weekendAverage,
+      balance
+    },
+    busiestDay: minutesByDay[busiestIndex] > 0 ? DAY_KEYS[busiestIndex] : null,
+    freestDay: DAY_KEYS[freestIndex],
+    averageDailyBusyMinutes: Object.fromEntries(DAY_KEYS.map((day, index) => [day, Math.round(minutesByDay[index])]))
+  };
+}
+
+// Helper function to build the heatmap and its analysis for a range (default: current local month)
+function buildHeatmap(items, { from, to } = {}) {
+  const range = from && to ? { from: new Date(from), to: new Date(to) } : getMonthRange(from ? new Date(from) : new Date());
+  const grids = buildGrids(items, range.from, range.to);
+
+  return {
+    from: range.from.toISOString(),
+    to: range.to.toISOString(),
+    heatmapData: grids.heatmapData,
+    busyMinutes: grids.busyMinutes,
+    heatmapAnalysis: analyseHeatmap(grids, countWeekdays(range.from, range.to))
+  };
+}
+
+// Helper function to list the busy hours of heatmapData per day for prompts: "Monday: 8:00-9:00:3, 9:00-10:00:1"
+function formatHeatmapData(heatmapData, locale = DEFAULT_LOCALE) {
+  if (!heatmapData || typeof heatmapData !== 'object') return '';
+
+  const dayGroups = {};
+  Object.keys(heatmapData).forEach(key => {
+    const [dayKey, hour] = key.split('_');
+    const count = heatmapData[key];
+    if (count > 0) {
+      if (!dayGroups[dayKey]) dayGroups[dayKey] = [];
+      dayGroups[dayKey].push(`${hour}:00-${parseInt(hour, 10) + 1}:00:${count}`);
+    }
+  });
+
+  const lines = Object.keys(dayGroups).map(dayKey =>
+    `${DAY_KEYS.includes(dayKey) ? t(locale, `days.${dayKey}`) : dayKey}: ${dayGroups[dayKey].join(', ')}`
+  );
+  return t(locale, 'prompts.heatmapSection', { lines: lines.join('\n') });
+}
+
+// Helper function to describe the analysis in a few prompt lines
+function describeHeatmapAnalysis(analysis, locale = DEFAULT_LOCALE) {
+  if (!analysis) return '';
+  const list = items => items.length > 0
+    ? items.map(item => `${t(locale, `days.${item.day}`)}${item.label.slice(item.day.length)}`).join(', ')
+    : t(locale, 'heatmapAnalysis.none');
+  const balance = analysis.weekdayWeekendBalance;
+
+  return [
+    t(locale, 'heatmapAnalysis.title'),
+    t(locale, 'heatmapAnalysis.peakHours', { list: list(analysis.peakHours) }),
+    t(locale, 'heatmapAnalysis.freeBlocks', { list: list(analysis.longestFreeBlocks) }),
+    t(locale, 'heatmapAnalysis.balance', {
+      weekday: balance.weekdayAverageMinutes,
+      weekend: balance.weekendAverageMinutes,
+      balance: t(locale, `heatmapAnalysis.balanceNames.${balance.balance}`)
+    })
+  ].join('\n');
+}
+
+module.exports = {
+  DAY_KEYS,
+  MAX_RANGE_DAYS,
+  getMonthRange,
+  buildHeatmap,
+  formatHeatmapData,
+  describeHeatmapAnalysis
+};
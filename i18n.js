@@ -0,0 +1,132 @@
+// Localization
+// Message catalogs live in locales/<code>.js (plain objects, "{{name}}" placeholders) and are picked up automatically,
+// so adding a language means adding one catalog file. Keys missing from a catalog fall back to English, then Vietnamese.
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const DEFAULT_LOCALE = 'vi';
+const FALLBACK_LOCALE = 'en';
+
+function loadCatalogs() {
+  const catalogs = {};
+  fs.readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .forEach(file => {
+      catalogs[path.basename(file, '.js')] = require(path.join(LOCALES_DIR, file));
+    });
+  return catalogs;
+}
+
+const catalogs = loadCatalogs();
+const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+// Helper function to map "en-US", "EN", "vi_VN" to a supported locale code (null when unsupported)
+function normalizeLocale(value) {
+  if (!value || typeof value !== 'string') return null;
+  const code = value.trim().toLowerCase().replace('_', '-');
+  if (catalogs[code]) return code;
+  const primary = code.split('-')[0];
+  return catalogs[primary] ? primary : null;
+}
+
+// Helper function to parse an Accept-Language header into codes ordered by quality
+function parseAcceptLanguage(header) {
+  if (!header || typeof header !== 'string') return [];
+  return header.split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { tag: tag.trim(), quality: isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(entry => entry.tag && entry.tag !== '*' && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(entry => entry.tag);
+}
+
+// Helper function to pick the locale of a request: body.language / body.locale, ?lang=, then Accept-Language
+function resolveLocale(req) {
+  const candidates = [
+    req.body && req.body.language,
+    req.body && req.body.locale,
+    req.query && req.query.lang,
+    ...parseAcceptLanguage(req.headers && req.headers['accept-language'])
+  ];
+
+  for (const candidate of candidates) {
+    const locale = normalizeLocale(candidate);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), catalog);
+}
+
+// Helper function to replace {{name}} placeholders (single pass, so values are never re-interpolated)
+function format(template, vars = {}) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+    vars[name] === undefined || vars[name] === null ? '' : String(vars[name])
+  );
+}
+
+function languageName(locale) {
+  return (catalogs[locale] && catalogs[locale].meta && catalogs[locale].meta.name) || locale;
+}
+
+// Helper function to get a message (or list) for a locale, with fallbacks
+// {{languageName}} is always available, e.g. for "reply in {{languageName}}"
+function t(locale, key, vars) {
+  const chain = [locale, FALLBACK_LOCALE, DEFAULT_LOCALE];
+  for (const code of chain) {
+    const value = catalogs[code] && lookup(catalogs[code], key);
+    if (value !== undefined) {
+      return typeof value === 'string' ? format(value, { languageName: languageName(locale), ...vars }) : value;
+    }
+  }
+  return key;
+}
+
+// Helper function to collect a list key from every catalog (keywords must work whatever the reply language is)
+function allValues(key) {
+  const values = SUPPORTED_LOCALES.flatMap(code => {
+    const value = lookup(catalogs[code], key);
+    return Array.isArray(value) ? value : [];
+  });
+  return [...new Set(values)];
+}
+
+// Helper function to collect the raw value of a key from every catalog that defines it
+function catalogValues(key) {
+  return SUPPORTED_LOCALES
+    .map(code => lookup(catalogs[code], key))
+    .filter(value => value !== undefined);
+}
+
+function categoryName(locale, category) {
+  const name = t(locale, `categories.${category}`);
+  return name === `categories.${category}` ? category : name;
+}
+
+function priorityName(locale, priority) {
+  const name = t(locale, `priorities.${priority}`);
+  return name === `priorities.${priority}` ? priority : name;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  normalizeLocale,
+  resolveLocale,
+  format,
+  languageName,
+  t,
+  allValues,
+  catalogValues,
+  categoryName,
+  priorityName
+};
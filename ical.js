@@ -0,0 +1,483 @@
+// iCalendar (RFC 5545) import and export
+// Tasks become VTODO, events become VEVENT (with RRULE/EXDATE and RECURRENCE-ID overrides)
+
+const { TASK_CATEGORIES, LOCAL_UTC_OFFSET_MINUTES } = require('./task-model');
+const { fromLocalParts, recurrenceEndMs } = require('./recurrence');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+
+const PRODID = '-//N-Timer//Student Time Manager//VI';
+const UID_DOMAIN = 'n-timer';
+
+const PRIORITY_TO_ICAL = { urgent: 1, high: 3, medium: 5, low: 9 };
+const STATUS_TO_ICAL = { pending: 'NEEDS-ACTION', 'in-progress': 'IN-PROCESS', completed: 'COMPLETED' };
+const ICAL_TO_STATUS = { 'NEEDS-ACTION': 'pending', 'IN-PROCESS': 'in-progress', COMPLETED: 'completed', CANCELLED: 'completed' };
+const PATTERN_TO_FREQ = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY' };
+const FREQ_TO_PATTERN = { DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'monthly' };
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Helper function to format a date as a UTC date-time (20250915T070000Z)
+function formatDateTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets are folded (CRLF + space), never splitting a UTF-8 character
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function taskUid(task) {
+  return task.icalUid || `${task.id}@${UID_DOMAIN}`;
+}
+
+// Helper function to get the RRULE of an event (explicit rrule or the recurrencePattern fields)
+function eventRRule(event) {
+  if (event.rrule) return event.rrule.replace(/^RRULE:/i, '');
+  if (!event.isRecurring || !PATTERN_TO_FREQ[event.recurrencePattern]) return null;
+
+  let rule = `FREQ=${PATTERN_TO_FREQ[event.recurrencePattern]}`;
+  // A date-only end date includes its whole day (same as on import)
+  const until = event.recurrenceEndDate ? recurrenceEndMs(event.recurrenceEndDate) : null;
+  if (until !== null) rule += `;UNTIL=${formatDateTime(until)}`;
+  return rule;
+}
+
+function commonLines(task, now) {
+  const categories = [task.category, ...(task.tags || [])].filter(Boolean);
+  return [
+    `UID:${taskUid(task)}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    task.createdAt && `CREATED:${formatDateTime(task.createdAt)}`,
+    task.updatedAt && `LAST-MODIFIED:${formatDateTime(task.updatedAt)}`,
+    `SUMMARY:${escapeText(task.title || '')}`,
+    task.description && `DESCRIPTION:${escapeText(task.description)}`,
+    categories.length > 0 && `CATEGORIES:${categories.map(escapeText).join(',')}`,
+    task.category && `X-NTIMER-CATEGORY:${task.category}`,
+    `X-NTIMER-ID:${task.id}`
+  ];
+}
+
+function eventToLines(event, now) {
+  const lines = [
+    'BEGIN:VEVENT',
+    ...commonLines(event, now),
+    `DTSTART:${formatDateTime(event.startTime)}`,
+    `DTEND:${formatDateTime(event.endTime)}`,
+    event.location && `LOCATION:${escapeText(event.location)}`
+  ];
+
+  const rrule = eventRRule(event);
+  if (rrule) {
+    lines.push(`RRULE:${rrule}`);
+    (event.exdates || []).forEach(exdate => lines.push(`EXDATE:${formatDateTime(exdate)}`));
+    // Cancelled occurrences are exported as EXDATE too
+    (event.overrides || [])
+      .filter(override => override.cancelled)
+      .forEach(override => lines.push(`EXDATE:${formatDateTime(override.occurrenceStart)}`));
+  }
+  lines.push('END:VEVENT');
+
+  // Moved/renamed occurrences are separate VEVENTs with the same UID and a RECURRENCE-ID
+  if (rrule) {
+    const duration = new Date(event.endTime) - new Date(event.startTime);
+    (event.overrides || [])
+      .filter(override => !override.cancelled)
+      .forEach(override => {
+        const start = override.startTime || override.occurrenceStart;
+        const end = override.endTime || new Date(new Date(start).getTime() + duration).toISOString();
+        lines.push(
+          'BEGIN:VEVENT',
+          `UID:${taskUid(event)}`,
+          `DTSTAMP:${formatDateTime(now)}`,
+          `RECURRENCE-ID:${formatDateTime(override.occurrenceStart)}`,
+          `SUMMARY:${escapeText(override.title || event.title || '')}`,
+          `DTSTART:${formatDateTime(start)}`,
+          `DTEND:${formatDateTime(end)}`,
+          (override.location ?? event.location) && `LOCATION:${escapeText(override.location ?? event.location)}`,
+          'END:VEVENT'
+        );
+      });
+  }
+
+  return lines;
+}
+
+function taskToLines(task, now) {
+  return [
+    'BEGIN:VTODO',
+    ...commonLines(task, now),
+    task.dueDate && `DUE:${formatDateTime(task.dueDate)}`,
+    task.priority && PRIORITY_TO_ICAL[task.priority] && `PRIORITY:${PRIORITY_TO_ICAL[task.priority]}`,
+    `STATUS:${STATUS_TO_ICAL[task.status] || 'NEEDS-ACTION'}`,
+    task.status === 'completed' && `PERCENT-COMPLETE:100`,
+    task.estimatedDuration && `X-NTIMER-ESTIMATED-DURATION:${task.estimatedDuration}`,
+    'END:VTODO'
+  ];
+}
+
+// Helper function to export tasks/events as an .ics document
+function exportCalendar(tasks, { calendarName = 'N-Timer' } = {}) {
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    'X-WR-TIMEZONE:Asia/Ho_Chi_Minh'
+  ];
+
+  tasks.forEach(task => {
+    if (task.type === 'event') {
+      if (task.startTime && task.endTime) lines.push(...eventToLines(task, now));
+    } else {
+      lines.push(...taskToLines(task, now));
+    }
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.filter(Boolean).map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Helper function to get the UTC offset (ms) of an IANA time zone at a given instant
+function timeZoneOffset(ms, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(ms));
+  const get = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+// Helper function to convert a wall-clock time in a time zone to UTC ms
+// Unknown zones (e.g. Outlook's Windows names) fall back to Vietnam time
+function zonedTimeToUtc(year, month, day, hours, minutes, seconds, timeZone) {
+  const guess = Date.UTC(year, month, day, hours, minutes, seconds);
+  try {
+    const offset = timeZoneOffset(guess, timeZone);
+    const corrected = timeZoneOffset(guess - offset, timeZone);
+    return guess - corrected;
+  } catch (error) {
+    return guess - LOCAL_UTC_OFFSET_MINUTES * 60 * 1000;
+  }
+}
+
+// Helper function to parse DTSTART/DTEND/DUE/EXDATE values into ms
+function parseDateValue(value, params = {}) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (hours === undefined) {
+    // All-day values are local midnight
+    return { ms: fromLocalParts(+year, +month - 1, +day), allDay: true };
+  }
+  if (utc) {
+    return { ms: Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds), allDay: false };
+  }
+  if (params.TZID) {
+    return { ms: zonedTimeToUtc(+year, +month - 1, +day, +hours, +minutes, +seconds, params.TZID), allDay: false };
+  }
+  // Floating time: treat as the student's local time
+  return { ms: fromLocalParts(+year, +month - 1, +day, +hours, +minutes, +seconds), allDay: false };
+}
+
+// Helper function to parse an ISO 8601 duration (P1DT2H30M) into ms
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const ms = ((+weeks || 0) * 7 * 86400 + (+days || 0) * 86400 + (+hours || 0) * 3600 +
+    (+minutes || 0) * 60 + (+seconds || 0)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+// Helper function to split a content line into name, params and value
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// Helper function to parse an .ics document into a list of components
+// Each component: { type: 'VEVENT' | 'VTODO', props: { NAME: [{ params, value }] } }
+function parseComponents(icsText) {
+  const lines = String(icsText)
+    .replace(/\r\n|\r/g, '\n')
+    .replace(/\n[ \t]/g, '') // unfold
+    .split('\n')
+    .filter(line => line.trim());
+
+  const components = [];
+  const stack = [];
+
+  lines.forEach(line => {
+    const property = parseContentLine(line);
+    if (!property) return;
+
+    if (property.name === 'BEGIN') {
+      stack.push({ type: property.value.trim().toUpperCase(), props: {} });
+      return;
+    }
+    if (property.name === 'END') {
+      const component = stack.pop();
+      if (component && (component.type === 'VEVENT' || component.type === 'VTODO')) {
+        components.push(component);
+      }
+      return;
+    }
+
+    const current = stack[stack.length - 1];
+    if (!current) return;
+    if (!current.props[property.name]) current.props[property.name] = [];
+    current.props[property.name].push({ params: property.params, value: property.value });
+  });
+
+  if (!lines.some(line => /^BEGIN:VCALENDAR/i.test(line))) {
+    throw new Error('Not an iCalendar document (missing BEGIN:VCALENDAR)');
+  }
+
+  return components;
+}
+
+function firstProp(component, name) {
+  return component.props[name] ? component.props[name][0] : null;
+}
+
+function textProp(component, name) {
+  const prop = firstProp(component, name);
+  return prop ? unescapeText(prop.value).trim() : '';
+}
+
+function dateProp(component, name) {
+  const prop = firstProp(component, name);
+  return prop ? parseDateValue(prop.value, prop.params) : null;
+}
+
+// Helper function to pick an app category from X-NTIMER-CATEGORY or CATEGORIES
+function pickCategory(component, defaultCategory) {
+  const explicit = textProp(component, 'X-NTIMER-CATEGORY');
+  if (TASK_CATEGORIES.includes(explicit)) return { category: explicit, tags: [] };
+
+  const values = (component.props.CATEGORIES || [])
+    .flatMap(prop => prop.value.split(/(?<!\\),/))
+    .map(value => unescapeText(value).trim())
+    .filter(Boolean);
+  const category = values.find(value => TASK_CATEGORIES.includes(value.toLowerCase()));
+
+  return {
+    category: category ? category.toLowerCase() : defaultCategory,
+    tags: values.filter(value => value !== category)
+  };
+}
+
+// Helper function to map a simple RRULE back onto recurrencePattern fields
+// Anything richer (INTERVAL, BYDAY, COUNT, ...) is kept as rrule
+function mapRecurrence(rrule) {
+  const parts = Object.fromEntries(rrule.split(';').filter(Boolean).map(part => {
+    const [key, value = ''] = part.split('=');
+    return [key.toUpperCase(), value];
+  }));
+  const keys = Object.keys(parts);
+  const simple = FREQ_TO_PATTERN[parts.FREQ] && keys.every(key => key === 'FREQ' || key === 'UNTIL');
+
+  if (simple) {
+    const until = parts.UNTIL ? parseDateValue(parts.UNTIL) : null;
+    return {
+      isRecurring: true,
+      recurrencePattern: FREQ_TO_PATTERN[parts.FREQ],
+      recurrenceEndDate: until ? new Date(until.allDay ? until.ms + 86400000 - 1 : until.ms).toISOString() : null,
+      rrule: null
+    };
+  }
+
+  return {
+    isRecurring: true,
+    recurrencePattern: FREQ_TO_PATTERN[parts.FREQ] || null,
+    recurrenceEndDate: null,
+    rrule
+  };
+}
+
+function componentToEvent(component, defaultCategory, untitled) {
+  const start = dateProp(component, 'DTSTART');
+  if (!start) throw new Error('VEVENT without DTSTART');
+
+  let endMs;
+  const end = dateProp(component, 'DTEND');
+  const duration = firstProp(component, 'DURATION');
+  if (end) endMs = end.ms;
+  else if (duration) endMs = start.ms + (parseDuration(duration.value) || 0);
+  else endMs = start.ms + (start.allDay ? 86400000 : 0);
+
+  const { category, tags } = pickCategory(component, defaultCategory);
+  const rruleProp = firstProp(component, 'RRULE');
+
+  const exdates = (component.props.EXDATE || []).flatMap(prop =>
+    prop.value.split(',').map(value => parseDateValue(value, prop.params)).filter(Boolean)
+      .map(date => new Date(date.ms).toISOString())
+  );
+
+  return {
+    title: textProp(component, 'SUMMARY') || untitled,
+    description: textProp(component, 'DESCRIPTION'),
+    category,
+    type: 'event',
+    tags,
+    startTime: new Date(start.ms).toISOString(),
+    endTime: new Date(endMs).toISOString(),
+    location: textProp(component, 'LOCATION'),
+    estimatedDuration: Math.round((endMs - start.ms) / 60000),
+    ...(rruleProp
+      ? mapRecurrence(rruleProp.value.trim())
+      : { isRecurring: false, recurrencePattern: null, recurrenceEndDate: null }),
+    ...(exdates.length > 0 && { exdates })
+  };
+}
+
+function componentToTask(component, defaultCategory, untitled) {
+  const due = dateProp(component, 'DUE');
+  const { category, tags } = pickCategory(component, defaultCategory);
+  const priorityValue = parseInt(textProp(component, 'PRIORITY'), 10);
+  const estimated = parseInt(textProp(component, 'X-NTIMER-ESTIMATED-DURATION'), 10);
+
+  // RFC 5545: 1-4 high, 5 medium, 6-9 low, 0 undefined
+  let priority = 'medium';
+  if (priorityValue === 1) priority = 'urgent';
+  else if (priorityValue >= 2 && priorityValue <= 4) priority = 'high';
+  else if (priorityValue >= 6 && priorityValue <= 9) priority = 'low';
+
+  return {
+    title: textProp(component, 'SUMMARY') || untitled,
+    description: textProp(component, 'DESCRIPTION'),
+    category,
+    type: 'task',
+    tags,
+    priority,
+    // All-day due dates mean "by the end of that day"
+    dueDate: due ? new Date(due.allDay ? due.ms + 86400000 - 1000 : due.ms).toISOString() : undefined,
+    estimatedDuration: estimated > 0 ? estimated : 60,
+    status: ICAL_TO_STATUS[textProp(component, 'STATUS').toUpperCase()] || 'pending'
+  };
+}
+
+// Helper function to parse an .ics document into task data
+// locale: language of the placeholder title given to components without SUMMARY
+// Returns { items: [{ uid, taskData }], errors: [{ uid, error }] }
+function parseCalendar(icsText, { defaultCategory = 'academic', locale = DEFAULT_LOCALE } = {}) {
+  const components = parseComponents(icsText);
+  const untitled = t(locale, 'calendar.untitled');
+  const items = [];
+  const errors = [];
+  const masters = new Map();
+  const exceptions = [];
+
+  components.forEach(component => {
+    const uid = textProp(component, 'UID') || null;
+    try {
+      if (component.type === 'VEVENT' && firstProp(component, 'RECURRENCE-ID')) {
+        exceptions.push({ uid, component });
+        return;
+      }
+
+      const taskData = component.type === 'VEVENT'
+        ? componentToEvent(component, defaultCategory, untitled)
+        : componentToTask(component, defaultCategory, untitled);
+      if (uid) taskData.icalUid = uid;
+
+      const item = { uid, taskData };
+      items.push(item);
+      if (uid && component.type === 'VEVENT') masters.set(uid, item);
+    } catch (error) {
+      errors.push({ uid, error: error.message });
+    }
+  });
+
+  // Attach RECURRENCE-ID components as per-occurrence overrides of their master event
+  exceptions.forEach(({ uid, component }) => {
+    const master = masters.get(uid);
+    const recurrenceId = dateProp(component, 'RECURRENCE-ID');
+    if (!master || !recurrenceId) {
+      errors.push({ uid, error: 'RECURRENCE-ID without a matching recurring event' });
+      return;
+    }
+
+    const start = dateProp(component, 'DTSTART');
+    const end = dateProp(component, 'DTEND');
+    const status = textProp(component, 'STATUS').toUpperCase();
+    master.taskData.overrides = master.taskData.overrides || [];
+    master.taskData.overrides.push({
+      occurrenceStart: new Date(recurrenceId.ms).toISOString(),
+      ...(start && { startTime: new Date(start.ms).toISOString() }),
+      ...(end && { endTime: new Date(end.ms).toISOString() }),
+      ...(textProp(component, 'SUMMARY') && { title: textProp(component, 'SUMMARY') }),
+      ...(firstProp(component, 'LOCATION') && { location: textProp(component, 'LOCATION') }),
+      ...(status === 'CANCELLED' && { cancelled: true })
+    });
+  });
+
+  return { items, errors };
+}
+
+module.exports = {
+  UID_DOMAIN,
+  taskUid,
+  exportCalendar,
+  parseCalendar
+};
@@ -0,0 +1,111 @@
+// Offline intent classifier
+// Routes chat messages for the fallback chatbot (and the planning check) without calling the AI
+//
+// Messages and phrases are lower-cased with punctuation removed. Like the task parser, a message typed with
+// diacritics is matched exactly ("gặp" is not "gấp"), a message typed without them is matched against the
+// phrases without diacritics ("đ" -> "d"), so "Ưu tiên", "uu tien" and "UU TIEN!" all match "ưu tiên".
+// Phrases only match whole words, every matching phrase adds its weight to its intent
+// (phrase tables: "intents" in locales/*.js).
+//
+// confidence = share of the total score that went to the best intent, scaled down when the best score
+// is weaker than one strong phrase. Below minConfidence the intent is "unknown".
+
+const { catalogValues } = require('./i18n');
+
+// Ties are resolved in this order (the order the fallback answers used to be checked in)
+const INTENTS = ['plan', 'create', 'priority', 'schedule', 'productivity', 'time', 'help', 'greeting'];
+const UNKNOWN_INTENT = 'unknown';
+
+// Score of a single strong phrase, weaker matches get a lower confidence
+const STRONG_MATCH_SCORE = 3;
+const DEFAULT_MIN_CONFIDENCE = 0.3;
+
+// Helper function to lower-case and strip punctuation, keeping diacritics: "Ưu tiên việc gì?" -> "ưu tiên việc gì"
+function cleanText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFC')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Helper function to lower-case, strip diacritics and punctuation: "Ưu tiên việc gì?" -> "uu tien viec gi"
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Helper function to merge the phrase tables of every catalog into phrases per intent, in both matching modes:
+// exact (diacritics kept) and folded (diacritics stripped). A phrase listed twice keeps its highest weight.
+function buildPhraseTable() {
+  const table = { exact: {}, folded: {} };
+  Object.entries({ exact: cleanText, folded: normalizeText }).forEach(([mode, normalize]) => {
+    INTENTS.forEach(intent => {
+      const weights = new Map();
+      catalogValues(`intents.${intent}`).forEach(phrases => {
+        Object.entries(phrases).forEach(([phrase, weight]) => {
+          const normalized = normalize(phrase);
+          if (normalized && weight > 0) {
+            weights.set(normalized, Math.max(weights.get(normalized) || 0, weight));
+          }
+        });
+      });
+      table[mode][intent] = [...weights.entries()].map(([phrase, weight]) => ({ phrase, weight }));
+    });
+  });
+  return table;
+}
+
+const PHRASE_TABLE = buildPhraseTable();
+
+// Helper function to classify a message
+// Returns { name, confidence (0-1), scores: { intent: score }, matches: [{ intent, phrase, weight }] }
+function classifyIntent(message, { minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) {
+  const cleaned = cleanText(message);
+  const phrases = PHRASE_TABLE[cleaned === normalizeText(message) ? 'folded' : 'exact'];
+  // Padding with spaces turns substring checks into whole-word checks
+  const text = ` ${cleaned} `;
+  const scores = {};
+  const matches = [];
+
+  INTENTS.forEach(intent => {
+    scores[intent] = 0;
+    phrases[intent].forEach(({ phrase, weight }) => {
+      if (text.includes(` ${phrase} `)) {
+        scores[intent] += weight;
+        matches.push({ intent, phrase, weight });
+      }
+    });
+  });
+
+  const total = INTENTS.reduce((sum, intent) => sum + scores[intent], 0);
+  const best = INTENTS.reduce((top, intent) => (scores[intent] > scores[top] ? intent : top), INTENTS[0]);
+
+  if (total === 0) {
+    return { name: UNKNOWN_INTENT, confidence: 0, scores, matches };
+  }
+
+  const share = scores[best] / total;
+  const strength = Math.min(1, scores[best] / STRONG_MATCH_SCORE);
+  const confidence = Math.round(share * strength * 100) / 100;
+
+  return {
+    name: confidence >= minConfidence ? best : UNKNOWN_INTENT,
+    confidence,
+    scores,
+    matches
+  };
+}
+
+module.exports = {
+  INTENTS,
+  UNKNOWN_INTENT,
+  DEFAULT_MIN_CONFIDENCE,
+  normalizeText,
+  classifyIntent
+};
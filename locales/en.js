@@ -0,0 +1,257 @@
+// English message catalog (also the fallback for keys missing from other catalogs)
+// "{{name}}" placeholders are filled by i18n.format, intent phrases are weighted by the offline classifier
+
+module.exports = {
+  meta: {
+    name: 'English',
+    dateLocale: 'en-US'
+  },
+
+  days: {
+    Mon: 'Monday',
+    Tue: 'Tuesday',
+    Wed: 'Wednesday',
+    Thu: 'Thursday',
+    Fri: 'Friday',
+    Sat: 'Saturday',
+    Sun: 'Sunday'
+  },
+
+  shortDays: {
+    Mon: 'Mon',
+    Tue: 'Tue',
+    Wed: 'Wed',
+    Thu: 'Thu',
+    Fri: 'Fri',
+    Sat: 'Sat',
+    Sun: 'Sun'
+  },
+
+  categories: {
+    academic: 'academic',
+    work: 'work',
+    personal: 'personal',
+    health: 'health',
+    social: 'social'
+  },
+
+  priorities: {
+    urgent: 'urgent',
+    high: 'high',
+    medium: 'medium',
+    low: 'low',
+    none: 'none'
+  },
+
+  prompts: {
+    heatmapSection: `Heatmap Data (Current Month):
+{{lines}}`,
+
+    schedulePlanSection: `
+PLAN FROM THE SCHEDULER (no overlap with events, within 7AM-10PM, with breaks between sessions):
+{{plan}}
+
+- When the user wants their work scheduled, present EXACTLY the time slots above, DO NOT make up other times
+- If you create events from this plan, use exactly these startTime/endTime values (UTC): {{blocks}}
+- If some work is UNSCHEDULED, say so clearly and suggest shortening it, splitting it or moving the deadline
+`,
+
+    emptyPlan: '- No tasks need scheduling',
+
+    todoSection: `
+PRIORITY TODO LIST FROM THE SYSTEM (sorted by deadline, priority and status):
+{{list}}
+
+- When the user asks what to do first, present EXACTLY the list above in the same format (keep the emojis and ☐), DO NOT reorder it
+- You may add 1-2 short sentences of explanation after the list
+`,
+
+    dependencySection: `
+SUBTASKS AND PREREQUISITES:
+{{summary}}
+
+- Do not suggest starting a BLOCKED task, suggest finishing what it waits for first
+- When a plan is AT RISK, say so clearly and suggest cutting scope, getting help or moving the deadline
+`,
+
+    summary: `Summarize the following conversation between the user and an AI assistant about time management. Briefly cover the main topics, the user's requests and the AI's replies. Keep the important details so the AI can continue the conversation naturally. If there is an earlier summary at the top, merge it into the new summary. Use at most {{maxWords}} words.
+
+Conversation:
+{{conversation}}
+
+Summary:`,
+
+    summaryPrefix: '[SUMMARY OF THE PREVIOUS CONVERSATION]',
+
+    historyHeader: 'CONVERSATION HISTORY:'
+  },
+
+  heatmapAnalysis: {
+    title: 'Heatmap Analysis (computed on the server):',
+    peakHours: '- Peak busy hours: {{list}}',
+    freeBlocks: '- Longest free blocks (7AM-10PM): {{list}}',
+    balance: '- Weekdays average {{weekday}} busy minutes/day, weekends {{weekend}} minutes/day ({{balance}})',
+    none: 'none',
+    balanceNames: {
+      balanced: 'balanced',
+      'weekday-heavy': 'weekday-heavy',
+      'weekend-heavy': 'weekend-heavy'
+    }
+  },
+
+  plan: {
+    more: '- ... and {{count}} more time slots',
+    unscheduled: '- UNSCHEDULED: {{title}} ({{minutes}} minutes missing{{reason}})',
+    beforeDeadline: ' before the deadline'
+  },
+
+  // TODO lists (todo-list.js), emojis and the item format are in todo-template.js
+  todo: {
+    timeIndicators: {
+      OVERDUE: 'RIGHT NOW',
+      URGENT: 'Today',
+      HIGH: 'This week',
+      MEDIUM: 'When you have time',
+      LOW: 'Later',
+      IN_PROGRESS: 'Ongoing',
+      UPCOMING: 'Plan ahead'
+    },
+    titles: {
+      priority: '📋 **PRIORITY TODO LIST**',
+      schedule: '📅 **TODAY\'S SCHEDULE**',
+      productivity: '🚀 **PRODUCTIVITY PLAN**'
+    },
+    advice: {
+      priority: '💡 **Advice:** Start with overdue and urgent tasks first!',
+      schedule: '⏰ **Tip:** Keep 25% of your time as buffer time!',
+      productivity: '💪 **Focus:** 25-minute Pomodoro + 5-minute break!'
+    },
+    empty: {
+      priority: '☐ No pending tasks, you are all done!',
+      schedule: '☐ No classes, events or deadlines today',
+      productivity: '☐ No tasks to plan yet, add a new task first!'
+    },
+    due: '{{indicator}} (due {{date}})',
+    dueBy: 'due {{time}}',
+    minutes: '{{minutes}} min',
+    hours: '{{hours}}h',
+    hoursMinutes: '{{hours}}h {{minutes}}min',
+    more: '... and {{count}} more tasks'
+  },
+
+  // Subtasks and prerequisites in the chat context (task-graph.js)
+  dependencies: {
+    blocked: '- BLOCKED: "{{title}}" waits for {{waitingFor}}',
+    progress: '- "{{title}}": {{completedSubtasks}}/{{totalSubtasks}} subtasks done ({{percent}}%)',
+    risk: '- AT RISK: "{{title}}" still needs {{required}} minutes of work in order ({{path}}), only {{free}} free minutes are left before its deadline',
+    moreBlocked: '- ... and {{count}} more blocked tasks'
+  },
+
+  // Plan templates (plan-templates.js), description of the tasks created from a template
+  templates: {
+    stepScheduled: 'Step {{step}}/{{steps}} of {{template}}. Suggested time: {{slot}}',
+    stepUnscheduled: 'Step {{step}}/{{steps}} of {{template}}. No free {{minutes}}-minute slot was found before the deadline, please find time for it yourself'
+  },
+
+  // iCalendar import (ical.js)
+  calendar: {
+    untitled: '(No title)'
+  },
+
+  // Intent phrases for the offline classifier (intent-classifier.js): phrase -> weight
+  // Phrases are matched on whole words, so "hi" never matches inside "this"
+  intents: {
+    plan: { 'plan my': 3, 'schedule my': 3, 'auto schedule': 3, 'time block': 3, 'time blocking': 3, 'make a plan': 3, 'study plan': 2, 'when should i': 3 },
+    create: { 'add': 2, 'create': 2, 'new task': 3, 'new event': 3, 'remind me': 2 },
+    priority: { 'priority': 3, 'priorities': 3, 'prioritize': 3, 'important': 2, 'urgent': 2, 'do first': 3 },
+    schedule: { 'schedule': 1, 'calendar': 2, 'deadline': 2, 'deadlines': 2, 'due': 2, 'upcoming': 2, 'this week': 1, 'tomorrow': 1 },
+    productivity: { 'productivity': 3, 'productive': 2, 'stats': 3, 'statistics': 3, 'progress': 2, 'analyze': 2, 'analysis': 2, 'completion rate': 3 },
+    time: { 'time': 1, 'time management': 3, 'manage my time': 3, 'tips': 1, 'focus': 1, 'procrastinate': 2, 'procrastinating': 2, 'pomodoro': 2 },
+    help: { 'help': 2, 'how to use': 3, 'what can you do': 3, 'guide': 2 },
+    greeting: { 'hello': 3, 'hi': 3, 'hey': 3, 'good morning': 3, 'good evening': 3 }
+  },
+
+  // Vocabulary of the offline task parser (task-parser.js), merged from every catalog
+  parser: {
+    relativeDays: { 'today': 0, 'tomorrow': 1, 'day after tomorrow': 2 },
+    nextWeek: ['next week'],
+    weekdays: {
+      'monday': 'Mon', 'mon': 'Mon',
+      'tuesday': 'Tue', 'tue': 'Tue', 'tues': 'Tue',
+      'wednesday': 'Wed', 'wed': 'Wed',
+      'thursday': 'Thu', 'thu': 'Thu', 'thurs': 'Thu',
+      'friday': 'Fri', 'fri': 'Fri',
+      'saturday': 'Sat', 'sat': 'Sat',
+      'sunday': 'Sun', 'sun': 'Sun'
+    },
+    every: ['every', 'each'],
+    periods: { 'morning': 'morning', 'noon': 'noon', 'afternoon': 'afternoon', 'evening': 'evening', 'tonight': 'evening', 'night': 'night' },
+    hourWords: ["o'clock"],
+    timePrefixes: ['at', 'from'],
+    rangeSeparators: ['to', 'until', 'till'],
+    durationPrefixes: ['for', 'about'],
+    durationUnits: { 'hours': 60, 'hour': 60, 'hrs': 60, 'hr': 60, 'minutes': 1, 'minute': 1, 'mins': 1, 'min': 1 },
+    prefixedDurationUnits: { 'h': 60, 'm': 1 },
+    recurrence: { 'every day': 'daily', 'daily': 'daily', 'every week': 'weekly', 'weekly': 'weekly', 'every month': 'monthly', 'monthly': 'monthly' },
+    priorities: { 'urgent': 'urgent', 'asap': 'urgent', 'high priority': 'high', 'important': 'high', 'medium priority': 'medium', 'low priority': 'low' },
+    locationWords: ['in room', 'at the', 'in the'],
+    eventWords: ['event', 'meeting', 'class', 'session', 'appointment', 'lecture', 'shift'],
+    taskWords: ['task', 'deadline', 'due', 'by', 'homework', 'assignment', 'submit', 'todo'],
+    categories: {
+      academic: ['study', 'class', 'lecture', 'exam', 'test', 'homework', 'assignment', 'math', 'physics', 'chemistry', 'english', 'essay', 'thesis', 'course', 'review'],
+      work: ['work', 'meeting', 'report', 'project', 'shift', 'client', 'job', 'office'],
+      personal: ['shopping', 'buy', 'clean', 'laundry', 'call', 'cook', 'personal'],
+      health: ['gym', 'workout', 'exercise', 'run', 'running', 'yoga', 'doctor', 'dentist', 'sleep', 'swim'],
+      social: ['party', 'birthday', 'hang out', 'coffee', 'friends', 'dinner with']
+    },
+    leadingFillers: ['add', 'create', 'schedule', 'set up', 'put', 'remind me to', 'remind me', 'please', 'a', 'an', 'the', 'new', 'task', 'event', 'deadline', 'for'],
+    trailingFillers: ['on', 'at', 'from', 'to', 'until', 'due', 'by', 'every', 'for', 'please', 'next', 'with']
+  },
+
+  fallback: {
+    planEmpty: 'You have no pending tasks to schedule. Create tasks with an estimated duration and a deadline and I will schedule them for you!',
+    plan: 'Plan for {{tasks}} tasks over the next {{days}} days ({{dayStart}}-{{dayEnd}}, {{chunkMinutes}}-minute sessions + {{breakMinutes}}-minute breaks):\n\n{{plan}}\n\nThese time slots avoid your classes and events.',
+    create: 'To create a task/event, you can say things like:\n\n• "Schedule Math 12 every Monday from 7:00 to 9:50"\n• "Create a high priority study task for tomorrow"\n• "Add a group meeting event on Tuesday from 14:00 to 15:30"\n\nI will fill in the form and show a preview for you to confirm!',
+    createParsed: 'I filled in the {{type}} "{{title}}": {{when}}. Please check the preview and confirm!',
+    createMissing: 'To create "{{title}}", I need to know: {{fields}}. For example: "{{example}}"',
+    types: { task: 'task', event: 'event' },
+    missingFields: { title: 'the task name', dueDate: 'the deadline (when it has to be done)', startTime: 'the start time' },
+    missingExample: 'Create a study task due tomorrow, high priority',
+    recurrenceNames: { daily: 'daily', weekly: 'weekly', monthly: 'monthly' },
+    dueLabel: 'due {{date}}',
+    priorityLabel: '{{priority}} priority',
+    locationLabel: 'at {{location}}',
+    priorityTotal: 'You currently have {{total}} tasks in total.\n\n',
+    deadlines: 'Upcoming deadlines:\n{{list}}\n\nAdvice: Prioritize tasks due in the next 24-48 hours, and remember to leave buffer time!',
+    deadlineItem: '{{index}}. {{title}} - {{date}} ({{priority}})',
+    noDeadlines: 'You have no upcoming deadlines right now. This is a good chance to plan your long-term tasks!',
+    productivity: 'Current productivity:\n• Completed: {{completionRate}}% ({{completed}}/{{total}} tasks)\n• In progress: {{inProgress}} tasks\n• Overdue: {{overdue}} tasks\n\nTips to improve:\n• Use Pomodoro: 25 minutes + a 5 minute break\n• Focus on 1 task at a time\n• Set more realistic deadlines',
+    time: 'Effective time management:\n\nBasic principles:\n• The 80/20 rule: 20% of the work produces 80% of the results\n• Time blocking: Split your day into specific time blocks\n• Buffer time: Keep 25% of your time for the unexpected\n\nCurrent status: {{total}} tasks in total, {{overdue}} overdue\n\nTip: Focus on finishing {{focus}}!',
+    timeFocusOverdue: 'the {{count}} overdue tasks first',
+    timeFocusNearest: 'the tasks with the nearest deadlines',
+    help: 'I can help you with:\n\n• Creating tasks: "Create a study task to review math, due tomorrow, high priority"\n• Priorities: "Prioritize my work", "Important tasks"\n• Schedule: "Upcoming deadlines", "This week\'s schedule"\n• Productivity: "Analyze my productivity"\n• Time management: "Time management tips"\n\nJust ask naturally and I will understand and help!',
+    greeting: 'Hello! I am the N-Timer AI Assistant.\n\nCurrent status:\n• {{total}} tasks in total\n• {{pending}} pending\n• {{inProgress}} in progress\n• {{completed}} completed\n• {{overdue}} overdue\n\nI can help you create tasks, analyze priorities, manage your time and much more!\n\nWhat would you like to do today?',
+    default: 'I understand you are asking about: "{{message}}"\n\nCurrent status: {{total}} tasks in total\n\nI can help with:\n• Creating new tasks\n• Analyzing task priorities\n• Viewing your schedule and deadlines\n• Time management tips\n• Analyzing productivity\n\nPlease ask more specifically so I can help you best!'
+  },
+
+  recommendations: {
+    // Line prefixes accepted when the model answers in text instead of JSON (every catalog's labels are accepted)
+    labels: ['Time:', 'Deadline:', 'Preferences:', 'Suggestions:', 'Time Management:', 'Schedule Optimization:', 'Tools:', 'Technique:'],
+    // Label of each category in the legacy string format (format=legacy)
+    categoryLabels: {
+      time: 'Time:',
+      deadline: 'Deadline:',
+      preferences: 'Preferences:',
+      suggestion: 'Suggestions:'
+    },
+    timeHigh: 'You\'re spending too much time on study and work this week. Balance with rest time to avoid burnout.',
+    timeLow: 'Your study and work time this week is quite low. Consider increasing it to optimize productivity.',
+    timeBalanced: 'Your weekly study and work time is well balanced. Keep maintaining this pace.',
+    overdue: 'You have {{count}} overdue tasks. Prioritize completing these before starting new ones.',
+    preferenceHigh: 'You tend to focus heavily on {{category}} ({{percentage}}% of total tasks). This might be your preference or priority.',
+    preferenceLow: 'You pay less attention to {{category}} (only {{percentage}}% of total tasks). Consider balancing more.',
+    overrun: 'Your tasks usually take about {{percent}}% longer than estimated. Add buffer time when you estimate.',
+    goodHabits: 'Your time management and study approach is quite reasonable. Keep maintaining these good habits.',
+    pomodoro: 'Use Pomodoro technique (25 minutes focus + 5 minutes break) to increase study and work efficiency.'
+  }
+};
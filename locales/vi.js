@@ -0,0 +1,259 @@
+// Vietnamese message catalog (default locale)
+// "{{name}}" placeholders are filled by i18n.format, intent phrases are weighted by the offline classifier
+
+module.exports = {
+  meta: {
+    name: 'Tiếng Việt',
+    dateLocale: 'vi-VN'
+  },
+
+  days: {
+    Mon: 'Thứ 2',
+    Tue: 'Thứ 3',
+    Wed: 'Thứ 4',
+    Thu: 'Thứ 5',
+    Fri: 'Thứ 6',
+    Sat: 'Thứ 7',
+    Sun: 'Chủ nhật'
+  },
+
+  shortDays: {
+    Mon: 'T2',
+    Tue: 'T3',
+    Wed: 'T4',
+    Thu: 'T5',
+    Fri: 'T6',
+    Sat: 'T7',
+    Sun: 'CN'
+  },
+
+  categories: {
+    academic: 'học tập',
+    work: 'công việc',
+    personal: 'cá nhân',
+    health: 'sức khỏe',
+    social: 'xã hội'
+  },
+
+  priorities: {
+    urgent: 'khẩn cấp',
+    high: 'cao',
+    medium: 'trung bình',
+    low: 'thấp',
+    none: 'không có'
+  },
+
+  prompts: {
+    heatmapSection: `Heatmap Data (Tháng hiện tại):
+{{lines}}`,
+
+    schedulePlanSection: `
+KẾ HOẠCH TỪ BỘ LẬP LỊCH (đã tránh trùng sự kiện, trong khung 7AM-10PM, có nghỉ giữa các phiên):
+{{plan}}
+
+- Khi user muốn xếp lịch cho công việc, hãy trình bày ĐÚNG các khung giờ trên, KHÔNG tự nghĩ ra giờ khác
+- Nếu tạo events từ kế hoạch này, dùng đúng startTime/endTime (UTC) sau: {{blocks}}
+- Nếu có công việc KHÔNG XẾP ĐƯỢC, hãy nói rõ và gợi ý giảm thời lượng, chia nhỏ hoặc dời deadline
+`,
+
+    emptyPlan: '- Không có công việc nào cần xếp lịch',
+
+    todoSection: `
+TODO LIST ƯU TIÊN TỪ HỆ THỐNG (đã xếp theo hạn, độ ưu tiên và trạng thái):
+{{list}}
+
+- Khi user hỏi nên làm gì trước, hãy trình bày ĐÚNG danh sách trên theo đúng format (giữ emoji và ☐), KHÔNG tự sắp xếp lại
+- Có thể thêm 1-2 câu giải thích ngắn sau danh sách
+`,
+
+    dependencySection: `
+SUBTASKS VÀ TASK PHẢI LÀM TRƯỚC:
+{{summary}}
+
+- Không gợi ý bắt đầu task BỊ CHẶN, hãy gợi ý hoàn thành các task nó đang chờ trước
+- Khi một kế hoạch CÓ NGUY CƠ TRỄ HẠN, hãy nói rõ và gợi ý giảm khối lượng, nhờ hỗ trợ hoặc dời deadline
+`,
+
+    summary: `Hãy tóm tắt cuộc trò chuyện sau đây giữa user và AI assistant về quản lý thời gian. Tóm tắt ngắn gọn các chủ đề chính, yêu cầu của user, và phản hồi của AI. Giữ lại thông tin quan trọng để AI có thể tiếp tục cuộc trò chuyện một cách tự nhiên. Nếu có tóm tắt cũ ở đầu, hãy gộp nó vào bản tóm tắt mới. Không quá {{maxWords}} từ.
+
+Cuộc trò chuyện:
+{{conversation}}
+
+Tóm tắt:`,
+
+    summaryPrefix: '[TÓM TẮT CUỘC TRÒ CHUYỆN TRƯỚC]',
+
+    historyHeader: 'LỊCH SỬ CUỘC TRÒ CHUYỆN:'
+  },
+
+  heatmapAnalysis: {
+    title: 'Heatmap Analysis (tính trên server):',
+    peakHours: '- Giờ bận nhất: {{list}}',
+    freeBlocks: '- Khung rảnh dài nhất (7AM-10PM): {{list}}',
+    balance: '- Ngày thường trung bình {{weekday}} phút bận/ngày, cuối tuần {{weekend}} phút/ngày ({{balance}})',
+    none: 'không có',
+    balanceNames: {
+      balanced: 'cân bằng',
+      'weekday-heavy': 'dồn vào ngày thường',
+      'weekend-heavy': 'dồn vào cuối tuần'
+    }
+  },
+
+  plan: {
+    more: '- ... và {{count}} khung giờ khác',
+    unscheduled: '- KHÔNG XẾP ĐƯỢC: {{title}} (còn thiếu {{minutes}} phút{{reason}})',
+    beforeDeadline: ' trước deadline'
+  },
+
+  // TODO lists (todo-list.js), emojis and the item format are in todo-template.js
+  todo: {
+    timeIndicators: {
+      OVERDUE: 'NGAY LẬP TỨC',
+      URGENT: 'Hôm nay',
+      HIGH: 'Tuần này',
+      MEDIUM: 'Khi có thời gian',
+      LOW: 'Sau này',
+      IN_PROGRESS: 'Liên tục',
+      UPCOMING: 'Lên kế hoạch trước'
+    },
+    titles: {
+      priority: '📋 **TODO LIST ƯU TIÊN**',
+      schedule: '📅 **LỊCH TRÌNH HÔM NAY**',
+      productivity: '🚀 **PLAN TĂNG PRODUCTIVITY**'
+    },
+    advice: {
+      priority: '💡 **Lời khuyên:** Bắt đầu với tasks quá hạn và urgent trước!',
+      schedule: '⏰ **Tip:** Dành 25% thời gian cho buffer time!',
+      productivity: '💪 **Focus:** Pomodoro 25 phút + 5 phút break!'
+    },
+    empty: {
+      priority: '☐ Không có task nào đang chờ, bạn đã xong hết rồi!',
+      schedule: '☐ Hôm nay không có lịch hay deadline nào',
+      productivity: '☐ Chưa có task nào để lên plan, hãy thêm task mới nhé!'
+    },
+    due: '{{indicator}} (hạn {{date}})',
+    dueBy: 'hạn {{time}}',
+    minutes: '{{minutes}} phút',
+    hours: '{{hours}} tiếng',
+    hoursMinutes: '{{hours}} tiếng {{minutes}} phút',
+    more: '... và {{count}} tasks khác'
+  },
+
+  // Subtasks and prerequisites in the chat context (task-graph.js)
+  dependencies: {
+    blocked: '- BỊ CHẶN: "{{title}}" đang chờ {{waitingFor}}',
+    progress: '- "{{title}}": xong {{completedSubtasks}}/{{totalSubtasks}} subtasks ({{percent}}%)',
+    risk: '- CÓ NGUY CƠ TRỄ HẠN: "{{title}}" còn cần {{required}} phút làm lần lượt ({{path}}), nhưng chỉ còn {{free}} phút rảnh trước deadline',
+    moreBlocked: '- ... và {{count}} task bị chặn khác'
+  },
+
+  // Plan templates (plan-templates.js), description of the tasks created from a template
+  templates: {
+    stepScheduled: 'Bước {{step}}/{{steps}} của {{template}}. Khung giờ gợi ý: {{slot}}',
+    stepUnscheduled: 'Bước {{step}}/{{steps}} của {{template}}. Chưa tìm được khung giờ trống đủ {{minutes}} phút trước hạn, hãy tự sắp xếp thời gian'
+  },
+
+  // iCalendar import (ical.js)
+  calendar: {
+    untitled: '(Không có tiêu đề)'
+  },
+
+  // Intent phrases for the offline classifier (intent-classifier.js): phrase -> weight
+  // Phrases are matched on whole words, messages typed without diacritics are matched unaccented ("uu tien" -> "ưu tiên")
+  intents: {
+    plan: { 'xếp lịch': 3, 'sắp xếp': 3, 'lên kế hoạch': 3, 'lập kế hoạch': 3, 'kế hoạch': 2, 'lên lịch': 2, 'khi nào làm': 3, 'chia thời gian': 2, 'phân bổ thời gian': 3 },
+    create: { 'tạo': 2, 'thêm': 2, 'tạo lịch': 3, 'thêm lịch': 3, 'đặt lịch': 3, 'tạo task': 3, 'thêm task': 3, 'tạo sự kiện': 3, 'thêm sự kiện': 3, 'nhắc mình': 2 },
+    priority: { 'ưu tiên': 3, 'quan trọng': 2, 'gấp': 2, 'khẩn cấp': 2, 'làm gì trước': 3, 'việc nào trước': 3 },
+    schedule: { 'lịch': 1, 'lịch trình': 2, 'xem lịch': 3, 'lịch tuần': 2, 'hạn': 1, 'hạn chót': 2, 'hết hạn': 2, 'sắp tới': 2, 'tuần này': 1, 'ngày mai': 1 },
+    productivity: { 'hiệu suất': 3, 'năng suất': 3, 'thống kê': 3, 'phân tích': 2, 'tiến độ': 2, 'hoàn thành bao nhiêu': 3 },
+    time: { 'thời gian': 2, 'quản lý': 1, 'quản lý thời gian': 3, 'mẹo': 1, 'tập trung': 1, 'trì hoãn': 2 },
+    help: { 'giúp': 1, 'giúp đỡ': 2, 'hướng dẫn': 3, 'làm được gì': 3, 'cách dùng': 3, 'cách sử dụng': 3 },
+    greeting: { 'xin chào': 3, 'chào': 2, 'chào bạn': 3, 'alo': 2 }
+  },
+
+  // Vocabulary of the offline task parser (task-parser.js), merged from every catalog
+  // Phrases typed with diacritics must match exactly ("gặp" is not "gấp"), unaccented messages are matched unaccented
+  parser: {
+    relativeDays: { 'hôm nay': 0, 'nay': 0, 'ngày mai': 1, 'mai': 1, 'ngày kia': 2, 'ngày mốt': 2, 'mốt': 2 },
+    nextWeek: ['tuần sau', 'tuần tới'],
+    weekdays: {
+      'thứ 2': 'Mon', 'thứ hai': 'Mon', 't2': 'Mon',
+      'thứ 3': 'Tue', 'thứ ba': 'Tue', 't3': 'Tue',
+      'thứ 4': 'Wed', 'thứ tư': 'Wed', 't4': 'Wed',
+      'thứ 5': 'Thu', 'thứ năm': 'Thu', 't5': 'Thu',
+      'thứ 6': 'Fri', 'thứ sáu': 'Fri', 't6': 'Fri',
+      'thứ 7': 'Sat', 'thứ bảy': 'Sat', 't7': 'Sat',
+      'chủ nhật': 'Sun', 'cn': 'Sun'
+    },
+    every: ['mỗi', 'hàng', 'hằng', 'các'],
+    periods: { 'sáng': 'morning', 'trưa': 'noon', 'chiều': 'afternoon', 'tối': 'evening', 'đêm': 'night' },
+    hourWords: ['giờ', 'h', 'g'],
+    timePrefixes: ['lúc', 'từ', 'vào lúc'],
+    rangeSeparators: ['đến', 'tới'],
+    durationPrefixes: ['trong', 'khoảng', 'mất'],
+    durationUnits: { 'tiếng': 60, 'phút': 1 },
+    prefixedDurationUnits: { 'giờ': 60, 'h': 60 },
+    recurrence: { 'hàng ngày': 'daily', 'hằng ngày': 'daily', 'mỗi ngày': 'daily', 'hàng tuần': 'weekly', 'hằng tuần': 'weekly', 'mỗi tuần': 'weekly', 'hàng tháng': 'monthly', 'hằng tháng': 'monthly', 'mỗi tháng': 'monthly' },
+    priorities: { 'ưu tiên cao nhất': 'urgent', 'khẩn cấp': 'urgent', 'rất gấp': 'urgent', 'cần gấp': 'urgent', 'gấp': 'urgent', 'ưu tiên cao': 'high', 'quan trọng': 'high', 'ưu tiên trung bình': 'medium', 'ưu tiên thấp': 'low', 'không gấp': 'low' },
+    locationWords: ['ở', 'tại'],
+    eventWords: ['lịch', 'sự kiện', 'event', 'họp', 'lớp', 'buổi', 'ca làm', 'tiết', 'hẹn', 'gặp'],
+    taskWords: ['task', 'deadline', 'hạn', 'nộp', 'bài tập', 'nhiệm vụ', 'công việc', 'trước'],
+    categories: {
+      academic: ['học', 'ôn', 'ôn tập', 'bài tập', 'bài', 'thi', 'kiểm tra', 'toán', 'lý', 'hóa', 'văn', 'tiếng anh', 'lớp', 'môn', 'đồ án', 'luận văn', 'thuyết trình', 'tiết'],
+      work: ['làm việc', 'công việc', 'họp', 'báo cáo', 'dự án', 'ca làm', 'đi làm', 'part time', 'khách hàng'],
+      personal: ['mua', 'dọn dẹp', 'giặt', 'nấu', 'gọi', 'việc nhà', 'cá nhân'],
+      health: ['tập thể dục', 'thể dục', 'gym', 'chạy bộ', 'bơi', 'yoga', 'khám', 'bác sĩ', 'ngủ', 'uống thuốc'],
+      social: ['đi chơi', 'tiệc', 'sinh nhật', 'cà phê', 'bạn bè', 'hẹn', 'gặp', 'liên hoan']
+    },
+    // Words dropped from the start / end of the title ("Tạo lịch Toán 12 vào ..." -> "Toán 12")
+    leadingFillers: ['tạo', 'thêm', 'đặt', 'lên', 'ghi', 'nhắc', 'hãy', 'giúp', 'mình', 'tôi', 'em', 'cho', 'lịch', 'sự kiện', 'event', 'task', 'công việc', 'nhiệm vụ', 'deadline', 'hạn', 'một', 'cái', 'mới'],
+    trailingFillers: ['vào', 'lúc', 'từ', 'đến', 'tới', 'ngày', 'nhé', 'nha', 'với', 'cho mình', 'giúp mình', 'giúp', 'hạn', 'deadline', 'trước', 'ưu tiên', 'vào lúc']
+  },
+
+  fallback: {
+    planEmpty: 'Bạn không có công việc nào đang chờ để xếp lịch. Hãy tạo task với thời lượng ước tính và deadline, mình sẽ xếp giúp!',
+    plan: 'Kế hoạch {{tasks}} công việc trong {{days}} ngày tới (khung {{dayStart}}-{{dayEnd}}, mỗi phiên {{chunkMinutes}} phút + nghỉ {{breakMinutes}} phút):\n\n{{plan}}\n\nCác khung giờ đã tránh trùng với lịch học/sự kiện của bạn.',
+    create: 'Để tạo task/event, bạn có thể nói như:\n\n• "Tạo lịch Toán 12 vào thứ 2 từ 7:00 đến 9:50 hàng tuần"\n• "Tạo task học bài ngày mai ưu tiên cao"\n• "Thêm event họp nhóm thứ 3 từ 14:00 đến 15:30"\n\nTôi sẽ tự động điền form và hiển thị preview để bạn xác nhận!',
+    createParsed: 'Mình đã điền sẵn {{type}} "{{title}}": {{when}}. Bạn xem lại preview và xác nhận nhé!',
+    createMissing: 'Để tạo "{{title}}", mình cần biết thêm: {{fields}}. Ví dụ: "{{example}}"',
+    types: { task: 'task', event: 'sự kiện' },
+    missingFields: { title: 'tên công việc', dueDate: 'deadline (khi nào cần xong)', startTime: 'thời gian bắt đầu' },
+    missingExample: 'Tạo task học bài ngày mai ưu tiên cao',
+    recurrenceNames: { daily: 'hàng ngày', weekly: 'hàng tuần', monthly: 'hàng tháng' },
+    dueLabel: 'hạn {{date}}',
+    priorityLabel: 'ưu tiên {{priority}}',
+    locationLabel: 'tại {{location}}',
+    priorityTotal: 'Hiện tại bạn có {{total}} tasks tổng cộng.\n\n',
+    deadlines: 'Deadlines sắp tới:\n{{list}}\n\nLời khuyên: Ưu tiên tasks có deadline trong 24-48h tới, nhớ dành thời gian buffer!',
+    deadlineItem: '{{index}}. {{title}} - {{date}} ({{priority}})',
+    noDeadlines: 'Hiện tại bạn chưa có deadline nào sắp tới. Đây là cơ hội tốt để lên kế hoạch cho các tasks dài hạn!',
+    productivity: 'Hiệu suất hiện tại:\n• Hoàn thành: {{completionRate}}% ({{completed}}/{{total}} tasks)\n• Đang thực hiện: {{inProgress}} tasks\n• Quá hạn: {{overdue}} tasks\n\nTips cải thiện:\n• Sử dụng Pomodoro 25 phút + 5 phút nghỉ\n• Tập trung 1 task tại một thời điểm\n• Đặt deadline thực tế hơn',
+    time: 'Quản lý thời gian hiệu quả:\n\nNguyên tắc cơ bản:\n• Quy tắc 80/20: 20% công việc tạo ra 80% kết quả\n• Time blocking: Chia ngày thành các khung thời gian cụ thể\n• Buffer time: Dành 25% thời gian cho việc không lường trước\n\nTình trạng hiện tại: {{total}} tasks tổng cộng, {{overdue}} quá hạn\n\nGợi ý: Tập trung hoàn thành {{focus}}!',
+    timeFocusOverdue: '{{count}} tasks quá hạn trước',
+    timeFocusNearest: 'các tasks có deadline gần nhất',
+    help: 'Tôi có thể giúp bạn:\n\n• Tạo task: "Tạo task học bài với mô tả ôn tập toán, ngày hạn ngày mai, ưu tiên cao"\n• Xem ưu tiên: "Ưu tiên công việc", "Tasks quan trọng"\n• Lịch trình: "Deadline sắp tới", "Lịch tuần này"\n• Hiệu suất: "Phân tích hiệu suất", "Thống kê tasks"\n• Quản lý thời gian: "Tips quản lý thời gian"\n\nChỉ cần hỏi tự nhiên, tôi sẽ hiểu và giúp bạn!',
+    greeting: 'Xin chào! Tôi là AI Assistant của N-Timer.\n\nTình trạng hiện tại:\n• {{total}} tasks tổng cộng\n• {{pending}} đang chờ\n• {{inProgress}} đang thực hiện\n• {{completed}} đã hoàn thành\n• {{overdue}} quá hạn\n\nTôi có thể giúp bạn tạo task, phân tích ưu tiên, quản lý thời gian và nhiều hơn nữa!\n\nBạn muốn làm gì hôm nay?',
+    default: 'Tôi hiểu bạn đang hỏi về: "{{message}}"\n\nTình trạng hiện tại: {{total}} tasks tổng cộng\n\nTôi có thể giúp:\n• Tạo task mới\n• Phân tích ưu tiên công việc\n• Xem lịch trình và deadlines\n• Tips quản lý thời gian\n• Phân tích hiệu suất\n\nHãy hỏi cụ thể hơn để tôi có thể hỗ trợ tốt nhất!'
+  },
+
+  recommendations: {
+    // Line prefixes accepted when the model answers in text instead of JSON (every catalog's labels are accepted)
+    labels: ['Thời gian:', 'Deadline:', 'Sở thích:', 'Gợi ý:', 'Quản lý thời gian:', 'Tối ưu lịch trình:', 'Công cụ:', 'Kỹ thuật:'],
+    // Label of each category in the legacy string format (format=legacy)
+    categoryLabels: {
+      time: 'Thời gian:',
+      deadline: 'Deadline:',
+      preferences: 'Sở thích:',
+      suggestion: 'Gợi ý:'
+    },
+    timeHigh: 'Bạn đang dành quá nhiều thời gian cho việc học và làm việc trong tuần. Hãy cân bằng với thời gian nghỉ ngơi để tránh kiệt sức.',
+    timeLow: 'Thời gian học tập và làm việc trong tuần khá ít. Có thể tăng cường thêm để tối ưu hóa năng suất.',
+    timeBalanced: 'Thời gian học tập và làm việc trong tuần của bạn khá hợp lý. Hãy tiếp tục duy trì nhịp độ này.',
+    overdue: 'Bạn có {{count}} nhiệm vụ đã quá hạn. Hãy ưu tiên hoàn thành những nhiệm vụ này trước khi bắt đầu nhiệm vụ mới.',
+    preferenceHigh: 'Bạn có xu hướng tập trung nhiều vào {{category}} ({{percentage}}% tổng số nhiệm vụ). Đây có thể là sở thích hoặc ưu tiên của bạn.',
+    preferenceLow: 'Bạn ít quan tâm đến {{category}} (chỉ {{percentage}}% tổng số nhiệm vụ). Có thể cần cân bằng hơn.',
+    overrun: 'Các nhiệm vụ của bạn thường mất nhiều hơn dự kiến khoảng {{percent}}%. Hãy cộng thêm thời gian dự phòng khi ước tính.',
+    goodHabits: 'Cách sắp xếp thời gian và học tập của bạn khá hợp lý. Hãy tiếp tục duy trì thói quen tốt này.',
+    pomodoro: 'Sử dụng kỹ thuật Pomodoro (25 phút tập trung + 5 phút nghỉ) để tăng hiệu quả học tập và làm việc.'
+  }
+};
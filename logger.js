@@ -0,0 +1,93 @@
+// Structured logger
+// Writes one JSON object per line: { time, level, msg, requestId, ...fields }
+// The request ID comes from the request context (runWithContext, kept by AsyncLocalStorage), so log calls
+// anywhere inside a request carry it without passing it around.
+// Student data (task titles, chat messages, prompts, AI replies) goes through logger.redact(),
+// which hides it unless LOG_LEVEL=debug.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEFAULT_LOG_LEVEL = 'info';
+
+const requestContext = new AsyncLocalStorage();
+
+// Helper function to run fn (and everything it awaits) with the given context ({ requestId })
+function runWithContext(context, fn) {
+  return requestContext.run(context, fn);
+}
+
+function currentContext() {
+  return requestContext.getStore() || null;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    stack: error.stack
+  };
+}
+
+// Options: { level: 'debug'|'info'|'warn'|'error'|'silent', stream (default stdout) }
+function createLogger({ level = DEFAULT_LOG_LEVEL, stream = process.stdout } = {}) {
+  if (!(level in LOG_LEVELS)) {
+    throw new Error(`Unknown log level "${level}" (available: ${Object.keys(LOG_LEVELS).join(', ')})`);
+  }
+  const threshold = LOG_LEVELS[level];
+  const debugEnabled = threshold <= LOG_LEVELS.debug;
+
+  function write(entryLevel, msg, fields = {}) {
+    if (LOG_LEVELS[entryLevel] < threshold) return;
+
+    const context = currentContext();
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg,
+      ...(context && { requestId: context.requestId })
+    };
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined) entry[key] = value instanceof Error ? serializeError(value) : value;
+    });
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  // Helper function to hide student data unless debug logging is on: "[redacted 24 chars]"
+  function redact(value) {
+    if (debugEnabled || value === null || value === undefined) return value;
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return `[redacted ${text.length} chars]`;
+  }
+
+  return {
+    level,
+    debugEnabled,
+    redact,
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields)
+  };
+}
+
+// Helper function to read logger options from environment variables
+// LOG_LEVEL=debug|info|warn|error|silent (debug also shows the redacted student data)
+function loggerOptionsFromEnv(env = process.env) {
+  return {
+    level: (env.LOG_LEVEL || DEFAULT_LOG_LEVEL).toLowerCase()
+  };
+}
+
+// Shared logger of the app, configured from the environment
+const logger = createLogger(loggerOptionsFromEnv());
+
+module.exports = {
+  LOG_LEVELS,
+  createLogger,
+  loggerOptionsFromEnv,
+  runWithContext,
+  currentContext,
+  logger
+};
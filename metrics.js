@@ -0,0 +1,136 @@
+// Prometheus metrics
+// Counters and histograms kept in the process and rendered in the Prometheus text format by GET /metrics.
+// Label values should come from small fixed sets (route patterns, reasons), never from user input.
+
+const HTTP_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const AI_DURATION_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Helper function to format labels: { method: 'GET' } -> '{method="GET"}'
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Helper function to keep only the declared labels, in the declared order (missing ones become "")
+function pickLabels(labelNames, labels = {}) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] === undefined ? '' : String(labels[name])]));
+}
+
+function createCounter({ name, help, labelNames = [] }) {
+  const series = new Map();
+
+  return {
+    inc(labels = {}, value = 1) {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const entry = series.get(key) || { labels: picked, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      series.forEach(({ labels, value }) => lines.push(`${name}${formatLabels(labels)} ${value}`));
+      return lines.join('\n');
+    }
+  };
+}
+
+function createHistogram({ name, help, labelNames = [], buckets = HTTP_DURATION_BUCKETS }) {
+  const series = new Map();
+
+  function observe(labels, value) {
+    const picked = pickLabels(labelNames, labels);
+    const key = JSON.stringify(picked);
+    const entry = series.get(key) || { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+    buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+    series.set(key, entry);
+  }
+
+  return {
+    observe,
+
+    // Returns a function that observes the seconds since the start, with the labels given at the end added
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (endLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        observe({ ...labels, ...endLabels }, seconds);
+        return seconds;
+      };
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      series.forEach(({ labels, counts, sum, count }) => {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      });
+      return lines.join('\n');
+    }
+  };
+}
+
+// The metrics of the app
+// Fallback reasons: force_fallback, quota_exceeded, ai_error, ai_timeout, invalid_response, internal_error
+function createMetrics() {
+  const metrics = {
+    httpRequests: createCounter({
+      name: 'http_requests_total',
+      help: 'HTTP requests by method, route pattern and status code',
+      labelNames: ['method', 'route', 'status']
+    }),
+    httpDuration: createHistogram({
+      name: 'http_request_duration_seconds',
+      help: 'HTTP request latency by method and route pattern',
+      labelNames: ['method', 'route'],
+      buckets: HTTP_DURATION_BUCKETS
+    }),
+    aiCallDuration: createHistogram({
+      name: 'ai_call_duration_seconds',
+      help: 'Duration of LLM calls by provider, operation and outcome (success, error, timeout, aborted)',
+      labelNames: ['provider', 'operation', 'outcome'],
+      buckets: AI_DURATION_BUCKETS
+    }),
+    aiTimeouts: createCounter({
+      name: 'ai_timeouts_total',
+      help: 'LLM calls that hit the timeout, by provider and operation',
+      labelNames: ['provider', 'operation']
+    }),
+    fallbacks: createCounter({
+      name: 'ai_fallbacks_total',
+      help: 'Answers built by the offline fallback generators, by operation and reason',
+      labelNames: ['operation', 'reason']
+    })
+  };
+
+  return {
+    ...metrics,
+
+    render() {
+      const uptime = `# HELP process_uptime_seconds Seconds since the process started\n# TYPE process_uptime_seconds gauge\nprocess_uptime_seconds ${process.uptime()}`;
+      return `${[...Object.values(metrics).map(metric => metric.render()), uptime].join('\n\n')}\n`;
+    }
+  };
+}
+
+module.exports = {
+  HTTP_DURATION_BUCKETS,
+  AI_DURATION_BUCKETS,
+  createCounter,
+  createHistogram,
+  createMetrics
+};
@@ -0,0 +1,191 @@
+// Plan templates
+// Step lists that POST /api/templates/:name/apply turns into real tasks, scheduled backward from a deadline.
+// Built-in templates come from TODO_TEMPLATE.studentTemplates ("☐ Ôn tập lý thuyết - 2 tiếng - HIGH").
+// Teams can add their own as JSON files in PLAN_TEMPLATES_DIR (default templates/), the file name is the template name:
+//   {
+//     "title": "Lab report",
+//     "category": "academic",                 // optional, default academic
+//     "advice": "Write the method section while the experiment is fresh",   // optional
+//     "steps": [
+//       { "title": "Run the experiment", "duration": "2 tiếng", "priority": "high" },
+//       "☐ Write the report - 90 phút - MEDIUM"
+//     ]
+//   }
+// Durations are read with the task parser ("2 tiếng", "30 phút", "1.5 hours") or given as minutes.
+// A custom template with the name of a built-in one replaces it.
+
+const fs = require('fs');
+const path = require('path');
+const TODO_TEMPLATE = require('./todo-template');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+const { toLocalParts } = require('./recurrence');
+const { TASK_CATEGORIES, TASK_PRIORITIES } = require('./task-model');
+const { parseDurationText } = require('./task-parser');
+
+const PLAN_TEMPLATES_DIR = path.join(__dirname, 'templates');
+const DEFAULT_TEMPLATE_CATEGORY = 'academic';
+const MAX_TEMPLATE_STEPS = 50;
+// One step is one task, it has to fit in a single free slot of the student day
+const MAX_STEP_MINUTES = 8 * 60;
+
+// "☐ Ôn tập lý thuyết - 2 tiếng - HIGH" -> title, duration, priority
+const ITEM_REGEX = /^☐\s*(.+?)\s+-\s+(.+?)\s+-\s+([A-Za-z-]+)\s*$/;
+
+function stripMarkdown(text) {
+  return String(text).replace(/\*\*/g, '').trim();
+}
+
+// Helper function to turn one step (template string or object) into { title, durationMinutes, priority }
+// Throws with a message naming the step when something can't be read
+function parseStep(step, index) {
+  const label = `steps[${index}]`;
+  let title;
+  let duration;
+  let priority;
+
+  if (typeof step === 'string') {
+    const match = ITEM_REGEX.exec(step.trim());
+    if (!match) throw new Error(`${label} must look like "☐ Task - 30 phút - HIGH"`);
+    [, title, duration, priority] = match;
+  } else if (step && typeof step === 'object') {
+    ({ title, duration, priority = 'medium' } = step);
+  } else {
+    throw new Error(`${label} must be a string or an object`);
+  }
+
+  if (typeof title !== 'string' || !title.trim()) throw new Error(`${label}.title must be a non-empty string`);
+
+  const durationMinutes = typeof duration === 'number' ? Math.round(duration) : parseDurationText(duration);
+  if (!durationMinutes || durationMinutes <= 0) {
+    throw new Error(`${label}.duration must be minutes or a duration like "2 tiếng" or "30 phút" (got ${JSON.stringify(duration)})`);
+  }
+  if (durationMinutes > MAX_STEP_MINUTES) {
+    throw new Error(`${label}.duration cannot be longer than ${MAX_STEP_MINUTES} minutes, split the step`);
+  }
+
+  const normalizedPriority = String(priority).toLowerCase();
+  if (!TASK_PRIORITIES.includes(normalizedPriority)) {
+    throw new Error(`${label}.priority must be one of: ${TASK_PRIORITIES.join(', ')}`);
+  }
+
+  return { title: title.trim(), durationMinutes, priority: normalizedPriority };
+}
+
+// Helper function to check a template definition and parse its steps
+function buildTemplate(name, definition, source) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('template must be a JSON object');
+  }
+  const rawSteps = definition.steps || definition.items;
+  if (!Array.isArray(rawSteps) || rawSteps.length === 0) throw new Error('steps must be a non-empty array');
+  if (rawSteps.length > MAX_TEMPLATE_STEPS) throw new Error(`steps cannot have more than ${MAX_TEMPLATE_STEPS} items`);
+
+  const category = definition.category || DEFAULT_TEMPLATE_CATEGORY;
+  if (!TASK_CATEGORIES.includes(category)) {
+    throw new Error(`category must be one of: ${TASK_CATEGORIES.join(', ')}`);
+  }
+
+  const steps = rawSteps.map(parseStep);
+  return {
+    name,
+    title: stripMarkdown(definition.title || name),
+    category,
+    advice: definition.advice ? stripMarkdown(definition.advice) : null,
+    source,
+    steps,
+    totalMinutes: steps.reduce((total, step) => total + step.durationMinutes, 0)
+  };
+}
+
+// Helper function to read the *.json templates of a directory (a missing directory means no custom templates)
+function loadCustomTemplates(dir) {
+  if (!dir || !fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const name = path.basename(file, '.json');
+      if (!/^[\w-]{1,64}$/.test(name)) {
+        throw new Error(`Invalid plan template file name "${file}" (letters, digits, - and _ only)`);
+      }
+      try {
+        return buildTemplate(name, JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')), 'custom');
+      } catch (error) {
+        throw new Error(`Invalid plan template ${path.join(dir, file)}: ${error.message}`);
+      }
+    });
+}
+
+// Options: { dir (custom templates, null to skip them) }
+function createPlanTemplates({ dir = PLAN_TEMPLATES_DIR } = {}) {
+  const templates = new Map();
+
+  Object.entries(TODO_TEMPLATE.studentTemplates).forEach(([name, definition]) => {
+    templates.set(name, buildTemplate(name, definition, 'builtin'));
+  });
+  loadCustomTemplates(dir).forEach(template => templates.set(template.name, template));
+
+  return {
+    // Summaries without the steps
+    list() {
+      return [...templates.values()].map(({ steps, ...summary }) => ({ ...summary, stepCount: steps.length }));
+    },
+
+    get(name) {
+      return templates.get(name) || null;
+    }
+  };
+}
+
+// Helper function to format a block as "14:00-16:00 20/10" (Vietnam time)
+function formatSlot(block) {
+  const pad = number => String(number).padStart(2, '0');
+  const start = toLocalParts(new Date(block.startTime).getTime());
+  const end = toLocalParts(new Date(block.endTime).getTime());
+  return `${pad(start.hours)}:${pad(start.minutes)}-${pad(end.hours)}:${pad(end.minutes)} ${pad(start.day)}/${pad(start.month + 1)}`;
+}
+
+// Helper function to turn a template and its backward plan (scheduler.planBackward) into task data, one task per step
+// Scheduled steps are due at the end of their slot, unscheduled ones before the next step starts
+// Options: { title (prefix of the step titles, e.g. the course), category, locale }
+function buildTemplateTasks(template, plan, { title = null, category = null, locale = DEFAULT_LOCALE } = {}) {
+  const blocks = new Map(plan.blocks.map(block => [block.step, block]));
+  const unscheduled = new Map(plan.unscheduled.map(item => [item.step, item]));
+
+  return template.steps.map((step, index) => {
+    const number = index + 1;
+    const block = blocks.get(number);
+    const details = { step: number, steps: template.steps.length, template: template.title };
+
+    return {
+      title: title ? `${title}: ${step.title}` : step.title,
+      type: 'task',
+      category: category || template.category,
+      priority: step.priority,
+      estimatedDuration: step.durationMinutes,
+      dueDate: block ? block.endTime : unscheduled.get(number).dueDate,
+      description: block
+        ? t(locale, 'templates.stepScheduled', { ...details, slot: formatSlot(block) })
+        : t(locale, 'templates.stepUnscheduled', { ...details, minutes: step.durationMinutes }),
+      tags: [`template:${template.name}`]
+    };
+  });
+}
+
+// Helper function to read plan template options from environment variables
+// PLAN_TEMPLATES_DIR=directory of custom *.json templates (default templates/)
+function planTemplateOptionsFromEnv(env = process.env) {
+  return {
+    ...(env.PLAN_TEMPLATES_DIR && { dir: path.resolve(env.PLAN_TEMPLATES_DIR) })
+  };
+}
+
+module.exports = {
+  PLAN_TEMPLATES_DIR,
+  MAX_STEP_MINUTES,
+  parseStep,
+  createPlanTemplates,
+  buildTemplateTasks,
+  planTemplateOptionsFromEnv
+};
@@ -0,0 +1,219 @@
+// Prompt templates
+// Prompts live in prompts/<name>/v<version>/ as plain text files, one per section and locale:
+//   prompts/chat/v1/main.vi.txt, prompts/chat/v1/actions.en.txt, ...
+// - {{variable}} is replaced by the named variable ({{languageName}} is always available)
+// - {{> section}} includes <section>.<locale>.txt of the same version (sections may include other sections)
+// - {{! comment }} lines are dropped
+// A locale without its own file uses the English, then the Vietnamese one (same chain as i18n.js).
+//
+// A version can build on an earlier one ("bases": { "<version>": "<base version>" } in prompts.json):
+// it only keeps the sections it changes, every other section (and include) comes from the base version.
+//
+// prompts/prompts.json picks the version every user gets ("default") and can split users between versions
+// for an A/B test ("experiment": { "<version>": weight }). The split is by a hash of the userId, so a user
+// keeps the same version. PROMPT_EXPERIMENTS overrides the experiments of prompts.json.
+// Published versions should not be edited: copy the directory to a new version instead, so replies
+// (and cached recommendations) can be traced back to the exact prompt.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_LOCALE, format, languageName } = require('./i18n');
+
+const PROMPTS_DIR = path.join(__dirname, 'prompts');
+const MAIN_SECTION = 'main';
+const LOCALE_CHAIN = ['en', DEFAULT_LOCALE];
+const MAX_INCLUDE_DEPTH = 5;
+
+const INCLUDE_REGEX = /\{\{>\s*([\w-]+)\s*\}\}/g;
+const COMMENT_LINE_REGEX = /^\{\{!.*\}\}[ \t]*\r?\n?/gm;
+const VARIABLE_REGEX = /\{\{(\w+)\}\}/g;
+
+// Helper function to read prompts/<name>/v<version>/<section>.<locale>.txt into { name: { version: { 'section.locale': text } } }
+function loadTemplateFiles(dir) {
+  const templates = {};
+  fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .forEach(({ name }) => {
+      templates[name] = {};
+      fs.readdirSync(path.join(dir, name), { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && /^v\d+$/.test(entry.name))
+        .forEach(({ name: versionDir }) => {
+          const files = {};
+          fs.readdirSync(path.join(dir, name, versionDir))
+            .filter(file => file.endsWith('.txt'))
+            .forEach(file => {
+              files[path.basename(file, '.txt')] = fs.readFileSync(path.join(dir, name, versionDir, file), 'utf8');
+            });
+          templates[name][versionDir.slice(1)] = files;
+        });
+    });
+  return templates;
+}
+
+// Helper function to check an experiment ({ version: weight }) against the versions on disk
+function validateExperiment(name, experiment, versions) {
+  Object.entries(experiment).forEach(([version, weight]) => {
+    if (!versions.includes(version)) {
+      throw new Error(`Unknown prompt version "${version}" in the ${name} experiment (available: ${versions.join(', ')})`);
+    }
+    if (!Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Weight of ${name} version ${version} must be a non-negative number`);
+    }
+  });
+  if (Object.values(experiment).reduce((sum, weight) => sum + weight, 0) <= 0) {
+    throw new Error(`The ${name} experiment needs at least one version with a positive weight`);
+  }
+}
+
+// Helper function to check the base versions ({ version: base version }) against the versions on disk
+function validateBases(name, bases, versions) {
+  Object.entries(bases).forEach(([version, base]) => {
+    [version, String(base)].forEach(value => {
+      if (!versions.includes(value)) {
+        throw new Error(`Unknown prompt version "${value}" in the ${name} bases (available: ${versions.join(', ')})`);
+      }
+    });
+    const seen = [version];
+    for (let current = String(base); current; current = bases[current] && String(bases[current])) {
+      if (seen.includes(current)) throw new Error(`Prompt ${name} v${version} builds on itself (${[...seen, current].join(' -> ')})`);
+      seen.push(current);
+    }
+  });
+}
+
+// Helper function to map a user to a number in [0, 1), the same for the same user and prompt
+function bucketOf(name, userId) {
+  const hash = crypto.createHash('sha256').update(`${name}:${userId}`).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+}
+
+// Options: { dir, experiments: { name: { version: weight } } }
+function createPromptTemplates({ dir = PROMPTS_DIR, experiments = {} } = {}) {
+  const templates = loadTemplateFiles(dir);
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'prompts.json'), 'utf8'));
+
+  const prompts = {};
+  Object.entries(manifest).forEach(([name, config]) => {
+    const versions = Object.keys(templates[name] || {}).sort((a, b) => Number(a) - Number(b));
+    if (!versions.includes(String(config.default))) {
+      throw new Error(`Unknown default prompt version "${config.default}" for ${name} (available: ${versions.join(', ') || 'none'})`);
+    }
+    const bases = config.bases || {};
+    validateBases(name, bases, versions);
+    const experiment = experiments[name] || config.experiment || null;
+    if (experiment) validateExperiment(name, experiment, versions);
+    prompts[name] = { name, versions, defaultVersion: String(config.default), bases, experiment };
+  });
+
+  Object.keys(experiments).forEach(name => {
+    if (!prompts[name]) {
+      throw new Error(`Unknown prompt "${name}" in PROMPT_EXPERIMENTS (available: ${Object.keys(prompts).join(', ')})`);
+    }
+  });
+
+  function getPrompt(name) {
+    const prompt = prompts[name];
+    if (!prompt) throw new Error(`Unknown prompt "${name}" (available: ${Object.keys(prompts).join(', ')})`);
+    return prompt;
+  }
+
+  // Helper function to list a version and the versions it builds on, newest first
+  function versionChain(name, version) {
+    const chain = [version];
+    while (prompts[name].bases[chain[chain.length - 1]]) {
+      chain.push(String(prompts[name].bases[chain[chain.length - 1]]));
+    }
+    return chain;
+  }
+
+  // Helper function to get the raw text of a section, following the locale chain
+  // (the section in the requested locale from any base version wins over another locale of the same version)
+  function sectionText(name, version, section, locale) {
+    const chain = versionChain(name, version);
+    for (const code of [locale, ...LOCALE_CHAIN]) {
+      const owner = chain.find(candidate => templates[name][candidate][`${section}.${code}`] !== undefined);
+      if (owner) return templates[name][owner][`${section}.${code}`];
+    }
+    throw new Error(`Prompt ${name} v${version} has no section "${section}"`);
+  }
+
+  // Helper function to resolve comments and includes, the result only has {{variable}} placeholders left
+  function compile(name, version, section, locale, depth = 0) {
+    if (depth > MAX_INCLUDE_DEPTH) {
+      throw new Error(`Prompt ${name} v${version} includes sections more than ${MAX_INCLUDE_DEPTH} levels deep`);
+    }
+    return sectionText(name, version, section, locale)
+      .replace(COMMENT_LINE_REGEX, '')
+      .replace(INCLUDE_REGEX, (match, included) => compile(name, version, included, locale, depth + 1).replace(/\n$/, ''));
+  }
+
+  // Returns { name, version, assignment: 'default'|'experiment' }
+  function select(name, userId = null) {
+    const prompt = getPrompt(name);
+    if (!prompt.experiment || userId === null || userId === undefined) {
+      return { name, version: prompt.defaultVersion, assignment: 'default' };
+    }
+
+    const entries = Object.entries(prompt.experiment).filter(([, weight]) => weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let point = bucketOf(name, userId) * total;
+    const [version] = entries.find(([, weight]) => (point -= weight) < 0) || entries[entries.length - 1];
+    return { name, version, assignment: 'experiment' };
+  }
+
+  // Returns { name, version, locale, text, variables, missingVariables }
+  // Variables that are not given render as empty text and are reported in missingVariables
+  function render(name, { version = null, locale = DEFAULT_LOCALE, variables = {} } = {}) {
+    const prompt = getPrompt(name);
+    const selectedVersion = version === null ? prompt.defaultVersion : String(version);
+    if (!prompt.versions.includes(selectedVersion)) {
+      throw new Error(`Unknown prompt version "${selectedVersion}" for ${name} (available: ${prompt.versions.join(', ')})`);
+    }
+
+    const template = compile(name, selectedVersion, MAIN_SECTION, locale);
+    const names = [...new Set([...template.matchAll(VARIABLE_REGEX)].map(match => match[1]))];
+    const values = { languageName: languageName(locale), ...variables };
+
+    return {
+      name,
+      version: selectedVersion,
+      locale,
+      text: format(template, values),
+      variables: names,
+      missingVariables: names.filter(variable => values[variable] === undefined || values[variable] === null)
+    };
+  }
+
+  function list() {
+    return Object.values(prompts).map(({ name, versions, defaultVersion, bases, experiment }) => ({
+      name,
+      versions,
+      defaultVersion,
+      bases,
+      experiment
+    }));
+  }
+
+  return { select, render, list, has: name => Boolean(prompts[name]) };
+}
+
+// Helper function to read prompt options from environment variables
+// PROMPT_EXPERIMENTS='{"chat":{"1":50,"2":50}}' (weights per version)
+function promptOptionsFromEnv(env = process.env) {
+  const options = {};
+  if (env.PROMPT_EXPERIMENTS) {
+    try {
+      options.experiments = JSON.parse(env.PROMPT_EXPERIMENTS);
+    } catch (error) {
+      throw new Error(`PROMPT_EXPERIMENTS is not valid JSON: ${error.message}`);
+    }
+  }
+  return options;
+}
+
+module.exports = {
+  PROMPTS_DIR,
+  createPromptTemplates,
+  promptOptionsFromEnv
+};
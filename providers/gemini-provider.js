@@ -0,0 +1,29 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Google Gemini provider
+
+function createGeminiProvider({ apiKey, model = 'gemini-2.5-flash' }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: 'gemini',
+    model,
+
+    async generate(prompt, { json = false } = {}) {
+      const generationConfig = json ? { responseMimeType: 'application/json' } : undefined;
+      const result = await genAI.getGenerativeModel({ model, generationConfig }).generateContent(prompt);
+      const response = await result.response;
+      return response.text();
+    },
+
+    async *stream(prompt) {
+      const result = await genAI.getGenerativeModel({ model }).generateContentStream(prompt);
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) yield text;
+      }
+    }
+  };
+}
+
+module.exports = { createGeminiProvider };
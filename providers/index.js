@@ -0,0 +1,51 @@
+const { createGeminiProvider } = require('./gemini-provider');
+const { createOpenAIProvider } = require('./openai-provider');
+const { createMockProvider } = require('./mock-provider');
+
+// LLM provider factory
+// Every provider exposes: name, model, generate(prompt, { json }) -> Promise<string>, stream(prompt) -> async iterable of text chunks
+// json: true asks the model for a JSON answer where the API supports it (the prompt still has to describe the shape)
+
+const providers = {
+  gemini: (options) => createGeminiProvider(options),
+  openai: (options) => createOpenAIProvider(options),
+  mock: (options) => createMockProvider(options)
+};
+
+function createProvider(options = {}) {
+  const name = options.name || 'gemini';
+  const factory = providers[name];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}" (available: ${Object.keys(providers).join(', ')})`);
+  }
+
+  return factory(options);
+}
+
+// Helper function to read provider options from environment variables
+function providerOptionsFromEnv(env = process.env) {
+  const name = env.LLM_PROVIDER || 'gemini';
+
+  if (name === 'openai') {
+    return {
+      name,
+      baseUrl: env.OPENAI_BASE_URL,
+      apiKey: env.OPENAI_API_KEY,
+      model: env.OPENAI_MODEL
+    };
+  }
+  if (name === 'mock') {
+    return { name, fixturesDir: env.MOCK_FIXTURES_DIR };
+  }
+  return {
+    name,
+    apiKey: env.GEMINI_API_KEY,
+    model: env.GEMINI_MODEL
+  };
+}
+
+module.exports = {
+  createProvider,
+  providerOptionsFromEnv
+};
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+
+// Scripted mock provider
+// Replays canned responses from JSON fixtures so the prompt -> parse -> respond path can run offline
+//
+// Fixture file format (fixtures/llm/*.json, checked in filename order, first match wins):
+//   {
+//     "match": "regex tested against the full prompt" (omit for a catch-all fixture),
+//     "response": "text returned by generate()",
+//     "chunks": ["optional", "stream", "chunks"],   // defaults to the response split by words
+//     "delayMs": 0,                                  // optional delay per stream chunk
+//     "error": "optional error message to throw instead"
+//   }
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'llm');
+
+function loadFixtures(fixturesDir) {
+  if (!fs.existsSync(fixturesDir)) return [];
+
+  return fs.readdirSync(fixturesDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const fixture = JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8'));
+      return {
+        ...fixture,
+        name: fixture.name || path.basename(file, '.json'),
+        regex: fixture.match ? new RegExp(fixture.match, 'i') : null
+      };
+    });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function createMockProvider({ fixturesDir = DEFAULT_FIXTURES_DIR, fixtures } = {}) {
+  const scripted = fixtures
+    ? fixtures.map(fixture => ({ ...fixture, regex: fixture.match ? new RegExp(fixture.match, 'i') : null }))
+    : loadFixtures(fixturesDir);
+
+  // Every prompt is recorded so tests can assert on what was sent
+  const calls = [];
+
+  function pick(prompt) {
+    const fixture = scripted.find(item => !item.regex || item.regex.test(prompt));
+    if (!fixture) {
+      throw new Error('Mock provider: no fixture matches the prompt');
+    }
+    calls.push({ prompt, fixture: fixture.name });
+    if (fixture.error) {
+      throw new Error(fixture.error);
+    }
+    return fixture;
+  }
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    calls,
+
+    async generate(prompt) {
+      return pick(prompt).response;
+    },
+
+    async *stream(prompt) {
+      const fixture = pick(prompt);
+      const chunks = fixture.chunks || fixture.response.match(/\S+\s*|\s+/g) || [];
+      for (const chunk of chunks) {
+        if (fixture.delayMs) await sleep(fixture.delayMs);
+        yield chunk;
+      }
+    }
+  };
+}
+
+module.exports = { createMockProvider };
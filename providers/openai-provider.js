@@ -0,0 +1,66 @@
+// OpenAI-compatible chat completions provider
+// Works with OpenAI itself and local servers exposing /v1/chat/completions (llama.cpp server, Ollama, LM Studio, vLLM)
+
+function createOpenAIProvider({ baseUrl = 'http://localhost:11434/v1', apiKey = '', model = 'llama3.1', temperature }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  async function request(prompt, stream, { json = false } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        stream,
+        ...(json && { response_format: { type: 'json_object' } }),
+        ...(temperature !== undefined && { temperature })
+      })
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`OpenAI-compatible API error ${response.status}: ${body.slice(0, 200)}`);
+    }
+    return response;
+  }
+
+  return {
+    name: 'openai',
+    model,
+
+    async generate(prompt, options = {}) {
+      const response = await request(prompt, false, options);
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || '';
+    },
+
+    // Parses the "data: {...}" lines of the SSE stream until "data: [DONE]"
+    async *stream(prompt) {
+      const response = await request(prompt, true);
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, newline).trim();
+          buffer = buffer.slice(newline + 1);
+
+          if (!line.startsWith('data:')) continue;
+          const payload = line.slice(5).trim();
+          if (payload === '[DONE]') return;
+
+          const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      }
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
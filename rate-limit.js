@@ -0,0 +1,130 @@
+// Rate limiting
+// Token bucket per user and per IP: every bucket holds up to `capacity` requests and refills `refillPerMinute`
+// requests per minute. A request needs one token from both buckets, otherwise it gets 429.
+// Buckets are stored under "ratelimit:<kind>:<id>" in their own store (RATE_LIMIT_STORE, memory by default):
+// every request writes two buckets, which would rewrite the whole file of the default file store each time.
+// Point RATE_LIMIT_STORE at redis to share the buckets between instances.
+//
+// Reads and writes are not atomic, two requests arriving at the same moment can both get the last token.
+// That is fine for keeping clients from hammering the API, it is not meant for billing.
+
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+const { storeOptionsFromSpec } = require('./storage');
+
+const DEFAULT_RATE_LIMIT_OPTIONS = {
+  userCapacity: 60,
+  userRefillPerMinute: 30,
+  ipCapacity: 120,
+  ipRefillPerMinute: 60
+};
+
+function bucketKey(kind, id) {
+  return `ratelimit:${kind}:${encodeURIComponent(id)}`;
+}
+
+// Helper function to refill a stored bucket up to now and take `cost` tokens when there are enough
+// Returns { allowed, bucket, limit, remaining, resetSeconds }
+function takeTokens(stored, { capacity, refillPerMinute }, cost, now) {
+  const refillPerMs = refillPerMinute / 60000;
+  const previous = stored || { tokens: capacity, updatedAt: now };
+  const tokens = Math.min(capacity, previous.tokens + (now - previous.updatedAt) * refillPerMs);
+  const allowed = tokens >= cost;
+  const left = allowed ? tokens - cost : tokens;
+
+  return {
+    allowed,
+    bucket: { tokens: left, updatedAt: now },
+    limit: capacity,
+    remaining: Math.floor(left),
+    // Seconds until the bucket is full again (or until the next request is allowed when it was rejected)
+    resetSeconds: Math.ceil(((allowed ? capacity - left : cost - left) / refillPerMs) / 1000)
+  };
+}
+
+function createRateLimiter(store, overrides = {}) {
+  const options = { ...DEFAULT_RATE_LIMIT_OPTIONS, ...overrides };
+  Object.entries(options).forEach(([name, value]) => {
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(`Rate limit option ${name} must be a positive number`);
+    }
+  });
+
+  const limits = {
+    user: { capacity: options.userCapacity, refillPerMinute: options.userRefillPerMinute },
+    ip: { capacity: options.ipCapacity, refillPerMinute: options.ipRefillPerMinute }
+  };
+
+  // Helper function to take one token from the user and the IP bucket
+  // Nothing is taken from either bucket when one of them is empty
+  async function consume({ userId, ip }, cost = 1, now = Date.now()) {
+    const entries = [['user', userId], ['ip', ip]].filter(([, id]) => id);
+    const results = await Promise.all(entries.map(async ([kind, id]) => {
+      const result = takeTokens(await store.get(bucketKey(kind, id)), limits[kind], cost, now);
+      return { kind, id, ...result };
+    }));
+
+    const allowed = results.every(result => result.allowed);
+    if (allowed) {
+      await Promise.all(results.map(({ kind, id, bucket }) => {
+        // A bucket that is not touched refills completely, so it can expire then
+        const ttl = Math.ceil(limits[kind].capacity / limits[kind].refillPerMinute * 60);
+        return store.set(bucketKey(kind, id), bucket, { ttl });
+      }));
+    }
+
+    return {
+      allowed,
+      buckets: Object.fromEntries(results.map(({ kind, limit, remaining, resetSeconds }) => [kind, { limit, remaining, resetSeconds }]))
+    };
+  }
+
+  // Middleware: runs after authentication (needs req.auth), sets X-RateLimit-* headers for the tighter bucket
+  function middleware(req, res, next) {
+    consume({ userId: req.auth && req.auth.userId, ip: req.ip })
+      .then(({ allowed, buckets }) => {
+        const tightest = Object.values(buckets).reduce((min, bucket) => (bucket.remaining < min.remaining ? bucket : min));
+        res.locals.rateLimit = buckets;
+        res.set({
+          'X-RateLimit-Limit': String(tightest.limit),
+          'X-RateLimit-Remaining': String(tightest.remaining),
+          'X-RateLimit-Reset': String(tightest.resetSeconds)
+        });
+
+        if (allowed) return next();
+
+        const blocked = Object.values(buckets).find(bucket => bucket.remaining < 1) || tightest;
+        logger.warn('Rate limited', { method: req.method, path: req.originalUrl.split('?')[0], userId: req.auth && req.auth.userId, ip: req.ip });
+        next(new ApiError('RATE_LIMITED', `Too many requests, try again in ${blocked.resetSeconds} seconds`, {
+          headers: { 'Retry-After': String(blocked.resetSeconds) }
+        }));
+      })
+      .catch(next);
+  }
+
+  return { options, consume, middleware };
+}
+
+// Helper function to read rate limit options from environment variables
+// RATE_LIMIT_USER_CAPACITY, RATE_LIMIT_USER_PER_MINUTE, RATE_LIMIT_IP_CAPACITY, RATE_LIMIT_IP_PER_MINUTE
+function rateLimitOptionsFromEnv(env = process.env) {
+  const options = {};
+  if (env.RATE_LIMIT_USER_CAPACITY) options.userCapacity = Number(env.RATE_LIMIT_USER_CAPACITY);
+  if (env.RATE_LIMIT_USER_PER_MINUTE) options.userRefillPerMinute = Number(env.RATE_LIMIT_USER_PER_MINUTE);
+  if (env.RATE_LIMIT_IP_CAPACITY) options.ipCapacity = Number(env.RATE_LIMIT_IP_CAPACITY);
+  if (env.RATE_LIMIT_IP_PER_MINUTE) options.ipRefillPerMinute = Number(env.RATE_LIMIT_IP_PER_MINUTE);
+  return options;
+}
+
+// Helper function to read the bucket store spec, e.g. RATE_LIMIT_STORE=redis:redis://127.0.0.1:6379
+// (same "driver:location" format as scripts/migrate-storage.js)
+function rateLimitStoreOptionsFromEnv(env = process.env) {
+  return storeOptionsFromSpec(env.RATE_LIMIT_STORE || 'memory');
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMIT_OPTIONS,
+  createRateLimiter,
+  rateLimitOptionsFromEnv,
+  rateLimitStoreOptionsFromEnv
+};
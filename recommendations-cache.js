@@ -0,0 +1,91 @@
+// Recommendations cache
+// AI recommendations are stored under "reccache:<userId>:<hash>", where the hash covers the analytics context
+// (createAnalyticsContext), the language and the prompt version - the same input always gives the same key.
+// Entries expire after the TTL and all entries of a user are dropped when their stored tasks change.
+// Hit/miss counters are kept per process (they are only for monitoring).
+
+const crypto = require('crypto');
+
+const DEFAULT_CACHE_TTL = 6 * 60 * 60; // 6 hours in seconds
+
+function userPrefix(userId) {
+  return `reccache:${encodeURIComponent(userId)}:`;
+}
+
+// Helper function to serialize a value with sorted object keys, so equal contexts give equal strings
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Helper function to hash the cache input
+function cacheHash({ context, language, promptVersion }) {
+  return crypto
+    .createHash('sha256')
+    .update(stableStringify({ context, language, promptVersion }))
+    .digest('hex');
+}
+
+// ttl = 0 disables the cache (every lookup is a miss and nothing is stored)
+function createRecommendationsCache(store, { ttl = DEFAULT_CACHE_TTL } = {}) {
+  const stats = { hits: 0, misses: 0, bypassed: 0, stores: 0, invalidations: 0 };
+
+  return {
+    ttl,
+
+    // Returns { recommendations, cachedAt, ... } or null
+    async get(userId, input) {
+      if (!ttl) {
+        stats.misses++;
+        return null;
+      }
+      const entry = await store.get(`${userPrefix(userId)}${cacheHash(input)}`);
+      if (entry) stats.hits++;
+      else stats.misses++;
+      return entry;
+    },
+
+    // Counts a refresh=true request that skipped the lookup
+    bypass() {
+      stats.bypassed++;
+    },
+
+    async set(userId, input, value) {
+      if (!ttl) return null;
+      const entry = { ...value, cachedAt: new Date().toISOString() };
+      await store.set(`${userPrefix(userId)}${cacheHash(input)}`, entry, { ttl });
+      stats.stores++;
+      return entry;
+    },
+
+    // Drops every cached entry of the user, returns how many were removed
+    async invalidate(userId) {
+      const entries = await store.list(userPrefix(userId));
+      await Promise.all(entries.map(entry => store.delete(entry.key)));
+      if (entries.length > 0) stats.invalidations++;
+      return entries.length;
+    },
+
+    stats() {
+      const lookups = stats.hits + stats.misses;
+      return {
+        ...stats,
+        hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 100) / 100 : 0,
+        ttl
+      };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_CACHE_TTL,
+  stableStringify,
+  cacheHash,
+  createRecommendationsCache
+};
@@ -0,0 +1,158 @@
+// Structured recommendations
+// The AI answer and the offline generator both produce objects of this shape:
+//   {
+//     category: 'time' | 'deadline' | 'preferences' | 'suggestion',
+//     severity: 'info' | 'warning' | 'critical',
+//     text: 'plain text shown to the user',
+//     relatedTaskIds: ['ids of the user\'s tasks/events the recommendation is about'],
+//     suggestedAction: null | a chat action (create_task/update_task/..., validated by chat-actions.js)
+//   }
+// Older clients ask for format=legacy and get the previous "Thời gian: ..." strings (toLegacyStrings).
+
+const { t, allValues, catalogValues, DEFAULT_LOCALE } = require('./i18n');
+const { validateAction } = require('./chat-actions');
+
+const RECOMMENDATION_CATEGORIES = ['time', 'deadline', 'preferences', 'suggestion'];
+const RECOMMENDATION_SEVERITIES = ['info', 'warning', 'critical'];
+const RECOMMENDATION_FORMATS = ['structured', 'legacy'];
+
+// JSON schema the model is asked to follow (also shown in the prompt)
+const RECOMMENDATIONS_SCHEMA = {
+  type: 'object',
+  required: ['recommendations'],
+  properties: {
+    recommendations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['category', 'severity', 'text'],
+        properties: {
+          category: { type: 'string', enum: RECOMMENDATION_CATEGORIES },
+          severity: { type: 'string', enum: RECOMMENDATION_SEVERITIES },
+          text: { type: 'string' },
+          relatedTaskIds: { type: 'array', items: { type: 'string' } },
+          suggestedAction: { type: ['object', 'null'] }
+        }
+      }
+    }
+  }
+};
+
+// Tasks/events listed in the prompt so the model can reference them by id
+const MAX_PROMPT_TASKS = 40;
+
+// Helper function to list the user's items for the prompt: "- <id>: <title> (task, due ..., pending)"
+// Open tasks with the nearest deadlines come first, then events
+function formatTaskList(items, { limit = MAX_PROMPT_TASKS } = {}) {
+  const tasks = items
+    .filter(item => item.type !== 'event' && item.status !== 'completed')
+    .sort((a, b) => new Date(a.dueDate || 8.64e15) - new Date(b.dueDate || 8.64e15));
+  const events = items.filter(item => item.type === 'event');
+
+  const lines = [...tasks, ...events].slice(0, limit).map(item => {
+    const details = item.type === 'event'
+      ? ['event', item.startTime && `starts ${new Date(item.startTime).toISOString()}`, item.recurrencePattern]
+      : ['task', item.dueDate && `due ${new Date(item.dueDate).toISOString()}`, item.priority, item.status];
+    return `- ${item.id}: ${item.title} (${details.filter(Boolean).join(', ')})`;
+  });
+
+  return lines.length > 0 ? lines.join('\n') : '- (none)';
+}
+
+// Helper function to turn one raw object into a recommendation, null when it is unusable
+// Unknown task ids are dropped, an invalid suggested action is dropped but the text is kept
+function normalizeRecommendation(raw, { taskIds = null } = {}) {
+  if (!raw || typeof raw !== 'object' || typeof raw.text !== 'string' || !raw.text.trim()) return null;
+
+  const relatedTaskIds = (Array.isArray(raw.relatedTaskIds) ? raw.relatedTaskIds : [])
+    .filter(id => typeof id === 'string' && (!taskIds || taskIds.has(id)));
+
+  let suggestedAction = null;
+  if (raw.suggestedAction && typeof raw.suggestedAction === 'object') {
+    const { action } = validateAction(raw.suggestedAction);
+    suggestedAction = action || null;
+  }
+
+  return {
+    category: RECOMMENDATION_CATEGORIES.includes(raw.category) ? raw.category : 'suggestion',
+    severity: RECOMMENDATION_SEVERITIES.includes(raw.severity) ? raw.severity : 'info',
+    text: raw.text.replace(/\*\*/g, '').trim(),
+    relatedTaskIds: [...new Set(relatedTaskIds)],
+    suggestedAction
+  };
+}
+
+// Helper function to read the JSON answer: a bare object/array or one inside a ```json block
+function parseJsonAnswer(aiResponse) {
+  const block = aiResponse.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+  const candidates = [block && block[1], aiResponse.trim()].filter(Boolean);
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (Array.isArray(parsed)) return parsed;
+      if (parsed && Array.isArray(parsed.recommendations)) return parsed.recommendations;
+    } catch (e) {
+      // Not JSON, try the next candidate
+    }
+  }
+  return null;
+}
+
+// Helper function to read the older text format ("⏰ Thời gian: ...") when the model ignores the JSON request
+// Labelled lines get the category of their label, other lines are kept as suggestions instead of being dropped
+function parseTextAnswer(aiResponse) {
+  const labels = allValues('recommendations.labels');
+  const categoryByLabel = new Map();
+  catalogValues('recommendations.categoryLabels').forEach(categoryLabels => {
+    Object.entries(categoryLabels).forEach(([category, label]) => categoryByLabel.set(label, category));
+  });
+
+  return aiResponse
+    .split('\n')
+    .map(line => line.replace(/\*\*/g, '').trim())
+    .filter(line => line && !/^[{}[\]`]/.test(line))
+    .map(line => {
+      const label = labels.find(candidate => line.includes(candidate));
+      if (!label) return { category: 'suggestion', text: line.replace(/^[-•*\d.)\s]+/, '') };
+      return {
+        category: categoryByLabel.get(label) || 'suggestion',
+        text: line.slice(line.indexOf(label) + label.length).trim()
+      };
+    });
+}
+
+// Helper function to parse the model answer into recommendations
+// taskIds (Set) limits relatedTaskIds to the user's items; returns [] when nothing usable was found
+function parseRecommendationsResponse(aiResponse, { taskIds = null } = {}) {
+  if (!aiResponse || typeof aiResponse !== 'string') return [];
+
+  const raw = parseJsonAnswer(aiResponse) || parseTextAnswer(aiResponse);
+  return raw
+    .map(item => normalizeRecommendation(item, { taskIds }))
+    .filter(Boolean);
+}
+
+// Helper function to build a recommendation from a catalog text (used by the offline generator)
+function createRecommendation(category, severity, text, { relatedTaskIds = [], suggestedAction = null } = {}) {
+  return { category, severity, text, relatedTaskIds, suggestedAction };
+}
+
+// Helper function to turn recommendations into the old string array: "Thời gian: ..."
+function toLegacyStrings(recommendations, locale = DEFAULT_LOCALE) {
+  return recommendations.map(recommendation =>
+    `${t(locale, `recommendations.categoryLabels.${recommendation.category}`)} ${recommendation.text}`
+  );
+}
+
+module.exports = {
+  RECOMMENDATION_CATEGORIES,
+  RECOMMENDATION_SEVERITIES,
+  RECOMMENDATION_FORMATS,
+  RECOMMENDATIONS_SCHEMA,
+  formatTaskList,
+  normalizeRecommendation,
+  parseRecommendationsResponse,
+  createRecommendation,
+  toLegacyStrings
+};
@@ -0,0 +1,353 @@
+// Recurrence engine
+// Expands recurring events into concrete occurrences for a time range
+//
+// Supported recurrence sources (first one wins):
+//   event.rrule              RFC 5545 RRULE string, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20251231T165959Z"
+//   event.recurrencePattern  "daily" | "weekly" | "monthly" with event.recurrenceEndDate (the original app fields)
+// Plus:
+//   event.exdates            ISO start times of occurrences to skip (EXDATE)
+//   event.overrides          [{ occurrenceStart, startTime?, endTime?, title?, description?, location?, cancelled? }]
+//
+// Weekdays and days of month are evaluated in Vietnam local time (UTC+7, no DST),
+// so "every Monday 06:30" stays on Monday even though it is Sunday in UTC.
+
+const { LOCAL_UTC_OFFSET_MINUTES } = require('./task-model');
+
+const OFFSET_MS = LOCAL_UTC_OFFSET_MINUTES * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const PATTERN_TO_FREQ = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY' };
+
+// Hard limits so a bad rule can never hang the server
+const MAX_PERIODS = 20000;
+const MAX_OCCURRENCES = 5000;
+
+// Helper functions for local (UTC+7) date parts
+function toLocalParts(ms) {
+  const local = new Date(ms + OFFSET_MS);
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth(), // 0-11
+    day: local.getUTCDate(),
+    hours: local.getUTCHours(),
+    minutes: local.getUTCMinutes(),
+    seconds: local.getUTCSeconds(),
+    milliseconds: local.getUTCMilliseconds(),
+    weekday: (local.getUTCDay() + 6) % 7 // 0 = Monday
+  };
+}
+
+function fromLocalParts(year, month, day, hours = 0, minutes = 0, seconds = 0, milliseconds = 0) {
+  return Date.UTC(year, month, day, hours, minutes, seconds, milliseconds) - OFFSET_MS;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Helper function to parse RFC 5545 date/date-time values (UNTIL, EXDATE) or ISO strings
+function parseRuleDate(value, { endOfDay = false } = {}) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) {
+    const ms = new Date(value).getTime();
+    if (isNaN(ms)) throw new Error(`Invalid date in recurrence rule: ${value}`);
+    return ms;
+  }
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (hours === undefined) {
+    // Date-only UNTIL is inclusive of the whole local day
+    return endOfDay
+      ? fromLocalParts(+year, +month - 1, +day, 23, 59, 59, 999)
+      : fromLocalParts(+year, +month - 1, +day);
+  }
+  if (utc) {
+    return Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds);
+  }
+  return fromLocalParts(+year, +month - 1, +day, +hours, +minutes, +seconds);
+}
+
+function parseIntList(value, name, min, max) {
+  return value.split(',').map(item => {
+    const number = parseInt(item, 10);
+    if (isNaN(number) || Math.abs(number) < min || Math.abs(number) > max) {
+      throw new Error(`Invalid ${name} value: ${item}`);
+    }
+    return number;
+  });
+}
+
+// Helper function to parse an RRULE string into a rule object
+function parseRRule(rruleText) {
+  const text = String(rruleText).trim().replace(/^RRULE:/i, '');
+  const rule = { freq: null, interval: 1, count: null, until: null, byDay: null, byMonthDay: null, byMonth: null };
+
+  text.split(';').filter(Boolean).forEach(part => {
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const value = rawValue.trim().toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) throw new Error(`Unsupported FREQ: ${value}`);
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(value, 10);
+        if (!(rule.interval >= 1)) throw new Error(`Invalid INTERVAL: ${value}`);
+        break;
+      case 'COUNT':
+        rule.count = parseInt(value, 10);
+        if (!(rule.count >= 1)) throw new Error(`Invalid COUNT: ${value}`);
+        break;
+      case 'UNTIL':
+        rule.until = parseRuleDate(value, { endOfDay: true });
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(item => {
+          const match = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/.exec(item);
+          if (!match) throw new Error(`Invalid BYDAY value: ${item}`);
+          return { weekday: WEEKDAYS.indexOf(match[2]), ordinal: match[1] ? parseInt(match[1], 10) : null };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntList(value, 'BYMONTHDAY', 1, 31);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntList(value, 'BYMONTH', 1, 12).map(month => month - 1);
+        break;
+      case 'WKST':
+        // Weeks always start on Monday here
+        break;
+      default:
+        throw new Error(`Unsupported RRULE part: ${key}`);
+    }
+  });
+
+  if (!rule.freq) throw new Error('RRULE must contain FREQ');
+  if (rule.count && rule.until) throw new Error('RRULE cannot contain both COUNT and UNTIL');
+  return rule;
+}
+
+// Helper function to turn recurrenceEndDate into the last allowed start (ms)
+// Date-only values are stored as local midnight (see toUtcIso); like a date-only UNTIL they include that whole day
+function recurrenceEndMs(recurrenceEndDate) {
+  const ms = new Date(recurrenceEndDate).getTime();
+  if (isNaN(ms)) return null;
+
+  const parts = toLocalParts(ms);
+  const isLocalMidnight = parts.hours === 0 && parts.minutes === 0 && parts.seconds === 0 && parts.milliseconds === 0;
+  return isLocalMidnight ? fromLocalParts(parts.year, parts.month, parts.day, 23, 59, 59, 999) : ms;
+}
+
+// Helper function to get the recurrence rule of an event (or null for one-off events)
+function getRecurrenceRule(event) {
+  if (event.rrule) {
+    return parseRRule(event.rrule);
+  }
+  if (event.isRecurring && PATTERN_TO_FREQ[event.recurrencePattern]) {
+    return {
+      freq: PATTERN_TO_FREQ[event.recurrencePattern],
+      interval: 1,
+      count: null,
+      until: event.recurrenceEndDate ? recurrenceEndMs(event.recurrenceEndDate) : null,
+      byDay: null,
+      byMonthDay: null,
+      byMonth: null
+    };
+  }
+  return null;
+}
+
+// Helper function to list the candidate days of one month for MONTHLY/YEARLY rules
+function monthDays(rule, year, month, defaultDay) {
+  const dim = daysInMonth(year, month);
+
+  if (rule.byMonthDay) {
+    return rule.byMonthDay
+      .map(day => (day < 0 ? dim + 1 + day : day))
+      .filter(day => day >= 1 && day <= dim);
+  }
+
+  if (rule.byDay) {
+    const days = [];
+    rule.byDay.forEach(({ weekday, ordinal }) => {
+      const firstWeekday = (new Date(Date.UTC(year, month, 1)).getUTCDay() + 6) % 7;
+      const first = 1 + ((weekday - firstWeekday + 7) % 7);
+      const all = [];
+      for (let day = first; day <= dim; day += 7) all.push(day);
+
+      if (ordinal === null) days.push(...all);
+      else if (ordinal > 0 && all[ordinal - 1]) days.push(all[ordinal - 1]);
+      else if (ordinal < 0 && all[all.length + ordinal]) days.push(all[all.length + ordinal]);
+    });
+    return days;
+  }
+
+  return defaultDay <= dim ? [defaultDay] : [];
+}
+
+// Generator of occurrence start times (ms, ascending, >= dtstart) for a rule
+function* iterateStarts(rule, dtstart) {
+  const start = toLocalParts(dtstart);
+  const time = [start.hours, start.minutes, start.seconds, start.milliseconds];
+  const byDaySet = rule.byDay ? new Set(rule.byDay.map(item => item.weekday)) : null;
+  const inByMonth = (ms) => !rule.byMonth || rule.byMonth.includes(toLocalParts(ms).month);
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    let candidates = [];
+
+    if (rule.freq === 'DAILY') {
+      const ms = fromLocalParts(start.year, start.month, start.day + period * rule.interval, ...time);
+      const parts = toLocalParts(ms);
+      if ((!byDaySet || byDaySet.has(parts.weekday)) &&
+          (!rule.byMonthDay || monthDays(rule, parts.year, parts.month, parts.day).includes(parts.day))) {
+        candidates = [ms];
+      }
+    } else if (rule.freq === 'WEEKLY') {
+      const weekdays = rule.byDay ? [...byDaySet].sort() : [start.weekday];
+      const weekStartDay = start.day - start.weekday + period * 7 * rule.interval;
+      candidates = weekdays.map(weekday => fromLocalParts(start.year, start.month, weekStartDay + weekday, ...time));
+    } else if (rule.freq === 'MONTHLY') {
+      const monthIndex = start.month + period * rule.interval;
+      const year = start.year + Math.floor(monthIndex / 12);
+      const month = ((monthIndex % 12) + 12) % 12;
+      candidates = monthDays(rule, year, month, start.day)
+        .map(day => fromLocalParts(year, month, day, ...time));
+    } else if (rule.freq === 'YEARLY') {
+      const year = start.year + period * rule.interval;
+      const months = rule.byMonth || [start.month];
+      months.forEach(month => {
+        monthDays(rule, year, month, start.day).forEach(day => {
+          candidates.push(fromLocalParts(year, month, day, ...time));
+        });
+      });
+    }
+
+    const sorted = [...new Set(candidates)].sort((a, b) => a - b);
+    for (const ms of sorted) {
+      if (ms >= dtstart && inByMonth(ms)) yield ms;
+    }
+  }
+}
+
+// Helper function to build one occurrence object
+function buildOccurrence(event, originalStart, start, end, override) {
+  return {
+    id: `${event.id}@${new Date(originalStart).toISOString()}`,
+    eventId: event.id,
+    title: override?.title || event.title,
+    description: override?.description ?? event.description ?? '',
+    category: event.category,
+    tags: event.tags || [],
+    location: override?.location ?? event.location ?? '',
+    startTime: new Date(start).toISOString(),
+    endTime: new Date(end).toISOString(),
+    originalStartTime: new Date(originalStart).toISOString(),
+    durationMinutes: Math.round((end - start) / 60000),
+    isRecurring: !!getRecurrenceRule(event),
+    isOverride: !!override
+  };
+}
+
+// Expand one event into the occurrences overlapping [from, to)
+function expandEvent(event, from, to) {
+  if (!event || event.type !== 'event' || !event.startTime || !event.endTime) return [];
+
+  const dtstart = new Date(event.startTime).getTime();
+  const duration = new Date(event.endTime).getTime() - dtstart;
+  if (isNaN(dtstart) || isNaN(duration) || duration < 0) return [];
+
+  const fromMs = new Date(from).getTime();
+  const toMs = new Date(to).getTime();
+
+  const exdates = new Set((event.exdates || [])
+    .map(value => new Date(value).getTime())
+    .filter(ms => !isNaN(ms)));
+  const overrides = new Map((event.overrides || [])
+    .filter(override => override && override.occurrenceStart)
+    .map(override => [new Date(override.occurrenceStart).getTime(), override]));
+
+  const occurrences = [];
+  const addOccurrence = (originalStart) => {
+    if (exdates.has(originalStart)) return;
+
+    const override = overrides.get(originalStart);
+    if (override && override.cancelled) return;
+
+    const start = override?.startTime ? new Date(override.startTime).getTime() : originalStart;
+    const end = override?.endTime ? new Date(override.endTime).getTime() : start + duration;
+    if (end > fromMs && start < toMs) {
+      occurrences.push(buildOccurrence(event, originalStart, start, end, override));
+    }
+  };
+
+  let rule;
+  try {
+    rule = getRecurrenceRule(event);
+  } catch (error) {
+    // Invalid rules are rejected on write; treat legacy bad data as a one-off event
+    rule = null;
+  }
+
+  if (!rule) {
+    addOccurrence(dtstart);
+    return occurrences;
+  }
+
+  // Moved occurrences may start up to one day away from their original slot
+  const scanUntil = toMs + DAY_MS;
+  let generated = 0;
+
+  for (const originalStart of iterateStarts(rule, dtstart)) {
+    if (rule.until !== null && originalStart > rule.until) break;
+    if (rule.count !== null && generated >= rule.count) break;
+    if (originalStart >= scanUntil || generated >= MAX_OCCURRENCES) break;
+
+    generated++;
+    addOccurrence(originalStart);
+  }
+
+  return occurrences;
+}
+
+// Expand every event in a task list into occurrences overlapping [from, to), sorted by start time
+function expandEvents(items, from, to) {
+  return (items || [])
+    .filter(item => item && item.type === 'event')
+    .flatMap(event => expandEvent(event, from, to))
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+}
+
+// Helper function to get the current local week [Monday 00:00, next Monday 00:00) as Date objects
+function getWeekRange(date = new Date()) {
+  const parts = toLocalParts(date.getTime());
+  const start = fromLocalParts(parts.year, parts.month, parts.day - parts.weekday);
+  return { from: new Date(start), to: new Date(start + 7 * DAY_MS) };
+}
+
+// Helper function to sum the minutes of a list of occurrences
+function sumOccurrenceMinutes(occurrences) {
+  return occurrences.reduce((total, occurrence) => total + occurrence.durationMinutes, 0);
+}
+
+// Helper function to get the minutes of all event occurrences in the current local week
+function calculateWeeklyEventMinutes(items, date = new Date()) {
+  const { from, to } = getWeekRange(date);
+  return sumOccurrenceMinutes(expandEvents(items, from, to));
+}
+
+module.exports = {
+  WEEKDAYS,
+  toLocalParts,
+  fromLocalParts,
+  parseRRule,
+  recurrenceEndMs,
+  getRecurrenceRule,
+  expandEvent,
+  expandEvents,
+  getWeekRange,
+  sumOccurrenceMinutes,
+  calculateWeeklyEventMinutes
+};
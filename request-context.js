@@ -0,0 +1,68 @@
+// Request context middleware
+// Gives every request an ID (the client's X-Request-Id when it looks sane, otherwise a new UUID), returns it in
+// the X-Request-Id header and runs the rest of the request inside the logger context, so every log line has it.
+// When the response is sent, one access log line is written and the HTTP metrics are updated.
+
+const crypto = require('crypto');
+const { runWithContext } = require('./logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Helper function to name the route for metrics by its pattern (/api/tasks/:id), never by the raw URL
+function routeLabel(req) {
+  if (req.route) return `${req.baseUrl}${req.route.path}`;
+  return 'unmatched';
+}
+
+function createRequestContext({ logger, metrics }) {
+  // Middleware: first in the chain
+  function middleware(req, res, next) {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const stopTimer = metrics.httpDuration.startTimer();
+
+    req.id = requestId;
+    req.context = { requestId };
+    res.set(REQUEST_ID_HEADER, requestId);
+
+    let logged = false;
+    const done = () => {
+      if (logged) return;
+      logged = true;
+
+      const route = routeLabel(req);
+      const status = res.writableFinished ? res.statusCode : 499; // 499: client closed the connection first
+      const seconds = stopTimer({ method: req.method, route });
+      metrics.httpRequests.inc({ method: req.method, route, status });
+
+      runWithContext(req.context, () => {
+        const level = status >= 500 ? 'error' : 'info';
+        logger[level]('Request completed', {
+          method: req.method,
+          route,
+          status,
+          durationMs: Math.round(seconds * 1000),
+          userId: req.auth ? req.auth.userId : undefined
+        });
+      });
+    };
+    res.on('finish', done);
+    res.on('close', done);
+
+    runWithContext(req.context, next);
+  }
+
+  // Middleware: re-enters the context after the body parsers, whose callbacks run outside of it
+  function restore(req, res, next) {
+    if (!req.context) return next();
+    runWithContext(req.context, next);
+  }
+
+  return { middleware, restore };
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  createRequestContext
+};
@@ -0,0 +1,243 @@
+// Request schemas of the /api routes (rules are described in validation.js)
+// Every route uses one of these with validate(schemas.x), so the checks of a route can be read in one place.
+// userId is only read for admins acting on behalf of a user (see auth.js), it is checked everywhere it can be sent.
+
+const { TASK_TYPES, TASK_CATEGORIES, TASK_PRIORITIES, TASK_STATUSES, validateTaskFields, toUtcIso } = require('./task-model');
+const { RECOMMENDATION_FORMATS } = require('./recommendations');
+const { validatePlanOptions } = require('./scheduler');
+const { MAX_RANGE_DAYS } = require('./heatmap');
+const { TODO_VIEWS, TODO_FORMATS } = require('./todo-list');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAX_MESSAGE_LENGTH = 4000;
+// Tasks sent by the client instead of the stored ones
+const MAX_CLIENT_TASKS = 500;
+const MAX_CALENDAR_DAYS = 366;
+
+const userId = { type: 'string', minLength: 1, maxLength: 128 };
+const language = { type: 'string', maxLength: 35 };
+const clientTasks = { type: 'array', maxItems: MAX_CLIENT_TASKS, items: { type: 'object' } };
+const taskParams = { id: { type: 'string', required: true, maxLength: 128 } };
+const templateParams = { name: { type: 'string', required: true, maxLength: 64 } };
+
+// Full task data (create / PUT) and the changed fields only (PATCH, checked against the stored task in the route)
+const taskData = { type: 'object', required: true, validate: value => validateTaskFields(value) };
+const taskChanges = { type: 'object', required: true, validate: value => validateTaskFields(value, { partial: true }) };
+
+// Helper function to check a from/to range, either bound may be missing and gets its default
+function checkRange(from, to, maxDays, label) {
+  if (to <= from) return [{ field: 'to', message: 'to must be after from' }];
+  if (to - from > maxDays * DAY_MS) return [{ field: 'to', message: `${label} range cannot be longer than ${maxDays} days` }];
+  return [];
+}
+
+const chatMessage = {
+  body: {
+    message: { type: 'string', required: true, minLength: 1, maxLength: MAX_MESSAGE_LENGTH },
+    tasks: clientTasks,
+    language,
+    userId
+  },
+  query: { lang: language, userId }
+};
+
+const schemas = {
+  chat: chatMessage,
+  chatStream: chatMessage,
+
+  chatReset: {
+    body: { userId },
+    query: { userId }
+  },
+
+  usage: {
+    query: { userId }
+  },
+
+  createTask: {
+    body: { taskData, strict: { type: 'boolean' }, userId },
+    query: { strict: { type: 'boolean' }, userId }
+  },
+
+  listTasks: {
+    query: {
+      type: { type: 'string', enum: TASK_TYPES },
+      status: { type: 'string', enum: TASK_STATUSES },
+      category: { type: 'string', enum: TASK_CATEGORIES },
+      priority: { type: 'string', enum: TASK_PRIORITIES },
+      userId
+    }
+  },
+
+  exportCalendar: {
+    query: { type: { type: 'string', enum: TASK_TYPES }, userId }
+  },
+
+  // JSON body or raw text/calendar with the options in the query string
+  importCalendar: {
+    body: {
+      ics: { type: 'string', required: true, minLength: 1 },
+      dryRun: { type: 'boolean' },
+      onDuplicate: { type: 'string', enum: ['skip', 'update'] },
+      defaultCategory: { type: 'string', enum: TASK_CATEGORIES },
+      userId
+    },
+    query: {
+      dryRun: { type: 'boolean' },
+      onDuplicate: { type: 'string', enum: ['skip', 'update'] },
+      defaultCategory: { type: 'string', enum: TASK_CATEGORIES },
+      userId
+    },
+    validate: ({ body }) => (typeof body === 'string' && !body.trim()
+      ? [{ field: 'body', message: 'iCalendar content is required' }]
+      : [])
+  },
+
+  getTask: {
+    params: taskParams,
+    query: { userId }
+  },
+
+  replaceTask: {
+    params: taskParams,
+    body: { taskData, strict: { type: 'boolean' }, userId },
+    query: { strict: { type: 'boolean' }, userId }
+  },
+
+  updateTask: {
+    params: taskParams,
+    body: { taskData: taskChanges, strict: { type: 'boolean' }, userId },
+    query: { strict: { type: 'boolean' }, userId }
+  },
+
+  deleteTask: {
+    params: taskParams,
+    query: { userId }
+  },
+
+  // Default range: the next 7 days from "from" (or now)
+  calendar: {
+    query: { from: { type: 'date' }, to: { type: 'date' }, userId },
+    validate: ({ query }) => {
+      const from = query.from ? new Date(query.from) : new Date();
+      const to = query.to ? new Date(query.to) : new Date(from.getTime() + 7 * DAY_MS);
+      return checkRange(from, to, MAX_CALENDAR_DAYS, 'Calendar');
+    }
+  },
+
+  plannerSettings: {
+    query: { userId }
+  },
+
+  // planner: the planner options (see scheduler.js), they replace the stored ones
+  updatePlannerSettings: {
+    body: {
+      planner: { type: 'object', required: true, validate: validatePlanOptions },
+      userId
+    },
+    query: { userId }
+  },
+
+  schedulePlan: {
+    body: {
+      tasks: clientTasks,
+      from: { type: 'date' },
+      options: { type: 'object', validate: validatePlanOptions },
+      userId
+    }
+  },
+
+  analyticsStats: {
+    query: { userId }
+  },
+
+  // Both bounds or none (current month)
+  heatmap: {
+    query: { from: { type: 'date' }, to: { type: 'date' }, userId },
+    validate: ({ query }) => {
+      if (!query.from && !query.to) return [];
+      if (!query.from || !query.to) {
+        return [{ field: query.from ? 'to' : 'from', message: 'from and to must be given together' }];
+      }
+      return checkRange(new Date(query.from), new Date(query.to), MAX_RANGE_DAYS, 'Heatmap');
+    }
+  },
+
+  recommendations: {
+    body: {
+      tasks: clientTasks,
+      format: { type: 'string', enum: RECOMMENDATION_FORMATS },
+      refresh: { type: 'boolean' },
+      language,
+      userId
+    },
+    query: {
+      format: { type: 'string', enum: RECOMMENDATION_FORMATS },
+      refresh: { type: 'boolean' },
+      lang: language,
+      userId
+    }
+  },
+
+  recommendationsCache: {
+    query: { userId }
+  },
+
+  todo: {
+    query: {
+      view: { type: 'string', enum: TODO_VIEWS },
+      format: { type: 'string', enum: TODO_FORMATS },
+      lang: language,
+      userId
+    }
+  },
+
+  listPlanTemplates: {
+    query: { userId }
+  },
+
+  getPlanTemplate: {
+    params: templateParams,
+    query: { userId }
+  },
+
+  // title is put in front of every step ("Giải tích: Ôn tập lý thuyết"), options are the planner options
+  applyPlanTemplate: {
+    params: templateParams,
+    body: {
+      deadline: { type: 'date', required: true },
+      title: { type: 'string', minLength: 1, maxLength: 200 },
+      category: { type: 'string', enum: TASK_CATEGORIES },
+      options: { type: 'object', validate: validatePlanOptions },
+      dryRun: { type: 'boolean' },
+      userId
+    },
+    query: { dryRun: { type: 'boolean' }, userId },
+    validate: ({ body }) => (new Date(toUtcIso(body.deadline)) <= new Date()
+      ? [{ field: 'deadline', message: 'deadline must be in the future' }]
+      : [])
+  },
+
+  listPrompts: {
+    query: { userId }
+  },
+
+  // The version must exist for the prompt, that is checked in the route
+  renderPrompt: {
+    params: { name: { type: 'string', required: true, maxLength: 64 } },
+    query: {
+      version: { type: 'string', pattern: /^\d+$/, patternMessage: 'must be a version number' },
+      lang: language,
+      message: { type: 'string', maxLength: MAX_MESSAGE_LENGTH },
+      userId
+    }
+  }
+};
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  MAX_CLIENT_TASKS,
+  MAX_CALENDAR_DAYS,
+  schemas
+};
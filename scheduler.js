@@ -0,0 +1,378 @@
+// Auto-scheduler
+// Time-blocks pending tasks into the free slots between events, deterministically
+//
+// Rules:
+//   - Only the student day window is used (07:00-22:00 Vietnam time by default), minus quiet hours
+//   - Events (recurring ones expanded) are blocked out, padded with a buffer on both sides
+//   - Tasks are placed earliest deadline first, then by priority, in Pomodoro-sized chunks
+//     with a short break after every chunk and a long break after every few chunks in a row
+//   - Tasks that can't get all their time before the deadline (or inside the horizon) are flagged
+
+const { WEEKDAYS, toLocalParts, fromLocalParts, expandEvents } = require('./recurrence');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const DEFAULT_PLAN_OPTIONS = {
+  dayStart: '07:00',
+  dayEnd: '22:00',
+  quietHours: [], // [{ start: '12:00', end: '13:30', days: ['MO', 'TU'] }] (days optional = every day)
+  chunkMinutes: 25,
+  breakMinutes: 5,
+  longBreakMinutes: 15,
+  chunksBeforeLongBreak: 4,
+  minChunkMinutes: 15,
+  bufferMinutes: 10, // kept free before and after every event
+  horizonDays: 14
+};
+
+// Same default as task-model buildTaskFields
+const DEFAULT_ESTIMATED_DURATION = 60;
+const MAX_HORIZON_DAYS = 60;
+
+const PRIORITY_RANK = { urgent: 0, high: 1, medium: 2, low: 3 };
+
+// Helper function to parse "HH:MM" into minutes after midnight
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+}
+
+// Helper function to validate planner options, returns a list of error messages
+function validatePlanOptions(options = {}) {
+  const errors = [];
+
+  ['dayStart', 'dayEnd'].forEach(field => {
+    if (options[field] !== undefined && parseClock(options[field]) === null) {
+      errors.push(`${field} must be a time like "07:00"`);
+    }
+  });
+
+  if (errors.length === 0) {
+    const dayStart = parseClock(options.dayStart ?? DEFAULT_PLAN_OPTIONS.dayStart);
+    const dayEnd = parseClock(options.dayEnd ?? DEFAULT_PLAN_OPTIONS.dayEnd);
+    if (dayStart >= dayEnd) errors.push('dayStart must be before dayEnd');
+  }
+
+  ['chunkMinutes', 'breakMinutes', 'longBreakMinutes', 'chunksBeforeLongBreak', 'minChunkMinutes', 'bufferMinutes', 'horizonDays']
+    .forEach(field => {
+      const value = options[field];
+      if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+        errors.push(`${field} must be a non-negative number`);
+      }
+    });
+
+  if (options.chunkMinutes !== undefined && options.chunkMinutes < 5) {
+    errors.push('chunkMinutes must be at least 5');
+  }
+  if (options.horizonDays !== undefined && (options.horizonDays < 1 || options.horizonDays > MAX_HORIZON_DAYS)) {
+    errors.push(`horizonDays must be between 1 and ${MAX_HORIZON_DAYS}`);
+  }
+
+  if (options.quietHours !== undefined) {
+    if (!Array.isArray(options.quietHours)) {
+      errors.push('quietHours must be an array');
+    } else {
+      options.quietHours.forEach((quiet, index) => {
+        if (!quiet || parseClock(quiet.start) === null || parseClock(quiet.end) === null) {
+          errors.push(`quietHours[${index}] needs start and end times like "12:00"`);
+        } else if (quiet.days !== undefined &&
+                   (!Array.isArray(quiet.days) || quiet.days.some(day => !WEEKDAYS.includes(day)))) {
+          errors.push(`quietHours[${index}].days must only contain ${WEEKDAYS.join(', ')}`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+// Helper function to subtract busy intervals from a sorted list of free intervals
+function subtractIntervals(free, busy) {
+  let result = free;
+  busy.forEach(([busyStart, busyEnd]) => {
+    result = result.flatMap(([start, end]) => {
+      if (busyEnd <= start || busyStart >= end) return [[start, end]];
+      const pieces = [];
+      if (busyStart > start) pieces.push([start, busyStart]);
+      if (busyEnd < end) pieces.push([busyEnd, end]);
+      return pieces;
+    });
+  });
+  return result;
+}
+
+// Helper function to build the free intervals [startMs, endMs] between from and to
+function buildFreeSlots(events, from, to, options) {
+  const dayStart = parseClock(options.dayStart);
+  const dayEnd = parseClock(options.dayEnd);
+  const fromMs = from.getTime();
+  const toMs = to.getTime();
+
+  const windows = [];
+  const busy = [];
+  const first = toLocalParts(fromMs);
+
+  // One extra day on each side so quiet hours crossing midnight are covered
+  for (let offset = -1; ; offset++) {
+    const dayMs = fromLocalParts(first.year, first.month, first.day + offset);
+    if (dayMs >= toMs) break;
+    const weekday = WEEKDAYS[toLocalParts(dayMs).weekday];
+
+    windows.push([dayMs + dayStart * MINUTE_MS, dayMs + dayEnd * MINUTE_MS]);
+
+    options.quietHours.forEach(quiet => {
+      if (quiet.days && !quiet.days.includes(weekday)) return;
+      const quietStart = parseClock(quiet.start);
+      let quietEnd = parseClock(quiet.end);
+      if (quietEnd <= quietStart) quietEnd += 24 * 60; // e.g. 23:00-06:00
+      busy.push([dayMs + quietStart * MINUTE_MS, dayMs + quietEnd * MINUTE_MS]);
+    });
+  }
+
+  const bufferMs = options.bufferMinutes * MINUTE_MS;
+  expandEvents(events, new Date(fromMs - bufferMs), new Date(toMs + bufferMs)).forEach(occurrence => {
+    busy.push([
+      new Date(occurrence.startTime).getTime() - bufferMs,
+      new Date(occurrence.endTime).getTime() + bufferMs
+    ]);
+  });
+
+  // Never plan in the past
+  busy.push([-Infinity, fromMs]);
+
+  return subtractIntervals(windows.filter(([start, end]) => end > fromMs && start < toMs), busy)
+    .map(([start, end]) => [start, Math.min(end, toMs)])
+    .filter(([start, end]) => end > start);
+}
+
+// Helper function to order tasks: earliest deadline, then priority, then title/id for stable output
+function compareTasks(a, b) {
+  const dueA = a.dueDate ? new Date(a.dueDate).getTime() : Infinity;
+  const dueB = b.dueDate ? new Date(b.dueDate).getTime() : Infinity;
+  if (dueA !== dueB) return dueA - dueB;
+
+  const rankA = PRIORITY_RANK[a.priority] ?? PRIORITY_RANK.medium;
+  const rankB = PRIORITY_RANK[b.priority] ?? PRIORITY_RANK.medium;
+  if (rankA !== rankB) return rankA - rankB;
+
+  return String(a.title || '').localeCompare(String(b.title || '')) || String(a.id).localeCompare(String(b.id));
+}
+
+// Helper function to plan pending tasks into the free time between events
+// items: the user's tasks and events (completed tasks and events are never moved)
+// Returns { from, to, blocks, unscheduled, warnings, summary }
+function planSchedule(items, { from = new Date(), options = {} } = {}) {
+  const settings = { ...DEFAULT_PLAN_OPTIONS, ...options };
+  settings.quietHours = settings.quietHours || [];
+
+  // Start on a 5 minute boundary so blocks look like something a person would write down
+  const startMs = Math.ceil(new Date(from).getTime() / (5 * MINUTE_MS)) * 5 * MINUTE_MS;
+  const start = new Date(startMs);
+  const end = new Date(startMs + settings.horizonDays * DAY_MS);
+
+  const events = (items || []).filter(item => item && item.type === 'event');
+  const tasks = (items || [])
+    .filter(item => item && item.type !== 'event' && item.status !== 'completed')
+    .sort(compareTasks);
+
+  const slots = buildFreeSlots(events, start, end, settings);
+  const blocks = [];
+  const unscheduled = [];
+  const warnings = [];
+
+  // Focus chunks placed back to back in the current slot, used to pick short or long breaks
+  let streakSlot = -1;
+  let streak = 0;
+
+  tasks.forEach(task => {
+    const totalMinutes = Math.round(task.estimatedDuration || DEFAULT_ESTIMATED_DURATION);
+    const dueMs = task.dueDate ? new Date(task.dueDate).getTime() : NaN;
+    const overdue = !isNaN(dueMs) && dueMs <= startMs;
+    const deadlineMs = isNaN(dueMs) || overdue ? end.getTime() : Math.min(dueMs, end.getTime());
+
+    if (overdue) {
+      warnings.push({ taskId: task.id, title: task.title, reason: 'overdue', dueDate: task.dueDate });
+    }
+
+    const taskBlocks = [];
+    let remaining = totalMinutes;
+
+    for (let i = 0; i < slots.length && remaining > 0; i++) {
+      const slot = slots[i];
+      if (slot[0] >= deadlineMs) break;
+
+      while (remaining > 0) {
+        const available = Math.floor((Math.min(slot[1], deadlineMs) - slot[0]) / MINUTE_MS);
+        const chunk = Math.min(settings.chunkMinutes, remaining, available);
+        // Don't leave a tiny chunk unless it finishes the task
+        if (chunk <= 0 || (chunk < settings.minChunkMinutes && chunk < remaining)) break;
+
+        if (streakSlot !== i) {
+          streakSlot = i;
+          streak = 0;
+        }
+
+        const blockStart = slot[0];
+        const blockEnd = blockStart + chunk * MINUTE_MS;
+        streak++;
+        const breakMinutes = settings.chunksBeforeLongBreak > 0 && streak % settings.chunksBeforeLongBreak === 0
+          ? settings.longBreakMinutes
+          : settings.breakMinutes;
+
+        taskBlocks.push({
+          taskId: task.id,
+          title: task.title,
+          category: task.category,
+          priority: task.priority,
+          startTime: new Date(blockStart).toISOString(),
+          endTime: new Date(blockEnd).toISOString(),
+          durationMinutes: chunk,
+          breakAfterMinutes: breakMinutes
+        });
+
+        remaining -= chunk;
+        slot[0] = Math.min(blockEnd + breakMinutes * MINUTE_MS, slot[1]);
+      }
+    }
+
+    taskBlocks.forEach((block, index) => {
+      blocks.push({ ...block, chunk: index + 1, totalChunks: taskBlocks.length });
+    });
+
+    if (remaining > 0) {
+      unscheduled.push({
+        taskId: task.id,
+        title: task.title,
+        dueDate: task.dueDate || null,
+        estimatedDuration: totalMinutes,
+        scheduledMinutes: totalMinutes - remaining,
+        remainingMinutes: remaining,
+        reason: isNaN(dueMs) || overdue || dueMs > end.getTime() ? 'horizon_full' : 'not_enough_time_before_deadline'
+      });
+    }
+  });
+
+  blocks.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+  return {
+    from: start.toISOString(),
+    to: end.toISOString(),
+    blocks,
+    unscheduled,
+    warnings,
+    summary: {
+      tasksConsidered: tasks.length,
+      tasksFullyScheduled: tasks.length - unscheduled.length,
+      scheduledMinutes: blocks.reduce((total, block) => total + block.durationMinutes, 0),
+      freeMinutesLeft: Math.round(slots.reduce((total, [slotStart, slotEnd]) => total + Math.max(0, slotEnd - slotStart), 0) / MINUTE_MS)
+    },
+    options: settings
+  };
+}
+
+// Helper function to count the free minutes of the student day between from and to (events and quiet hours left out)
+function countFreeMinutes(items, { from = new Date(), to, options = {} } = {}) {
+  const settings = { ...DEFAULT_PLAN_OPTIONS, ...options };
+  settings.quietHours = settings.quietHours || [];
+  if (new Date(to).getTime() <= new Date(from).getTime()) return 0;
+
+  const events = (items || []).filter(item => item && item.type === 'event');
+  return Math.floor(buildFreeSlots(events, new Date(from), new Date(to), settings)
+    .reduce((total, [start, end]) => total + (end - start), 0) / MINUTE_MS);
+}
+
+// Helper function to place ordered steps backward from a deadline (plan templates, see plan-templates.js)
+// The last step ends as late as possible before the deadline, every earlier step ends before the next one starts
+// (with breakMinutes in between). Steps are never split: a step that fits no free slot is reported as unscheduled
+// and the steps before it keep going backward from the same point.
+// steps: [{ title, durationMinutes }] in the order they should be done
+// Returns { from, to, blocks: [{ step, title, startTime, endTime, durationMinutes }], unscheduled: [{ step, title, durationMinutes, dueDate }] }
+function planBackward(items, steps, { deadline, from = new Date(), options = {} } = {}) {
+  const settings = { ...DEFAULT_PLAN_OPTIONS, ...options };
+  settings.quietHours = settings.quietHours || [];
+
+  const deadlineMs = Math.floor(new Date(deadline).getTime() / (5 * MINUTE_MS)) * 5 * MINUTE_MS;
+  const startMs = Math.max(
+    Math.ceil(new Date(from).getTime() / (5 * MINUTE_MS)) * 5 * MINUTE_MS,
+    deadlineMs - MAX_HORIZON_DAYS * DAY_MS
+  );
+
+  const events = (items || []).filter(item => item && item.type === 'event');
+  const slots = startMs < deadlineMs ? buildFreeSlots(events, new Date(startMs), new Date(deadlineMs), settings) : [];
+  const blocks = [];
+  const unscheduled = [];
+  let cursor = deadlineMs;
+
+  for (let index = steps.length - 1; index >= 0; index--) {
+    const step = steps[index];
+    const durationMs = step.durationMinutes * MINUTE_MS;
+    const slot = [...slots].reverse().find(([slotStart, slotEnd]) => Math.min(slotEnd, cursor) - slotStart >= durationMs);
+
+    if (!slot) {
+      unscheduled.push({ step: index + 1, title: step.title, durationMinutes: step.durationMinutes, dueDate: new Date(cursor).toISOString() });
+      continue;
+    }
+
+    const blockEnd = Math.floor(Math.min(slot[1], cursor) / (5 * MINUTE_MS)) * 5 * MINUTE_MS;
+    const blockStart = blockEnd - durationMs;
+    blocks.unshift({
+      step: index + 1,
+      title: step.title,
+      startTime: new Date(blockStart).toISOString(),
+      endTime: new Date(blockEnd).toISOString(),
+      durationMinutes: step.durationMinutes
+    });
+    cursor = blockStart - settings.breakMinutes * MINUTE_MS;
+  }
+
+  return {
+    from: new Date(startMs).toISOString(),
+    to: new Date(deadlineMs).toISOString(),
+    blocks,
+    unscheduled: unscheduled.reverse(),
+    options: settings
+  };
+}
+
+// Helper function to describe a plan in a few lines (used by the chat prompt and the fallback answer)
+function formatPlan(plan, { maxBlocks = 12, locale = DEFAULT_LOCALE } = {}) {
+  const formatTime = iso => {
+    const parts = toLocalParts(new Date(iso).getTime());
+    const pad = value => String(value).padStart(2, '0');
+    return { date: `${pad(parts.day)}/${pad(parts.month + 1)}`, time: `${pad(parts.hours)}:${pad(parts.minutes)}`, weekday: parts.weekday };
+  };
+  const dayKeys = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+  const lines = plan.blocks.slice(0, maxBlocks).map(block => {
+    const start = formatTime(block.startTime);
+    const end = formatTime(block.endTime);
+    return `- ${t(locale, `shortDays.${dayKeys[start.weekday]}`)} ${start.date} ${start.time}-${end.time}: ${block.title} (${block.chunk}/${block.totalChunks})`;
+  });
+  if (plan.blocks.length > maxBlocks) {
+    lines.push(t(locale, 'plan.more', { count: plan.blocks.length - maxBlocks }));
+  }
+  plan.unscheduled.forEach(item => {
+    lines.push(t(locale, 'plan.unscheduled', {
+      title: item.title,
+      minutes: item.remainingMinutes,
+      reason: item.reason === 'not_enough_time_before_deadline' ? t(locale, 'plan.beforeDeadline') : ''
+    }));
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_PLAN_OPTIONS,
+  validatePlanOptions,
+  planSchedule,
+  planBackward,
+  countFreeMinutes,
+  formatPlan
+};
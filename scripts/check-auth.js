@@ -0,0 +1,110 @@
+// Run tokens and headers through the authentication middleware and check who gets in
+// Usage: node scripts/check-auth.js [--verbose]
+// Signs its own HS256 tokens (and RS256 ones for a temporary JWKS file), no server is started.
+// Exits with 1 when a request gets another status than expected (200 = authenticated).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Rejections are logged as warnings, which is the expected outcome here (set before auth.js loads the logger)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+const { createAuthenticator } = require('../auth');
+
+const SECRET = 'check-auth-secret';
+const AUDIENCE = 'ntimer-api';
+const NOW_SECONDS = Math.floor(Date.now() / 1000);
+
+const { privateKey: rsaKey, publicKey: rsaPublicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const { publicKey: edPublicKey } = crypto.generateKeyPairSync('ed25519');
+
+const encode = value => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+
+// Helper function to build a compact JWT; header/payload may be any JSON value (or raw text) to build broken tokens
+function sign(payload, { alg = 'HS256', secret = SECRET, header = { alg, typ: 'JWT' } } = {}) {
+  const signedData = `${encode(header)}.${encode(payload)}`;
+  let signature = '';
+  if (alg === 'HS256') signature = crypto.createHmac('sha256', secret).update(signedData).digest('base64url');
+  if (alg === 'RS256') signature = crypto.sign('sha256', Buffer.from(signedData), rsaKey).toString('base64url');
+  return `${signedData}.${signature}`;
+}
+
+const claims = (extra = {}) => ({ sub: 'student-1', aud: AUDIENCE, exp: NOW_SECONDS + 3600, ...extra });
+
+// Helper function to run one request through authenticate, resolves with { status, auth, error }
+function authenticate(authenticator, headers = {}) {
+  const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const req = { method: 'GET', path: '/api/tasks', originalUrl: '/api/tasks', query: {}, body: {}, get: name => lowered[name.toLowerCase()] };
+  return new Promise(resolve => {
+    authenticator.authenticate(req, {}, error => resolve(error
+      ? { status: error.status || 500, error: error.message }
+      : { status: 200, auth: req.auth }));
+  });
+}
+
+const bearer = token => ({ Authorization: `Bearer ${token}` });
+
+// [name, headers, expected status, expected userId (200 only)]
+const CASES = [
+  ['valid token', bearer(sign(claims())), 200, 'student-1'],
+  ['no credentials', {}, 401],
+  ['expired token', bearer(sign(claims({ exp: NOW_SECONDS - 3600 }))), 401],
+  ['forged signature', bearer(sign(claims(), { secret: 'wrong-secret' })), 401],
+  ['payload changed after signing', bearer(sign(claims()).replace(/^([^.]+)\.[^.]+/, (match, header) => `${header}.${encode(claims({ sub: 'admin-1', role: 'admin' }))}`)), 401],
+  ['alg none', bearer(sign(claims(), { alg: 'none' })), 401],
+  ['wrong audience', bearer(sign(claims({ aud: 'another-api' }))), 401],
+  ['null payload', bearer(sign(null)), 401],
+  ['array header', bearer(sign(claims(), { header: ['HS256'] })), 401],
+  ['not JSON', bearer(sign('not json')), 401],
+  ['RS256 token verified with the JWKS key', bearer(sign(claims(), { alg: 'RS256', header: { alg: 'RS256', kid: 'rsa' } })), 200, 'student-1'],
+  ['RS256 token against an Ed25519 key', bearer(sign(claims(), { alg: 'RS256', header: { alg: 'RS256', kid: 'ed' } })), 401],
+  ['user acting as themselves', { ...bearer(sign(claims())), 'X-On-Behalf-Of': 'student-1' }, 200, 'student-1'],
+  ['non-admin X-On-Behalf-Of', { ...bearer(sign(claims())), 'X-On-Behalf-Of': 'student-2' }, 403],
+  ['admin X-On-Behalf-Of', { ...bearer(sign(claims({ sub: 'admin-1', role: 'admin' }))), 'X-On-Behalf-Of': 'student-2' }, 200, 'student-2'],
+  ['valid API key', { 'X-API-Key': 'service-key' }, 200, 'service-1'],
+  ['wrong API key', { 'X-API-Key': 'other-key' }, 401]
+];
+
+async function main() {
+  const verbose = process.argv.includes('--verbose');
+
+  // The Ed25519 key has no alg, so it is a candidate for RS256 tokens too (crypto.verify throws for it)
+  const jwksFile = path.join(os.tmpdir(), `check-auth-${process.pid}.jwks.json`);
+  fs.writeFileSync(jwksFile, JSON.stringify({
+    keys: [
+      { ...rsaPublicKey.export({ format: 'jwk' }), kid: 'rsa', alg: 'RS256' },
+      { ...edPublicKey.export({ format: 'jwk' }), kid: 'ed' }
+    ]
+  }));
+
+  let authenticator;
+  try {
+    authenticator = createAuthenticator({
+      mode: 'required',
+      jwtSecret: SECRET,
+      jwksFile,
+      audience: AUDIENCE,
+      apiKeys: [{ key: 'service-key', userId: 'service-1', role: 'user', plan: null }]
+    });
+  } finally {
+    fs.unlinkSync(jwksFile);
+  }
+
+  let failures = 0;
+  for (const [name, headers, status, userId] of CASES) {
+    const result = await authenticate(authenticator, headers);
+    const ok = result.status === status && (status !== 200 || result.auth.userId === userId);
+    if (!ok) failures++;
+
+    if (!ok || verbose) {
+      const got = result.status === 200 ? `200 as ${result.auth.userId}` : `${result.status} (${result.error})`;
+      console.log(`${ok ? '✅' : '❌'} ${name} -> ${got}, expected ${status}${userId ? ` as ${userId}` : ''}`);
+    }
+  }
+
+  console.log(`${CASES.length - failures}/${CASES.length} auth checks passed`);
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,30 @@
+// Run the intent phrase table (fixtures/intents.json) through the offline classifier
+// Usage: node scripts/check-intents.js [--verbose]
+// Exits with 1 when a phrase is classified differently, so phrase weight changes can be checked quickly
+
+const path = require('path');
+const { classifyIntent } = require('../intent-classifier');
+
+const TABLE_PATH = path.join(__dirname, '..', 'fixtures', 'intents.json');
+
+function main() {
+  const verbose = process.argv.includes('--verbose');
+  const table = require(TABLE_PATH);
+  let failures = 0;
+
+  table.forEach(({ text, intent }) => {
+    const result = classifyIntent(text);
+    const ok = result.name === intent;
+    if (!ok) failures++;
+
+    if (!ok || verbose) {
+      const matched = result.matches.map(match => `${match.phrase}:${match.weight}`).join(', ') || '-';
+      console.log(`${ok ? '✅' : '❌'} "${text}" -> ${result.name} (${result.confidence}), expected ${intent} [${matched}]`);
+    }
+  });
+
+  console.log(`${table.length - failures}/${table.length} phrases classified as expected`);
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+main();
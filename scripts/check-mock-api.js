@@ -0,0 +1,244 @@
+// Run the API against the scripted mock provider (fixtures/llm/*.json) and check the prompt -> parse -> respond path
+// Usage: node scripts/check-mock-api.js [--verbose]
+// Starts server.js on CHECK_PORT (default 3199) with LLM_PROVIDER=mock, memory storage and auth off,
+// then calls /api/chat, /api/chat/stream and /api/analytics/recommendations.
+// Exits with 1 when a check fails (the server log is printed to help).
+
+const { spawn } = require('child_process');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES_DIR = path.join(ROOT, 'fixtures', 'llm');
+const PORT = Number(process.env.CHECK_PORT) || 3199;
+const BASE_URL = `http://127.0.0.1:${PORT}`;
+const STARTUP_TIMEOUT_MS = 10000;
+const RUN_TIMEOUT_MS = 60000;
+
+const fixture = name => require(path.join(FIXTURES_DIR, `${name}.json`));
+
+// Helper function to start the server, resolves once /health answers
+function startServer() {
+  const server = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      LLM_PROVIDER: 'mock',
+      MOCK_FIXTURES_DIR: FIXTURES_DIR,
+      STORAGE_DRIVER: 'memory',
+      AUTH_MODE: 'off',
+      FORCE_FALLBACK: 'false',
+      LOG_LEVEL: process.env.LOG_LEVEL || 'warn'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  server.log = '';
+  server.stdout.on('data', chunk => { server.log += chunk; });
+  server.stderr.on('data', chunk => { server.log += chunk; });
+
+  return new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    server.on('exit', code => reject(new Error(`server.js exited with code ${code}\n${server.log}`)));
+
+    const poll = async () => {
+      try {
+        const res = await fetch(`${BASE_URL}/health`);
+        if (res.ok) return resolve(server);
+      } catch (error) {
+        // Not listening yet
+      }
+      if (Date.now() - startedAt > STARTUP_TIMEOUT_MS) {
+        return reject(new Error(`server.js did not answer on ${BASE_URL} within ${STARTUP_TIMEOUT_MS}ms\n${server.log}`));
+      }
+      setTimeout(poll, 200);
+    };
+    poll();
+  });
+}
+
+async function postJson(route, body) {
+  const res = await fetch(`${BASE_URL}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// Helper function to read a Server-Sent Events response into [{ event, data }]
+// stopAfter: number of events after which the client disconnects
+async function postStream(route, body, { stopAfter = Infinity } = {}) {
+  const controller = new AbortController();
+  const res = await fetch(`${BASE_URL}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: controller.signal
+  });
+
+  const events = [];
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    for await (const chunk of res.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const event = /^event: (.*)$/m.exec(block);
+        const data = /^data: (.*)$/m.exec(block);
+        if (event && data) events.push({ event: event[1], data: JSON.parse(data[1]) });
+      }
+      if (events.length >= stopAfter) {
+        controller.abort();
+        break;
+      }
+    }
+  } catch (error) {
+    if (error.name !== 'AbortError') throw error;
+  }
+  return { status: res.status, events };
+}
+
+const tokensOf = events => events.filter(({ event }) => event === 'token').map(({ data }) => data.text).join('');
+const lastEvent = events => events[events.length - 1] || { event: null, data: {} };
+
+// Each check returns a list of problems (empty when it passes)
+const CHECKS = [
+  ['chat: default fixture', async () => {
+    const { status, body } = await postJson('/api/chat', { message: 'hello', userId: 'check-chat' });
+    return [
+      status !== 200 && `status ${status}`,
+      body.response !== fixture('99-default').response && `unexpected response ${JSON.stringify(body.response)}`,
+      body.note && `unexpected fallback note "${body.note}"`,
+      !(body.prompt && body.prompt.name === 'chat') && 'missing prompt version'
+    ];
+  }],
+
+  ['chat: action parsed from the answer', async () => {
+    const { body } = await postJson('/api/chat', { message: 'tạo lịch học Toán sáng thứ 2', userId: 'check-actions' });
+    const action = (body.actions || [])[0];
+    return [
+      !(action && action.action === 'create_task' && action.taskData.title === 'Học Toán') &&
+        `expected the create_task action of 30-create-event, got ${JSON.stringify(body.actions)}`,
+      body.response && body.response.includes('```') && 'the JSON block was not removed from the response'
+    ];
+  }],
+
+  ['chat: provider error falls back', async () => {
+    const { status, body } = await postJson('/api/chat', { message: 'provider error', userId: 'check-error' });
+    return [
+      status !== 200 && `status ${status}`,
+      !body.note && 'missing fallback note',
+      !body.response && 'empty fallback response'
+    ];
+  }],
+
+  ['stream: tokens and done', async () => {
+    const { status, events } = await postStream('/api/chat/stream', { message: 'hello', userId: 'check-stream' });
+    const done = lastEvent(events);
+    return [
+      status !== 200 && `status ${status}`,
+      done.event !== 'done' && `last event is ${done.event}, expected done`,
+      tokensOf(events) !== fixture('99-default').response && `tokens do not add up to the fixture: ${JSON.stringify(tokensOf(events))}`,
+      done.data.response !== fixture('99-default').response && 'done.response differs from the fixture',
+      done.data.fallback && 'unexpected fallback'
+    ];
+  }],
+
+  ['stream: 40-slow-stream', async () => {
+    const startedAt = Date.now();
+    const { events } = await postStream('/api/chat/stream', { message: 'slow please', userId: 'check-slow' });
+    const tokens = events.filter(({ event }) => event === 'token').length;
+    const minimumMs = (tokens - 1) * fixture('40-slow-stream').delayMs;
+    return [
+      lastEvent(events).event !== 'done' && `last event is ${lastEvent(events).event}, expected done`,
+      tokensOf(events) !== fixture('40-slow-stream').response && 'tokens do not add up to the fixture',
+      Date.now() - startedAt < minimumMs && `stream finished in ${Date.now() - startedAt}ms, expected at least ${minimumMs}ms`
+    ];
+  }],
+
+  ['stream: client disconnect during 40-slow-stream', async () => {
+    const { events } = await postStream('/api/chat/stream', { message: 'slow please', userId: 'check-abort' }, { stopAfter: 2 });
+    // Give the server time to notice and record the aborted call
+    await new Promise(resolve => setTimeout(resolve, fixture('40-slow-stream').delayMs * 2));
+    const metrics = await (await fetch(`${BASE_URL}/metrics`)).text();
+    const health = await fetch(`${BASE_URL}/health`);
+    return [
+      events.some(({ event }) => event === 'done') && 'received done before disconnecting',
+      !/ai_call_duration_seconds_count\{[^}]*operation="chat_stream",outcome="aborted"\} [1-9]/.test(metrics) &&
+        'no aborted chat_stream call in /metrics',
+      !health.ok && 'server stopped answering after the disconnect'
+    ];
+  }],
+
+  ['stream: 50-provider-error falls back', async () => {
+    const { events } = await postStream('/api/chat/stream', { message: 'provider error', userId: 'check-stream-error' });
+    const done = lastEvent(events);
+    return [
+      !(events[0] && events[0].event === 'fallback' && events[0].data.reason.includes(fixture('50-provider-error').error)) &&
+        `first event should be fallback with the provider error, got ${JSON.stringify(events[0])}`,
+      done.event !== 'done' && `last event is ${done.event}, expected done`,
+      !done.data.fallback && 'done is not marked as fallback',
+      tokensOf(events) !== done.data.response && 'tokens do not add up to done.response'
+    ];
+  }],
+
+  ...[['vi', '20-recommendations-vi'], ['en', '21-recommendations-en']].map(([language, name]) => [
+    `recommendations: ${name}`,
+    async () => {
+      const expected = JSON.parse(fixture(name).response).recommendations;
+      const request = { tasks: [], language, userId: `check-recommendations-${language}` };
+      const first = await postJson('/api/analytics/recommendations', request);
+      const second = await postJson('/api/analytics/recommendations', request);
+      const texts = (first.body.recommendations || []).map(recommendation => recommendation.text);
+      return [
+        first.status !== 200 && `status ${first.status}`,
+        JSON.stringify(texts) !== JSON.stringify(expected.map(recommendation => recommendation.text)) &&
+          `recommendations differ from the fixture: ${JSON.stringify(texts)}`,
+        first.body.note && `unexpected fallback note "${first.body.note}"`,
+        first.body.cached !== false && 'first answer should not come from the cache',
+        second.body.cached !== true && 'second answer should come from the cache'
+      ];
+    }
+  ])
+];
+
+async function main() {
+  const verbose = process.argv.includes('--verbose');
+  const timer = setTimeout(() => {
+    console.log(`❌ checks did not finish within ${RUN_TIMEOUT_MS}ms`);
+    process.exit(1);
+  }, RUN_TIMEOUT_MS);
+
+  let server;
+  let failures = 0;
+  try {
+    server = await startServer();
+    for (const [name, check] of CHECKS) {
+      let problems;
+      try {
+        problems = (await check()).filter(Boolean);
+      } catch (error) {
+        problems = [error.stack || error.message];
+      }
+      if (problems.length > 0) failures++;
+      if (problems.length > 0 || verbose) {
+        console.log(`${problems.length > 0 ? '❌' : '✅'} ${name}${problems.map(problem => `\n   - ${problem}`).join('')}`);
+      }
+    }
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    failures = CHECKS.length;
+  } finally {
+    if (server) server.kill();
+    clearTimeout(timer);
+  }
+
+  if (failures > 0 && server && !verbose) console.log(`\nServer log:\n${server.log}`);
+  console.log(`${CHECKS.length - failures}/${CHECKS.length} mock API checks passed`);
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+main();
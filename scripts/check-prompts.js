@@ -0,0 +1,107 @@
+// Compare every prompt version and language with its snapshot (fixtures/prompts/<name>.v<version>.<locale>.txt)
+// Usage: node scripts/check-prompts.js [--update]
+// Variables render as <<name>>, so the snapshots show the template text after includes and nothing else.
+// A version with a base version (see prompt-templates.js) is snapshotted as the lines it changes in the
+// rendered base prompt (<name>.v<version>.<locale>.diff), the base snapshot covers the rest.
+// Exits with 1 when a prompt differs from its snapshot: a published version was edited (copy it to a new
+// version instead) or the snapshot of a new version is missing (--update writes it).
+
+const fs = require('fs');
+const path = require('path');
+const { createPromptTemplates } = require('../prompt-templates');
+const { SUPPORTED_LOCALES } = require('../i18n');
+
+const SNAPSHOT_DIR = path.join(__dirname, '..', 'fixtures', 'prompts');
+
+// Helper function to show the first line that differs
+function firstDifference(expected, actual) {
+  const expectedLines = expected.split('\n');
+  const actualLines = actual.split('\n');
+  const index = actualLines.findIndex((line, i) => line !== expectedLines[i]);
+  const line = index === -1 ? actualLines.length : index;
+  return `line ${line + 1}: expected ${JSON.stringify(expectedLines[line])}, got ${JSON.stringify(actualLines[line])}`;
+}
+
+// Helper function to list the changed lines between two texts ("@@ line N" headers, "- old" / "+ new" lines)
+function lineDiff(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  let inHunk = false;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i++;
+      j++;
+      inHunk = false;
+      continue;
+    }
+    if (!inHunk) lines.push(`@@ line ${j + 1}`);
+    inHunk = true;
+    if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push(`- ${a[i++]}`);
+    } else {
+      lines.push(`+ ${b[j++]}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function main() {
+  const update = process.argv.includes('--update');
+  const prompts = createPromptTemplates();
+  let failures = 0;
+  let total = 0;
+
+  if (update) fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+
+  // Helper function to render a prompt with every variable as <<name>>
+  const renderPlaceholders = (name, version, locale) => {
+    const { variables } = prompts.render(name, { version, locale });
+    const placeholders = Object.fromEntries(variables.map(variable => [variable, `<<${variable}>>`]));
+    return prompts.render(name, { version, locale, variables: placeholders }).text;
+  };
+
+  prompts.list().forEach(({ name, versions, bases }) => {
+    versions.forEach(version => {
+      SUPPORTED_LOCALES.forEach(locale => {
+        total++;
+        const base = bases[version];
+        const rendered = renderPlaceholders(name, version, locale);
+        const text = base ? lineDiff(renderPlaceholders(name, String(base), locale), rendered) : rendered;
+        const file = path.join(SNAPSHOT_DIR, `${name}.v${version}.${locale}.${base ? 'diff' : 'txt'}`);
+        const label = path.relative(process.cwd(), file);
+
+        if (update) {
+          fs.writeFileSync(file, text);
+          console.log(`📝 ${label}`);
+          return;
+        }
+        if (!fs.existsSync(file)) {
+          failures++;
+          console.log(`❌ ${label} is missing (run with --update to create it)`);
+          return;
+        }
+        const expected = fs.readFileSync(file, 'utf8');
+        if (expected !== text) {
+          failures++;
+          console.log(`❌ ${name} v${version} (${locale}) differs from ${label}, ${firstDifference(expected, text)}`);
+        }
+      });
+    });
+  });
+
+  console.log(update ? `${total} prompt snapshots written` : `${total - failures}/${total} prompts match their snapshots`);
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+main();
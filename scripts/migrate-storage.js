@@ -0,0 +1,42 @@
+// Migrate stored data (tasks, chat history, ...) between storage drivers
+// Usage: node scripts/migrate-storage.js --from file:./data/store.json --to sqlite:./data/store.sqlite [--prefix history:] [--dry-run]
+
+const { createStore, storeOptionsFromSpec } = require('../storage');
+const { migrateStore } = require('../storage/migrate');
+
+function parseArgs(argv) {
+  const args = { prefix: '', dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--from') args.from = argv[++i];
+    else if (arg === '--to') args.to = argv[++i];
+    else if (arg === '--prefix') args.prefix = argv[++i];
+    else if (arg === '--dry-run') args.dryRun = true;
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.from || !args.to) {
+    console.error('Usage: node scripts/migrate-storage.js --from <driver:location> --to <driver:location> [--prefix <key prefix>] [--dry-run]');
+    process.exit(1);
+  }
+
+  const source = createStore(storeOptionsFromSpec(args.from));
+  const target = createStore(storeOptionsFromSpec(args.to));
+
+  try {
+    const result = await migrateStore(source, target, { prefix: args.prefix, dryRun: args.dryRun });
+    console.log(`${args.dryRun ? '🔍 Dry run' : '✅ Migration done'}: ${result.copied}/${result.total} entries copied, ${result.skipped} expired`);
+  } finally {
+    await source.close();
+    await target.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,129 @@
+const net = require('net');
+const { createParser, encodeReply } = require('../storage/resp');
+
+// Local Redis stand-in (development tool, not used by the app itself)
+// A tiny in-memory RESP server implementing the commands the Redis store uses
+// (PING, AUTH, SELECT, GET, SET [EX|PX], MGET, DEL, EXPIRE, PTTL, TTL, SCAN, KEYS, FLUSHDB, QUIT)
+// Run it with `npm run redis:standin` and point REDIS_URL at redis://127.0.0.1:6379 to try the Redis store
+// without installing Redis
+
+const OK = { simple: 'OK' };
+
+// Helper function to convert a Redis glob pattern to a RegExp
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function createStandinServer() {
+  const data = new Map(); // key -> { value, expiresAt }
+
+  function read(key) {
+    const entry = data.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  function matchingKeys(pattern) {
+    const regex = globToRegExp(pattern);
+    return [...data.keys()].filter(key => read(key) && regex.test(key));
+  }
+
+  const commands = {
+    PING: () => ({ simple: 'PONG' }),
+    AUTH: () => OK,
+    SELECT: () => OK,
+    GET: ([key]) => {
+      const entry = read(key);
+      return entry ? entry.value : null;
+    },
+    SET: ([key, value, ...options]) => {
+      let expiresAt = null;
+      for (let i = 0; i < options.length; i++) {
+        const option = options[i].toUpperCase();
+        if (option === 'EX') expiresAt = Date.now() + parseInt(options[++i], 10) * 1000;
+        if (option === 'PX') expiresAt = Date.now() + parseInt(options[++i], 10);
+      }
+      data.set(key, { value, expiresAt });
+      return OK;
+    },
+    MGET: (keys) => keys.map(key => {
+      const entry = read(key);
+      return entry ? entry.value : null;
+    }),
+    DEL: (keys) => keys.filter(key => read(key) && data.delete(key)).length,
+    EXPIRE: ([key, seconds]) => {
+      const entry = read(key);
+      if (!entry) return 0;
+      entry.expiresAt = Date.now() + parseInt(seconds, 10) * 1000;
+      return 1;
+    },
+    PTTL: ([key]) => {
+      const entry = read(key);
+      if (!entry) return -2;
+      return entry.expiresAt ? entry.expiresAt - Date.now() : -1;
+    },
+    TTL: ([key]) => {
+      const entry = read(key);
+      if (!entry) return -2;
+      return entry.expiresAt ? Math.ceil((entry.expiresAt - Date.now()) / 1000) : -1;
+    },
+    // Single pass: the whole match set is returned with cursor "0"
+    SCAN: ([, ...options]) => {
+      let pattern = '*';
+      for (let i = 0; i < options.length; i++) {
+        if (options[i].toUpperCase() === 'MATCH') pattern = options[++i];
+      }
+      return ['0', matchingKeys(pattern)];
+    },
+    KEYS: ([pattern]) => matchingKeys(pattern),
+    FLUSHDB: () => {
+      data.clear();
+      return OK;
+    }
+  };
+
+  return net.createServer(socket => {
+    const parser = createParser(args => {
+      if (!Array.isArray(args) || args.length === 0) return;
+
+      const name = String(args[0]).toUpperCase();
+      if (name === 'QUIT') {
+        socket.end(encodeReply(OK));
+        return;
+      }
+
+      const handler = commands[name];
+      const reply = handler ? handler(args.slice(1)) : new Error(`ERR unknown command '${args[0]}'`);
+      socket.write(encodeReply(reply));
+    });
+
+    socket.on('data', chunk => parser.feed(chunk));
+    socket.on('error', () => socket.destroy());
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.REDIS_STANDIN_PORT || '6379', 10);
+  createStandinServer().listen(port, '127.0.0.1', () => {
+    console.log(`Redis stand-in listening on redis://127.0.0.1:${port}`);
+  });
+}
+
+module.exports = { createStandinServer };
@@ -1,8 +1,38 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const TODO_TEMPLATE = require('./todo-template');
+const { buildTodoList, renderTodoList } = require('./todo-list');
+const { createPlanTemplates, planTemplateOptionsFromEnv, buildTemplateTasks } = require('./plan-templates');
+const { validateTaskData, buildTaskFields, normalizeTaskDates, toUtcIso } = require('./task-model');
+const { extractActions, validateAction } = require('./chat-actions');
+const { createStore, storeOptionsFromEnv } = require('./storage');
+const { createTaskRepository, validateTaskChanges, matchesFilters } = require('./task-repository');
+const { createChatHistoryRepository, DEFAULT_HISTORY_TTL } = require('./chat-history');
+const { createUserSettingsRepository } = require('./user-settings');
+const { createChatMemory, memoryOptionsFromEnv, estimateTokens } = require('./chat-memory');
+const { createProvider, providerOptionsFromEnv } = require('./providers');
+const { expandEvents, calculateWeeklyEventMinutes } = require('./recurrence');
+const { exportCalendar, parseCalendar, taskUid } = require('./ical');
+const { findConflicts, annotateActionConflicts } = require('./conflicts');
+const { DEFAULT_PLAN_OPTIONS, planSchedule, planBackward, formatPlan } = require('./scheduler');
+const { validateTaskLinks, annotateTasks, findCriticalPaths, summarizeDependencies, formatDependencySummary } = require('./task-graph');
+const { buildHeatmap, formatHeatmapData, describeHeatmapAnalysis } = require('./heatmap');
+const { calculateTaskStats, isOverdue } = require('./task-stats');
+const { DEFAULT_LOCALE, resolveLocale, t, categoryName, priorityName } = require('./i18n');
+const { classifyIntent } = require('./intent-classifier');
+const { parseTaskRequest, describeTaskRequest } = require('./task-parser');
+const { createAuthenticator, authOptionsFromEnv } = require('./auth');
+const { createRateLimiter, rateLimitOptionsFromEnv, rateLimitStoreOptionsFromEnv } = require('./rate-limit');
+const { createAiQuota, aiQuotaOptionsFromEnv } = require('./ai-quota');
+const { createRecommendationsCache, DEFAULT_CACHE_TTL } = require('./recommendations-cache');
+const { RECOMMENDATIONS_SCHEMA, formatTaskList, parseRecommendationsResponse, createRecommendation, toLegacyStrings } = require('./recommendations');
+const { ApiError, validationError, notFoundError, asyncRoute, notFoundHandler, errorHandler } = require('./errors');
+const { validate } = require('./validation');
+const { schemas } = require('./request-schemas');
+const { logger } = require('./logger');
+const { createMetrics } = require('./metrics');
+const { createRequestContext } = require('./request-context');
+const { createPromptTemplates, promptOptionsFromEnv } = require('./prompt-templates');
 
 // Load environment variables
 dotenv.config();
@@ -10,86 +40,208 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Structured JSON logs (LOG_LEVEL, see logger.js) with a request ID on every line, metrics for GET /metrics
+const metrics = createMetrics();
+const requestContext = createRequestContext({ logger, metrics });
+
+// Behind a reverse proxy set TRUST_PROXY (e.g. 1 or "loopback") so req.ip is the client address for rate limiting
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Force fallback mode for testing (set to true to avoid AI API calls)
 // To disable: set FORCE_FALLBACK=false in .env or change this line to: const FORCE_FALLBACK = false;
 const FORCE_FALLBACK = process.env.FORCE_FALLBACK === 'true' || false; // Currently DISABLED - AI API enabled
 
-// Chat history storage (in production, use Redis or database)
-const chatHistory = new Map(); // userId -> conversation history
-const MAX_HISTORY_LENGTH = 5; // Maximum messages before summarization
+// Initialize LLM provider (LLM_PROVIDER=gemini|openai|mock, see providers/index.js for the other variables)
+const llm = createProvider(providerOptionsFromEnv());
+logger.info('LLM provider ready', { provider: llm.name, model: llm.model });
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// Time limit of one AI call (or of the wait for the next chunk of a stream)
+const AI_TIMEOUT_MS = 30000;
 
-// Helper functions for chat history management
-function getOrCreateUserHistory(userId) {
-  if (!chatHistory.has(userId)) {
-    chatHistory.set(userId, []);
+// Helper function to build the timeout error of an AI call (counted separately in /metrics)
+function aiTimeoutError(timeoutMs) {
+  const error = new Error(`AI API timeout after ${timeoutMs / 1000} seconds`);
+  error.code = 'AI_TIMEOUT';
+  return error;
+}
+
+// Helper function to end the timer of a failed AI call with its outcome (error or timeout)
+function recordAiFailure(operation, error, stopTimer) {
+  const timedOut = error.code === 'AI_TIMEOUT';
+  stopTimer({ outcome: timedOut ? 'timeout' : 'error' });
+  if (timedOut) metrics.aiTimeouts.inc({ provider: llm.name, operation });
+}
+
+// Helper function to call the model with the timeout, timing the call for /metrics
+// operation: chat, recommendations or summary
+async function generateWithTimeout(operation, prompt, options) {
+  const stopTimer = metrics.aiCallDuration.startTimer({ provider: llm.name, operation });
+  let timer;
+  try {
+    const response = await Promise.race([
+      llm.generate(prompt, options),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(aiTimeoutError(AI_TIMEOUT_MS)), AI_TIMEOUT_MS);
+      })
+    ]);
+    stopTimer({ outcome: 'success' });
+    return response;
+  } catch (error) {
+    recordAiFailure(operation, error, stopTimer);
+    throw error;
+  } finally {
+    clearTimeout(timer);
   }
-  return chatHistory.get(userId);
 }
 
-function addMessageToHistory(userId, message, isUser = true) {
-  const history = getOrCreateUserHistory(userId);
-  history.push({
-    message,
-    isUser,
-    timestamp: new Date().toISOString()
+// Helper function to count an answer from the fallback generators and log why it was used
+// reason: force_fallback, quota_exceeded, ai_error, ai_timeout, invalid_response or internal_error
+function recordFallback(operation, reason, fields = {}) {
+  metrics.fallbacks.inc({ operation, reason });
+  logger.warn('Using fallback answer', { operation, reason, ...fields });
+}
+
+function fallbackReasonOf(error) {
+  return error.code === 'AI_TIMEOUT' ? 'ai_timeout' : 'ai_error';
+}
+
+// Persistent storage (STORAGE_DRIVER=file|sqlite|redis|memory, STORAGE_PATH=optional file path, REDIS_URL for redis)
+const store = createStore(storeOptionsFromEnv());
+
+// Plan templates: built-in student templates + custom JSON ones (PLAN_TEMPLATES_DIR, see plan-templates.js)
+const planTemplates = createPlanTemplates(planTemplateOptionsFromEnv());
+
+// Versioned prompt templates (prompts/, PROMPT_EXPERIMENTS to split users between versions)
+const promptTemplates = createPromptTemplates(promptOptionsFromEnv());
+
+// AI recommendations cache (RECOMMENDATIONS_CACHE_TTL in seconds, default 6 hours, 0 disables it)
+// The prompt version is part of the cache key, so answers of an older prompt are not reused
+const recommendationsCache = createRecommendationsCache(store, {
+  ttl: process.env.RECOMMENDATIONS_CACHE_TTL !== undefined
+    ? parseInt(process.env.RECOMMENDATIONS_CACHE_TTL, 10) || 0
+    : DEFAULT_CACHE_TTL
+});
+
+// Every task write drops the user's cached recommendations
+const taskRepository = createTaskRepository(store, {
+  onChange: userId => recommendationsCache.invalidate(userId)
+});
+
+// Chat history storage (CHAT_HISTORY_TTL in seconds, default 30 days since the last message)
+const chatHistory = createChatHistoryRepository(store, {
+  ttl: parseInt(process.env.CHAT_HISTORY_TTL, 10) || DEFAULT_HISTORY_TTL
+});
+
+// Per-user settings (planner options, see user-settings.js)
+const userSettings = createUserSettingsRepository(store);
+
+// Rate limiting per user and per IP (RATE_LIMIT_* variables, see rate-limit.js)
+// The buckets live in their own store (RATE_LIMIT_STORE, memory by default), not in the app store
+const rateLimiter = createRateLimiter(createStore(rateLimitStoreOptionsFromEnv()), rateLimitOptionsFromEnv());
+
+// Daily AI quota per user and plan (AI_QUOTA_PLANS, AI_QUOTA_DEFAULT_PLAN, see ai-quota.js)
+const aiQuota = createAiQuota(store, aiQuotaOptionsFromEnv());
+
+// Helper function to count one AI call and its estimated tokens (prompt + answer) for the user's daily quota
+async function recordAiUsage(userId, prompt, response) {
+  try {
+    await aiQuota.record(userId, { calls: 1, tokens: estimateTokens(prompt) + estimateTokens(response) });
+  } catch (error) {
+    logger.error('Recording AI usage failed', { userId, error });
+  }
+}
+
+// Chat memory: recent turns within a token budget + rolling summary of older turns
+// (CHAT_MEMORY_STRATEGY=summarize|truncate, CHAT_MEMORY_MAX_TOKENS, CHAT_MEMORY_SUMMARY_TOKENS, CHAT_MEMORY_MIN_RECENT)
+// Summaries count towards the quota but are not blocked by it, they are short and keep the history usable
+const chatMemory = createChatMemory(chatHistory, {
+  generate: async (prompt, { userId }) => {
+    const summary = await generateWithTimeout('summary', prompt);
+    await recordAiUsage(userId, prompt, summary);
+    return summary;
+  },
+  ...memoryOptionsFromEnv()
+});
+logger.info('Chat memory ready', { strategy: chatMemory.options.strategy, maxTokens: chatMemory.options.maxTokens });
+
+// Authentication (AUTH_MODE=required|off, JWT_SECRET / JWT_JWKS_FILE / API_KEYS, see auth.js)
+const auth = createAuthenticator(authOptionsFromEnv());
+if (auth.mode === 'off') {
+  logger.warn('Authentication is OFF, userId is taken from the request (local development only)');
+} else {
+  logger.info('Authentication ready', { methods: auth.methods });
+}
+
+// Helper function to read the authenticated user (admins may act on behalf of another user, see auth.js)
+function getRequestUserId(req) {
+  return req.auth.userId;
+}
+
+// Helper function to check the user's daily AI quota and report it in X-AI-Quota-* headers
+// Routes answer with their fallback generators when quota.allowed is false
+async function checkAiQuota(req, res) {
+  const quota = await aiQuota.check(getRequestUserId(req), req.auth.plan);
+  res.set({
+    'X-AI-Quota-Plan': quota.plan,
+    'X-AI-Quota-Reset': quota.resetAt,
+    ...(quota.limits.aiCalls !== null && { 'X-AI-Quota-Calls-Remaining': String(quota.remaining.aiCalls) }),
+    ...(quota.limits.aiTokens !== null && { 'X-AI-Quota-Tokens-Remaining': String(quota.remaining.aiTokens) })
   });
-  
-  // If history exceeds max length, summarize and reset
-  if (history.length > MAX_HISTORY_LENGTH) {
-    return summarizeAndResetHistory(userId, history);
+  if (!quota.allowed) {
+    logger.info('Daily AI quota used up', { userId: quota.userId, plan: quota.plan });
   }
-  
-  return null; // No summarization needed
+  return quota;
 }
 
-async function summarizeAndResetHistory(userId, history) {
-  try {
-    // Create summary prompt
-    const conversationText = history.map(h => 
-      `${h.isUser ? 'User' : 'AI'}: ${h.message}`
-    ).join('\n');
-    
-    const summaryPrompt = `Hãy tóm tắt cuộc trò chuyện sau đây giữa user và AI assistant về quản lý thời gian. Tóm tắt ngắn gọn các chủ đề chính, yêu cầu của user, và phản hồi của AI. Giữ lại thông tin quan trọng để AI có thể tiếp tục cuộc trò chuyện một cách tự nhiên.
+// Helper function to use client-sent tasks or load the user's stored tasks
+async function resolveTasks(userId, tasks) {
+  if (Array.isArray(tasks)) return tasks;
+  return taskRepository.list(userId);
+}
 
-Cuộc trò chuyện:
-${conversationText}
+// Helper function to read the strict flag (reject overlapping events) from body or query string
+function isStrictRequest(req) {
+  return (req.body && req.body.strict === true) || req.query.strict === 'true';
+}
 
-Tóm tắt:`;
+// Helper function to check an event against the user's other stored events
+async function findEventConflicts(userId, event) {
+  if (event.type !== 'event') return [];
+  const events = await taskRepository.list(userId, { type: 'event' });
+  return findConflicts(event, events, { excludeId: event.id });
+}
 
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-    const result = await model.generateContent(summaryPrompt);
-    const summary = await result.response.text();
-    
-    // Reset history with summary
-    chatHistory.set(userId, [{
-      message: `[TÓM TẮT CUỘC TRÒ CHUYỆN TRƯỚC] ${summary}`,
-      isUser: false,
-      timestamp: new Date().toISOString()
-    }]);
-    
-    return summary;
-  } catch (error) {
-    console.error('Error summarizing chat history:', error);
-    // If summarization fails, keep only the last 3 messages
-    const recentHistory = history.slice(-3);
-    chatHistory.set(userId, recentHistory);
-    return null;
+// Helper function to check parentId/dependsOn against the user's stored tasks (taskId: the task being updated)
+async function checkTaskLinks(userId, taskData, taskId = null) {
+  if (!taskData.parentId && !(taskData.dependsOn && taskData.dependsOn.length > 0)) return;
+  const errors = validateTaskLinks(await taskRepository.list(userId), taskData, taskId);
+  if (errors.length > 0) {
+    throw validationError(errors.map(error => ({ ...error, field: `taskData.${error.field}` })));
   }
 }
 
-function getHistoryContext(userId) {
-  const history = getOrCreateUserHistory(userId);
-  if (history.length === 0) return '';
-  
-  return `LỊCH SỬ CUỘC TRÒ CHUYỆN:
-${history.map(h => 
-  `${h.isUser ? 'User' : 'AI'}: ${h.message}`
-).join('\n')}
+// Helper function to build the 409 for overlapping events in strict mode (the body lists the conflicts)
+function conflictError(conflicts) {
+  return new ApiError(
+    'CONFLICT',
+    `Event overlaps ${conflicts.length} existing event(s): ${conflicts.map(conflict => conflict.title).join(', ')}`,
+    { extra: { conflicts } }
+  );
+}
 
----`;
+// Helper functions for chat history management
+// Returns the new summary when older turns were summarized, otherwise null
+// offline: true never calls the LLM to summarize (fallback answers, used up quota)
+async function addMessageToHistory(userId, message, isUser = true, locale = DEFAULT_LOCALE, { offline = false } = {}) {
+  return chatMemory.add(userId, message, isUser, locale, { offline });
+}
+
+// Returns { text, usage } - usage reports the estimated tokens of the summary and recent turns
+async function getHistoryContext(userId, locale = DEFAULT_LOCALE) {
+  return chatMemory.getContext(userId, locale);
 }
 
 // Middleware
@@ -101,6 +253,7 @@ const allowedOrigins = [
   process.env.FRONTEND_URL
 ].filter(Boolean); // Remove undefined values
 
+app.use(requestContext.middleware);
 app.use(cors({
   origin: function (origin, callback) {
     // Allow requests with no origin (like mobile apps or curl requests)
@@ -109,13 +262,17 @@ app.use(cors({
     if (allowedOrigins.indexOf(origin) !== -1) {
       callback(null, true);
     } else {
-      console.log('CORS blocked origin:', origin);
-      callback(new Error('Not allowed by CORS'));
+      logger.warn('CORS blocked origin', { origin });
+      callback(new ApiError('CORS_REJECTED', `Origin ${origin} is not allowed`));
     }
   },
   credentials: true
 }));
 app.use(express.json());
+app.use(requestContext.restore);
+
+// Every /api route needs credentials, /ping, /health and /metrics stay public
+app.use('/api', auth.authenticate, rateLimiter.middleware);
 
 
 app.get("/ping", (req, res) => {
@@ -131,147 +288,528 @@ app.get('/health', (req, res) => {
   res.json({ status: 'OK', message: 'AI Chatbot Backend is running' });
 });
 
-// Reset chat history endpoint
-app.post('/api/chat/reset', (req, res) => {
-  try {
-    const { userId = 'default' } = req.body;
-    
-    // Clear history for the user
-    if (chatHistory.has(userId)) {
-      chatHistory.delete(userId);
-      console.log(`🗑️ Chat history reset for user ${userId}`);
-    }
-    
-    res.json({
-      success: true,
-      message: 'Chat history reset successfully',
-      userId: userId
-    });
-  } catch (error) {
-    console.error('Error resetting chat history:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to reset chat history'
-    });
+// Prometheus metrics (request counts and latency, AI call durations, timeouts, fallbacks)
+// Set METRICS_TOKEN to require "Authorization: Bearer <token>" from the scraper
+app.get('/metrics', (req, res, next) => {
+  if (process.env.METRICS_TOKEN && req.get('authorization') !== `Bearer ${process.env.METRICS_TOKEN}`) {
+    return next(new ApiError('UNAUTHORIZED', 'Metrics token required'));
   }
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.render());
 });
 
+// Reset chat history endpoint
+app.post('/api/chat/reset', validate(schemas.chatReset), asyncRoute('Failed to reset chat history', async (req, res) => {
+  const userId = getRequestUserId(req);
+
+  // Clear history for the user
+  if (await chatHistory.reset(userId)) {
+    logger.info('Chat history reset', { userId });
+  }
+
+  res.json({
+    success: true,
+    message: 'Chat history reset successfully',
+    userId: userId
+  });
+}));
+
+// Usage endpoint: today's AI quota and the rate limit buckets of the authenticated user
+app.get('/api/usage', validate(schemas.usage), asyncRoute('Failed to read usage', async (req, res) => {
+  const quota = await aiQuota.check(getRequestUserId(req), req.auth.plan);
+
+  res.json({
+    success: true,
+    userId: quota.userId,
+    plan: quota.plan,
+    ai: {
+      date: quota.date,
+      resetAt: quota.resetAt,
+      used: quota.used,
+      limits: quota.limits,
+      remaining: quota.remaining,
+      allowed: quota.allowed
+    },
+    rateLimit: res.locals.rateLimit
+  });
+}));
+
 // Create task/event endpoint
-app.post('/api/tasks/create', (req, res) => {
+app.post('/api/tasks/create', validate(schemas.createTask), asyncRoute('Failed to create task', async (req, res) => {
+  const { taskData } = req.body;
+  const userId = getRequestUserId(req);
+  await checkTaskLinks(userId, taskData);
+
+  // Check for overlapping events (strict mode refuses to create them)
+  const conflicts = await findEventConflicts(userId, buildTaskFields(taskData));
+  if (conflicts.length > 0 && isStrictRequest(req)) {
+    throw conflictError(conflicts);
+  }
+
+  // Create and store complete task object
+  const newTask = await taskRepository.create(userId, taskData);
+
+  logger.info('Task created', {
+    taskId: newTask.id,
+    type: newTask.type,
+    title: logger.redact(newTask.title),
+    conflicts: conflicts.length > 0 ? conflicts.map(conflict => conflict.eventId) : undefined
+  });
+
+  res.json({
+    success: true,
+    task: newTask,
+    conflicts,
+    message: `${newTask.type === 'task' ? 'Task' : 'Event'} created successfully`,
+    userId: userId
+  });
+}));
+
+
+// List tasks endpoint (optional filters: type, status, category, priority)
+// Tasks come with blocked/blockedBy/progress (task-graph.js), dependencyWarnings lists the parent tasks
+// whose remaining chain of subtasks and prerequisites can't finish before their dueDate
+app.get('/api/tasks', validate(schemas.listTasks), asyncRoute('Failed to list tasks', async (req, res) => {
+  const userId = getRequestUserId(req);
+  const { type, status, category, priority } = req.query;
+  // Blocked state and progress depend on tasks the filters may leave out, so filter after annotating
+  const items = await taskRepository.list(userId);
+  const tasks = annotateTasks(items).filter(task => matchesFilters(task, { type, status, category, priority }));
+  const planOptions = await userSettings.getPlannerOptions(userId);
+
+  res.json({
+    success: true,
+    tasks,
+    count: tasks.length,
+    dependencyWarnings: findCriticalPaths(items, { options: planOptions }).filter(critical => critical.atRisk),
+    userId: userId
+  });
+}));
+
+// Export tasks/events as iCalendar (.ics) - tasks become VTODO, events VEVENT
+app.get('/api/tasks/export.ics', validate(schemas.exportCalendar), asyncRoute('Failed to export calendar', async (req, res) => {
+  const userId = getRequestUserId(req);
+  const { type } = req.query;
+  const tasks = await taskRepository.list(userId, { type });
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'attachment; filename="n-timer.ics"'
+  });
+  res.send(exportCalendar(tasks));
+}));
+
+// Import tasks/events from an iCalendar (.ics) file
+// Body: raw text/calendar (options in query string) or JSON { ics, dryRun, onDuplicate: 'skip'|'update', defaultCategory }
+// Duplicates are detected by UID (including UIDs of our own exports)
+app.post('/api/tasks/import', express.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' }), requestContext.restore, validate(schemas.importCalendar), asyncRoute('Failed to import calendar', async (req, res) => {
+  const isRawBody = typeof req.body === 'string';
+  const options = isRawBody ? req.query : { ...req.query, ...req.body };
+  const ics = isRawBody ? req.body : req.body.ics;
+  const userId = getRequestUserId(req);
+  const dryRun = options.dryRun === true || options.dryRun === 'true';
+  const onDuplicate = options.onDuplicate === 'update' ? 'update' : 'skip';
+  const defaultCategory = options.defaultCategory || 'academic';
+
+  let parsed;
   try {
-    const { taskData, userId = 'default' } = req.body;
-    
-    if (!taskData) {
-      return res.status(400).json({
-        success: false,
-        error: 'Task data is required'
-      });
+    parsed = parseCalendar(ics, { defaultCategory, locale: resolveLocale(req) });
+  } catch (parseError) {
+    throw validationError([{ field: isRawBody ? 'body' : 'ics', message: `Invalid iCalendar file: ${parseError.message}` }]);
+  }
+
+  const existingTasks = await taskRepository.list(userId);
+  const existingByUid = new Map(existingTasks.map(task => [taskUid(task), task]));
+
+  const result = { created: [], updated: [], duplicates: [], invalid: [], errors: parsed.errors };
+
+  for (const { uid, taskData } of parsed.items) {
+    const errors = validateTaskData(taskData);
+    if (errors.length > 0) {
+      result.invalid.push({ uid, title: taskData.title, errors });
+      continue;
     }
-    
-    // Validate required fields
-    const requiredFields = ['title', 'category', 'type'];
-    const missingFields = requiredFields.filter(field => !taskData[field]);
-    
-    if (missingFields.length > 0) {
-      return res.status(400).json({
-        success: false,
-        error: `Missing required fields: ${missingFields.join(', ')}`
-      });
+
+    const existing = uid ? existingByUid.get(uid) : null;
+    if (existing && onDuplicate === 'skip') {
+      result.duplicates.push({ uid, title: taskData.title, existingId: existing.id });
+      continue;
     }
-    
-    // Generate unique ID
-    const taskId = `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Create complete task object
-    const newTask = {
-      id: taskId,
-      title: taskData.title,
-      description: taskData.description || '',
-      category: taskData.category,
-      type: taskData.type,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      tags: taskData.tags || [],
-      procrastinationScore: taskData.procrastinationScore || 1,
-      
-      // Task-specific fields
-      ...(taskData.type === 'task' && {
-        priority: taskData.priority || 'medium',
-        dueDate: taskData.dueDate,
-        estimatedDuration: taskData.estimatedDuration || 60,
-        actualDuration: taskData.actualDuration || null,
-        status: taskData.status || 'pending'
-      }),
-      
-      // Event-specific fields
-      ...(taskData.type === 'event' && {
-        startTime: taskData.startTime,
-        endTime: taskData.endTime,
-        location: taskData.location || '',
-        isRecurring: taskData.isRecurring || false,
-        recurrencePattern: taskData.recurrencePattern || null,
-        recurrenceEndDate: taskData.recurrenceEndDate || null
-      })
-    };
-    
-    console.log(`✅ Task created successfully: ${newTask.title} (${newTask.type})`);
-    
-    res.json({
-      success: true,
-      task: newTask,
-      message: `${newTask.type === 'task' ? 'Task' : 'Event'} created successfully`,
-      userId: userId
-    });
-    
-  } catch (error) {
-    console.error('Error creating task:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to create task'
-    });
+
+    if (existing) {
+      // iCalendar has no subtasks or prerequisites, keep the links the task already has (events can't have any)
+      const data = { ...taskData, icalUid: existing.icalUid || taskData.icalUid };
+      if (data.type === 'task') {
+        data.parentId = existing.parentId || null;
+        data.dependsOn = existing.dependsOn || [];
+      }
+      result.updated.push(dryRun ? { id: existing.id, ...data } : await taskRepository.replace(userId, existing.id, data));
+    } else {
+      result.created.push(dryRun ? taskData : await taskRepository.create(userId, taskData));
+    }
+  }
+
+  logger.info('Calendar imported', {
+    dryRun,
+    created: result.created.length,
+    updated: result.updated.length,
+    duplicates: result.duplicates.length,
+    invalid: result.invalid.length
+  });
+
+  res.json({
+    success: true,
+    dryRun,
+    ...result,
+    userId: userId
+  });
+}));
+
+// Get single task endpoint
+app.get('/api/tasks/:id', validate(schemas.getTask), asyncRoute('Failed to get task', async (req, res) => {
+  const userId = getRequestUserId(req);
+  const items = await taskRepository.list(userId);
+  const task = annotateTasks(items).find(item => item.id === req.params.id);
+
+  if (!task) {
+    throw notFoundError('Task not found');
+  }
+
+  res.json({
+    success: true,
+    task,
+    userId: userId
+  });
+}));
+
+// Replace task endpoint (full task data)
+app.put('/api/tasks/:id', validate(schemas.replaceTask), asyncRoute('Failed to update task', async (req, res) => {
+  const userId = getRequestUserId(req);
+  const { taskData } = req.body;
+
+  const existing = await taskRepository.get(userId, req.params.id);
+  if (!existing) {
+    throw notFoundError('Task not found');
+  }
+  await checkTaskLinks(userId, taskData, existing.id);
+
+  const conflicts = await findEventConflicts(userId, { ...buildTaskFields(taskData), id: existing.id });
+  if (conflicts.length > 0 && isStrictRequest(req)) {
+    throw conflictError(conflicts);
+  }
+
+  const task = await taskRepository.replace(userId, req.params.id, taskData);
+  logger.info('Task replaced', { taskId: task.id, type: task.type, title: logger.redact(task.title) });
+
+  res.json({
+    success: true,
+    task,
+    conflicts,
+    message: `${task.type === 'task' ? 'Task' : 'Event'} updated successfully`,
+    userId: userId
+  });
+}));
+
+// Update task endpoint (only the given fields)
+app.patch('/api/tasks/:id', validate(schemas.updateTask), asyncRoute('Failed to update task', async (req, res) => {
+  const userId = getRequestUserId(req);
+  const { taskData } = req.body;
+
+  const existing = await taskRepository.get(userId, req.params.id);
+  if (!existing) {
+    throw notFoundError('Task not found');
+  }
+
+  // The schema checks the fields on their own, these checks need the stored task (type, merged start/end)
+  const errors = validateTaskChanges(existing, taskData);
+  if (errors.length > 0) {
+    throw validationError(errors.map(error => ({ ...error, field: error.field ? `taskData.${error.field}` : 'taskData' })));
+  }
+  await checkTaskLinks(userId, { ...existing, ...taskData }, existing.id);
+
+  const conflicts = await findEventConflicts(userId, normalizeTaskDates({ ...existing, ...taskData }));
+  if (conflicts.length > 0 && isStrictRequest(req)) {
+    throw conflictError(conflicts);
+  }
+
+  const task = await taskRepository.update(userId, req.params.id, taskData);
+  logger.info('Task updated', { taskId: task.id, type: task.type, fields: Object.keys(taskData) });
+
+  res.json({
+    success: true,
+    task,
+    conflicts,
+    message: `${task.type === 'task' ? 'Task' : 'Event'} updated successfully`,
+    userId: userId
+  });
+}));
+
+// Delete task endpoint
+app.delete('/api/tasks/:id', validate(schemas.deleteTask), asyncRoute('Failed to delete task', async (req, res) => {
+  const userId = getRequestUserId(req);
+  const deleted = await taskRepository.remove(userId, req.params.id);
+
+  if (!deleted) {
+    throw notFoundError('Task not found');
+  }
+
+  logger.info('Task deleted', { taskId: req.params.id });
+
+  res.json({
+    success: true,
+    taskId: req.params.id,
+    message: 'Task deleted successfully',
+    userId: userId
+  });
+}));
+
+// Calendar endpoint - expanded event occurrences between from and to (default: next 7 days)
+app.get('/api/calendar', validate(schemas.calendar), asyncRoute('Failed to build calendar', async (req, res) => {
+  const userId = getRequestUserId(req);
+  const from = req.query.from ? new Date(req.query.from) : new Date();
+  const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+  const events = await taskRepository.list(userId, { type: 'event' });
+  const occurrences = expandEvents(events, from, to);
+
+  res.json({
+    success: true,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    occurrences,
+    count: occurrences.length,
+    userId: userId
+  });
+}));
+
+// Planner settings endpoints: the planner options used for every plan of the user (see user-settings.js)
+app.get('/api/settings/planner', validate(schemas.plannerSettings), asyncRoute('Failed to read planner settings', async (req, res) => {
+  const userId = getRequestUserId(req);
+  const settings = await userSettings.get(userId);
+
+  res.json({
+    success: true,
+    planner: settings.planner,
+    defaults: DEFAULT_PLAN_OPTIONS,
+    updatedAt: settings.updatedAt,
+    userId: userId
+  });
+}));
+
+app.put('/api/settings/planner', validate(schemas.updatePlannerSettings), asyncRoute('Failed to save planner settings', async (req, res) => {
+  const userId = getRequestUserId(req);
+  const settings = await userSettings.savePlannerOptions(userId, req.body.planner);
+
+  logger.info('Planner settings saved', { userId, options: Object.keys(settings.planner) });
+
+  res.json({
+    success: true,
+    planner: settings.planner,
+    defaults: DEFAULT_PLAN_OPTIONS,
+    updatedAt: settings.updatedAt,
+    userId: userId
+  });
+}));
+
+// Auto-schedule endpoint: time-blocks pending tasks into free slots
+// Body: { tasks? (tasks + events, defaults to stored ones), from?, options? } - options see scheduler.js,
+// they override the user's planner settings for this request only
+app.post('/api/schedule/plan', validate(schemas.schedulePlan), asyncRoute('Failed to plan schedule', async (req, res) => {
+  const userId = getRequestUserId(req);
+  const { from } = req.body;
+  const options = { ...(await userSettings.getPlannerOptions(userId)), ...req.body.options };
+
+  const start = from ? new Date(from) : new Date();
+  const tasks = await resolveTasks(userId, req.body.tasks);
+  const plan = planSchedule(tasks, { from: start, options });
+
+  logger.info('Schedule planned', { userId, blocks: plan.blocks.length, unscheduled: plan.unscheduled.length });
+
+  res.json({
+    success: true,
+    ...plan,
+    userId: userId
+  });
+}));
+
+// TODO list endpoint - the user's open tasks in the TODO_TEMPLATE buckets (see todo-list.js)
+// ?view=priority|schedule|productivity (default priority), ?format=json|text|markdown (default json)
+app.get('/api/todo', validate(schemas.todo), asyncRoute('Failed to build TODO list', async (req, res) => {
+  const userId = getRequestUserId(req);
+  const locale = resolveLocale(req);
+  const { view = 'priority', format = 'json' } = req.query;
+
+  const tasks = await taskRepository.list(userId);
+  const list = buildTodoList(tasks, { view, locale });
+
+  if (format === 'json') {
+    return res.json({ success: true, todo: renderTodoList(list, 'json'), userId: userId });
   }
+  res.type(format === 'markdown' ? 'text/markdown; charset=utf-8' : 'text/plain; charset=utf-8');
+  res.send(renderTodoList(list, format));
+}));
+
+// Plan templates endpoints - list, preview the steps, apply to a deadline
+app.get('/api/templates', validate(schemas.listPlanTemplates), (req, res) => {
+  res.json({
+    success: true,
+    templates: planTemplates.list()
+  });
 });
 
+app.get('/api/templates/:name', validate(schemas.getPlanTemplate), (req, res, next) => {
+  const template = planTemplates.get(req.params.name);
+  if (!template) {
+    return next(notFoundError('Template not found'));
+  }
 
-// AI Recommendations endpoint
-app.post('/api/analytics/recommendations', async (req, res) => {
-  try {
-    const { tasks, taskStats, timeAccuracy, language = 'vi' } = req.body;
+  res.json({
+    success: true,
+    template
+  });
+});
 
-    if (!tasks || !taskStats) {
-      return res.status(400).json({ error: 'Tasks and taskStats are required' });
-    }
+// Turns the steps into tasks scheduled backward from the deadline into free slots between the user's events
+// dryRun=true returns the planned tasks without storing them
+app.post('/api/templates/:name/apply', validate(schemas.applyPlanTemplate), asyncRoute('Failed to apply template', async (req, res) => {
+  const template = planTemplates.get(req.params.name);
+  if (!template) {
+    throw notFoundError('Template not found');
+  }
+
+  const userId = getRequestUserId(req);
+  const locale = resolveLocale(req);
+  const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+  const deadline = toUtcIso(req.body.deadline);
+
+  const items = await taskRepository.list(userId);
+  const options = { ...(await userSettings.getPlannerOptions(userId)), ...req.body.options };
+  const plan = planBackward(items, template.steps, { deadline, options });
+  const taskDataList = buildTemplateTasks(template, plan, { title: req.body.title, category: req.body.category, locale });
+
+  // Every step waits for the previous one (dependsOn), so later steps show as blocked until it is done
+  // The preview gives its steps provisional ids ("preview_1", ...) so it shows the same chain
+  const tasks = [];
+  for (const [index, taskData] of taskDataList.entries()) {
+    const previous = tasks[tasks.length - 1];
+    const stepData = previous ? { ...taskData, dependsOn: [previous.id] } : taskData;
+    tasks.push(dryRun
+      ? { id: `preview_${index + 1}`, ...buildTaskFields(stepData) }
+      : await taskRepository.create(userId, stepData));
+  }
 
-    // Extract heatmap data from taskStats if available
-    const heatmapData = taskStats.heatmapData || null;
-    const heatmapAnalysis = taskStats.heatmapAnalysis || null;
-    const weeklyEventTime = taskStats.weeklyEventTime || 0;
+  logger.info('Plan template applied', {
+    template: template.name,
+    dryRun,
+    scheduled: plan.blocks.length,
+    unscheduled: plan.unscheduled.length
+  });
+
+  res.json({
+    success: true,
+    dryRun,
+    template: { name: template.name, title: template.title, source: template.source },
+    deadline,
+    tasks,
+    blocks: plan.blocks,
+    unscheduled: plan.unscheduled,
+    advice: template.advice,
+    userId: userId
+  });
+}));
+
+// Stats endpoint - task statistics and estimate-vs-actual accuracy, calculated from the stored tasks
+app.get('/api/analytics/stats', validate(schemas.analyticsStats), asyncRoute('Failed to calculate stats', async (req, res) => {
+  const userId = getRequestUserId(req);
+  const tasks = await taskRepository.list(userId);
+  const stats = calculateTaskStats(tasks);
+
+  res.json({
+    success: true,
+    stats,
+    userId: userId
+  });
+}));
+
+// Heatmap endpoint - busy/free grid and analysis (default: current month, Vietnam time)
+app.get('/api/analytics/heatmap', validate(schemas.heatmap), asyncRoute('Failed to build heatmap', async (req, res) => {
+  const userId = getRequestUserId(req);
+  const { from, to } = req.query;
+
+  const tasks = await taskRepository.list(userId);
+  const heatmap = buildHeatmap(tasks, { from, to });
+
+  res.json({
+    success: true,
+    ...heatmap,
+    weeklyEventTime: calculateWeeklyEventMinutes(tasks),
+    userId: userId
+  });
+}));
+
+// AI Recommendations endpoint
+app.post('/api/analytics/recommendations', validate(schemas.recommendations), async (req, res) => {
+  // Declared here so the error fallback below can use the stored tasks too
+  let tasks = Array.isArray(req.body.tasks) ? req.body.tasks : [];
+  try {
+    // taskStats/timeAccuracy from older clients are ignored, the numbers are calculated from the tasks
+    // Language comes from body.language, ?lang= or Accept-Language (see i18n.js)
+    const language = resolveLocale(req);
+    const format = getRecommendationFormat(req);
 
+    // Load stored tasks when the client doesn't send them
+    const userId = getRequestUserId(req);
+    tasks = await resolveTasks(userId, req.body.tasks);
 
-    // Get the generative model
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+    // Heatmap is built on the server (client-sent taskStats.heatmapData is ignored)
+    const { heatmapData, heatmapAnalysis } = buildHeatmap(tasks);
 
     // Create analytics context with heatmap data
-    const analyticsContext = createAnalyticsContext(tasks, taskStats, timeAccuracy, {
+    const analyticsContext = createAnalyticsContext(tasks, {
       heatmapData,
-      heatmapAnalysis,
-      weeklyEventTime
+      heatmapAnalysis
     });
-    
-      
-    
-    // Check if we should force fallback (only when explicitly enabled)
-    if (FORCE_FALLBACK) {
-      const reason = 'FORCE_FALLBACK mode enabled';
-      console.log(`🔧 Using FALLBACK recommendations - Reason: ${reason}`);
+
+    // Same context, language and prompt version -> same answer, served from the cache (refresh=true skips the lookup)
+    const promptVersion = promptTemplates.select('recommendations', userId);
+    const cacheInput = { context: analyticsContext, language, promptVersion: `${promptVersion.name}@${promptVersion.version}` };
+    const refresh = req.body.refresh === true || req.query.refresh === 'true';
+    if (refresh) {
+      recommendationsCache.bypass();
+    } else {
+      const cached = await recommendationsCache.get(userId, cacheInput);
+      if (cached) {
+        logger.info('Recommendations served from cache', { userId });
+        return res.json({
+          success: true,
+          recommendations: formatRecommendations(cached.recommendations, format, language),
+          format,
+          language,
+          cached: true,
+          cachedAt: cached.cachedAt,
+          prompt: promptVersion,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    // Check if we should force fallback (explicitly enabled, or the daily AI quota is used up)
+    const quota = await checkAiQuota(req, res);
+    if (FORCE_FALLBACK || !quota.allowed) {
+      const reason = FORCE_FALLBACK ? 'FORCE_FALLBACK mode enabled' : 'daily AI quota exceeded';
+      recordFallback('recommendations', FORCE_FALLBACK ? 'force_fallback' : 'quota_exceeded');
       
-      const fallbackRecommendations = generateFallbackRecommendations(tasks, taskStats, timeAccuracy, language);
+      const fallbackRecommendations = generateFallbackRecommendations(tasks, language);
       
       res.json({
         success: true,
-        recommendations: fallbackRecommendations,
+        recommendations: formatRecommendations(fallbackRecommendations, format, language),
+        format,
+        language,
+        cached: false,
         timestamp: new Date().toISOString(),
         note: `Using fallback recommendations due to: ${reason}`,
+        ...(!quota.allowed && { quotaExceeded: true }),
         debug: {
           forceFallback: FORCE_FALLBACK,
           totalTasks: analyticsContext.totalTasks
@@ -281,96 +819,190 @@ app.post('/api/analytics/recommendations', async (req, res) => {
     }
     
     // Create prompt for recommendations
-    const prompt = createRecommendationsPrompt(analyticsContext, language);
-    console.log(`🤖 Using AI API for recommendations`);
+    const prompt = createRecommendationsPrompt(analyticsContext, language, promptVersion.version);
+    logger.info('Calling AI for recommendations', { provider: llm.name, prompt: promptVersion, promptLength: prompt.length });
 
     try {
       // Generate response with timeout
-      const result = await Promise.race([
-        model.generateContent(prompt),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('AI API timeout after 30 seconds')), 30000)
-        )
-      ]);
-    const response = await result.response;
-    const aiResponse = response.text();
-
-    // Parse the response into structured recommendations
-    const recommendations = parseRecommendations(aiResponse, language);
+      const aiResponse = await generateWithTimeout('recommendations', prompt, { json: true });
+
+    await recordAiUsage(userId, prompt, aiResponse);
+
+    // Parse the response into structured recommendations (the cache always keeps the structured ones)
+    // The offline fallback for an unusable answer is not cached, the next request asks the AI again
+    const { recommendations, fallback } = parseRecommendations(aiResponse, language, tasks);
+    if (!fallback) {
+      await recommendationsCache.set(userId, cacheInput, { recommendations });
+    }
 
     res.json({
       success: true,
-      recommendations,
-      timestamp: new Date().toISOString()
+      recommendations: formatRecommendations(recommendations, format, language),
+      format,
+      language,
+      cached: false,
+      prompt: promptVersion,
+      timestamp: new Date().toISOString(),
+      ...(fallback && { note: 'Using fallback recommendations due to an invalid AI response' })
     });
     } catch (aiError) {
-      console.log(`🔧 AI API failed, using FALLBACK recommendations - Error: ${aiError.message}`);
+      recordFallback('recommendations', fallbackReasonOf(aiError), { error: aiError.message });
       
       // Fallback recommendations if AI fails
-      const fallbackRecommendations = generateFallbackRecommendations(tasks, taskStats, timeAccuracy, language);
+      const fallbackRecommendations = generateFallbackRecommendations(tasks, language);
       
       res.json({
         success: true,
-        recommendations: fallbackRecommendations,
+        recommendations: formatRecommendations(fallbackRecommendations, format, language),
+        format,
+        language,
+        cached: false,
         timestamp: new Date().toISOString(),
         note: 'Using fallback recommendations due to AI API error'
       });
     }
 
   } catch (error) {
-    
+    recordFallback('recommendations', 'internal_error', { error });
+
     // Fallback recommendations
-    const fallbackRecommendations = generateFallbackRecommendations(req.body.tasks, req.body.taskStats, req.body.timeAccuracy, req.body.language);
+    const language = resolveLocale(req);
+    const format = getRecommendationFormat(req);
+    const fallbackRecommendations = generateFallbackRecommendations(tasks, language);
     
     res.json({
       success: true,
-      recommendations: fallbackRecommendations,
+      recommendations: formatRecommendations(fallbackRecommendations, format, language),
+      format,
+      language,
+      cached: false,
       timestamp: new Date().toISOString(),
       note: 'Using fallback recommendations due to API error'
     });
   }
 });
 
+// Recommendations cache stats (per process, since the last restart)
+app.get('/api/analytics/recommendations/cache', validate(schemas.recommendationsCache), (req, res) => {
+  res.json({
+    success: true,
+    cache: recommendationsCache.stats()
+  });
+});
+
+// Prompt templates, their versions and the version the user is assigned to (admins only)
+app.get('/api/prompts', validate(schemas.listPrompts), auth.requireAdmin, (req, res) => {
+  const userId = getRequestUserId(req);
+  res.json({
+    success: true,
+    prompts: promptTemplates.list().map(prompt => ({ ...prompt, assigned: promptTemplates.select(prompt.name, userId) })),
+    userId
+  });
+});
+
+// Render a prompt with the user's stored tasks and chat history, to see exactly what the model gets (admins only)
+// ?version= (default: the user's assigned version), ?lang=, ?message= (chat only, the question to put in the prompt)
+app.get('/api/prompts/:name/render', validate(schemas.renderPrompt), auth.requireAdmin, asyncRoute('Failed to render prompt', async (req, res) => {
+  const { name } = req.params;
+  if (!promptTemplates.has(name)) {
+    throw notFoundError(`Prompt ${name} not found`);
+  }
+
+  const userId = getRequestUserId(req);
+  const locale = resolveLocale(req);
+  const selected = promptTemplates.select(name, userId);
+  const version = req.query.version || selected.version;
+  const { versions } = promptTemplates.list().find(prompt => prompt.name === name);
+  if (!versions.includes(version)) {
+    throw validationError([{ field: 'version', message: `version must be one of: ${versions.join(', ')}` }]);
+  }
+
+  const tasks = await taskRepository.list(userId);
+  const planOptions = await userSettings.getPlannerOptions(userId);
+  const heatmapInfo = buildHeatmap(tasks);
+  let variables;
+  if (name === 'chat') {
+    const message = req.query.message || '';
+    const intentName = classifyIntent(message).name;
+    const schedulePlan = intentName === 'plan' ? planSchedule(tasks, { options: planOptions }) : null;
+    const todoList = intentName === 'priority' ? buildTodoList(tasks, { locale }) : null;
+    const { text: historyContext } = await getHistoryContext(userId, locale);
+    variables = chatPromptVariables(message, createTasksContext(tasks, heatmapInfo, planOptions), historyContext, schedulePlan, todoList, locale);
+  } else {
+    variables = recommendationsPromptVariables(createAnalyticsContext(tasks, heatmapInfo), locale);
+  }
+
+  const rendered = promptTemplates.render(name, { version, locale, variables });
+  res.json({
+    success: true,
+    prompt: { name, version, assignment: req.query.version ? 'requested' : selected.assignment },
+    language: locale,
+    variables: rendered.variables,
+    missingVariables: rendered.missingVariables,
+    length: rendered.text.length,
+    text: rendered.text,
+    userId
+  });
+}));
+
 // AI Chat endpoint
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', validate(schemas.chat), async (req, res) => {
+  // Declared here so the error fallback below can use the stored tasks and planner settings too
+  let tasks = Array.isArray(req.body.tasks) ? req.body.tasks : [];
+  let planOptions = {};
   try {
-    const { message, tasks, taskStats, userId = 'default' } = req.body;
+    const { message } = req.body;
+    const userId = getRequestUserId(req);
+    const locale = resolveLocale(req);
 
-    if (!message) {
-      return res.status(400).json({ error: 'Message is required' });
-    }
+    // Offline intent detection (routes the fallback answer and decides whether to run the scheduler)
+    const intent = classifyIntent(message);
+
+    // Load stored tasks when the client doesn't send them
+    tasks = await resolveTasks(userId, req.body.tasks);
+    planOptions = await userSettings.getPlannerOptions(userId);
+
+    // Check FORCE_FALLBACK and the daily AI quota first: saving the message may summarize the history with the LLM
+    const quota = await checkAiQuota(req, res);
+    const offline = FORCE_FALLBACK || !quota.allowed;
 
     // Add user message to history
-    const summaryResult = addMessageToHistory(userId, message, true);
+    const summaryResult = await addMessageToHistory(userId, message, true, locale, { offline });
     
     // If history was summarized, log it
     if (summaryResult) {
-      console.log(`📝 Chat history summarized for user ${userId}:`, summaryResult.substring(0, 100) + '...');
+      logger.info('Chat history summarized', { userId, summary: logger.redact(summaryResult) });
     }
 
-    // Extract heatmap data from taskStats if available
-    const heatmapData = taskStats?.heatmapData || null;
-    const heatmapAnalysis = taskStats?.heatmapAnalysis || null;
-
-    // Get the generative model
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+    // Heatmap is built on the server (client-sent taskStats.heatmapData is ignored)
+    const { heatmapData, heatmapAnalysis } = buildHeatmap(tasks || []);
 
     // Create context from tasks with heatmap data
-    const tasksContext = createTasksContext(tasks || [], { heatmapData, heatmapAnalysis });
+    const tasksContext = createTasksContext(tasks || [], { heatmapData, heatmapAnalysis }, planOptions);
+
+    // Priority questions get the server-rendered TODO list (the AI is asked to present it as is)
+    const todoList = intent.name === 'priority' ? buildTodoList(tasks || [], { locale }) : null;
     
     
-    // Force fallback for chat as well if enabled
-    if (FORCE_FALLBACK) {
-      const fallbackResponse = generateFallbackResponse(message, tasks || []);
+    // Force fallback for chat as well if enabled, or when the daily AI quota is used up
+    if (offline) {
+      recordFallback('chat', FORCE_FALLBACK ? 'force_fallback' : 'quota_exceeded');
+      const fallback = generateFallbackReply(message, tasks || [], locale, intent, planOptions);
       
       // Add fallback response to history
-      addMessageToHistory(userId, fallbackResponse, false);
+      await addMessageToHistory(userId, fallback.response, false, locale, { offline });
       
       res.json({
         success: true,
-        response: fallbackResponse,
+        response: fallback.response,
+        actions: annotateActionConflicts(fallback.actions, tasks || []),
+        rejectedActions: fallback.rejectedActions,
+        intent: { name: intent.name, confidence: intent.confidence },
+        ...(todoList && { todo: renderTodoList(todoList, 'json') }),
+        language: locale,
         timestamp: new Date().toISOString(),
-        note: 'Using fallback response due to FORCE_FALLBACK mode',
+        note: FORCE_FALLBACK ? 'Using fallback response due to FORCE_FALLBACK mode' : 'Using fallback response because the daily AI quota is used up',
+        ...(!quota.allowed && { quotaExceeded: true }),
         debug: {
           forceFallback: FORCE_FALLBACK,
           totalTasks: tasksContext.totalTasks
@@ -379,516 +1011,387 @@ app.post('/api/chat', async (req, res) => {
       return;
     }
     
-    // Get history context
-    const historyContext = getHistoryContext(userId);
+    // Get history context (summary + recent turns within the memory budget)
+    const { text: historyContext, usage: memoryUsage } = await getHistoryContext(userId, locale);
     
-    // Create prompt for Gemini with history
-    const prompt = createPrompt(message, tasksContext, historyContext);
+    // Planning questions get a concrete plan from the scheduler instead of letting the model guess
+    const schedulePlan = intent.name === 'plan' ? planSchedule(tasks || [], { options: planOptions }) : null;
     
-    // Log prompt for debugging
-    console.log('📝 AI Prompt Debug:');
-    console.log('User Message:', message);
-    console.log('Tasks Context Summary:');
-    console.log('- Total Tasks:', tasksContext.totalTasks);
-    console.log('- Total Events:', tasksContext.totalEvents || 0);
-    console.log('- Completed Tasks:', tasksContext.completedTasks);
-    console.log('- Has Heatmap:', !!tasksContext.heatmapData);
-    console.log('- Full Context:', JSON.stringify(tasksContext, null, 2));
-    console.log('History Context Length:', historyContext.length);
-    console.log('Prompt Length:', prompt.length);
-    console.log('Contains JSON examples:', prompt.includes('create_task'));
-    console.log('Contains system prompt:', prompt.includes('Bạn là AI assistant'));
+    // Create prompt for Gemini with history (the version the user is assigned to)
+    const promptVersion = promptTemplates.select('chat', userId);
+    const prompt = createPrompt(message, tasksContext, historyContext, schedulePlan, todoList, locale, promptVersion.version);
     
-    console.log(`🤖 Using AI API for chat response`);
+    // Prompt details are only logged at debug level, they contain the student's message and tasks
+    logger.info('Calling AI for chat', {
+      provider: llm.name,
+      intent: intent.name,
+      language: locale,
+      prompt: promptVersion,
+      promptLength: prompt.length,
+      totalTasks: tasksContext.totalTasks,
+      totalEvents: tasksContext.totalEvents || 0,
+      memory: memoryUsage
+    });
+    logger.debug('AI chat prompt', { message, tasksContext, prompt });
 
     // Generate response with timeout
-    const result = await Promise.race([
-      model.generateContent(prompt),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('AI API timeout after 30 seconds')), 30000)
-      )
-    ]);
-    const response = await result.response;
-    const aiResponse = response.text();
-
-    // Log AI response format for debugging
-    console.log('🤖 AI Response Format Debug:');
-    console.log('Raw AI Response:', aiResponse);
-    console.log('Response Length:', aiResponse.length);
-    console.log('Contains JSON:', aiResponse.includes('```json'));
-    console.log('Contains create_task:', aiResponse.includes('create_task'));
-    console.log('Contains action:', aiResponse.includes('"action"'));
-    
-    // Try to extract JSON if present
-    const jsonMatch = aiResponse.match(/```json\s*([\s\S]*?)\s*```/);
-    if (jsonMatch) {
-      try {
-        const jsonData = JSON.parse(jsonMatch[1]);
-        console.log('📋 Extracted JSON Data:', JSON.stringify(jsonData, null, 2));
-        console.log('JSON Action:', jsonData.action);
-        if (jsonData.taskData) {
-          console.log('Task Type:', jsonData.taskData.type);
-          console.log('Task Title:', jsonData.taskData.title);
-        }
-      } catch (e) {
-        console.log('❌ Failed to parse JSON:', e.message);
-      }
-    } else {
-      console.log('ℹ️ No JSON found in response');
-    }
+    const aiResponse = await generateWithTimeout('chat', prompt);
+
+    await recordAiUsage(userId, prompt, aiResponse);
+
+    logger.debug('AI chat response', { response: aiResponse });
+
+    // Extract and validate action blocks (create/update/delete)
+    const { response: cleanedResponse, actions: parsedActions, rejectedActions } = extractActions(aiResponse);
+    logger.info('AI chat response parsed', {
+      responseLength: aiResponse.length,
+      actions: parsedActions.length,
+      rejectedActions: rejectedActions.map(rejected => ({ action: rejected.action, reasons: rejected.reasons }))
+    });
+
+    // Flag events that would overlap existing events (or each other) before the client creates them
+    const actions = annotateActionConflicts(parsedActions, tasks || []);
 
     // Add AI response to history
-    addMessageToHistory(userId, aiResponse, false);
+    await addMessageToHistory(userId, aiResponse, false, locale);
 
     res.json({
       success: true,
-      response: aiResponse,
+      response: cleanedResponse,
+      actions,
+      rejectedActions,
+      ...(schedulePlan && { plan: schedulePlan }),
+      ...(todoList && { todo: renderTodoList(todoList, 'json') }),
+      intent: { name: intent.name, confidence: intent.confidence },
+      memory: memoryUsage,
+      language: locale,
+      prompt: promptVersion,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.log(`🔧 Using FALLBACK chat response - API Error: ${error.message}`);
+    recordFallback('chat', fallbackReasonOf(error), { error: error.message });
     
     // Fallback response if Gemini API fails
-    const fallbackResponse = generateFallbackResponse(req.body.message, req.body.tasks);
+    const locale = resolveLocale(req);
+    const intent = classifyIntent(req.body.message);
+    const fallback = generateFallbackReply(req.body.message, tasks, locale, intent, planOptions);
     
     // Add fallback response to history
-    addMessageToHistory(req.body.userId || 'default', fallbackResponse, false);
+    addMessageToHistory(getRequestUserId(req), fallback.response, false, locale, { offline: true }).catch(historyError => {
+      logger.error('Saving chat history failed', { error: historyError });
+    });
     
     res.json({
       success: true,
-      response: fallbackResponse,
+      response: fallback.response,
+      actions: annotateActionConflicts(fallback.actions, tasks),
+      rejectedActions: fallback.rejectedActions,
+      intent: { name: intent.name, confidence: intent.confidence },
+      language: locale,
       timestamp: new Date().toISOString(),
       note: 'Using fallback response due to API error'
     });
   }
 });
 
-// Helper function to create analytics context
-function createAnalyticsContext(tasks, taskStats, timeAccuracy, heatmapInfo = null) {
-  // Separate events and tasks
-  const events = tasks.filter(item => item.type === 'event');
-  const taskItems = tasks.filter(item => item.type === 'task' || !item.type);
-  
-  const totalEvents = events.length;
-  const totalTasks = taskItems.length;
-  const totalItems = totalEvents + totalTasks;
-  
-  const completedTasks = taskStats.completedTasks || 0;
-  const overdueTasks = taskStats.overdueTasks || 0;
-  const productivityScore = taskStats.productivityScore || 0;
-  const averageCompletionTime = taskStats.averageCompletionTime || 0;
-  const timeEstimationAccuracy = timeAccuracy?.accuracy || 0;
-  const averageOverrun = timeAccuracy?.averageOverrun || 0;
-
-  // Heatmap data
-  const heatmapData = heatmapInfo?.heatmapData || null;
-  const heatmapAnalysis = heatmapInfo?.heatmapAnalysis || null;
-  const weeklyEventTime = heatmapInfo?.weeklyEventTime || 0;
-
-  // Category breakdown - combine events and tasks
-  const allItems = [...events, ...taskItems];
-  const categories = ['academic', 'work', 'personal', 'health', 'social'];
-  const categoryStats = categories.map(category => {
-    const categoryItems = allItems.filter(item => item.category === category);
-    const total = categoryItems.length;
-    return `${category},${total}`;
-  });
-  
-  // Priority breakdown - only for tasks (events don't have priority)
-  const priorities = ['urgent', 'high', 'medium', 'low'];
-  const priorityStats = priorities.map(priority => {
-    const priorityTasks = taskItems.filter(task => task.priority === priority);
-    const completed = priorityTasks.filter(task => task.status === 'completed').length;
-    const total = priorityTasks.length;
-    const completionRate = total > 0 ? (completed / total) * 100 : 0;
-    
-    // Get deadlines for this priority
-    const deadlines = priorityTasks
-      .filter(task => task.dueDate && task.dueDate !== null && task.dueDate !== undefined)
-      .map(task => {
-        const dueDate = new Date(task.dueDate);
-        const day = dueDate.getDate();
-        const month = dueDate.getMonth() + 1;
-        const year = dueDate.getFullYear();
-        const hours = dueDate.getHours().toString().padStart(2, '0');
-        const minutes = dueDate.getMinutes().toString().padStart(2, '0');
-        const seconds = dueDate.getSeconds().toString().padStart(2, '0');
-        const milliseconds = dueDate.getMilliseconds();
-        return `${hours}:${minutes}:${seconds}.${milliseconds}:${day}.${month}:${year}`;
-      });
-    
-    const deadlineString = deadlines.length > 0 ? deadlines.join(',') : '';
-    return `${priority},${total},${completed},${Math.round(completionRate)},${deadlineString}`;
-  });
+// Helper function to write one Server-Sent Event
+function sendSseEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
 
-  // Use weeklyEventTime from heatmapInfo parameter (calculated in frontend)
+// Helper function to split fallback text into word-sized SSE tokens
+function splitIntoTokens(text) {
+  return text.match(/\S+\s*|\s+/g) || [];
+}
 
-  return {
-    totalEvents,
-    totalTasks,
-    totalItems,
-    completedTasks,
-    overdueTasks,
-    productivityScore,
-    averageCompletionTime,
-    timeEstimationAccuracy,
-    averageOverrun,
-    categoryStats,
-    priorityStats,
-    weeklyEventTime,
-    completionRate: totalTasks > 0 ? (completedTasks / totalTasks) * 100 : 0,
-    events: events, // Add events to context
-    tasks: taskItems, // Add tasks to context for deadline checking
-    // Heatmap data
-    heatmapData,
-    heatmapAnalysis
-  };
+// Helper function to wait for the next stream chunk with an idle timeout
+function nextChunkWithTimeout(iterator, timeoutMs) {
+  let timer;
+  return Promise.race([
+    iterator.next(),
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(aiTimeoutError(timeoutMs)), timeoutMs);
+    })
+  ]).finally(() => clearTimeout(timer));
 }
 
-// Helper function to create recommendations prompt
-function createRecommendationsPrompt(context, language) {
-  const isVietnamese = language === 'vi';
-  
-    if (isVietnamese) {
-      return `Bạn là AI Assistant chuyên về phân tích và đưa ra khuyến nghị quản lý thời gian cho sinh viên đại học Việt Nam.
-
-BỐI CẢNH QUAN TRỌNG:
-- Đây là dành cho HỌC SINH/SINH VIÊN, không phải người đi làm
-- Tránh khuyến nghị giờ học/làm việc không phù hợp với học sinh (ví dụ: giờ khuya như 11PM-2AM, giờ sáng sớm như 4AM-6AM)
-- Cân nhắc lối sống điển hình của học sinh: học trên lớp ban ngày, học thêm buổi tối, lịch ngủ hợp lý
-- Tập trung vào khung giờ thực tế: 7AM-10PM cho các hoạt động học tập
-- Chú ý đến sức khỏe và cân bằng cuộc sống của học sinh
-
-THÔNG TIN CỦA USER:
-Total Events: ${context.totalEvents}
-Total Tasks: ${context.totalTasks}
-Total Items: ${context.totalItems}
-Completed Tasks: ${context.completedTasks}
-Overdue Tasks: ${context.overdueTasks}
-Productivity Score: ${context.productivityScore}
-Completion Rate: ${context.completionRate}
-Weekly Event Time: ${context.weeklyEventTime}
-
-${context.heatmapData && typeof context.heatmapData === 'object' ? `Heatmap Data (Tháng hiện tại):
-${(() => {
-  const dayNames = { 'Mon': 'Thứ 2', 'Tue': 'Thứ 3', 'Wed': 'Thứ 4', 'Thu': 'Thứ 5', 'Fri': 'Thứ 6', 'Sat': 'Thứ 7', 'Sun': 'Chủ nhật' };
-  const dayGroups = {};
-  
-  Object.keys(context.heatmapData).forEach(key => {
-    const [dayKey, hour] = key.split('_');
-    const dayName = dayNames[dayKey] || dayKey;
-    const count = context.heatmapData[key];
-    
-    if (!dayGroups[dayName]) {
-      dayGroups[dayName] = [];
-    }
-    
-    if (count > 0) {
-      dayGroups[dayName].push(`${hour}:00-${parseInt(hour) + 1}:00:${count}`);
-    }
-  });
-  
-  return Object.keys(dayGroups).map(day => {
-    if (dayGroups[day].length > 0) {
-      return `${day}: ${dayGroups[day].join(', ')}`;
-    }
-    return '';
-  }).filter(line => line).join('\n');
-})()}` : ''}
-
-Category Stats: ${JSON.stringify(context.categoryStats)}
-Priority Stats: ${JSON.stringify(context.priorityStats)}
-
-GIẢI THÍCH FORMAT DỮ LIỆU:
-- Events: Lịch cố định (đi học, đi làm, họp) - không có deadline
-- Tasks: Công việc cần hoàn thành có deadline
-- Heatmap Data: Format "Thứ 2: 8:00-9:00:3" = Thứ 2 từ 8:00-9:00 có 3 events/tasks
-- Category Stats: Format ["academic,23"] = category "academic" có 23 items
-- Priority Stats: Format ["urgent,2,0,0,23:59:00.0:25.9:2025,23:59:00.0:26.9:2025"] = priority "urgent" có 2 tasks, 0 hoàn thành, 0% completion rate, có 2 deadlines (23:59:00.0:25.9:2025 = 23:59:00 ngày 25/9/2025)
-- Weekly Event Time: Tổng thời gian (phút) của tất cả events trong tuần
-- Productivity Score: Điểm năng suất từ 0-100%
-- Completion Rate: Tỷ lệ hoàn thành tasks từ 0-100%
-
-NHIỆM VỤ: Phân tích dữ liệu trên và đưa ra khuyến nghị theo các tiêu chí sau:
-
-1. VỀ VIỆC SỬ DỤNG THỜI GIAN HỌC TẬP VÀ LÀM VIỆC TRONG TUẦN (chỉ tính Event, không tính Task deadline)
-2. VỀ DEADLINE (nếu có tasks quá hạn)
-3. NHẬN XÉT/ĐÁNH GIÁ VỀ SỞ THÍCH CỦA NGƯỜI DÙNG BẰNG CATEGORY
-4. GỢI Ý CỤ THỂ DỰA TRÊN DỮ LIỆU HEATMAP:
-   - Nếu thấy thời gian sắp xếp ổn: "Thời gian sắp xếp của bạn khá hợp lý, hãy tiếp tục duy trì"
-   - Nếu có khung giờ trống nhiều: Đưa ra đề xuất cụ thể với thời gian và nội dung (VD: "Bạn có thể thêm việc học tiếng Anh vào lúc 8:00-9:00 Thứ 2 hàng tuần để cải thiện kỹ năng")
-   - Nếu có thời gian quá bận: Cảnh báo và đề xuất giảm tải
-   - Sử dụng giờ vàng cho nhiệm vụ quan trọng với thời gian cụ thể
-   - Đề xuất thay đổi lịch dựa trên pattern thời gian
-
-YÊU CẦU TRẢ LỜI:
-- Trả lời như một người bạn thân thiện, quan tâm đến việc học tập của bạn
-- Sử dụng ngôn ngữ gần gũi, dễ hiểu, không quá trang trọng
-- Đưa ra lời khuyên thực tế, có thể áp dụng ngay
-- Khuyến khích và động viên thay vì chỉ trích
-- Mỗi phần 2-3 câu, ngắn gọn nhưng đầy đủ ý nghĩa
-- QUAN TRỌNG: KHÔNG sử dụng dấu ** (markdown formatting), chỉ dùng text thuần túy
-
-ĐỊNH DẠNG TRẢ LỜI:
-⏰ Thời gian: [Đánh giá nhẹ nhàng về cách sử dụng thời gian, gợi ý cải thiện một cách tích cực]
-📅 Deadline: [Nhắc nhở về deadlines một cách quan tâm, đưa ra lời khuyên thực tế]
-🎯 Sở thích: [Nhận xét về xu hướng học tập/làm việc một cách tích cực, gợi ý cân bằng]
-💡 Gợi ý: [Đưa ra những biện pháp cụ thể để giải quyết những vấn đề nếu có xuất hiện ở trên, như một người bạn đang tư vấn]`
+// Streaming AI Chat endpoint (Server-Sent Events)
+// Events: "token" {text}, "fallback" {reason}, "done" {response, actions, rejectedActions, history, intent, memory}, "error" {error, code}
+// History is only written once the reply is complete, so a disconnect never leaves half an answer behind
+app.post('/api/chat/stream', validate(schemas.chatStream), async (req, res, next) => {
+  const { message } = req.body;
+  const userId = getRequestUserId(req);
+  const locale = resolveLocale(req);
+  const intent = classifyIntent(message);
+
+  // The quota headers have to be set before the stream starts
+  let quota;
+  try {
+    quota = await checkAiQuota(req, res);
+  } catch (error) {
+    logger.error('Checking AI quota failed', { userId, error });
+    return next(new ApiError('INTERNAL_ERROR', 'Failed to generate chat response'));
   }
 
-  return `You are an AI Assistant specialized in time management analysis and recommendations for Vietnamese university students.
-
-IMPORTANT CONTEXT:
-- This is for STUDENTS/UNIVERSITY STUDENTS, not working professionals
-- Avoid recommending study/work hours that are inappropriate for students (e.g., very late night hours like 11PM-2AM, very early morning like 4AM-6AM)
-- Consider typical student lifestyle: classes during day, some evening study, reasonable sleep schedule
-- Focus on realistic time slots: 7AM-10PM for academic activities
-- Be mindful of student health and work-life balance
-
-USER DATA:
-Total Events: ${context.totalEvents}
-Total Tasks: ${context.totalTasks}
-Total Items: ${context.totalItems}
-Completed Tasks: ${context.completedTasks}
-Overdue Tasks: ${context.overdueTasks}
-Productivity Score: ${context.productivityScore}
-Completion Rate: ${context.completionRate}
-Weekly Event Time: ${context.weeklyEventTime}
-
-${context.heatmapData && typeof context.heatmapData === 'object' ? `Heatmap Data (Current Month):
-${(() => {
-  const dayNames = { 'Mon': 'Monday', 'Tue': 'Tuesday', 'Wed': 'Wednesday', 'Thu': 'Thursday', 'Fri': 'Friday', 'Sat': 'Saturday', 'Sun': 'Sunday' };
-  const dayGroups = {};
-  
-  Object.keys(context.heatmapData).forEach(key => {
-    const [dayKey, hour] = key.split('_');
-    const dayName = dayNames[dayKey] || dayKey;
-    const count = context.heatmapData[key];
-    
-    if (!dayGroups[dayName]) {
-      dayGroups[dayName] = [];
-    }
-    
-    if (count > 0) {
-      dayGroups[dayName].push(`${hour}:00-${parseInt(hour) + 1}:00:${count}`);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let clientGone = false;
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientGone = true;
+      logger.info('Chat stream closed by client', { userId });
     }
   });
-  
-  return Object.keys(dayGroups).map(day => {
-    if (dayGroups[day].length > 0) {
-      return `${day}: ${dayGroups[day].join(', ')}`;
+
+  let tasks = Array.isArray(req.body.tasks) ? req.body.tasks : [];
+  let planOptions = {};
+  let memoryUsage = null;
+  let promptVersion = null;
+  let todoList = null;
+
+  // Helper function to save both turns and send the final event
+  // (fallback answers are plain text, their actions come from the offline parser)
+  const finish = async (fullText, extra = {}, fallback = null) => {
+    if (clientGone) return;
+
+    const { response, actions: parsedActions, rejectedActions } = fallback || extractActions(fullText);
+    const actions = annotateActionConflicts(parsedActions, tasks);
+
+    // Fallback answers never summarize with the LLM (FORCE_FALLBACK, used up quota or a failing AI)
+    const offline = Boolean(fallback);
+    await addMessageToHistory(userId, message, true, locale, { offline });
+    const summary = await addMessageToHistory(userId, fullText, false, locale, { offline });
+
+    if (clientGone) return;
+    sendSseEvent(res, 'done', {
+      success: true,
+      response,
+      actions,
+      rejectedActions,
+      history: { saved: true, summarized: !!summary },
+      intent: { name: intent.name, confidence: intent.confidence },
+      ...(todoList && { todo: renderTodoList(todoList, 'json') }),
+      ...(memoryUsage && { memory: memoryUsage }),
+      language: locale,
+      ...(promptVersion && !fallback && { prompt: promptVersion }),
+      timestamp: new Date().toISOString(),
+      ...extra
+    });
+    res.end();
+  };
+
+  // Helper function to stream the offline answer token by token
+  // (reason is shown to the client, metricReason is the fallback reason label in /metrics)
+  const streamFallback = async (reason, metricReason) => {
+    recordFallback('chat_stream', metricReason);
+    const fallback = generateFallbackReply(message, tasks, locale, intent, planOptions);
+
+    sendSseEvent(res, 'fallback', { reason });
+    for (const token of splitIntoTokens(fallback.response)) {
+      if (clientGone) return;
+      sendSseEvent(res, 'token', { text: token });
     }
-    return '';
-  }).filter(line => line).join('\n');
-})()}` : ''}
-
-Category Stats: ${JSON.stringify(context.categoryStats)}
-Priority Stats: ${JSON.stringify(context.priorityStats)}
-
-DATA FORMAT EXPLANATION:
-- Events: Fixed schedules (school, work, meetings) - no deadlines
-- Tasks: Work items that need to be completed with deadlines
-- Heatmap Data: Format "Monday: 8:00-9:00:3" = Monday from 8:00-9:00 has 3 events/tasks
-- Category Stats: Format ["academic,23"] = category "academic" has 23 items
-- Priority Stats: Format ["urgent,2,0,0,23:59:00.0:25.9:2025,23:59:00.0:26.9:2025"] = priority "urgent" has 2 tasks, 0 completed, 0% completion rate, has 2 deadlines (23:59:00.0:25.9:2025 = 23:59:00 on 25/9/2025)
-- Weekly Event Time: Total time (minutes) of all events in the week
-- Productivity Score: Productivity score from 0-100%
-- Completion Rate: Task completion rate from 0-100%
-
-TASK: Analyze the above data and provide recommendations based on these criteria:
-
-1. WEEKLY STUDY AND WORK TIME USAGE (only count Events, not Task deadlines)
-2. DEADLINE ANALYSIS (if there are overdue tasks)
-3. USER PREFERENCES ANALYSIS BY CATEGORY
-4. SPECIFIC SUGGESTIONS BASED ON HEATMAP DATA:
-   - If time arrangement is good: "Your time arrangement is quite reasonable, keep maintaining it"
-   - If many free time slots: Provide specific suggestions with time and content (e.g., "You can add English learning from 8:00-9:00 every Monday to improve skills")
-   - If too busy periods: Warn and suggest reducing workload
-   - Utilize golden hours for important tasks with specific times
-   - Propose schedule changes based on time patterns
-
-RESPONSE REQUIREMENTS:
-- Respond like a caring friend who wants to help with studies
-- Use warm, approachable language that's easy to understand
-- Give practical advice that can be applied immediately
-- Encourage and motivate rather than criticize
-- Each section 2-3 sentences, concise but meaningful
-- IMPORTANT: DO NOT use ** (markdown formatting), use plain text only
-
-RESPONSE FORMAT:
-⏰ Time: [Gentle assessment of time usage, positive suggestions for improvement]
-📅 Deadline: [Caring reminders about deadlines, practical advice]
-🎯 Preferences: [Positive observations about study/work patterns, balance suggestions]
-💡 Suggestions: [Specific solutions to address any problems identified above, like a friend giving advice]`;
-}
+    await finish(fallback.response, { fallback: true, note: `Using fallback response due to: ${reason}` }, fallback);
+  };
 
-// Helper function to parse recommendations
-function parseRecommendations(aiResponse, language) {
-  const recommendations = [];
-  const lines = aiResponse.split('\n').filter(line => line.trim());
-  
-  // Parse new format: "Thời gian: [content]"
-  for (const line of lines) {
-    if (line.includes(':') && (
-      line.includes('Thời gian:') || 
-      line.includes('Deadline:') || 
-      line.includes('Sở thích:') || 
-      line.includes('Gợi ý:') ||
-      line.includes('Quản lý thời gian:') || 
-      line.includes('Tối ưu lịch trình:') ||
-      line.includes('Công cụ:') ||
-      line.includes('Kỹ thuật:') ||
-      line.includes('Time:') ||
-      line.includes('Preferences:') ||
-      line.includes('Suggestions:') ||
-      line.includes('Time Management:') ||
-      line.includes('Schedule Optimization:') ||
-      line.includes('Tools:') ||
-      line.includes('Technique:')
-    )) {
-      recommendations.push(line.trim());
+  try {
+    tasks = await resolveTasks(userId, req.body.tasks);
+    planOptions = await userSettings.getPlannerOptions(userId);
+    todoList = intent.name === 'priority' ? buildTodoList(tasks, { locale }) : null;
+
+    if (FORCE_FALLBACK) {
+      return await streamFallback('FORCE_FALLBACK mode enabled', 'force_fallback');
     }
-  }
-  
-  // If no structured recommendations found, try old format
-  if (recommendations.length === 0) {
-    for (const line of lines) {
-      if (line.includes('🎯') || line.includes('⚡') || line.includes('💡') || line.includes('🌟')) {
-        recommendations.push(line.trim());
+    if (!quota.allowed) {
+      return await streamFallback('daily AI quota exceeded', 'quota_exceeded');
+    }
+
+    const { heatmapData, heatmapAnalysis } = buildHeatmap(tasks);
+    const tasksContext = createTasksContext(tasks, { heatmapData, heatmapAnalysis }, planOptions);
+    const history = await getHistoryContext(userId, locale);
+    const historyContext = history.text;
+    memoryUsage = history.usage;
+    const schedulePlan = intent.name === 'plan' ? planSchedule(tasks, { options: planOptions }) : null;
+    promptVersion = promptTemplates.select('chat', userId);
+    const prompt = createPrompt(message, tasksContext, historyContext, schedulePlan, todoList, locale, promptVersion.version);
+
+    logger.info('Calling AI for streaming chat', {
+      provider: llm.name,
+      intent: intent.name,
+      language: locale,
+      prompt: promptVersion,
+      promptLength: prompt.length,
+      memory: memoryUsage
+    });
+    logger.debug('AI chat prompt', { message, tasksContext, prompt });
+
+    let fullText = '';
+    const stopTimer = metrics.aiCallDuration.startTimer({ provider: llm.name, operation: 'chat_stream' });
+    try {
+      const iterator = llm.stream(prompt)[Symbol.asyncIterator]();
+
+      while (!clientGone) {
+        const { value: text, done } = await nextChunkWithTimeout(iterator, AI_TIMEOUT_MS);
+        if (done) break;
+
+        if (text) {
+          fullText += text;
+          sendSseEvent(res, 'token', { text });
+        }
       }
+
+      stopTimer({ outcome: clientGone ? 'aborted' : 'success' });
+
+      // Tokens already generated count even when the client left
+      await recordAiUsage(userId, prompt, fullText);
+
+      // Stop reading from the model when nobody is listening anymore
+      if (clientGone) {
+        if (iterator.return) iterator.return().catch(() => {});
+        return;
+      }
+    } catch (aiError) {
+      recordAiFailure('chat_stream', aiError, stopTimer);
+      return await streamFallback(`AI API error: ${aiError.message}`, fallbackReasonOf(aiError));
+    }
+
+    logger.debug('AI chat response', { response: fullText });
+    await finish(fullText);
+  } catch (error) {
+    logger.error('Chat stream failed', { userId, error });
+    if (!clientGone && !res.writableEnded) {
+      sendSseEvent(res, 'error', { success: false, error: 'Failed to generate chat response', code: 'INTERNAL_ERROR' });
+      res.end();
     }
   }
-  
-  // If still no recommendations found, create fallback
+});
+
+// Helper function to create analytics context
+function createAnalyticsContext(tasks, heatmapInfo = null) {
+  const stats = calculateTaskStats(tasks);
+
+  return {
+    ...stats,
+    timeEstimationAccuracy: stats.timeAccuracy.accuracy,
+    averageOverrun: stats.timeAccuracy.averageOverrun,
+    events: tasks.filter(item => item.type === 'event'), // Add events to context
+    tasks: tasks.filter(item => item.type !== 'event'), // Add tasks to context for deadline checking
+    // Heatmap data
+    heatmapData: heatmapInfo?.heatmapData || null,
+    heatmapAnalysis: heatmapInfo?.heatmapAnalysis || null
+  };
+}
+
+// Helper function to build the variables of the recommendations prompt (prompts/recommendations/)
+function recommendationsPromptVariables(context, language) {
+  return {
+    totalEvents: context.totalEvents,
+    totalTasks: context.totalTasks,
+    totalItems: context.totalItems,
+    completedTasks: context.completedTasks,
+    overdueTasks: context.overdueTasks,
+    productivityScore: context.productivityScore,
+    completionRate: context.completionRate,
+    weeklyEventTime: context.weeklyEventTime,
+    averageCompletionTime: context.averageCompletionTime,
+    timeEstimationAccuracy: context.timeEstimationAccuracy,
+    averageOverrun: context.averageOverrun,
+    heatmapSection: formatHeatmapData(context.heatmapData, language),
+    heatmapAnalysis: describeHeatmapAnalysis(context.heatmapAnalysis, language),
+    categoryStats: JSON.stringify(context.categoryStats),
+    priorityStats: JSON.stringify(context.priorityStats),
+    taskList: formatTaskList([...context.tasks, ...context.events]),
+    schema: JSON.stringify(RECOMMENDATIONS_SCHEMA, null, 2)
+  };
+}
+
+// Helper function to create recommendations prompt (version: from promptTemplates.select)
+function createRecommendationsPrompt(context, language, version = null) {
+  return promptTemplates.render('recommendations', {
+    version,
+    locale: language,
+    variables: recommendationsPromptVariables(context, language)
+  }).text;
+}
+
+// Helper function to parse recommendations, returns { recommendations, fallback }
+// Falls back to the offline recommendations (fallback: true) when the answer has nothing usable
+function parseRecommendations(aiResponse, language, tasks = []) {
+  const taskIds = new Set(tasks.map(task => task.id).filter(Boolean));
+  const recommendations = parseRecommendationsResponse(aiResponse, { taskIds });
+
   if (recommendations.length === 0) {
-    return generateFallbackRecommendations([], {}, {}, language);
+    recordFallback('recommendations', 'invalid_response');
+    return { recommendations: generateFallbackRecommendations(tasks, language), fallback: true };
   }
-  
-  return recommendations;
+
+  return { recommendations, fallback: false };
 }
 
-// Helper function to create tasks context
-function createTasksContext(tasks, heatmapInfo = null) {
-  if (!tasks || tasks.length === 0) {
-    return {
-      totalTasks: 0,
-      pendingTasks: 0,
-      inProgressTasks: 0,
-      completedTasks: 0,
-      overdueTasks: 0,
-      urgentTasks: 0,
-      highPriorityTasks: 0,
-      upcomingDeadlines: [],
-      heatmapData: heatmapInfo?.heatmapData || null,
-      heatmapAnalysis: heatmapInfo?.heatmapAnalysis || null
-    };
-  }
+// Helper function to read the response format: objects by default, format=legacy for the old string array
+function getRecommendationFormat(req) {
+  return req.body.format === 'legacy' || req.query.format === 'legacy' ? 'legacy' : 'structured';
+}
 
-  // Separate events and tasks
-  const events = tasks.filter(t => t.type === 'event');
-  const taskItems = tasks.filter(t => t.type === 'task');
-
-  const totalTasks = tasks.length;
-  const totalEvents = events.length;
-  const totalItems = totalTasks;
-  const pendingTasks = tasks.filter(t => t.status === 'pending').length;
-  const inProgressTasks = tasks.filter(t => t.status === 'in-progress').length;
-  const completedTasks = tasks.filter(t => t.status === 'completed').length;
-  const overdueTasks = tasks.filter(t => 
-    t.type !== 'event' && t.status !== 'completed' && new Date(t.dueDate || '') < new Date()
-  ).length;
-
-  const urgentTasks = tasks.filter(t => t.priority === 'urgent').length;
-  const highPriorityTasks = tasks.filter(t => t.priority === 'high').length;
-
-  // Calculate productivity score and completion rate
-  const productivityScore = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
-  const completionRate = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
-
-  // Calculate weekly event time
-  const weeklyEventTime = events.reduce((total, event) => {
-    if (event.estimatedDuration) {
-      return total + event.estimatedDuration;
-    }
-    return total;
-  }, 0);
-
-  // Create category stats
-  const categoryStats = [];
-  const categoryCount = {};
-  tasks.forEach(task => {
-    const category = task.category || 'other';
-    categoryCount[category] = (categoryCount[category] || 0) + 1;
-  });
-  Object.keys(categoryCount).forEach(category => {
-    categoryStats.push(`${category},${categoryCount[category]}`);
-  });
+function formatRecommendations(recommendations, format, language) {
+  return format === 'legacy' ? toLegacyStrings(recommendations, language) : recommendations;
+}
 
-  // Create priority stats
-  const priorityStats = [];
-  const priorityCount = {};
-  tasks.forEach(task => {
-    const priority = task.priority || 'none';
-    if (!priorityCount[priority]) {
-      priorityCount[priority] = { total: 0, completed: 0, deadlines: [] };
-    }
-    priorityCount[priority].total++;
-    if (task.status === 'completed') {
-      priorityCount[priority].completed++;
-    }
-    if (task.dueDate) {
-      priorityCount[priority].deadlines.push(task.dueDate);
-    }
-  });
-  Object.keys(priorityCount).forEach(priority => {
-    const data = priorityCount[priority];
-    const completionRate = data.total > 0 ? Math.round((data.completed / data.total) * 100) : 0;
-    const deadlineStr = data.deadlines.length > 0 ? data.deadlines.join(',') : '';
-    priorityStats.push(`${priority},${data.total},${data.completed},${completionRate},${deadlineStr}`);
-  });
+// Helper function to create tasks context
+// planOptions: the user's planner settings, for the free time left before each parent task's dueDate
+function createTasksContext(tasks, heatmapInfo = null, planOptions = {}) {
+  const items = tasks || [];
+  const stats = calculateTaskStats(items);
 
-  const upcomingDeadlines = tasks
-    .filter(t => t.status !== 'completed')
-    .sort((a, b) => {
-      const dateA = new Date(a.type === 'event' ? (a.startTime || a.dueDate || '') : (a.dueDate || ''));
-      const dateB = new Date(b.type === 'event' ? (b.startTime || b.dueDate || '') : (b.dueDate || ''));
-      return dateA.getTime() - dateB.getTime();
-    })
-    .slice(0, 5)
-    .map(t => ({
-      title: t.title,
-      dueDate: t.type === 'event' ? (t.startTime || t.dueDate || '') : (t.dueDate || ''),
-      priority: t.priority || 'none',
-      category: t.category,
-      type: t.type
+  // Upcoming occurrences of events (next 30 days) next to task deadlines
+  const now = new Date();
+  const upcomingOccurrences = expandEvents(items, now, new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000))
+    .map(occurrence => ({
+      title: occurrence.title,
+      dueDate: occurrence.startTime,
+      priority: 'none',
+      category: occurrence.category,
+      type: 'event'
     }));
 
+  const upcomingDeadlines = [
+    ...items
+      .filter(t => t.type !== 'event' && t.status !== 'completed')
+      .map(t => ({
+        title: t.title,
+        dueDate: t.dueDate || '',
+        priority: t.priority || 'none',
+        category: t.category,
+        type: t.type
+      })),
+    ...upcomingOccurrences
+  ]
+    .sort((a, b) => new Date(a.dueDate).getTime() - new Date(b.dueDate).getTime())
+    .slice(0, 5);
+
   return {
-    totalTasks,
-    totalEvents,
-    totalItems,
-    pendingTasks,
-    inProgressTasks,
-    completedTasks,
-    overdueTasks,
-    urgentTasks,
-    highPriorityTasks,
-    productivityScore,
-    completionRate,
-    weeklyEventTime,
-    categoryStats,
-    priorityStats,
+    ...stats,
     upcomingDeadlines,
+    // Ids and titles of the open tasks and the events, the ids are what update_task/delete_task refer to
+    taskList: formatTaskList(items),
+    // Blocked tasks, parent progress and parents whose remaining work can't finish before their dueDate
+    dependencies: summarizeDependencies(items, { now, options: planOptions }),
     heatmapData: heatmapInfo?.heatmapData || null,
     heatmapAnalysis: heatmapInfo?.heatmapAnalysis || null
   };
 }
 
-// Helper function to create prompt for Gemini
-function createPrompt(userMessage, tasksContext, historyContext = '') {
+// Helper function to build the variables of the chat prompt (prompts/chat/)
+// todoList: from buildTodoList, only given for priority questions (like schedulePlan for planning questions)
+function chatPromptVariables(userMessage, tasksContext, historyContext = '', schedulePlan = null, todoList = null, locale = DEFAULT_LOCALE, now = new Date()) {
   // Get current date and time in VN timezone
-  const now = new Date();
   const vnTime = new Date(now.toLocaleString("en-US", {timeZone: "Asia/Ho_Chi_Minh"}));
   
   // Get VN date components
@@ -898,8 +1401,9 @@ function createPrompt(userMessage, tasksContext, historyContext = '') {
   const currentDate = `${vnYear}-${vnMonth}-${vnDay}`; // YYYY-MM-DD in VN timezone
   
   const currentTime = vnTime.toTimeString().split(' ')[0]; // HH:MM:SS
-  const currentDayName = vnTime.toLocaleDateString('vi-VN', { weekday: 'long' }); // Thứ Hai, Thứ Ba, etc.
-  const currentDateVN = vnTime.toLocaleDateString('vi-VN'); // DD/MM/YYYY
+  const dateLocale = t(locale, 'meta.dateLocale');
+  const currentDayName = vnTime.toLocaleDateString(dateLocale, { weekday: 'long' }); // Thứ Hai / Monday, etc.
+  const currentDateLocal = vnTime.toLocaleDateString(dateLocale); // DD/MM/YYYY or M/D/YYYY
   
   // Calculate tomorrow in VN timezone
   const tomorrowVN = new Date(vnTime);
@@ -909,560 +1413,74 @@ function createPrompt(userMessage, tasksContext, historyContext = '') {
   const tomorrowDay = String(tomorrowVN.getDate()).padStart(2, '0');
   const tomorrowDate = `${tomorrowYear}-${tomorrowMonth}-${tomorrowDay}`; // YYYY-MM-DD in VN timezone
   
-  return `Bạn là AI Assistant chuyên về quản lý thời gian cho sinh viên đại học Việt Nam - mặc định tên sẽ là N-Timer AI.
-
-THÔNG TIN THỜI GIAN HIỆN TẠI (THEO GIỜ VIỆT NAM):
-- Hôm nay là: ${currentDayName}, ${currentDateVN}
-- Ngày hiện tại (ISO): ${currentDate}
-- Ngày mai (ISO): ${tomorrowDate}
-- Giờ hiện tại: ${currentTime}
-- Timezone: Asia/Ho_Chi_Minh (UTC+7)
-
-${historyContext}
-
-THÔNG TIN LỊCH TRÌNH HIỆN TẠI CỦA USER:
-- Tổng số sự kiện: ${tasksContext.totalEvents || 0}
-- Tổng số công việc: ${tasksContext.totalTasks}
-- Tổng số mục: ${tasksContext.totalItems || tasksContext.totalTasks}
-- Công việc đã hoàn thành: ${tasksContext.completedTasks}
-- Công việc quá hạn: ${tasksContext.overdueTasks}
-- Điểm năng suất: ${tasksContext.productivityScore || 0}%
-- Tỷ lệ hoàn thành: ${tasksContext.completionRate || 0}%
-- Thời gian sự kiện hàng tuần: ${tasksContext.weeklyEventTime || 0} phút
-
-QUAN TRỌNG: 
-- Bạn ĐÃ CÓ thông tin về lịch trình của user ở trên
-- ĐỪNG nói "mình chưa biết gì" hay "mình chưa biết lịch của bạn"
-- ĐỪNG nói "hiện tại mình chưa biết gì cả"
-- Hãy sử dụng thông tin này để đưa ra lời khuyên phù hợp
-- Nếu user có ${tasksContext.totalTasks} công việc và ${tasksContext.totalEvents || 0} sự kiện, hãy dựa vào đó để tư vấn
-- Nếu user có heatmap data, hãy phân tích thời gian bận/rảnh của họ
-
-${tasksContext.heatmapData && typeof tasksContext.heatmapData === 'object' ? `Heatmap Data (Current Month):
-${(() => {
-  const dayNames = { 'Mon': 'Monday', 'Tue': 'Tuesday', 'Wed': 'Wednesday', 'Thu': 'Thursday', 'Fri': 'Friday', 'Sat': 'Saturday', 'Sun': 'Sunday' };
-  const dayGroups = {};
-  
-  Object.keys(tasksContext.heatmapData).forEach(key => {
-    const [dayKey, hour] = key.split('_');
-    const dayName = dayNames[dayKey] || dayKey;
-    const count = tasksContext.heatmapData[key];
-    
-    if (!dayGroups[dayName]) {
-      dayGroups[dayName] = [];
-    }
-    
-    if (count > 0) {
-      dayGroups[dayName].push(`${hour}:00-${parseInt(hour) + 1}:00:${count}`);
-    }
-  });
-  
-  return Object.keys(dayGroups).map(day => {
-    if (dayGroups[day].length > 0) {
-      return `${day}: ${dayGroups[day].join(', ')}`;
-    }
-    return '';
-  }).filter(line => line).join('\n');
-})()}` : ''}
-
-Category Stats: ${JSON.stringify(tasksContext.categoryStats || [])}
-Priority Stats: ${JSON.stringify(tasksContext.priorityStats || [])}
-
-DATA FORMAT EXPLANATION:
-- Events: Fixed schedules (school, work, meetings) - no deadlines
-- Tasks: Work items that need to be completed with deadlines
-- Heatmap Data: Format "Monday: 8:00-9:00:3" = Monday from 8:00-9:00 has 3 events/tasks
-- Category Stats: Format ["academic,23"] = category "academic" has 23 items
-- Priority Stats: Format ["urgent,2,0,0,23:59:00.0:25.9:2025,23:59:00.0:26.9:2025"] = priority "urgent" has 2 tasks, 0 completed, 0% completion rate, has 2 deadlines (23:59:00.0:25.9:2025 = 23:59:00 on 25/9/2025)
-- Weekly Event Time: Total time (minutes) of all events in the week
-- Productivity Score: Productivity score from 0-100%
-- Completion Rate: Task completion rate from 0-100%
-
-CÂU HỎI: ${userMessage}
-
-BỐI CẢNH QUAN TRỌNG:
-- Đây là dành cho HỌC SINH/SINH VIÊN, không phải người đi làm
-- Tránh khuyến nghị giờ học/làm việc không phù hợp với học sinh (ví dụ: giờ khuya như 11PM-2AM, giờ sáng sớm như 4AM-6AM)
-- Cân nhắc lối sống điển hình của học sinh: học trên lớp ban ngày, học thêm buổi tối, lịch ngủ hợp lý
-- Tập trung vào khung giờ thực tế: 7AM-10PM cho các hoạt động học tập
-- Chú ý đến sức khỏe và cân bằng cuộc sống của học sinh
-
-HƯỚNG DẪN TRẢ LỜI:
-- Trả lời như một người bạn thân thiện, quan tâm đến việc học tập
-- Sử dụng ngôn ngữ gần gũi, dễ hiểu, không quá trang trọng
-- Đưa ra lời khuyên thực tế, có thể áp dụng ngay
-- Khuyến khích và động viên thay vì chỉ trích
-- Trả lời tự nhiên dựa trên câu hỏi của user, không cần theo format cố định
-- Sử dụng thông tin thời gian bận/rảnh để gợi ý thời gian cụ thể khi phù hợp
-- QUAN TRỌNG: KHÔNG sử dụng dấu ** (markdown formatting), chỉ dùng text thuần túy
-- KHI USER MUỐN TẠO TASK/EVENT: 
-  + Bước 1: Phân tích yêu cầu của user
-  + Bước 2: Kiểm tra xem có đủ thông tin không
-  + Bước 3: Nếu thiếu thông tin quan trọng, hỏi user
-  + Bước 4: Nếu đủ thông tin, tạo JSON ngay lập tức
-  + Bước 5: Tự động điền các giá trị mặc định hợp lý
-
-- PHÂN BIỆT EVENT VÀ TASK:
-  + EVENT: Sự kiện cố định có giờ bắt đầu và kết thúc (lịch học, lịch đi làm, họp, meeting)
-  + TASK: Công việc cần hoàn thành có deadline (làm bài tập, viết báo cáo, deadline)
-
-- KHI NÀO TẠO JSON:
-  + EVENT: Khi có tên + thời gian bắt đầu + thời gian kết thúc (hoặc duration)
-  + TASK: Khi có tên + deadline
-  + Nếu thiếu thông tin quan trọng, hỏi user trước khi tạo JSON
-  + Nếu đủ thông tin, tạo JSON ngay lập tức
-
-- KHI NÀO CHỈNH SỬA:
-  + Nếu user nói "sửa", "đổi", "thay đổi", "cập nhật" + tên event/task
-  + Nếu có đủ thông tin thay đổi, tạo JSON update ngay
-  + Nếu thiếu thông tin, hỏi user muốn sửa gì
-
-- KHI NÀO XÓA:
-  + Nếu user nói "xóa", "hủy", "bỏ" + tên event/task
-  + Tạo JSON delete ngay lập tức
-  + Không cần hỏi thêm thông tin
-  
-- VÍ DỤ KHI NÀO TẠO JSON:
-  + ✅ "tạo lịch học toán vào trưa mai lúc 11:00" → Tạo JSON ngay (có tên + thời gian)
-  + ✅ "tạo deadline làm bài tập sáng mai" → Tạo JSON ngay (có tên + deadline)
-  + ✅ "tự tạo lịch học tiếng Anh dựa theo data của mình" → Tự thiết kế và tạo JSON
-  + ✅ "thiết kế lịch học cho mình" → Tự thiết kế và tạo JSON
-  + ✅ "tạo lịch học dựa trên lịch hiện tại" → Tự thiết kế và tạo JSON
-  + ❌ "tạo lịch học toán" → Hỏi thêm: "Bạn muốn học vào lúc nào?"
-  + ❌ "tạo deadline làm bài tập" → Hỏi thêm: "Deadline là khi nào?"
-  + ❌ "tạo lịch học toán vào trưa mai" → Hỏi thêm: "Bạn muốn học từ mấy giờ đến mấy giờ?"
-
-- VÍ DỤ KHI NÀO CHỈNH SỬA:
-  + ✅ "sửa lịch học toán" → Hỏi: "Bạn muốn sửa gì? (thời gian, tên, mô tả)"
-  + ✅ "đổi giờ học toán từ 7:00 thành 8:00" → Tạo JSON update
-  + ✅ "thay đổi lịch học tiếng Anh" → Hỏi: "Bạn muốn thay đổi gì?"
-  + ✅ "cập nhật deadline bài tập" → Hỏi: "Bạn muốn cập nhật gì?"
-
-- VÍ DỤ KHI NÀO XÓA:
-  + ✅ "xóa lịch học toán" → Tạo JSON delete
-  + ✅ "hủy lịch học tiếng Anh" → Tạo JSON delete
-  + ✅ "xóa deadline bài tập" → Tạo JSON delete
-  + ✅ "bỏ lịch học lý" → Tạo JSON delete
-  
-- CÁCH PHÂN TÍCH THÔNG TIN TỪ USER REQUEST:
-  + Tìm từ khóa tạo: "tạo", "lịch", "deadline", "task", "event"
-  + Tìm từ khóa chỉnh sửa: "sửa", "đổi", "thay đổi", "cập nhật", "chỉnh sửa", "sửa đổi"
-  + Tìm từ khóa xóa: "xóa", "hủy", "bỏ", "xóa bỏ", "hủy bỏ", "xóa đi"
-  + Tìm tên: "toán", "lý", "hóa", "bài tập", "báo cáo", "tiếng Anh"
-  + Tìm thời gian: "trưa mai", "sáng mai", "tối mai", "hôm nay", "ngày mai"
-  + Tìm giờ cụ thể: "11:00", "12:00", "13:00", "14:00", "15:00", "16:00", "17:00", "18:00", "19:00", "20:00", "21:00", "22:00", "23:00", "00:00", "01:00", "02:00", "03:00", "04:00", "05:00", "06:00", "07:00", "08:00", "09:00", "10:00"
-  + Tìm duration: "1 giờ", "2 giờ", "1.5 giờ", "90 phút", "120 phút"
-  + Tìm địa điểm: "phòng học", "thư viện", "nhà", "trường"
-  + Tìm từ khóa tự thiết kế: "tự tạo", "thiết kế", "dựa theo", "dựa trên", "theo data", "theo lịch"
-  
-- TỰ ĐỘNG ĐIỀN CÁC GIÁ TRỊ MẶC ĐỊNH:
-  + category: "academic" (nếu có từ "học", "toán", "lý", "hóa", "bài tập")
-  + category: "work" (nếu có từ "làm việc", "họp", "meeting", "báo cáo")
-  + category: "personal" (nếu có từ "cá nhân", "riêng tư")
-  + category: "health" (nếu có từ "sức khỏe", "tập thể dục", "bác sĩ")
-  + category: "social" (nếu có từ "gặp gỡ", "tiệc", "sinh nhật")
-  + tags: Tự động tạo từ nội dung (["toán", "học tập"], ["bài tập", "deadline"])
-  + description: Tự động tạo từ nội dung
-  + estimatedDuration: Tự động tính từ startTime và endTime (phút)
-  + location: Để trống nếu user không nói
-  + isRecurring: false (mặc định)
-  + recurrencePattern: null (mặc định)
-  + recurrenceEndDate: null (mặc định)
-  
-- CÁCH TỰ THIẾT KẾ LỊCH DỰA TRÊN USER DATA:
-  + Phân tích thời gian bận/rảnh từ heatmap data
-  + Tìm khoảng trống trong lịch hiện tại
-  + Gợi ý thời gian phù hợp với lối sống sinh viên (7AM-10PM)
-  + Tạo lịch học đều đặn (hàng ngày, hàng tuần)
-  + Ưu tiên thời gian rảnh và không xung đột với lịch hiện tại
-  + Tự động điền thời gian bắt đầu, kết thúc, và duration
-  + Tạo multiple events nếu cần (ví dụ: học tiếng Anh hàng ngày)
-  
-- VÍ DỤ TỰ THIẾT KẾ LỊCH:
-  + User: "tự tạo lịch học tiếng Anh dựa theo data của mình"
-  + AI phân tích: User có 5 công việc, tỷ lệ hoàn thành 40%, có thời gian rảnh buổi sáng
-  + AI thiết kế: Tạo lịch học tiếng Anh 30 phút mỗi sáng từ 7:00-7:30
-  + AI tạo JSON: Multiple events cho 7 ngày trong tuần
-  + User: "thiết kế lịch học toán cho mình"
-  + AI phân tích: User có 2 công việc quá hạn, cần ưu tiên học toán
-  + AI thiết kế: Tạo lịch học toán 2 giờ mỗi tối từ 19:00-21:00
-  + AI tạo JSON: Multiple events cho 5 ngày trong tuần
-  
-- CÁCH TẠO MULTIPLE EVENTS:
-  + Nếu user yêu cầu "tự tạo lịch" hoặc "thiết kế lịch", tạo multiple events
-  + Tạo 5-7 events cho 1 tuần (tùy theo yêu cầu)
-  + Mỗi event có cùng title, description, category, tags
-  + Mỗi event có thời gian khác nhau (hàng ngày, hàng tuần)
-  + Sử dụng isRecurring: true và recurrencePattern: "daily" hoặc "weekly"
-  + Tự động tính recurrenceEndDate (1 tuần hoặc 1 tháng sau)
-  
-- VÍ DỤ JSON CHO MULTIPLE EVENTS:
-  + User: "tự tạo lịch học tiếng Anh dựa theo data của mình"
-  + AI tạo JSON array với 7 events:
-  \`\`\`json
-  {
-    "action": "create_multiple_tasks",
-    "taskData": [
-      {
-        "title": "Học tiếng Anh",
-        "description": "Luyện nghe và từ vựng tiếng Anh",
-        "category": "academic",
-        "type": "event",
-        "tags": ["tiếng Anh", "học tập"],
-        "startTime": "2025-09-16T00:00:00.000Z",
-        "endTime": "2025-09-16T00:30:00.000Z",
-        "location": "",
-        "estimatedDuration": 30,
-        "isRecurring": true,
-        "recurrencePattern": "daily",
-        "recurrenceEndDate": "2025-09-23T00:00:00.000Z"
-      }
-    ]
-  }
-  \`\`\`
-  
-- CÁCH PHÂN TÍCH USER DATA ĐỂ THIẾT KẾ LỊCH:
-  + Nếu user có ít công việc (0-3): Tạo lịch học dày đặc hơn
-  + Nếu user có nhiều công việc (4+): Tạo lịch học nhẹ nhàng hơn
-  + Nếu user có tỷ lệ hoàn thành thấp (<50%): Tạo lịch học ngắn (30-45 phút)
-  + Nếu user có tỷ lệ hoàn thành cao (>70%): Tạo lịch học dài (1-2 giờ)
-  + Nếu user có công việc quá hạn: Ưu tiên tạo lịch học cho môn đó
-  + Nếu user có heatmap data: Tìm thời gian rảnh để tạo lịch học
-  + Nếu user không có heatmap data: Tạo lịch học vào giờ phù hợp (7AM-10PM)
-  
-- CÁCH TẠO MULTIPLE EVENTS:
-  + Nếu user yêu cầu "tự tạo lịch" hoặc "thiết kế lịch", tạo multiple events
-  + Tạo 5-7 events cho 1 tuần (tùy theo yêu cầu)
-  + Mỗi event có cùng title, description, category, tags
-  + Mỗi event có thời gian khác nhau (hàng ngày, hàng tuần)
-  + Sử dụng isRecurring: true và recurrencePattern: "daily" hoặc "weekly"
-  + Tự động tính recurrenceEndDate (1 tuần hoặc 1 tháng sau)
-  
-- CÁCH TÍNH ESTIMATED DURATION:
-  + Nếu user nói "1 giờ" → estimatedDuration = 60
-  + Nếu user nói "2 giờ" → estimatedDuration = 120
-  + Nếu user nói "1.5 giờ" → estimatedDuration = 90
-  + Nếu user nói "90 phút" → estimatedDuration = 90
-  + Nếu user nói "120 phút" → estimatedDuration = 120
-  + Nếu user không nói duration, mặc định là 90 phút (1.5 giờ)
-  + Nếu có startTime và endTime, tính: (endTime - startTime) / 1000 / 60
-  
-- CÁCH TÍNH END TIME:
-  + Nếu user nói "từ 11:00 đến 12:00" → startTime = 11:00, endTime = 12:00
-  + Nếu user nói "từ 11:00 trong 1 giờ" → startTime = 11:00, endTime = 12:00
-  + Nếu user nói "từ 11:00 trong 90 phút" → startTime = 11:00, endTime = 12:30
-  + Nếu user chỉ nói "11:00" → startTime = 11:00, endTime = 12:30 (mặc định 1.5 giờ)
-  + Nếu user chỉ nói "trưa mai" → startTime = 12:00, endTime = 13:30 (mặc định 1.5 giờ)
-
-- KHI CÓ ĐỦ THÔNG TIN ĐỂ TẠO TASK/EVENT: Trả về JSON chuẩn theo format sau (bao quanh bằng \`\`\`json và \`\`\`):
-
-  CHO EVENT (lịch học, lịch làm việc, họp):
-  \`\`\`json
-  {
-    "action": "create_task",
-    "taskData": {
-      "title": "tên event",
-      "description": "mô tả event",
-      "category": "academic|work|personal|health|social",
-      "type": "event",
-      "tags": ["tag1", "tag2"],
-      "startTime": "2024-12-30T07:00:00.000Z",
-      "endTime": "2024-12-30T09:00:00.000Z",
-      "location": "địa điểm (có thể để trống)",
-      "estimatedDuration": 120,
-      "isRecurring": true,
-      "recurrencePattern": "weekly",
-      "recurrenceEndDate": "2025-06-30T23:59:59.000Z"
-    }
-  }
-  \`\`\`
-
-  CHO TASK (deadline, công việc cần hoàn thành):
-  \`\`\`json
-  {
-    "action": "create_task",
-    "taskData": {
-      "title": "tên task",
-      "description": "mô tả task",
-      "category": "academic|work|personal|health|social",
-      "type": "task",
-      "tags": ["tag1", "tag2"],
-      "priority": "low|medium|high|urgent",
-      "dueDate": "2024-12-26T23:59:59.000Z",
-      "estimatedDuration": 60,
-      "status": "pending"
-    }
-  }
-  \`\`\`
-
-
-- VÍ DỤ CỤ THỂ:
-
-  Event Example: "tạo lịch học toán vào thứ 2 hàng tuần từ 7:00 đến 9:00"
-  \`\`\`json
-  {
-    "action": "create_task",
-    "taskData": {
-      "title": "học toán",
-      "description": "Buổi học toán hàng tuần",
-      "category": "academic",
-      "type": "event",
-      "tags": ["toán", "học tập", "lịch học"],
-      "startTime": "2024-12-30T07:00:00.000Z",
-      "endTime": "2024-12-30T09:00:00.000Z",
-      "location": "",
-      "estimatedDuration": 120,
-      "isRecurring": true,
-      "recurrencePattern": "weekly",
-      "recurrenceEndDate": "2025-06-30T23:59:59.000Z"
-    }
-  }
-  \`\`\`
-
-  Task Example: "tạo task làm bài tập deadline sáng mai"
-  \`\`\`json
-  {
-    "action": "create_task",
-    "taskData": {
-      "title": "làm bài tập",
-      "description": "Hoàn thành bài tập được giao",
-      "category": "academic",
-      "type": "task",
-      "tags": ["bài tập", "deadline"],
-      "priority": "medium",
-      "dueDate": "2024-12-27T08:00:00.000Z",
-      "estimatedDuration": 60,
-      "status": "pending"
-    }
-  }
-  \`\`\`
-
-  Update Example: "đổi giờ học toán từ 7:00 thành 8:00"
-  \`\`\`json
-  {
-    "action": "update_task",
-    "taskId": "task_id_học_toán",
-    "taskData": {
-      "startTime": "2024-12-30T01:00:00.000Z",
-      "endTime": "2024-12-30T03:00:00.000Z"
-    }
-  }
-  \`\`\`
-
-  Delete Example: "xóa lịch học toán"
-  \`\`\`json
-  {
-    "action": "delete_task",
-    "taskId": "task_id_học_toán"
-  }
-  \`\`\`
-
-  Delete All Example: "xóa hết event của tôi hiện tại"
-  \`\`\`json
-  {
-    "action": "delete_task",
-    "taskId": "task_id_1"
-  }
-  \`\`\`
-  \`\`\`json
-  {
-    "action": "delete_task",
-    "taskId": "task_id_2"
-  }
-  \`\`\`
-  \`\`\`json
-  {
-    "action": "delete_task",
-    "taskId": "task_id_3"
-  }
-  \`\`\`
+  const schedulePlanSection = schedulePlan
+    ? t(locale, 'prompts.schedulePlanSection', {
+      plan: formatPlan(schedulePlan, { locale }) || t(locale, 'prompts.emptyPlan'),
+      blocks: JSON.stringify(schedulePlan.blocks.map(block => ({ title: block.title, startTime: block.startTime, endTime: block.endTime })))
+    })
+    : '';
+  const todoSection = todoList
+    ? t(locale, 'prompts.todoSection', { list: renderTodoList(todoList, 'text') })
+    : '';
+  const dependencySummary = tasksContext.dependencies ? formatDependencySummary(tasksContext.dependencies, locale) : '';
+  const dependencySection = dependencySummary
+    ? t(locale, 'prompts.dependencySection', { summary: dependencySummary })
+    : '';
 
-  
-  
-- CÁCH XỬ LÝ KHI USER YÊU CẦU XÓA/SỬA:
-  + Nếu user nói "xóa", "sửa", "hủy", "bỏ" → Từ chối: "Mình chỉ có thể tạo task/event mới. Để xóa hoặc sửa, bạn hãy sử dụng giao diện chính của ứng dụng."
-  + Nếu user nói "xóa lịch học toán" → Từ chối: "Mình chỉ có thể tạo task/event mới. Để xóa, bạn hãy sử dụng giao diện chính của ứng dụng."
-  + Nếu user nói "sửa lịch học toán" → Từ chối: "Mình chỉ có thể tạo task/event mới. Để sửa, bạn hãy sử dụng giao diện chính của ứng dụng."
-  
+  return {
+    currentDayName,
+    currentDateLocal,
+    currentDate,
+    tomorrowDate,
+    currentTime,
+    historyContext,
+    totalEvents: tasksContext.totalEvents || 0,
+    totalTasks: tasksContext.totalTasks,
+    totalItems: tasksContext.totalItems || tasksContext.totalTasks,
+    completedTasks: tasksContext.completedTasks,
+    overdueTasks: tasksContext.overdueTasks,
+    productivityScore: tasksContext.productivityScore || 0,
+    completionRate: tasksContext.completionRate || 0,
+    weeklyEventTime: tasksContext.weeklyEventTime || 0,
+    heatmapSection: formatHeatmapData(tasksContext.heatmapData, locale),
+    heatmapAnalysis: describeHeatmapAnalysis(tasksContext.heatmapAnalysis, locale),
+    categoryStats: JSON.stringify(tasksContext.categoryStats || []),
+    priorityStats: JSON.stringify(tasksContext.priorityStats || []),
+    taskList: tasksContext.taskList || formatTaskList([]),
+    dependencySection,
+    schedulePlanSection,
+    todoSection,
+    userMessage
+  };
+}
 
-- CÁCH TÍNH THỜI GIAN:
-  + Sử dụng thông tin "Ngày hiện tại (ISO)" và "Ngày mai (ISO)" ở trên để tính toán
-  + "hôm nay" = ngày hiện tại (${currentDate})
-  + "ngày mai" = ngày mai (${tomorrowDate})
-  + "thứ 2" = thứ 2 tuần này hoặc tuần sau (tùy theo ngày hiện tại)
-  + QUAN TRỌNG: Tạo thời gian theo VN timezone (UTC+7) NHƯNG lưu dưới dạng UTC
-  + "12 trưa" = 12:00 VN time = 05:00 UTC (trừ 7 giờ)
-  + "7:00 sáng" = 07:00 VN time = 00:00 UTC (trừ 7 giờ)
-  + "8:00 tối" = 20:00 VN time = 13:00 UTC (trừ 7 giờ)
-  + estimatedDuration = (endTime - startTime) tính bằng phút
-  + Ví dụ: "12 trưa hôm nay" = ${currentDate}T05:00:00.000Z (12:00 VN = 05:00 UTC)
-  + Ví dụ: "12 trưa mai" = ${tomorrowDate}T05:00:00.000Z (12:00 VN = 05:00 UTC)
-  + Ví dụ: "11:00 mai" = ${tomorrowDate}T04:00:00.000Z (11:00 VN = 04:00 UTC)
-  + Ví dụ: "13:00 mai" = ${tomorrowDate}T06:00:00.000Z (13:00 VN = 06:00 UTC)
-  + Ví dụ: "trưa mai lúc 11:00" = ${tomorrowDate}T04:00:00.000Z (11:00 VN = 04:00 UTC)
-  + Ví dụ: "trưa mai lúc 12:00" = ${tomorrowDate}T05:00:00.000Z (12:00 VN = 05:00 UTC)
-  + LƯU Ý: KHÔNG sử dụng +07:00, chỉ sử dụng Z (UTC) trong JSON
-  + SAI: "startTime": "2025-09-15T12:00:00.000+07:00"
-  + ĐÚNG: "startTime": "2025-09-15T05:00:00.000Z"
-  
-- QUAN TRỌNG: Khi user nói "trưa mai lúc 11:00", AI phải hiểu:
-  + "trưa mai" = ngày mai (${tomorrowDate})
-  + "lúc 11:00" = 11:00 VN time = 04:00 UTC
-  + Kết quả: "startTime": "${tomorrowDate}T04:00:00.000Z"
-  + KHÔNG được tạo "startTime": "${tomorrowDate}T05:00:00.000Z" (12:00 VN)
-  
-- CÁCH PHÂN TÍCH THỜI GIAN TỪ USER REQUEST:
-  + Bước 1: Tìm từ khóa thời gian ("trưa mai", "sáng mai", "tối mai", "hôm nay", "ngày mai")
-  + Bước 2: Tìm giờ cụ thể ("11:00", "12:00", "13:00", "14:00", "15:00", "16:00", "17:00", "18:00", "19:00", "20:00", "21:00", "22:00", "23:00", "00:00", "01:00", "02:00", "03:00", "04:00", "05:00", "06:00", "07:00", "08:00", "09:00", "10:00")
-  + Bước 3: Nếu có giờ cụ thể, sử dụng giờ đó thay vì giờ mặc định
-  + Bước 4: Chuyển đổi giờ VN sang UTC (trừ 7 giờ)
-  + Bước 5: Tạo JSON với timezone UTC (Z)
-  
-- VÍ DỤ CỤ THỂ:
-  + User: "tạo lịch toán 12 vào trưa mai lúc 11:00"
-  + Phân tích: "trưa mai" = ngày mai, "11:00" = 11:00 VN
-  + Kết quả: "startTime": "${tomorrowDate}T04:00:00.000Z"
-  + User: "tạo lịch toán 12 vào trưa mai lúc 12:00"
-  + Phân tích: "trưa mai" = ngày mai, "12:00" = 12:00 VN
-  + Kết quả: "startTime": "${tomorrowDate}T05:00:00.000Z"
-  + User: "tạo lịch toán 12 vào trưa mai lúc 13:00"
-  + Phân tích: "trưa mai" = ngày mai, "13:00" = 13:00 VN
-  + Kết quả: "startTime": "${tomorrowDate}T06:00:00.000Z"
-  
-- LƯU Ý QUAN TRỌNG:
-  + Khi user nói "trưa mai lúc 11:00", KHÔNG được hiểu là "12:00 VN"
-  + Phải hiểu là "11:00 VN" và chuyển đổi thành "04:00 UTC"
-  + Tương tự với các giờ khác: "12:00 VN" = "05:00 UTC", "13:00 VN" = "06:00 UTC"
-  + Luôn ưu tiên giờ cụ thể mà user đã nói
-  
-- CÁCH TÍNH END TIME:
-  + Nếu user không nói thời gian kết thúc, mặc định là 1.5 giờ sau start time
-  + Ví dụ: "startTime": "${tomorrowDate}T04:00:00.000Z" (11:00 VN)
-  + Thì: "endTime": "${tomorrowDate}T05:30:00.000Z" (12:30 VN)
-  + estimatedDuration = 90 phút
-
-- CÁCH TÍNH DEADLINE (cho Task):
-  + "sáng mai" = ngày mai 8:00 AM
-  + "chiều mai" = ngày mai 2:00 PM  
-  + "tối mai" = ngày mai 8:00 PM
-  + "ngày mai" = ngày mai 11:59 PM
-
-- CÁCH PHÂN TÍCH THỜI GIAN TỪ USER REQUEST:
-  + Khi user nói "11:00" = 11:00 VN time = 04:00 UTC
-  + Khi user nói "12:00" = 12:00 VN time = 05:00 UTC  
-  + Khi user nói "13:00" = 13:00 VN time = 06:00 UTC
-  + Khi user nói "14:00" = 14:00 VN time = 07:00 UTC
-  + Khi user nói "15:00" = 15:00 VN time = 08:00 UTC
-  + Khi user nói "16:00" = 16:00 VN time = 09:00 UTC
-  + Khi user nói "17:00" = 17:00 VN time = 10:00 UTC
-  + Khi user nói "18:00" = 18:00 VN time = 11:00 UTC
-  + Khi user nói "19:00" = 19:00 VN time = 12:00 UTC
-  + Khi user nói "20:00" = 20:00 VN time = 13:00 UTC
-  + Khi user nói "21:00" = 21:00 VN time = 14:00 UTC
-
-- CÁCH HIỂU THỜI GIAN CỤ THỂ:
-  + "11:00" = 11:00 VN time = 04:00 UTC (trừ 7 giờ)
-  + "12:00" = 12:00 VN time = 05:00 UTC (trừ 7 giờ)
-  + "13:00" = 13:00 VN time = 06:00 UTC (trừ 7 giờ)
-  + "14:00" = 14:00 VN time = 07:00 UTC (trừ 7 giờ)
-  + "15:00" = 15:00 VN time = 08:00 UTC (trừ 7 giờ)
-  + "16:00" = 16:00 VN time = 09:00 UTC (trừ 7 giờ)
-  + "17:00" = 17:00 VN time = 10:00 UTC (trừ 7 giờ)
-  + "18:00" = 18:00 VN time = 11:00 UTC (trừ 7 giờ)
-  + "19:00" = 19:00 VN time = 12:00 UTC (trừ 7 giờ)
-  + "tuần sau" = 7 ngày từ hôm nay 11:59 PM
-  + "tháng sau" = 30 ngày từ hôm nay 11:59 PM
-  + "cuối tuần" = Chủ nhật tuần này 11:59 PM
-  + "cuối tháng" = Ngày cuối tháng hiện tại 11:59 PM
-  + "hôm nay" = hôm nay 11:59 PM
-  + "tuần này" = Chủ nhật tuần này 11:59 PM
-  + "tháng này" = Ngày cuối tháng hiện tại 11:59 PM
-
-- LOGIC RECURRING CHO EVENT:
-  + Nếu user nói "hàng tuần", "hàng ngày", "hàng tháng" → isRecurring=true
-  + Nếu user nói "một lần", "chỉ hôm nay" → isRecurring=false
-  + recurrencePattern: "daily" (hàng ngày), "weekly" (hàng tuần), "monthly" (hàng tháng)
-  + recurrenceEndDate: Mặc định là cuối học kỳ (6 tháng) nếu không có thông tin cụ thể
-
-- LOGIC TÍNH TOÁN THỜI GIAN:
-  + Lấy thời gian hiện tại làm mốc
-  + Tính toán chính xác ngày giờ dựa trên từ khóa
-  + Chuyển đổi sang ISO string với timezone VN
-  + Ưu tiên thời gian cụ thể nếu user cung cấp (VD: "8:00 sáng mai")
-  + Mặc định thời gian hợp lý nếu không có thông tin cụ thể
-
-- CÁC FIELD BẮT BUỘC:
-  + title: Tên task/event (bắt buộc)
-  + category: academic|work|personal|health|social (bắt buộc)
-  + type: "task" hoặc "event" (bắt buộc)
-  + description: Mô tả chi tiết (có thể để trống)
-  + tags: Array các tag liên quan
-  + estimatedDuration: Thời gian ước tính (phút)
-
-- FIELD CHO EVENT:
-  + startTime: Thời gian bắt đầu (ISO string)
-  + endTime: Thời gian kết thúc (ISO string)
-  + location: Địa điểm (có thể để trống)
-  + isRecurring: true/false (có lặp lại hay không)
-  + recurrencePattern: "daily|weekly|monthly" (chỉ khi isRecurring=true)
-  + recurrenceEndDate: Ngày kết thúc lặp lại (ISO string, chỉ khi isRecurring=true)
-
-- FIELD CHO TASK:
-  + priority: low|medium|high|urgent
-  + dueDate: Deadline (ISO string)
-  + status: "pending" (mặc định)
-- Nếu user hỏi về lịch trình, hãy phân tích thời gian bận/rảnh và đưa ra gợi ý
-- Nếu user hỏi về ưu tiên, hãy đánh giá tasks hiện tại và đưa ra lời khuyên
-- Nếu user hỏi về hiệu suất, hãy phân tích completion rate và productivity score
-- Trả lời ngắn gọn, súc tích, tập trung vào câu hỏi cụ thể của user
-- KHÔNG đào sâu hoặc hỏi quá nhiều câu hỏi phụ`;
+// Helper function to create prompt for Gemini (version: from promptTemplates.select)
+function createPrompt(userMessage, tasksContext, historyContext = '', schedulePlan = null, todoList = null, locale = DEFAULT_LOCALE, version = null) {
+  return promptTemplates.render('chat', {
+    version,
+    locale,
+    variables: chatPromptVariables(userMessage, tasksContext, historyContext, schedulePlan, todoList, locale)
+  }).text;
 }
 
-// Fallback recommendations function
-function generateFallbackRecommendations(tasks, taskStats, timeAccuracy, language = 'vi') {
-  const isVietnamese = language === 'vi';
+// Fallback recommendations function (same shape as the AI ones, see recommendations.js)
+function generateFallbackRecommendations(tasks, language = DEFAULT_LOCALE) {
   const recommendations = [];
   
-  const totalTasks = tasks.length;
-  const completedTasks = taskStats.completedTasks || 0;
-  const overdueTasks = taskStats.overdueTasks || 0;
-  const productivityScore = taskStats.productivityScore || 0;
-  const accuracy = timeAccuracy?.accuracy || 0;
-  
-  // Calculate weekly event time
-  const now = new Date();
-  const startOfWeek = new Date(now);
-  startOfWeek.setDate(now.getDate() - now.getDay());
-  startOfWeek.setHours(0, 0, 0, 0);
-
-  const endOfWeek = new Date(startOfWeek);
-  endOfWeek.setDate(startOfWeek.getDate() + 6);
-  endOfWeek.setHours(23, 59, 59, 999);
-
-  const weeklyEventTime = tasks
-    .filter(task => task.type === 'event')
-    .filter(task => {
-      if (!task.startTime || !task.endTime) return false;
-      const startTime = new Date(task.startTime);
-      return startTime >= startOfWeek && startTime <= endOfWeek;
-    })
-    .reduce((total, task) => {
-      if (!task.startTime || !task.endTime) return total;
-      const startTime = new Date(task.startTime);
-      const endTime = new Date(task.endTime);
-      return total + (endTime.getTime() - startTime.getTime()) / (1000 * 60);
-    }, 0);
-
-  const weeklyHours = weeklyEventTime / 60;
-  
-  // Category analysis
-  const categories = ['academic', 'work', 'personal', 'health', 'social'];
-  const categoryStats = categories.map(category => {
-    const categoryTasks = tasks.filter(task => task.category === category);
-    return `${category},${categoryTasks.length}`;
-  });
+  const stats = calculateTaskStats(tasks);
+  const totalItems = stats.totalItems;
+  const overdueTasks = stats.overdueTasks;
+  const { averageOverrunPercent, sampleSize } = stats.timeAccuracy;
+
+  const weeklyHours = stats.weeklyEventTime / 60;
+
+  // Overdue tasks, oldest deadline first
+  const overdue = tasks
+    .filter(task => task.type !== 'event' && isOverdue(task))
+    .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
   
-  const mostActiveCategory = categoryStats.reduce(
+  // Category analysis (tasks and events)
+  const mostActiveCategory = stats.categoryStats.reduce(
     (max, stat) => {
       const [category, total] = stat.split(',');
       const totalNum = parseInt(total);
@@ -1471,148 +1489,188 @@ function generateFallbackRecommendations(tasks, taskStats, timeAccuracy, languag
     { total: 0, category: "" }
   );
   
-  if (isVietnamese) {
-    // 1. Weekly study/work time analysis
-    if (weeklyHours > 50) {
-      recommendations.push(`Thời gian: Bạn đang dành quá nhiều thời gian cho việc học và làm việc trong tuần. Hãy cân bằng với thời gian nghỉ ngơi để tránh kiệt sức.`);
-    } else if (weeklyHours < 20) {
-      recommendations.push(`Thời gian: Thời gian học tập và làm việc trong tuần khá ít. Có thể tăng cường thêm để tối ưu hóa năng suất.`);
-    } else {
-      recommendations.push(`Thời gian: Thời gian học tập và làm việc trong tuần của bạn khá hợp lý. Hãy tiếp tục duy trì nhịp độ này.`);
-    }
-    
-    // 2. Deadline analysis
-    if (overdueTasks > 0) {
-      recommendations.push(`Deadline: Bạn có ${overdueTasks} nhiệm vụ đã quá hạn. Hãy ưu tiên hoàn thành những nhiệm vụ này trước khi bắt đầu nhiệm vụ mới.`);
-    }
-    
-    // 3. Category preference analysis
-    if (mostActiveCategory.total > 0) {
-      const categoryName = mostActiveCategory.category === 'academic' ? 'học tập' : 
-                          mostActiveCategory.category === 'work' ? 'công việc' :
-                          mostActiveCategory.category === 'personal' ? 'cá nhân' :
-                          mostActiveCategory.category === 'health' ? 'sức khỏe' :
-                          mostActiveCategory.category === 'social' ? 'xã hội' : mostActiveCategory.category;
-      const percentage = Math.round((mostActiveCategory.total / totalTasks) * 100);
-      
-      if (percentage > 50) {
-        recommendations.push(`Sở thích: Bạn có xu hướng tập trung nhiều vào ${categoryName} (${percentage}% tổng số nhiệm vụ). Đây có thể là sở thích hoặc ưu tiên của bạn.`);
-      } else if (percentage < 10) {
-        recommendations.push(`Sở thích: Bạn ít quan tâm đến ${categoryName} (chỉ ${percentage}% tổng số nhiệm vụ). Có thể cần cân bằng hơn.`);
-      }
-    }
-    
-    // 4. Time management suggestions
-    if (weeklyHours >= 20 && weeklyHours <= 50 && overdueTasks === 0) {
-      recommendations.push(`Quản lý thời gian: Cách sắp xếp thời gian và học tập của bạn khá hợp lý. Hãy tiếp tục duy trì thói quen tốt này.`);
-    } else {
-      recommendations.push(`Kỹ thuật: Sử dụng kỹ thuật Pomodoro (25 phút tập trung + 5 phút nghỉ) để tăng hiệu quả học tập và làm việc.`);
-    }
-    
+  // 1. Weekly study/work time analysis
+  if (weeklyHours > 50) {
+    recommendations.push(createRecommendation('time', 'warning', t(language, 'recommendations.timeHigh')));
+  } else if (weeklyHours < 20) {
+    recommendations.push(createRecommendation('time', 'info', t(language, 'recommendations.timeLow')));
   } else {
-    // English version
-    if (weeklyHours > 50) {
-      recommendations.push(`Time: You're spending too much time on study and work this week. Balance with rest time to avoid burnout.`);
-    } else if (weeklyHours < 20) {
-      recommendations.push(`Time: Your study and work time this week is quite low. Consider increasing it to optimize productivity.`);
-    } else {
-      recommendations.push(`Time: Your weekly study and work time is well balanced. Keep maintaining this pace.`);
-    }
+    recommendations.push(createRecommendation('time', 'info', t(language, 'recommendations.timeBalanced')));
+  }
+  
+  // 2. Deadline analysis
+  if (overdueTasks > 0) {
+    // Suggest making the oldest overdue task urgent when it isn't yet
+    const oldest = overdue[0];
+    recommendations.push(createRecommendation('deadline', 'critical', t(language, 'recommendations.overdue', { count: overdueTasks }), {
+      relatedTaskIds: overdue.map(task => task.id).filter(Boolean),
+      suggestedAction: oldest && oldest.id && oldest.priority !== 'urgent'
+        ? { action: 'update_task', taskId: oldest.id, taskData: { priority: 'urgent' } }
+        : null
+    }));
+  }
+  
+  // 3. Category preference analysis
+  if (mostActiveCategory.total > 0) {
+    const category = categoryName(language, mostActiveCategory.category);
+    const percentage = Math.round((mostActiveCategory.total / totalItems) * 100);
     
-    if (overdueTasks > 0) {
-      recommendations.push(`Deadline: You have ${overdueTasks} overdue tasks. Prioritize completing these before starting new ones.`);
+    if (percentage > 50) {
+      recommendations.push(createRecommendation('preferences', 'info', t(language, 'recommendations.preferenceHigh', { category, percentage })));
+    } else if (percentage < 10) {
+      recommendations.push(createRecommendation('preferences', 'info', t(language, 'recommendations.preferenceLow', { category, percentage })));
     }
-    
-    if (mostActiveCategory.total > 0) {
-      const percentage = Math.round((mostActiveCategory.total / totalTasks) * 100);
-      if (percentage > 50) {
-        recommendations.push(`Preferences: You tend to focus heavily on ${mostActiveCategory.category} (${percentage}% of total tasks). This might be your preference or priority.`);
-      } else if (percentage < 10) {
-        recommendations.push(`Preferences: You pay less attention to ${mostActiveCategory.category} (only ${percentage}% of total tasks). Consider balancing more.`);
+  }
+  
+  // 4. Estimate vs actual time
+  if (sampleSize > 0 && averageOverrunPercent > 25) {
+    recommendations.push(createRecommendation('suggestion', 'warning', t(language, 'recommendations.overrun', { percent: averageOverrunPercent })));
+  }
+  
+  // 5. Time management suggestions
+  if (weeklyHours >= 20 && weeklyHours <= 50 && overdueTasks === 0) {
+    recommendations.push(createRecommendation('suggestion', 'info', t(language, 'recommendations.goodHabits')));
+  } else {
+    recommendations.push(createRecommendation('suggestion', 'info', t(language, 'recommendations.pomodoro')));
+  }
+  
+  return recommendations;
+}
+
+// Helper function to answer without the AI: { response, actions, rejectedActions } like extractActions
+// Task/event requests are parsed offline into a create_task action, everything else gets a text answer
+function generateFallbackReply(userMessage, tasks, locale = DEFAULT_LOCALE, intent = classifyIntent(userMessage), planOptions = {}) {
+  if (intent.name === 'create') {
+    const parsed = parseTaskRequest(userMessage);
+
+    if (parsed && parsed.action) {
+      const { action, rejected } = validateAction(parsed.action);
+      if (action) {
+        return {
+          response: t(locale, 'fallback.createParsed', {
+            type: t(locale, `fallback.types.${parsed.type}`),
+            title: action.taskData.title,
+            when: describeTaskRequest(action.taskData, locale)
+          }),
+          actions: [action],
+          rejectedActions: []
+        };
       }
+      logger.warn('Offline task parser produced an invalid action', { reasons: rejected.reasons });
     }
-    
-    if (weeklyHours >= 20 && weeklyHours <= 50 && overdueTasks === 0) {
-      recommendations.push(`Time Management: Your time management and study approach is quite reasonable. Keep maintaining these good habits.`);
-    } else {
-      recommendations.push(`Technique: Use Pomodoro technique (25 minutes focus + 5 minutes break) to increase study and work efficiency.`);
+
+    if (parsed && parsed.missing.length > 0 && parsed.title) {
+      return {
+        response: t(locale, 'fallback.createMissing', {
+          title: parsed.title,
+          fields: parsed.missing.map(field => t(locale, `fallback.missingFields.${field}`)).join(', '),
+          example: t(locale, 'fallback.missingExample')
+        }),
+        actions: [],
+        rejectedActions: []
+      };
     }
-    
   }
-  
-  return recommendations;
+
+  return { response: generateFallbackResponse(userMessage, tasks, locale, intent, planOptions), actions: [], rejectedActions: [] };
 }
 
 // Fallback response function
-function generateFallbackResponse(userMessage, tasks) {
-  const context = createTasksContext(tasks);
-  const lowerMessage = userMessage.toLowerCase();
+// intent comes from classifyIntent (callers pass it along so the response can report it)
+function generateFallbackResponse(userMessage, tasks, locale = DEFAULT_LOCALE, intent = classifyIntent(userMessage), planOptions = {}) {
+  const context = createTasksContext(tasks, null, planOptions);
+
+  // Xếp lịch (bộ lập lịch chạy offline nên vẫn trả lời được khi không có AI)
+  if (intent.name === 'plan') {
+    const plan = planSchedule(tasks || [], { options: planOptions });
+    if (plan.blocks.length === 0 && plan.unscheduled.length === 0) {
+      return t(locale, 'fallback.planEmpty');
+    }
+    return t(locale, 'fallback.plan', {
+      tasks: plan.summary.tasksConsidered,
+      days: plan.options.horizonDays,
+      dayStart: plan.options.dayStart,
+      dayEnd: plan.options.dayEnd,
+      chunkMinutes: plan.options.chunkMinutes,
+      breakMinutes: plan.options.breakMinutes,
+      plan: formatPlan(plan, { locale })
+    });
+  }
 
   // Tạo task
-  if (lowerMessage.includes('tạo') || lowerMessage.includes('thêm') || lowerMessage.includes('add') || lowerMessage.includes('create') || lowerMessage.includes('lịch')) {
-    return `Để tạo task/event, bạn có thể nói như:\n\n• "Tạo lịch Toán 12 vào thứ 2 từ 7:00 đến 9:50 hàng tuần"\n• "Tạo task học bài ngày mai ưu tiên cao"\n• "Thêm event họp nhóm thứ 3 từ 14:00 đến 15:30"\n\nTôi sẽ tự động điền form và hiển thị preview để bạn xác nhận!`;
+  if (intent.name === 'create') {
+    return t(locale, 'fallback.create');
   }
 
-  // Ưu tiên
-  if (lowerMessage.includes('ưu tiên') || lowerMessage.includes('priority') || lowerMessage.includes('quan trọng')) {
-    let response = `Hiện tại bạn có ${context.totalTasks} tasks tổng cộng.\n\n`;
-    
-    if (context.overdueTasks > 0) {
-      response += `Có ${context.overdueTasks} tasks quá hạn cần xử lý ngay!\n`;
-    }
-    
-    if (context.urgentTasks > 0) {
-      response += `${context.urgentTasks} tasks urgent cần ưu tiên hôm nay.\n`;
-    }
-    
-    if (context.highPriorityTasks > 0) {
-      response += `${context.highPriorityTasks} tasks high priority cần lên kế hoạch tuần này.\n`;
-    }
-    
-    response += `\nGợi ý: Chia nhỏ tasks lớn thành các phần 25-30 phút để dễ quản lý hơn!`;
-    
-    return response;
+  // Ưu tiên (cùng TODO list với GET /api/todo và prompt chat)
+  if (intent.name === 'priority') {
+    const todoList = buildTodoList(tasks || [], { locale });
+    return t(locale, 'fallback.priorityTotal', { total: context.totalTasks }) + renderTodoList(todoList, 'text');
   }
 
   // Lịch trình và deadlines
-  if (lowerMessage.includes('lịch') || lowerMessage.includes('schedule') || lowerMessage.includes('deadline') || lowerMessage.includes('hạn')) {
+  if (intent.name === 'schedule') {
     if (context.upcomingDeadlines.length > 0) {
       const upcomingTasks = context.upcomingDeadlines.slice(0, 3);
-      return `Deadlines sắp tới:\n${upcomingTasks.map((task, index) => 
-        `${index + 1}. ${task.title} - ${new Date(task.dueDate).toLocaleDateString('vi-VN')} (${task.priority.toUpperCase()})`
-      ).join('\n')}\n\nLời khuyên: Ưu tiên tasks có deadline trong 24-48h tới, nhớ dành thời gian buffer!`;
+      const list = upcomingTasks.map((task, index) => t(locale, 'fallback.deadlineItem', {
+        index: index + 1,
+        title: task.title,
+        date: new Date(task.dueDate).toLocaleDateString(t(locale, 'meta.dateLocale')),
+        priority: priorityName(locale, task.priority).toUpperCase()
+      })).join('\n');
+      return t(locale, 'fallback.deadlines', { list });
     } else {
-      return `Hiện tại bạn chưa có deadline nào sắp tới. Đây là cơ hội tốt để lên kế hoạch cho các tasks dài hạn!`;
+      return t(locale, 'fallback.noDeadlines');
     }
   }
 
   // Hiệu suất
-  if (lowerMessage.includes('hiệu suất') || lowerMessage.includes('productivity') || lowerMessage.includes('thống kê') || lowerMessage.includes('phân tích')) {
-    const completionRate = context.totalTasks > 0 ? Math.round((context.completedTasks / context.totalTasks) * 100) : 0;
-    
-    return `Hiệu suất hiện tại:\n• Hoàn thành: ${completionRate}% (${context.completedTasks}/${context.totalTasks} tasks)\n• Đang thực hiện: ${context.inProgressTasks} tasks\n• Quá hạn: ${context.overdueTasks} tasks\n\nTips cải thiện:\n• Sử dụng Pomodoro 25 phút + 5 phút nghỉ\n• Tập trung 1 task tại một thời điểm\n• Đặt deadline thực tế hơn`;
+  if (intent.name === 'productivity') {
+    return t(locale, 'fallback.productivity', {
+      completionRate: context.completionRate,
+      completed: context.completedTasks,
+      total: context.totalTasks,
+      inProgress: context.inProgressTasks,
+      overdue: context.overdueTasks
+    });
   }
 
   // Thời gian
-  if (lowerMessage.includes('thời gian') || lowerMessage.includes('time') || lowerMessage.includes('quản lý')) {
-    return `Quản lý thời gian hiệu quả:\n\nNguyên tắc cơ bản:\n• Quy tắc 80/20: 20% công việc tạo ra 80% kết quả\n• Time blocking: Chia ngày thành các khung thời gian cụ thể\n• Buffer time: Dành 25% thời gian cho việc không lường trước\n\nTình trạng hiện tại: ${context.totalTasks} tasks tổng cộng, ${context.overdueTasks} quá hạn\n\nGợi ý: Tập trung hoàn thành ${context.overdueTasks > 0 ? context.overdueTasks + " tasks quá hạn trước" : "các tasks có deadline gần nhất"}!`;
+  if (intent.name === 'time') {
+    return t(locale, 'fallback.time', {
+      total: context.totalTasks,
+      overdue: context.overdueTasks,
+      focus: context.overdueTasks > 0
+        ? t(locale, 'fallback.timeFocusOverdue', { count: context.overdueTasks })
+        : t(locale, 'fallback.timeFocusNearest')
+    });
   }
 
   // Giúp đỡ
-  if (lowerMessage.includes('giúp') || lowerMessage.includes('help') || lowerMessage.includes('hướng dẫn')) {
-    return `Tôi có thể giúp bạn:\n\n• Tạo task: "Tạo task học bài với mô tả ôn tập toán, ngày hạn ngày mai, ưu tiên cao"\n• Xem ưu tiên: "Ưu tiên công việc", "Tasks quan trọng"\n• Lịch trình: "Deadline sắp tới", "Lịch tuần này"\n• Hiệu suất: "Phân tích hiệu suất", "Thống kê tasks"\n• Quản lý thời gian: "Tips quản lý thời gian"\n\nChỉ cần hỏi tự nhiên, tôi sẽ hiểu và giúp bạn!`;
+  if (intent.name === 'help') {
+    return t(locale, 'fallback.help');
   }
 
   // Chào hỏi
-  if (lowerMessage.includes('xin chào') || lowerMessage.includes('hello') || lowerMessage.includes('hi') || lowerMessage.includes('chào')) {
-    return `Xin chào! Tôi là AI Assistant của N-Timer.\n\nTình trạng hiện tại:\n• ${context.totalTasks} tasks tổng cộng\n• ${context.pendingTasks} đang chờ\n• ${context.inProgressTasks} đang thực hiện\n• ${context.completedTasks} đã hoàn thành\n• ${context.overdueTasks} quá hạn\n\nTôi có thể giúp bạn tạo task, phân tích ưu tiên, quản lý thời gian và nhiều hơn nữa!\n\nBạn muốn làm gì hôm nay?`;
+  if (intent.name === 'greeting') {
+    return t(locale, 'fallback.greeting', {
+      total: context.totalTasks,
+      pending: context.pendingTasks,
+      inProgress: context.inProgressTasks,
+      completed: context.completedTasks,
+      overdue: context.overdueTasks
+    });
   }
 
   // Mặc định
-  return `Tôi hiểu bạn đang hỏi về: "${userMessage}"\n\nTình trạng hiện tại: ${context.totalTasks} tasks tổng cộng\n\nTôi có thể giúp:\n• Tạo task mới\n• Phân tích ưu tiên công việc\n• Xem lịch trình và deadlines\n• Tips quản lý thời gian\n• Phân tích hiệu suất\n\nHãy hỏi cụ thể hơn để tôi có thể hỗ trợ tốt nhất!`;
+  return t(locale, 'fallback.default', { message: userMessage, total: context.totalTasks });
 }
 
 // Start server
+// Unknown /api routes and every error above answer with the same envelope (see errors.js)
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
+
 app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+  logger.info('Server running', { port: Number(PORT) });
 });
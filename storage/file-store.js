@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+
+// JSON file key/value store
+// The whole file is kept in memory and rewritten atomically (tmp file + rename) after each change
+// File format: { "version": 1, "entries": { "<key>": { "value": ..., "expiresAt": <ms|null> } } }
+
+const FILE_VERSION = 1;
+
+function createFileStore({ filePath }) {
+  let data = null;
+  let writeQueue = Promise.resolve();
+
+  function load() {
+    if (data) return data;
+
+    data = new Map();
+    if (fs.existsSync(filePath)) {
+      const content = fs.readFileSync(filePath, 'utf8');
+      const parsed = content.trim() ? JSON.parse(content) : {};
+
+      const now = Date.now();
+      Object.entries(parsed.entries || {}).forEach(([key, entry]) => {
+        if (!entry.expiresAt || entry.expiresAt > now) data.set(key, entry);
+      });
+    }
+    return data;
+  }
+
+  function read(key) {
+    const entry = load().get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  // Writes are serialized so two requests never interleave on the same file
+  // A failed write only fails its own caller, the next write starts from a clean queue
+  // Expired entries are dropped here, so keys that are never read again don't pile up in the file
+  function persist() {
+    const now = Date.now();
+    for (const [key, entry] of data) {
+      if (entry.expiresAt && entry.expiresAt <= now) data.delete(key);
+    }
+    const snapshot = JSON.stringify({ version: FILE_VERSION, entries: Object.fromEntries(data) }, null, 2);
+    const write = writeQueue.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpPath, snapshot, 'utf8');
+      await fs.promises.rename(tmpPath, filePath);
+    });
+    writeQueue = write;
+    return write;
+  }
+
+  return {
+    driver: 'file',
+
+    async get(key) {
+      const entry = read(key);
+      return entry ? entry.value : null;
+    },
+
+    // ttl is in seconds; omit it to keep the value forever
+    async set(key, value, { ttl } = {}) {
+      load().set(key, { value, expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+      await persist();
+    },
+
+    async delete(key) {
+      const deleted = load().delete(key);
+      if (deleted) await persist();
+      return deleted;
+    },
+
+    async list(prefix = '') {
+      const entries = [];
+      for (const key of [...load().keys()]) {
+        if (!key.startsWith(prefix)) continue;
+        const entry = read(key);
+        if (entry) entries.push({ key, value: entry.value, expiresAt: entry.expiresAt });
+      }
+      return entries;
+    },
+
+    async close() {
+      await writeQueue.catch(() => {});
+    }
+  };
+}
+
+module.exports = { createFileStore };
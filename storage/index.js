@@ -0,0 +1,66 @@
+const path = require('path');
+const { createMemoryStore } = require('./memory-store');
+const { createFileStore } = require('./file-store');
+const { createSqliteStore } = require('./sqlite-store');
+const { createRedisStore } = require('./redis-store');
+
+// Storage factory
+// Every store exposes the same async key/value interface:
+//   get(key), set(key, value, { ttl }), delete(key), list(prefix) -> [{ key, value, expiresAt }], close()
+// Values are plain JSON-serializable objects, ttl is in seconds
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+const drivers = {
+  memory: () => createMemoryStore(),
+  file: (options) => createFileStore({
+    filePath: options.path || path.join(DEFAULT_DATA_DIR, 'store.json')
+  }),
+  sqlite: (options) => createSqliteStore({
+    filePath: options.path || path.join(DEFAULT_DATA_DIR, 'store.sqlite')
+  }),
+  redis: (options) => createRedisStore({
+    url: options.url || 'redis://127.0.0.1:6379',
+    keyPrefix: options.keyPrefix || ''
+  })
+};
+
+function createStore(options = {}) {
+  const driver = options.driver || 'file';
+  const factory = drivers[driver];
+
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${driver}" (available: ${Object.keys(drivers).join(', ')})`);
+  }
+
+  return factory(options);
+}
+
+// Helper function to read storage options from environment variables
+function storeOptionsFromEnv(env = process.env) {
+  return {
+    driver: env.STORAGE_DRIVER || 'file',
+    path: env.STORAGE_PATH || undefined,
+    url: env.REDIS_URL || undefined,
+    keyPrefix: env.REDIS_KEY_PREFIX || 'ntimer:'
+  };
+}
+
+// Helper function to parse a "driver:location" spec, e.g.
+//   file:./data/store.json, sqlite:./data/store.sqlite, redis:redis://127.0.0.1:6379, memory
+function storeOptionsFromSpec(spec) {
+  const separator = spec.indexOf(':');
+  const driver = separator === -1 ? spec : spec.slice(0, separator);
+  const location = separator === -1 ? '' : spec.slice(separator + 1);
+
+  if (driver === 'redis') {
+    return { driver, url: location || undefined, keyPrefix: process.env.REDIS_KEY_PREFIX || 'ntimer:' };
+  }
+  return { driver, path: location ? path.resolve(location) : undefined };
+}
+
+module.exports = {
+  createStore,
+  storeOptionsFromEnv,
+  storeOptionsFromSpec
+};
@@ -0,0 +1,48 @@
+// In-memory key/value store
+// Used for tests and as a scratch backend; everything is lost on restart
+
+function createMemoryStore() {
+  const data = new Map(); // key -> { value, expiresAt }
+
+  function read(key) {
+    const entry = data.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  return {
+    driver: 'memory',
+
+    async get(key) {
+      const entry = read(key);
+      return entry ? entry.value : null;
+    },
+
+    // ttl is in seconds; omit it to keep the value forever
+    async set(key, value, { ttl } = {}) {
+      data.set(key, { value, expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+    },
+
+    async delete(key) {
+      return data.delete(key);
+    },
+
+    async list(prefix = '') {
+      const entries = [];
+      for (const key of [...data.keys()]) {
+        if (!key.startsWith(prefix)) continue;
+        const entry = read(key);
+        if (entry) entries.push({ key, value: entry.value, expiresAt: entry.expiresAt });
+      }
+      return entries;
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { createMemoryStore };
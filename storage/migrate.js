@@ -0,0 +1,28 @@
+// Copy every entry (with its remaining TTL) from one store to another
+// Used by scripts/migrate-storage.js, e.g. when moving from the JSON file to SQLite or Redis
+
+async function migrateStore(source, target, { prefix = '', dryRun = false } = {}) {
+  const entries = await source.list(prefix);
+  const now = Date.now();
+  let copied = 0;
+  let skipped = 0;
+
+  for (const entry of entries) {
+    const ttl = entry.expiresAt ? (entry.expiresAt - now) / 1000 : null;
+
+    // Expired while we were copying
+    if (ttl !== null && ttl <= 0) {
+      skipped++;
+      continue;
+    }
+
+    if (!dryRun) {
+      await target.set(entry.key, entry.value, ttl ? { ttl } : {});
+    }
+    copied++;
+  }
+
+  return { total: entries.length, copied, skipped };
+}
+
+module.exports = { migrateStore };
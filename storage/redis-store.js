@@ -0,0 +1,159 @@
+const net = require('net');
+const { encodeCommand, createParser } = require('./resp');
+
+// Redis key/value store
+// Talks plain RESP over TCP, so it works with Redis, Valkey, KeyDB or the local stand-in (scripts/redis-standin.js)
+// Values are stored as JSON strings, TTL uses SET ... PX
+
+const SCAN_COUNT = 200;
+
+// Helper function to escape glob characters for MATCH patterns
+function escapeGlob(text) {
+  return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+function createRedisConnection({ url }) {
+  const parsed = new URL(url);
+  const host = parsed.hostname || '127.0.0.1';
+  const port = parseInt(parsed.port || '6379', 10);
+  const password = parsed.password ? decodeURIComponent(parsed.password) : null;
+  const username = parsed.username ? decodeURIComponent(parsed.username) : null;
+  const db = parsed.pathname && parsed.pathname.length > 1 ? parsed.pathname.slice(1) : null;
+
+  let socket = null;
+  let ready = null;
+  const pending = []; // FIFO of { resolve, reject } in command order
+
+  function rejectPending(error) {
+    while (pending.length > 0) pending.shift().reject(error);
+  }
+
+  function connect() {
+    if (ready) return ready;
+
+    ready = new Promise((resolve, reject) => {
+      const parser = createParser(value => {
+        const waiter = pending.shift();
+        if (!waiter) return;
+        if (value instanceof Error) waiter.reject(value);
+        else waiter.resolve(value);
+      });
+
+      socket = net.createConnection({ host, port });
+      socket.setNoDelay(true);
+      socket.on('data', chunk => parser.feed(chunk));
+      socket.on('error', error => {
+        rejectPending(error);
+        reject(error);
+      });
+      socket.on('close', () => {
+        rejectPending(new Error('Redis connection closed'));
+        socket = null;
+        ready = null;
+      });
+      socket.on('connect', async () => {
+        try {
+          if (password) {
+            await send(username ? ['AUTH', username, password] : ['AUTH', password]);
+          }
+          if (db) {
+            await send(['SELECT', db]);
+          }
+          resolve();
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+
+    // Allow a later command to retry after a failed connection
+    ready.catch(() => { ready = null; });
+    return ready;
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  return {
+    async command(...args) {
+      await connect();
+      return send(args);
+    },
+
+    async quit() {
+      if (!socket) return;
+      try {
+        await send(['QUIT']);
+      } catch (error) {
+        // Connection already gone
+      }
+      if (socket) socket.end();
+    }
+  };
+}
+
+function createRedisStore({ url, keyPrefix = '' }) {
+  const connection = createRedisConnection({ url });
+
+  // Helper function to walk all keys with a given prefix using SCAN (never KEYS in production)
+  async function scanKeys(prefix) {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [nextCursor, batch] = await connection.command(
+        'SCAN', cursor, 'MATCH', `${escapeGlob(keyPrefix + prefix)}*`, 'COUNT', SCAN_COUNT
+      );
+      keys.push(...batch);
+      cursor = nextCursor;
+    } while (cursor !== '0');
+    return [...new Set(keys)].sort();
+  }
+
+  return {
+    driver: 'redis',
+
+    async get(key) {
+      const value = await connection.command('GET', keyPrefix + key);
+      return value === null ? null : JSON.parse(value);
+    },
+
+    // ttl is in seconds; omit it to keep the value forever
+    async set(key, value, { ttl } = {}) {
+      const args = ['SET', keyPrefix + key, JSON.stringify(value)];
+      if (ttl) args.push('PX', Math.round(ttl * 1000));
+      await connection.command(...args);
+    },
+
+    async delete(key) {
+      return (await connection.command('DEL', keyPrefix + key)) > 0;
+    },
+
+    async list(prefix = '') {
+      const keys = await scanKeys(prefix);
+      if (keys.length === 0) return [];
+
+      const values = await connection.command('MGET', ...keys);
+      const ttls = await Promise.all(keys.map(key => connection.command('PTTL', key)));
+      const now = Date.now();
+
+      return keys
+        .map((key, index) => ({
+          key: key.slice(keyPrefix.length),
+          value: values[index] === null ? null : JSON.parse(values[index]),
+          expiresAt: ttls[index] > 0 ? now + ttls[index] : null
+        }))
+        // Keys can expire between SCAN and MGET
+        .filter(entry => entry.value !== null);
+    },
+
+    async close() {
+      await connection.quit();
+    }
+  };
+}
+
+module.exports = { createRedisStore };
@@ -0,0 +1,88 @@
+// Minimal RESP (Redis serialization protocol) encoder/parser
+// Shared by the Redis store client and the local stand-in server
+
+// Helper function to encode a command as a RESP array of bulk strings
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  args.forEach(arg => {
+    const value = Buffer.from(String(arg), 'utf8');
+    out += `$${value.length}\r\n${value.toString('utf8')}\r\n`;
+  });
+  return out;
+}
+
+// Incremental parser: feed() raw chunks, it calls onValue for every complete reply
+// Errors ("-ERR ...") are delivered as Error instances
+function createParser(onValue) {
+  let buffer = Buffer.alloc(0);
+
+  // Returns [value, nextOffset] or null when more data is needed
+  function parseAt(offset) {
+    if (offset >= buffer.length) return null;
+
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+      case '+':
+        return [line, next];
+      case '-':
+        return [new Error(line), next];
+      case ':':
+        return [parseInt(line, 10), next];
+      case '$': {
+        const length = parseInt(line, 10);
+        if (length === -1) return [null, next];
+        if (buffer.length < next + length + 2) return null;
+        return [buffer.toString('utf8', next, next + length), next + length + 2];
+      }
+      case '*': {
+        const count = parseInt(line, 10);
+        if (count === -1) return [null, next];
+        const items = [];
+        let cursor = next;
+        for (let i = 0; i < count; i++) {
+          const item = parseAt(cursor);
+          if (!item) return null;
+          items.push(item[0]);
+          cursor = item[1];
+        }
+        return [items, cursor];
+      }
+      default:
+        throw new Error(`Unexpected RESP type byte: ${type}`);
+    }
+  }
+
+  return {
+    feed(chunk) {
+      buffer = Buffer.concat([buffer, chunk]);
+      let result;
+      while ((result = parseAt(0))) {
+        buffer = buffer.subarray(result[1]);
+        onValue(result[0]);
+      }
+    }
+  };
+}
+
+// Helper function to encode a reply value (used by the stand-in server)
+function encodeReply(value) {
+  if (value === null || value === undefined) return '$-1\r\n';
+  if (value instanceof Error) return `-${value.message}\r\n`;
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encodeReply).join('')}`;
+  if (typeof value === 'object' && value.simple) return `+${value.simple}\r\n`;
+  const text = Buffer.from(String(value), 'utf8');
+  return `$${text.length}\r\n${text.toString('utf8')}\r\n`;
+}
+
+module.exports = {
+  encodeCommand,
+  encodeReply,
+  createParser
+};
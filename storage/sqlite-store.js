@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+
+// SQLite key/value store (better-sqlite3)
+// Values are stored as JSON text in a single kv table, expires_at is a ms timestamp (NULL = no expiry)
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error('SQLite storage requires the "better-sqlite3" package (npm install better-sqlite3)');
+  }
+}
+
+function createSqliteStore({ filePath }) {
+  const Database = loadDriver();
+
+  if (filePath !== ':memory:') {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS kv (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  )`);
+
+  // Databases created before TTL support have no expires_at column yet
+  const columns = db.prepare('PRAGMA table_info(kv)').all().map(column => column.name);
+  if (!columns.includes('expires_at')) {
+    db.exec('ALTER TABLE kv ADD COLUMN expires_at INTEGER');
+  }
+
+  const statements = {
+    get: db.prepare('SELECT value FROM kv WHERE key = ? AND (expires_at IS NULL OR expires_at > ?)'),
+    set: db.prepare(`INSERT INTO kv (key, value, expires_at) VALUES (?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at`),
+    delete: db.prepare('DELETE FROM kv WHERE key = ?'),
+    // substr() instead of LIKE so "_" and "%" in keys are not treated as wildcards
+    list: db.prepare(`SELECT key, value, expires_at FROM kv
+      WHERE substr(key, 1, length(?)) = ? AND (expires_at IS NULL OR expires_at > ?)
+      ORDER BY key`),
+    purgeExpired: db.prepare('DELETE FROM kv WHERE expires_at IS NOT NULL AND expires_at <= ?')
+  };
+
+  statements.purgeExpired.run(Date.now());
+
+  return {
+    driver: 'sqlite',
+
+    async get(key) {
+      const row = statements.get.get(key, Date.now());
+      return row ? JSON.parse(row.value) : null;
+    },
+
+    // ttl is in seconds; omit it to keep the value forever
+    async set(key, value, { ttl } = {}) {
+      statements.set.run(key, JSON.stringify(value), ttl ? Date.now() + ttl * 1000 : null);
+    },
+
+    async delete(key) {
+      return statements.delete.run(key).changes > 0;
+    },
+
+    async list(prefix = '') {
+      return statements.list.all(prefix, prefix, Date.now()).map(row => ({
+        key: row.key,
+        value: JSON.parse(row.value),
+        expiresAt: row.expires_at
+      }));
+    },
+
+    async close() {
+      statements.purgeExpired.run(Date.now());
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteStore };
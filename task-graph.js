@@ -0,0 +1,285 @@
+// Subtasks and task dependencies
+// parentId puts a task under another task, dependsOn lists the tasks that must be completed before it can start.
+// Nothing here is stored: blocked state, progress and deadline risks are worked out from the task list on every read.
+//
+// - blocked: a prerequisite of the task (or of one of its parent tasks) is not completed
+// - progress of a parent: estimated minutes of its completed subtasks / all its subtasks (nested subtasks count
+//   for their own parent, which counts for its parent)
+// - critical path of a parent: the longest chain of open work (prerequisites first, then the subtasks) needed
+//   to finish it; a warning is raised when the chain needs more minutes than the free time left before its dueDate
+
+const { DEFAULT_LOCALE, t } = require('./i18n');
+const { countFreeMinutes } = require('./scheduler');
+
+// Same default as task-model buildTaskFields
+const DEFAULT_TASK_MINUTES = 60;
+const MAX_SUMMARY_ITEMS = 5;
+
+function isCompleted(task) {
+  return task.status === 'completed';
+}
+
+function minutesOf(task) {
+  return task.estimatedDuration > 0 ? task.estimatedDuration : DEFAULT_TASK_MINUTES;
+}
+
+// Helper function to index the tasks: id -> task and id -> child tasks
+function indexTasks(tasks) {
+  const byId = new Map();
+  const children = new Map();
+  (tasks || []).filter(item => item && item.type !== 'event' && item.id).forEach(task => byId.set(task.id, task));
+  byId.forEach(task => {
+    if (task.parentId && byId.has(task.parentId)) {
+      if (!children.has(task.parentId)) children.set(task.parentId, []);
+      children.get(task.parentId).push(task);
+    }
+  });
+  return { byId, children };
+}
+
+// Helper function to list the ids of a task's parents, nearest first (stops at a loop in old data)
+function ancestorsOf(byId, task) {
+  const ancestors = [];
+  let parent = task.parentId ? byId.get(task.parentId) : null;
+  while (parent && !ancestors.includes(parent.id) && parent.id !== task.id) {
+    ancestors.push(parent.id);
+    parent = parent.parentId ? byId.get(parent.parentId) : null;
+  }
+  return ancestors;
+}
+
+// Helper function to check if a task is the root task or one of its subtasks (at any depth)
+function isInSubtree(byId, id, rootId) {
+  const task = byId.get(id);
+  return id === rootId || Boolean(task && ancestorsOf(byId, task).includes(rootId));
+}
+
+// Helper function to check the links of a task against the user's other tasks, returns [{ field, message }]
+// task: the data being written, with the id of the stored task when it is an update (null for a new task)
+function validateTaskLinks(tasks, task, taskId = null) {
+  const errors = [];
+  const { byId } = indexTasks((tasks || []).filter(item => item.id !== taskId));
+  const candidate = { ...task, id: taskId };
+  if (taskId) byId.set(taskId, candidate);
+
+  if (task.parentId) {
+    const parent = byId.get(task.parentId);
+    if (task.parentId === taskId) {
+      errors.push({ field: 'parentId', message: 'A task cannot be its own parent' });
+    } else if (!parent) {
+      errors.push({ field: 'parentId', message: `Parent task ${task.parentId} not found` });
+    } else if (taskId && ancestorsOf(byId, parent).includes(taskId)) {
+      errors.push({ field: 'parentId', message: `Task ${task.parentId} is a subtask of this task, the parent link would make a cycle` });
+    } else if (taskId) {
+      // A new parent (or one of its parents) waiting for this task or its subtasks could never start
+      const waiting = [parent.id, ...ancestorsOf(byId, parent)]
+        .find(id => (byId.get(id).dependsOn || []).some(prerequisite => isInSubtree(byId, prerequisite, taskId)));
+      if (waiting) {
+        errors.push({ field: 'parentId', message: `Task ${waiting} depends on this task, it cannot also be its parent` });
+      }
+    }
+  }
+
+  const dependsOn = task.dependsOn || [];
+  const ancestors = ancestorsOf(byId, candidate);
+  dependsOn.forEach(id => {
+    if (id === taskId) {
+      errors.push({ field: 'dependsOn', message: 'A task cannot depend on itself' });
+    } else if (!byId.has(id)) {
+      errors.push({ field: 'dependsOn', message: `Prerequisite task ${id} not found` });
+    } else if (ancestors.includes(id)) {
+      errors.push({ field: 'dependsOn', message: `Task ${id} is a parent of this task, it can only be completed after this task` });
+    } else if (taskId && isInSubtree(byId, id, taskId)) {
+      errors.push({ field: 'dependsOn', message: `Task ${id} is a subtask of this task, it can only start after this task` });
+    }
+  });
+
+  // Waiting for a prerequisite that (through its own prerequisites or subtasks) waits for this task would never end
+  if (taskId && errors.length === 0) {
+    const cycle = findDependencyCycle(byId, taskId);
+    if (cycle) {
+      errors.push({ field: 'dependsOn', message: `Dependency cycle: ${cycle.join(' -> ')}` });
+    }
+  }
+
+  return errors;
+}
+
+// Helper function to find a chain of waiting tasks that leads back to itself, starting from the task
+// Returns the ids on the cycle or null
+// A task waits for its prerequisites, the prerequisites of its parents and (to be completed) its subtasks
+function findDependencyCycle(byId, startId) {
+  const visited = new Set();
+  const children = new Map();
+  byId.forEach(task => {
+    if (!task.parentId) return;
+    if (!children.has(task.parentId)) children.set(task.parentId, []);
+    children.get(task.parentId).push(task.id);
+  });
+
+  function waitsFor(task) {
+    const prerequisites = [task.id, ...ancestorsOf(byId, task)]
+      .flatMap(id => (byId.get(id).dependsOn || []).filter(prerequisite => !isInSubtree(byId, prerequisite, id)));
+    return [...prerequisites, ...(children.get(task.id) || [])];
+  }
+
+  // The cycle may not go through the task itself (a subtask can end up waiting for its parent's prerequisites)
+  function walk(id, path) {
+    const task = byId.get(id);
+    if (!task) return null;
+    for (const next of waitsFor(task)) {
+      if (path.includes(next)) return [...path.slice(path.indexOf(next)), next];
+      if (visited.has(next)) continue;
+      visited.add(next);
+      const cycle = walk(next, [...path, next]);
+      if (cycle) return cycle;
+    }
+    return null;
+  }
+
+  visited.add(startId);
+  return walk(startId, [startId]);
+}
+
+// Helper function to list the open prerequisites of a task and of its parents
+function openPrerequisites(byId, task) {
+  const ids = [task.id, ...ancestorsOf(byId, task)]
+    .flatMap(id => (byId.get(id).dependsOn || []).filter(prerequisite => !isInSubtree(byId, prerequisite, id)))
+    .filter(id => byId.has(id) && !isCompleted(byId.get(id)));
+  return [...new Set(ids)];
+}
+
+// Helper function to roll the progress of a parent up from its subtasks (by estimated minutes)
+function rollUpProgress(children, task, seen = new Set()) {
+  const subtasks = children.get(task.id) || [];
+  if (subtasks.length === 0 || seen.has(task.id)) {
+    const total = minutesOf(task);
+    return { totalMinutes: total, completedMinutes: isCompleted(task) ? total : 0 };
+  }
+
+  seen.add(task.id);
+  return subtasks.reduce((sum, subtask) => {
+    const progress = rollUpProgress(children, subtask, seen);
+    return {
+      totalMinutes: sum.totalMinutes + progress.totalMinutes,
+      completedMinutes: sum.completedMinutes + progress.completedMinutes
+    };
+  }, { totalMinutes: 0, completedMinutes: 0 });
+}
+
+// Adds blocked, blockedBy and (for parents) progress to every task, events are returned as they are
+function annotateTasks(tasks) {
+  const { byId, children } = indexTasks(tasks);
+
+  return (tasks || []).map(item => {
+    if (!item || !byId.has(item.id)) return item;
+
+    const blockedBy = isCompleted(item) ? [] : openPrerequisites(byId, item);
+    const subtasks = children.get(item.id) || [];
+    const annotated = { ...item, blocked: blockedBy.length > 0, blockedBy };
+
+    if (subtasks.length > 0) {
+      const { totalMinutes, completedMinutes } = rollUpProgress(children, item);
+      annotated.progress = {
+        completedSubtasks: subtasks.filter(isCompleted).length,
+        totalSubtasks: subtasks.length,
+        percent: totalMinutes > 0 ? Math.round((completedMinutes / totalMinutes) * 100) : 0
+      };
+    }
+    return annotated;
+  });
+}
+
+// Helper function to find the longest chain of open work that finishes a task: { minutes, path: [task ids] }
+// Prerequisites come first, then the subtasks (or the task itself when it has none)
+function longestChain(byId, children, id, memo, visiting = new Set()) {
+  if (memo.has(id)) return memo.get(id);
+  const task = byId.get(id);
+  if (!task || isCompleted(task) || visiting.has(id)) return { minutes: 0, path: [] };
+  visiting.add(id);
+
+  const longest = chains => chains.reduce((best, chain) => (chain.minutes > best.minutes ? chain : best), { minutes: 0, path: [] });
+  // A prerequisite inside the task's own subtree is already counted with the subtasks
+  const before = longest((task.dependsOn || [])
+    .filter(prerequisite => !isInSubtree(byId, prerequisite, id))
+    .map(prerequisite => longestChain(byId, children, prerequisite, memo, visiting)));
+  const subtasks = children.get(id) || [];
+  const own = subtasks.length > 0
+    ? longest(subtasks.map(subtask => longestChain(byId, children, subtask.id, memo, visiting)))
+    : { minutes: minutesOf(task), path: [id] };
+
+  visiting.delete(id);
+  const chain = { minutes: before.minutes + own.minutes, path: [...before.path, ...own.path] };
+  memo.set(id, chain);
+  return chain;
+}
+
+// Critical path of every open parent task with a dueDate, with a warning when it can't finish in time
+// Returns [{ taskId, title, dueDate, requiredMinutes, freeMinutes, path: [{ id, title, minutes }], atRisk }]
+function findCriticalPaths(tasks, { now = new Date(), options = {} } = {}) {
+  const { byId, children } = indexTasks(tasks);
+  const memo = new Map();
+
+  return [...children.keys()]
+    .map(id => byId.get(id))
+    .filter(parent => !isCompleted(parent) && parent.dueDate && !isNaN(new Date(parent.dueDate).getTime()))
+    .map(parent => {
+      const chain = longestChain(byId, children, parent.id, memo);
+      const freeMinutes = countFreeMinutes(tasks, { from: now, to: new Date(parent.dueDate), options });
+      return {
+        taskId: parent.id,
+        title: parent.title,
+        dueDate: parent.dueDate,
+        requiredMinutes: chain.minutes,
+        freeMinutes,
+        path: chain.path.map(id => ({ id, title: byId.get(id).title, minutes: minutesOf(byId.get(id)) })),
+        atRisk: chain.minutes > freeMinutes
+      };
+    });
+}
+
+// Summary used by the chat context: blocked tasks, parent progress and parents that can't finish in time
+// options: planner options (see scheduler.js) for the free time before each dueDate
+function summarizeDependencies(tasks, { now = new Date(), options = {} } = {}) {
+  const annotated = annotateTasks(tasks);
+  const byId = new Map(annotated.filter(item => item && item.id).map(item => [item.id, item]));
+
+  return {
+    blocked: annotated
+      .filter(task => task && task.blocked)
+      .map(task => ({ id: task.id, title: task.title, waitingFor: task.blockedBy.map(id => byId.get(id).title) })),
+    parents: annotated
+      .filter(task => task && task.progress && !isCompleted(task))
+      .map(task => ({ id: task.id, title: task.title, ...task.progress })),
+    risks: findCriticalPaths(tasks, { now, options }).filter(critical => critical.atRisk)
+  };
+}
+
+// Helper function to describe the summary for the chat prompt ('' when there are no subtasks or prerequisites)
+function formatDependencySummary(summary, locale = DEFAULT_LOCALE) {
+  const lines = [
+    ...summary.blocked.slice(0, MAX_SUMMARY_ITEMS).map(task => t(locale, 'dependencies.blocked', {
+      title: task.title,
+      waitingFor: task.waitingFor.join(', ')
+    })),
+    ...summary.parents.slice(0, MAX_SUMMARY_ITEMS).map(task => t(locale, 'dependencies.progress', task)),
+    ...summary.risks.slice(0, MAX_SUMMARY_ITEMS).map(risk => t(locale, 'dependencies.risk', {
+      title: risk.title,
+      required: risk.requiredMinutes,
+      free: risk.freeMinutes,
+      path: risk.path.map(step => step.title).join(' → ')
+    }))
+  ];
+  if (summary.blocked.length > MAX_SUMMARY_ITEMS) {
+    lines.push(t(locale, 'dependencies.moreBlocked', { count: summary.blocked.length - MAX_SUMMARY_ITEMS }));
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  validateTaskLinks,
+  annotateTasks,
+  findCriticalPaths,
+  summarizeDependencies,
+  formatDependencySummary
+};
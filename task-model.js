@@ -0,0 +1,254 @@
+// Task/Event model shared by the REST routes and the chat action parser
+// Keeps the allowed values and the object shape built by /api/tasks/create in one place
+
+const TASK_TYPES = ['task', 'event'];
+const TASK_CATEGORIES = ['academic', 'work', 'personal', 'health', 'social'];
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const TASK_STATUSES = ['pending', 'in-progress', 'completed'];
+const RECURRENCE_PATTERNS = ['daily', 'weekly', 'monthly'];
+
+// Dates without an explicit offset are written by students/AI in Vietnam time
+const DEFAULT_UTC_OFFSET = '+07:00';
+const LOCAL_UTC_OFFSET_MINUTES = 7 * 60;
+
+const DATE_FIELDS = ['dueDate', 'startTime', 'endTime', 'recurrenceEndDate', 'occurrenceStart'];
+
+// Prerequisites per task (dependsOn); the links themselves (ids exist, no cycles) are checked in task-graph.js
+const MAX_DEPENDENCIES = 20;
+
+// Helper function to normalize any date-like value to a UTC ISO string
+// Returns null when the value cannot be parsed
+function toUtcIso(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (value instanceof Date || typeof value === 'number') {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  if (typeof value !== 'string') return null;
+
+  let text = value.trim();
+  // Date only (YYYY-MM-DD) -> midnight VN time
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    text = `${text}T00:00:00`;
+  }
+  // Date-time without Z or +hh:mm -> assume VN time
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+    text = `${text}${DEFAULT_UTC_OFFSET}`;
+  }
+
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Helper function to generate a task id (same format the frontend already knows)
+function generateTaskId() {
+  return `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Helper function to validate task data field by field, returns [{ field, message }]
+// (field is null for problems of the whole object)
+// partial = true is used for updates where only the changed fields are sent
+function validateTaskFields(taskData, { partial = false, type = null } = {}) {
+  const errors = [];
+  const add = (field, message) => errors.push({ field, message });
+
+  if (!taskData || typeof taskData !== 'object' || Array.isArray(taskData)) {
+    return [{ field: null, message: 'taskData must be an object' }];
+  }
+
+  const effectiveType = taskData.type || type;
+
+  if (!partial) {
+    const requiredFields = ['title', 'category', 'type'];
+    requiredFields.forEach(field => {
+      if (!taskData[field]) add(field, `Missing required field: ${field}`);
+    });
+  }
+
+  if (taskData.title !== undefined && (typeof taskData.title !== 'string' || !taskData.title.trim())) {
+    add('title', 'title must be a non-empty string');
+  }
+  if (taskData.type !== undefined && !TASK_TYPES.includes(taskData.type)) {
+    add('type', `type must be one of: ${TASK_TYPES.join(', ')}`);
+  }
+  if (taskData.category !== undefined && !TASK_CATEGORIES.includes(taskData.category)) {
+    add('category', `category must be one of: ${TASK_CATEGORIES.join(', ')}`);
+  }
+  if (taskData.priority !== undefined && taskData.priority !== null && !TASK_PRIORITIES.includes(taskData.priority)) {
+    add('priority', `priority must be one of: ${TASK_PRIORITIES.join(', ')}`);
+  }
+  if (taskData.status !== undefined && taskData.status !== null && !TASK_STATUSES.includes(taskData.status)) {
+    add('status', `status must be one of: ${TASK_STATUSES.join(', ')}`);
+  }
+  if (taskData.tags !== undefined && !Array.isArray(taskData.tags)) {
+    add('tags', 'tags must be an array');
+  }
+  ['estimatedDuration', 'actualDuration'].forEach(field => {
+    const value = taskData[field];
+    if (value !== undefined && value !== null && (typeof value !== 'number' || value < 0 || !isFinite(value))) {
+      add(field, `${field} must be a positive number of minutes`);
+    }
+  });
+
+  if (taskData.parentId !== undefined && taskData.parentId !== null &&
+      (typeof taskData.parentId !== 'string' || !taskData.parentId.trim())) {
+    add('parentId', 'parentId must be a task id');
+  }
+  if (taskData.dependsOn !== undefined && taskData.dependsOn !== null) {
+    const ids = taskData.dependsOn;
+    if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string' || !id.trim())) {
+      add('dependsOn', 'dependsOn must be an array of task ids');
+    } else if (ids.length > MAX_DEPENDENCIES) {
+      add('dependsOn', `dependsOn cannot have more than ${MAX_DEPENDENCIES} tasks`);
+    } else if (new Set(ids).size !== ids.length) {
+      add('dependsOn', 'dependsOn must not repeat a task');
+    }
+  }
+  if (effectiveType === 'event' && ((taskData.parentId !== undefined && taskData.parentId !== null) ||
+      (Array.isArray(taskData.dependsOn) && taskData.dependsOn.length > 0))) {
+    add(taskData.parentId ? 'parentId' : 'dependsOn', 'Only tasks can have a parent task or prerequisites');
+  }
+
+  DATE_FIELDS.forEach(field => {
+    const value = taskData[field];
+    if (value !== undefined && value !== null && value !== '' && !toUtcIso(value)) {
+      add(field, `${field} is not a valid date`);
+    }
+  });
+
+  if (effectiveType === 'event') {
+    if (!partial && (!taskData.startTime || !taskData.endTime)) {
+      add(taskData.startTime ? 'endTime' : 'startTime', 'Events require startTime and endTime');
+    }
+    const start = toUtcIso(taskData.startTime);
+    const end = toUtcIso(taskData.endTime);
+    if (start && end && new Date(start) >= new Date(end)) {
+      add('endTime', 'startTime must be before endTime');
+    }
+    if (taskData.isRecurring && taskData.recurrencePattern && !RECURRENCE_PATTERNS.includes(taskData.recurrencePattern)) {
+      add('recurrencePattern', `recurrencePattern must be one of: ${RECURRENCE_PATTERNS.join(', ')}`);
+    }
+    if (taskData.rrule !== undefined && taskData.rrule !== null) {
+      // Required here to avoid a circular import (recurrence.js uses this module's constants)
+      const { parseRRule } = require('./recurrence');
+      try {
+        parseRRule(taskData.rrule);
+      } catch (error) {
+        add('rrule', `rrule is invalid: ${error.message}`);
+      }
+    }
+    if (taskData.exdates !== undefined && taskData.exdates !== null) {
+      if (!Array.isArray(taskData.exdates) || taskData.exdates.some(value => !toUtcIso(value))) {
+        add('exdates', 'exdates must be an array of dates');
+      }
+    }
+    if (taskData.overrides !== undefined && taskData.overrides !== null) {
+      const validOverride = (override) => override && typeof override === 'object' &&
+        toUtcIso(override.occurrenceStart) &&
+        ['startTime', 'endTime'].every(field => override[field] === undefined || toUtcIso(override[field]));
+      if (!Array.isArray(taskData.overrides) || !taskData.overrides.every(validOverride)) {
+        add('overrides', 'overrides must be an array of { occurrenceStart, startTime?, endTime?, title?, location?, cancelled? }');
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Helper function to validate task data, returns a list of error messages
+function validateTaskData(taskData, options) {
+  return validateTaskFields(taskData, options).map(error => error.message);
+}
+
+// Helper function to normalize the date fields of (partial) task data
+// Values that cannot be parsed are kept as-is so validation can report them
+function normalizeTaskDates(taskData) {
+  const normalized = { ...taskData };
+  DATE_FIELDS.forEach(field => {
+    const iso = toUtcIso(normalized[field]);
+    if (iso) {
+      normalized[field] = iso;
+    }
+  });
+  if (Array.isArray(normalized.exdates)) {
+    normalized.exdates = normalized.exdates.map(value => toUtcIso(value) || value);
+  }
+  if (Array.isArray(normalized.overrides)) {
+    normalized.overrides = normalized.overrides.map(override => normalizeTaskDates(override));
+  }
+  return normalized;
+}
+
+// Helper function to build the task/event fields from raw task data
+// Same shape as the object returned by /api/tasks/create, without id and timestamps
+function buildTaskFields(taskData) {
+  const data = normalizeTaskDates(taskData);
+
+  return {
+    title: data.title,
+    description: data.description || '',
+    category: data.category,
+    type: data.type,
+    tags: data.tags || [],
+    procrastinationScore: data.procrastinationScore || 1,
+    // UID of the calendar entry this task was imported from (.ics)
+    ...(data.icalUid && { icalUid: data.icalUid }),
+
+    // Task-specific fields
+    ...(data.type === 'task' && {
+      priority: data.priority || 'medium',
+      dueDate: data.dueDate,
+      estimatedDuration: data.estimatedDuration || 60,
+      actualDuration: data.actualDuration || null,
+      status: data.status || 'pending',
+      // Subtasks and prerequisites (see task-graph.js)
+      parentId: data.parentId || null,
+      dependsOn: data.dependsOn || []
+    }),
+
+    // Event-specific fields
+    ...(data.type === 'event' && {
+      startTime: data.startTime,
+      endTime: data.endTime,
+      location: data.location || '',
+      isRecurring: data.isRecurring || false,
+      recurrencePattern: data.recurrencePattern || null,
+      recurrenceEndDate: data.recurrenceEndDate || null,
+      rrule: data.rrule || null,
+      exdates: data.exdates || [],
+      overrides: data.overrides || []
+    })
+  };
+}
+
+// Helper function to create a complete task object
+function buildTask(taskData) {
+  const now = new Date().toISOString();
+
+  return {
+    id: generateTaskId(),
+    ...buildTaskFields(taskData),
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+module.exports = {
+  TASK_TYPES,
+  TASK_CATEGORIES,
+  TASK_PRIORITIES,
+  TASK_STATUSES,
+  RECURRENCE_PATTERNS,
+  MAX_DEPENDENCIES,
+  DEFAULT_UTC_OFFSET,
+  LOCAL_UTC_OFFSET_MINUTES,
+  toUtcIso,
+  generateTaskId,
+  validateTaskFields,
+  validateTaskData,
+  normalizeTaskDates,
+  buildTaskFields,
+  buildTask
+};
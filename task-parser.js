@@ -0,0 +1,542 @@
+// Offline task/event parser
+// Turns "Tạo lịch Toán 12 vào thứ 2 từ 7:00 đến 9:50 hàng tuần" into the same create_task action the AI returns,
+// so creating tasks keeps working without the AI (FORCE_FALLBACK, API errors)
+//
+// Vocabulary ("parser" in locales/*.js) is merged from every catalog. Messages typed with diacritics are matched
+// exactly ("gặp" is not "gấp"), messages typed without them are matched against unaccented phrases.
+// Dates and times are read as Vietnam local time and returned in UTC, like the AI is told to do.
+
+const { catalogValues, t, priorityName, DEFAULT_LOCALE } = require('./i18n');
+const { toLocalParts, fromLocalParts } = require('./recurrence');
+const { TASK_CATEGORIES } = require('./task-model');
+
+const DAY_KEYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Same defaults as the chat prompt: events last 1.5 hours, recurring events run for a semester (6 months)
+const DEFAULT_EVENT_MINUTES = 90;
+const DEFAULT_TASK_MINUTES = 60;
+const RECURRENCE_MONTHS = 6;
+
+// Time used when only the part of the day is given ("sáng mai" -> 8:00), deadlines default to 23:59
+const PERIOD_HOURS = { morning: 8, noon: 12, afternoon: 14, evening: 20, night: 21 };
+const END_OF_DAY = { hours: 23, minutes: 59 };
+
+// Helper functions to lower-case / strip diacritics one character at a time, so match indexes stay valid
+function lowerChar(ch) {
+  const lower = ch.toLowerCase();
+  return lower.length === ch.length ? lower : ch;
+}
+
+function foldChar(ch) {
+  const lower = lowerChar(ch);
+  if (lower === 'đ') return 'd';
+  const base = lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  return base.length === lower.length ? base : lower;
+}
+
+function mapChars(text, fn) {
+  return Array.from(text, fn).join('');
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Word boundaries that also work next to Vietnamese letters
+const WORD_START = '(?<![\\p{L}\\p{N}])';
+const WORD_END = '(?![\\p{L}\\p{N}])';
+
+// Helper function to build the regex alternatives for a list of phrases (longest first)
+function phraseAlternatives(phrases) {
+  const alternatives = [...new Set(phrases)]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map(phrase => escapeRegex(phrase).replace(/ /g, '\\s+'));
+  return alternatives.length > 0 ? `(?:${alternatives.join('|')})` : null;
+}
+
+// Helper function to prepare a phrase -> value table in both matching modes
+// Very short phrases that only exist with diacritics ("ở", "ôn") are left out of the unaccented mode,
+// they would match English words
+function buildMatcher(entries) {
+  const modes = {};
+  ['exact', 'folded'].forEach(mode => {
+    const values = new Map();
+    entries.forEach(([phrase, value]) => {
+      const lower = mapChars(phrase, lowerChar);
+      const key = mode === 'exact' ? lower : mapChars(phrase, foldChar);
+      if (mode === 'folded' && key !== lower && key.length <= 2) return;
+      if (!values.has(key)) values.set(key, value);
+    });
+    const inner = phraseAlternatives([...values.keys()]);
+    modes[mode] = { inner, regex: inner ? new RegExp(`${WORD_START}${inner}${WORD_END}`, 'gu') : null, values };
+  });
+  return modes;
+}
+
+function mergedEntries(key) {
+  return catalogValues(`parser.${key}`).flatMap(value =>
+    Array.isArray(value) ? value.map(phrase => [phrase, true]) : Object.entries(value)
+  );
+}
+
+function buildVocabulary() {
+  const categories = {};
+  TASK_CATEGORIES.forEach(category => {
+    categories[category] = buildMatcher(mergedEntries(`categories.${category}`));
+  });
+
+  return {
+    relativeDays: buildMatcher(mergedEntries('relativeDays')),
+    nextWeek: buildMatcher(mergedEntries('nextWeek')),
+    weekdays: buildMatcher(mergedEntries('weekdays')),
+    every: buildMatcher(mergedEntries('every')),
+    periods: buildMatcher(mergedEntries('periods')),
+    hourWords: buildMatcher(mergedEntries('hourWords')),
+    timePrefixes: buildMatcher(mergedEntries('timePrefixes')),
+    rangeSeparators: buildMatcher(mergedEntries('rangeSeparators')),
+    durationPrefixes: buildMatcher(mergedEntries('durationPrefixes')),
+    durationUnits: buildMatcher(mergedEntries('durationUnits')),
+    prefixedDurationUnits: buildMatcher([...mergedEntries('durationUnits'), ...mergedEntries('prefixedDurationUnits')]),
+    recurrence: buildMatcher(mergedEntries('recurrence')),
+    priorities: buildMatcher(mergedEntries('priorities')),
+    locationWords: buildMatcher(mergedEntries('locationWords')),
+    eventWords: buildMatcher(mergedEntries('eventWords')),
+    taskWords: buildMatcher(mergedEntries('taskWords')),
+    leadingFillers: buildMatcher(mergedEntries('leadingFillers')),
+    trailingFillers: buildMatcher(mergedEntries('trailingFillers')),
+    categories
+  };
+}
+
+const VOCABULARY = buildVocabulary();
+
+// Helper function to get the alternatives of a matcher as a regex source without boundaries (for composed patterns)
+function alternation(ctx, name) {
+  return VOCABULARY[name][ctx.mode].inner || '(?!)';
+}
+
+function createContext(message) {
+  const lower = mapChars(message, lowerChar);
+  const folded = mapChars(message, foldChar);
+  const mode = lower === folded ? 'folded' : 'exact';
+  return {
+    message,
+    mode,
+    subject: mode === 'exact' ? lower : folded,
+    consumed: new Array(message.length).fill(false)
+  };
+}
+
+function isFree(ctx, start, end) {
+  for (let i = start; i < end; i++) {
+    if (ctx.consumed[i]) return false;
+  }
+  return true;
+}
+
+function consume(ctx, start, end) {
+  for (let i = start; i < end; i++) ctx.consumed[i] = true;
+}
+
+// Helper function to run a regex over the unconsumed text; handler returns false to leave a match unconsumed
+function takeMatches(ctx, regex, handler) {
+  if (!regex) return;
+  const pattern = new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : `${regex.flags}g`);
+  let match;
+  while ((match = pattern.exec(ctx.subject)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (end === start) {
+      pattern.lastIndex++;
+      continue;
+    }
+    if (isFree(ctx, start, end) && handler(match, start, end) !== false) {
+      consume(ctx, start, end);
+    }
+  }
+}
+
+// Helper function to look up the value of a matched phrase
+function valueOf(ctx, name, text) {
+  return VOCABULARY[name][ctx.mode].values.get(text.replace(/\s+/g, ' '));
+}
+
+function hasPhrase(ctx, name) {
+  const { regex } = VOCABULARY[name][ctx.mode];
+  return !!regex && new RegExp(regex.source, 'u').test(ctx.subject);
+}
+
+function countPhrases(ctx, matcher) {
+  const { regex } = matcher[ctx.mode];
+  return regex ? (ctx.subject.match(regex) || []).map(phrase => phrase.replace(/\s+/g, ' ')) : [];
+}
+
+// Helper function to read "7:00", "7h30", "7 giờ 30", "7pm", "lúc 7" ... as { hours, minutes, meridiem }
+// A bare number only counts as a time next to a time prefix or a range separator
+function parseTimes(ctx) {
+  const timePattern = new RegExp(
+    `(?:${WORD_START}(${alternation(ctx, 'timePrefixes')})\\s*)?(?<![\\d.,:/])(\\d{1,2})` +
+    `(?:\\s*:\\s*(\\d{2})|\\s*(${alternation(ctx, 'hourWords')})(?![\\p{L}])(?:\\s*(\\d{2})(?!\\d))?)?` +
+    `(?:\\s*([ap])\\.?m\\.?(?![\\p{L}]))?(?![\\d/:])`,
+    'gu'
+  );
+
+  const tokens = [];
+  let match;
+  while ((match = timePattern.exec(ctx.subject)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (!isFree(ctx, start, end)) continue;
+
+    const hours = parseInt(match[2], 10);
+    const minutes = parseInt(match[3] || match[5] || '0', 10);
+    if (hours > 23 || minutes > 59) continue;
+
+    tokens.push({
+      start,
+      end,
+      hours,
+      minutes,
+      meridiem: match[6] || null,
+      strong: !!(match[1] || match[3] !== undefined || match[4] || match[6])
+    });
+  }
+
+  const separator = new RegExp(`^\\s*(?:-|–|${alternation(ctx, 'rangeSeparators')})\\s*$`, 'u');
+  for (let i = 0; i + 1 < tokens.length; i++) {
+    const first = tokens[i];
+    const second = tokens[i + 1];
+    if ((first.strong || second.strong) && separator.test(ctx.subject.slice(first.end, second.start))) {
+      consume(ctx, first.start, second.end);
+      return { start: first, end: second };
+    }
+  }
+
+  const single = tokens.find(token => token.strong);
+  if (single) {
+    consume(ctx, single.start, single.end);
+    return { start: single, end: null };
+  }
+  return null;
+}
+
+// Helper function to apply am/pm or the part of the day ("2 giờ chiều" -> 14:00)
+function toHours(time, period) {
+  let { hours } = time;
+  if (time.meridiem === 'p' && hours < 12) hours += 12;
+  else if (time.meridiem === 'a' && hours === 12) hours = 0;
+  else if (!time.meridiem && hours < 12 && ['afternoon', 'evening'].includes(period)) hours += 12;
+  else if (!time.meridiem && hours < 12 && hours >= 6 && period === 'night') hours += 12;
+  return hours;
+}
+
+// Helper function to read the duration in minutes ("trong 2 tiếng", "90 phút", "for 1.5 hours")
+function parseDuration(ctx) {
+  let minutes = null;
+  const number = '(\\d+(?:[.,]\\d+)?)';
+  const read = (match, amount, unit) => {
+    if (minutes !== null) return false;
+    minutes = Math.round(parseFloat(amount.replace(',', '.')) * valueOf(ctx, 'prefixedDurationUnits', unit));
+    return minutes > 0;
+  };
+
+  takeMatches(ctx, new RegExp(
+    `${WORD_START}(?:${alternation(ctx, 'durationPrefixes')})\\s+${number}\\s*(${alternation(ctx, 'prefixedDurationUnits')})(?![\\p{L}])`, 'gu'
+  ), match => read(match, match[1], match[2]));
+
+  // "30 phút" right after "7 giờ" is part of the time, not a duration
+  takeMatches(ctx, new RegExp(
+    `(?<!(?:${alternation(ctx, 'hourWords')})\\s*)(?<![\\d.,:])${number}\\s*(${alternation(ctx, 'durationUnits')})(?![\\p{L}])`, 'gu'
+  ), match => read(match, match[1], match[2]));
+
+  return minutes;
+}
+
+// Helper function to read a text that is only a duration: "2 tiếng", "30 phút", "1 tiếng 30 phút", "1.5 hours", "45m"
+// Returns the minutes, or null when the text has anything else in it
+function parseDurationText(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+  const ctx = createContext(text.trim());
+  let minutes = 0;
+
+  const rest = ctx.subject.replace(new RegExp(
+    `(\\d+(?:[.,]\\d+)?)\\s*(${alternation(ctx, 'prefixedDurationUnits')})(?![\\p{L}])`, 'gu'
+  ), (match, amount, unit) => {
+    minutes += parseFloat(amount.replace(',', '.')) * valueOf(ctx, 'prefixedDurationUnits', unit);
+    return ' ';
+  });
+
+  return rest.trim() === '' && minutes > 0 ? Math.round(minutes) : null;
+}
+
+// Helper function to find the day: explicit date, relative day, weekday (this or next week) or "tuần sau"
+// Returns { year, month, day } or { weekday, nextWeek } or { offset, nextWeek } (resolved later)
+function parseDay(ctx, recurrence) {
+  let day = null;
+
+  takeMatches(ctx, /(?<![\d/.])(\d{1,2})[/.](\d{1,2})(?:[/.](\d{4}))?(?![\d/.])/g, match => {
+    const date = parseInt(match[1], 10);
+    const month = parseInt(match[2], 10);
+    if (day || date < 1 || date > 31 || month < 1 || month > 12) return false;
+    day = { date, month: month - 1, year: match[3] ? parseInt(match[3], 10) : null };
+  });
+
+  let nextWeek = false;
+  takeMatches(ctx, VOCABULARY.nextWeek[ctx.mode].regex, () => {
+    nextWeek = true;
+  });
+
+  // "mỗi thứ 2" / "every monday" also means weekly
+  takeMatches(ctx, new RegExp(
+    `${WORD_START}(?:(${alternation(ctx, 'every')})\\s+)?(${alternation(ctx, 'weekdays')})${WORD_END}`, 'gu'
+  ), match => {
+    if (day) return false;
+    day = { weekday: DAY_KEYS.indexOf(valueOf(ctx, 'weekdays', match[2])) };
+    if (match[1] && !recurrence.pattern) recurrence.pattern = 'weekly';
+  });
+
+  takeMatches(ctx, VOCABULARY.relativeDays[ctx.mode].regex, match => {
+    if (day) return false;
+    day = { offset: valueOf(ctx, 'relativeDays', match[0]) };
+  });
+
+  if (!day && nextWeek) day = { offset: 7 };
+  if (day) day.nextWeek = nextWeek;
+  return day;
+}
+
+// Helper function to turn the parsed day + time into a UTC timestamp
+// Without a date the next matching day is used (today if the time is still ahead)
+function resolveStart(day, hours, minutes, now) {
+  const today = toLocalParts(now.getTime());
+  const at = (offset) => fromLocalParts(today.year, today.month, today.day + offset, hours, minutes);
+
+  if (!day) {
+    return at(0) > now.getTime() ? at(0) : at(1);
+  }
+  if (day.date) {
+    let ms = fromLocalParts(day.year || today.year, day.month, day.date, hours, minutes);
+    if (!day.year && ms < fromLocalParts(today.year, today.month, today.day)) {
+      ms = fromLocalParts(today.year + 1, day.month, day.date, hours, minutes);
+    }
+    return ms;
+  }
+  if (day.weekday !== undefined) {
+    if (day.nextWeek) return at(7 - today.weekday + day.weekday);
+    const offset = (day.weekday - today.weekday + 7) % 7;
+    return offset === 0 && at(0) <= now.getTime() ? at(7) : at(offset);
+  }
+  return at(day.offset);
+}
+
+function pickCategory(ctx) {
+  let best = { category: null, count: 0, tags: [] };
+  TASK_CATEGORIES.forEach(category => {
+    const phrases = countPhrases(ctx, VOCABULARY.categories[category]);
+    if (phrases.length > best.count) best = { category, count: phrases.length, tags: [...new Set(phrases)] };
+  });
+  return best.category ? best : { category: 'personal', tags: [] };
+}
+
+// Helper function to build the title from what is left of the message, minus command and filler words
+function extractTitle(ctx) {
+  let text = Array.from(ctx.message, (ch, index) => (ctx.consumed[index] ? ' ' : ch)).join('');
+  let subject = Array.from(ctx.subject, (ch, index) => (ctx.consumed[index] ? ' ' : ch)).join('');
+
+  const trim = () => {
+    const cleaned = subject.replace(/^[\s,.;:!?"'-]+|[\s,.;:!?"'-]+$/g, '');
+    const offset = subject.indexOf(cleaned);
+    text = text.slice(offset, offset + cleaned.length);
+    subject = cleaned;
+  };
+  // Helper function to drop a filler phrase at the start (or end) of the remaining text
+  const strip = (name, atEnd) => {
+    const { regex } = VOCABULARY[name][ctx.mode];
+    if (!regex) return false;
+    const anchored = new RegExp(atEnd ? `(?:^|\\s)(?:${regex.source})$` : `^(?:${regex.source})(?:\\s|$)`, 'u');
+    const match = subject.match(anchored);
+    if (!match) return false;
+    const start = atEnd ? match.index : 0;
+    const end = atEnd ? subject.length : match[0].length;
+    text = text.slice(0, start) + text.slice(end);
+    subject = subject.slice(0, start) + subject.slice(end);
+    trim();
+    return true;
+  };
+
+  trim();
+  while (strip('leadingFillers', false)) { /* keep stripping */ }
+  while (strip('trailingFillers', true)) { /* keep stripping */ }
+
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Helper function to parse a chat message into a create_task action
+// Returns null when the message has nothing to create, otherwise { action, missing, type, title }
+// (action is null while required details are missing)
+function parseTaskRequest(message, { now = new Date() } = {}) {
+  if (!message || typeof message !== 'string' || !message.trim()) return null;
+
+  const ctx = createContext(message);
+  const isTaskWord = hasPhrase(ctx, 'taskWords');
+  const isEventWord = hasPhrase(ctx, 'eventWords');
+  const { category, tags } = pickCategory(ctx);
+
+  const recurrence = { pattern: null };
+  takeMatches(ctx, VOCABULARY.recurrence[ctx.mode].regex, match => {
+    if (recurrence.pattern) return false;
+    recurrence.pattern = valueOf(ctx, 'recurrence', match[0]);
+  });
+
+  let priority = null;
+  takeMatches(ctx, VOCABULARY.priorities[ctx.mode].regex, match => {
+    if (priority) return false;
+    priority = valueOf(ctx, 'priorities', match[0]);
+  });
+
+  const duration = parseDuration(ctx);
+  const day = parseDay(ctx, recurrence);
+
+  let period = null;
+  takeMatches(ctx, VOCABULARY.periods[ctx.mode].regex, match => {
+    if (period) return false;
+    period = valueOf(ctx, 'periods', match[0]);
+  });
+
+  const time = parseTimes(ctx);
+
+  // "ở phòng A1" / "tại thư viện": everything up to the next parsed part
+  let location = '';
+  takeMatches(ctx, VOCABULARY.locationWords[ctx.mode].regex, (match, start, end) => {
+    if (location) return false;
+    let stop = end;
+    while (stop < ctx.message.length && !ctx.consumed[stop] && !/[,.;!?]/.test(ctx.message[stop])) stop++;
+    location = ctx.message.slice(end, stop).trim();
+    if (!location) return false;
+    consume(ctx, start, stop);
+  });
+
+  const title = extractTitle(ctx);
+  const hasRange = !!(time && time.end) || duration !== null;
+  const type = isTaskWord && !hasRange && !recurrence.pattern
+    ? 'task'
+    : (hasRange || recurrence.pattern || isEventWord ? 'event' : 'task');
+
+  if (!title && !day && !time) return null;
+
+  const missing = [];
+  if (!title) missing.push('title');
+
+  if (type === 'task') {
+    if (!day && !time && !period) missing.push('dueDate');
+    if (missing.length > 0) return { action: null, missing, type, title };
+
+    const hours = time ? toHours(time.start, period) : (period ? PERIOD_HOURS[period] : END_OF_DAY.hours);
+    const minutes = time ? time.start.minutes : (period ? 0 : END_OF_DAY.minutes);
+    return {
+      action: {
+        action: 'create_task',
+        taskData: {
+          title,
+          description: '',
+          category,
+          type,
+          tags,
+          priority: priority || 'medium',
+          dueDate: new Date(resolveStart(day, hours, minutes, now)).toISOString(),
+          estimatedDuration: duration || DEFAULT_TASK_MINUTES,
+          status: 'pending'
+        }
+      },
+      missing,
+      type,
+      title
+    };
+  }
+
+  if (!time) missing.push('startTime');
+  if (missing.length > 0) return { action: null, missing, type, title };
+
+  const startMs = resolveStart(day, toHours(time.start, period), time.start.minutes, now);
+  let endMs = startMs + (duration || DEFAULT_EVENT_MINUTES) * 60 * 1000;
+  if (time.end) {
+    const startParts = toLocalParts(startMs);
+    let endHours = toHours(time.end, period);
+    const startMinutes = startParts.hours * 60 + startParts.minutes;
+    // "từ 2 đến 4 chiều", "10-1" -> the end is after the start, the same afternoon/evening
+    if (endHours * 60 + time.end.minutes <= startMinutes && endHours < 12 &&
+        (endHours + 12) * 60 + time.end.minutes > startMinutes) {
+      endHours += 12;
+    }
+    endMs = fromLocalParts(startParts.year, startParts.month, startParts.day, endHours, time.end.minutes);
+    // "22:00 to 1:00" -> ends after midnight
+    if (endMs <= startMs) endMs += DAY_MS;
+  }
+
+  const startParts = toLocalParts(startMs);
+  return {
+    action: {
+      action: 'create_task',
+      taskData: {
+        title,
+        description: '',
+        category,
+        type,
+        tags,
+        startTime: new Date(startMs).toISOString(),
+        endTime: new Date(endMs).toISOString(),
+        location,
+        estimatedDuration: Math.round((endMs - startMs) / 60000),
+        isRecurring: !!recurrence.pattern,
+        recurrencePattern: recurrence.pattern,
+        recurrenceEndDate: recurrence.pattern
+          ? new Date(fromLocalParts(startParts.year, startParts.month + RECURRENCE_MONTHS, startParts.day, 23, 59, 59)).toISOString()
+          : null
+      }
+    },
+    missing,
+    type,
+    title
+  };
+}
+
+// Helper function to format a UTC timestamp as Vietnam local time: "T2 26/10 07:00"
+function formatLocalTime(iso, locale) {
+  const parts = toLocalParts(Date.parse(iso));
+  const pad = value => String(value).padStart(2, '0');
+  const day = t(locale, `shortDays.${DAY_KEYS[parts.weekday]}`);
+  return `${day} ${pad(parts.day)}/${pad(parts.month + 1)} ${pad(parts.hours)}:${pad(parts.minutes)}`;
+}
+
+// Helper function to describe parsed taskData in one line for the fallback answer
+// Event: "T2 26/10 07:00-09:50, hàng tuần, tại B2" - task: "hạn T3 20/10 23:59, ưu tiên cao"
+function describeTaskRequest(taskData, locale = DEFAULT_LOCALE) {
+  const parts = [];
+
+  if (taskData.type === 'event') {
+    const end = formatLocalTime(taskData.endTime, locale);
+    parts.push(`${formatLocalTime(taskData.startTime, locale)}-${end.slice(-5)}`);
+  } else {
+    parts.push(t(locale, 'fallback.dueLabel', { date: formatLocalTime(taskData.dueDate, locale) }));
+  }
+  if (taskData.recurrencePattern) {
+    parts.push(t(locale, `fallback.recurrenceNames.${taskData.recurrencePattern}`));
+  }
+  if (taskData.priority) {
+    parts.push(t(locale, 'fallback.priorityLabel', { priority: priorityName(locale, taskData.priority) }));
+  }
+  if (taskData.location) {
+    parts.push(t(locale, 'fallback.locationLabel', { location: taskData.location }));
+  }
+
+  return parts.join(', ');
+}
+
+module.exports = {
+  DEFAULT_EVENT_MINUTES,
+  parseTaskRequest,
+  parseDurationText,
+  describeTaskRequest
+};
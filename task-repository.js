@@ -0,0 +1,143 @@
+// Task repository
+// Persists tasks/events per user on top of any storage driver (see storage/index.js)
+// Keys look like "tasks:<userId>:<taskId>" (userId is URI-encoded so it can't contain ":")
+
+const { buildTask, normalizeTaskDates, validateTaskFields } = require('./task-model');
+const { logger } = require('./logger');
+
+// Fields that belong to the record itself and can never be changed by clients
+const PROTECTED_FIELDS = ['id', 'userId', 'createdAt', 'updatedAt'];
+
+function userPrefix(userId) {
+  return `tasks:${encodeURIComponent(userId)}:`;
+}
+
+function taskKey(userId, taskId) {
+  return `${userPrefix(userId)}${taskId}`;
+}
+
+function stripProtectedFields(taskData) {
+  const data = { ...taskData };
+  PROTECTED_FIELDS.forEach(field => delete data[field]);
+  return data;
+}
+
+// Helper function to check a task against list filters
+function matchesFilters(task, filters) {
+  if (filters.type && task.type !== filters.type) return false;
+  if (filters.status && task.status !== filters.status) return false;
+  if (filters.category && task.category !== filters.category) return false;
+  if (filters.priority && task.priority !== filters.priority) return false;
+  return true;
+}
+
+// onChange(userId) is called after every write, e.g. to drop caches built from the user's tasks
+function createTaskRepository(store, { onChange = null } = {}) {
+  // Helper function to notify about a write without failing the write itself
+  async function changed(userId) {
+    if (!onChange) return;
+    try {
+      await onChange(userId);
+    } catch (error) {
+      logger.error('Task repository onChange failed', { userId, error });
+    }
+  }
+
+  return {
+    async list(userId, filters = {}) {
+      const entries = await store.list(userPrefix(userId));
+      return entries
+        .map(entry => entry.value)
+        .filter(task => matchesFilters(task, filters))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    },
+
+    async get(userId, taskId) {
+      return store.get(taskKey(userId, taskId));
+    },
+
+    async create(userId, taskData) {
+      const task = buildTask(stripProtectedFields(taskData));
+      await store.set(taskKey(userId, task.id), task);
+      await changed(userId);
+      return task;
+    },
+
+    // PUT semantics: the stored record is rebuilt from the given data
+    async replace(userId, taskId, taskData) {
+      const existing = await this.get(userId, taskId);
+      if (!existing) return null;
+
+      const rebuilt = buildTask(stripProtectedFields(taskData));
+      const task = {
+        ...rebuilt,
+        id: existing.id,
+        createdAt: existing.createdAt,
+        updatedAt: new Date().toISOString()
+      };
+      await store.set(taskKey(userId, taskId), task);
+      await changed(userId);
+      return task;
+    },
+
+    // PATCH semantics: only the given fields change
+    async update(userId, taskId, changes) {
+      const existing = await this.get(userId, taskId);
+      if (!existing) return null;
+
+      const task = {
+        ...existing,
+        ...normalizeTaskDates(stripProtectedFields(changes)),
+        updatedAt: new Date().toISOString()
+      };
+      await store.set(taskKey(userId, taskId), task);
+      await changed(userId);
+      return task;
+    },
+
+    // Subtasks of the removed task become top-level tasks and it is dropped from other tasks' prerequisites
+    async remove(userId, taskId) {
+      const deleted = await store.delete(taskKey(userId, taskId));
+      if (!deleted) return deleted;
+
+      const linked = (await this.list(userId))
+        .filter(task => task.parentId === taskId || (task.dependsOn || []).includes(taskId));
+      for (const task of linked) {
+        await store.set(taskKey(userId, task.id), {
+          ...task,
+          parentId: task.parentId === taskId ? null : task.parentId,
+          dependsOn: (task.dependsOn || []).filter(id => id !== taskId),
+          updatedAt: new Date().toISOString()
+        });
+      }
+      await changed(userId);
+      return deleted;
+    }
+  };
+}
+
+// Helper function to validate a PATCH body against the stored task, returns [{ field, message }]
+function validateTaskChanges(existing, changes) {
+  const errors = validateTaskFields(changes, { partial: true, type: existing.type });
+
+  if (changes && changes.type !== undefined && changes.type !== existing.type) {
+    errors.push({ field: 'type', message: 'type cannot be changed with PATCH, use PUT instead' });
+  }
+
+  // The merged event must still start before it ends
+  if (errors.length === 0 && existing.type === 'event') {
+    const merged = normalizeTaskDates({ ...existing, ...changes });
+    errors.push(...validateTaskFields(
+      { startTime: merged.startTime, endTime: merged.endTime },
+      { partial: true, type: 'event' }
+    ));
+  }
+
+  return errors;
+}
+
+module.exports = {
+  createTaskRepository,
+  validateTaskChanges,
+  matchesFilters
+};
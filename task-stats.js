@@ -0,0 +1,159 @@
+// Task statistics engine
+// The one place that turns a task/event list into the numbers used by prompts, fallbacks and /api/analytics/stats
+// Events are never counted as tasks: totalTasks, completion and overdue numbers only look at type "task"
+
+const { TASK_CATEGORIES, TASK_PRIORITIES } = require('./task-model');
+const { toLocalParts, calculateWeeklyEventMinutes } = require('./recurrence');
+
+// Weights of the productivity score (0-100), see calculateProductivityScore
+const SCORE_WEIGHTS = { completion: 0.5, onTrack: 0.3, accuracy: 0.2 };
+
+function isTask(item) {
+  return item && item.type !== 'event';
+}
+
+function isOverdue(task, now = new Date()) {
+  if (task.status === 'completed' || !task.dueDate) return false;
+  const due = new Date(task.dueDate).getTime();
+  return !isNaN(due) && due < now.getTime();
+}
+
+function percent(part, total) {
+  return total > 0 ? Math.round((part / total) * 100) : 0;
+}
+
+// Helper function to format a deadline the way the prompts explain it: "23:59:00.0:25.9:2025" (Vietnam time)
+function formatDeadline(value) {
+  const ms = new Date(value).getTime();
+  if (isNaN(ms)) return '';
+  const parts = toLocalParts(ms);
+  const pad = number => String(number).padStart(2, '0');
+  return `${pad(parts.hours)}:${pad(parts.minutes)}:${pad(parts.seconds)}.${parts.milliseconds}:${parts.day}.${parts.month + 1}:${parts.year}`;
+}
+
+// Helper function to compare estimatedDuration with actualDuration
+// accuracy: 100 = every estimate was exact, each task loses the relative error (capped at 100%)
+// averageOverrun: average minutes over the estimate, across tasks that ran over
+function calculateTimeAccuracy(tasks) {
+  const samples = tasks.filter(task =>
+    task.estimatedDuration > 0 && task.actualDuration > 0
+  );
+
+  if (samples.length === 0) {
+    return {
+      accuracy: 0,
+      averageOverrun: 0,
+      averageOverrunPercent: 0,
+      overrunRate: 0,
+      sampleSize: 0
+    };
+  }
+
+  let accuracyTotal = 0;
+  const overruns = [];
+  samples.forEach(task => {
+    const error = Math.abs(task.actualDuration - task.estimatedDuration) / task.estimatedDuration;
+    accuracyTotal += Math.max(0, 1 - error);
+    if (task.actualDuration > task.estimatedDuration) {
+      overruns.push({
+        minutes: task.actualDuration - task.estimatedDuration,
+        ratio: (task.actualDuration - task.estimatedDuration) / task.estimatedDuration
+      });
+    }
+  });
+
+  const average = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+  return {
+    accuracy: Math.round((accuracyTotal / samples.length) * 100),
+    averageOverrun: Math.round(average(overruns.map(overrun => overrun.minutes))),
+    averageOverrunPercent: Math.round(average(overruns.map(overrun => overrun.ratio)) * 100),
+    overrunRate: percent(overruns.length, samples.length),
+    sampleSize: samples.length
+  };
+}
+
+// Helper function to score productivity from 0 to 100:
+// completion rate, share of tasks that are not overdue and (when there is data) time-estimate accuracy
+function calculateProductivityScore({ totalTasks, completionRate, overdueTasks, timeAccuracy }) {
+  if (totalTasks === 0) return 0;
+
+  const onTrackRate = percent(totalTasks - overdueTasks, totalTasks);
+  const weights = timeAccuracy.sampleSize > 0
+    ? SCORE_WEIGHTS
+    : { ...SCORE_WEIGHTS, accuracy: 0 };
+  const weightTotal = weights.completion + weights.onTrack + weights.accuracy;
+
+  return Math.round((
+    completionRate * weights.completion +
+    onTrackRate * weights.onTrack +
+    timeAccuracy.accuracy * weights.accuracy
+  ) / weightTotal);
+}
+
+// Helper function to calculate every task statistic from a list of tasks and events
+function calculateTaskStats(items, { now = new Date() } = {}) {
+  const allItems = (items || []).filter(Boolean);
+  const events = allItems.filter(item => item.type === 'event');
+  const tasks = allItems.filter(isTask);
+
+  const completed = tasks.filter(task => task.status === 'completed');
+  const open = tasks.filter(task => task.status !== 'completed');
+  const overdueTasks = tasks.filter(task => isOverdue(task, now)).length;
+
+  const completionRate = percent(completed.length, tasks.length);
+  const timeAccuracy = calculateTimeAccuracy(tasks);
+
+  // Average minutes actually spent on completed tasks
+  const timed = completed.filter(task => task.actualDuration > 0);
+  const averageCompletionTime = timed.length > 0
+    ? Math.round(timed.reduce((total, task) => total + task.actualDuration, 0) / timed.length)
+    : 0;
+
+  // "academic,23" (tasks and events together), unknown categories are listed after the known ones
+  const extraCategories = [...new Set(allItems.map(item => item.category))]
+    .filter(category => category && !TASK_CATEGORIES.includes(category));
+  const categoryStats = [...TASK_CATEGORIES, ...extraCategories].map(category =>
+    `${category},${allItems.filter(item => item.category === category).length}`
+  );
+
+  // "urgent,2,0,0,<deadline>,<deadline>" (tasks only, events have no priority)
+  const priorityStats = [...TASK_PRIORITIES].reverse().map(priority => {
+    const priorityTasks = tasks.filter(task => task.priority === priority);
+    const priorityCompleted = priorityTasks.filter(task => task.status === 'completed').length;
+    const deadlines = priorityTasks
+      .filter(task => task.dueDate)
+      .map(task => formatDeadline(task.dueDate))
+      .filter(Boolean);
+    return `${priority},${priorityTasks.length},${priorityCompleted},${percent(priorityCompleted, priorityTasks.length)},${deadlines.join(',')}`;
+  });
+
+  const stats = {
+    totalItems: allItems.length,
+    totalEvents: events.length,
+    totalTasks: tasks.length,
+    pendingTasks: tasks.filter(task => task.status === 'pending').length,
+    inProgressTasks: tasks.filter(task => task.status === 'in-progress').length,
+    completedTasks: completed.length,
+    overdueTasks,
+    urgentTasks: open.filter(task => task.priority === 'urgent').length,
+    highPriorityTasks: open.filter(task => task.priority === 'high').length,
+    completionRate,
+    averageCompletionTime,
+    weeklyEventTime: calculateWeeklyEventMinutes(events, now),
+    categoryStats,
+    priorityStats,
+    timeAccuracy
+  };
+
+  stats.productivityScore = calculateProductivityScore(stats);
+
+  return stats;
+}
+
+module.exports = {
+  isOverdue,
+  calculateTaskStats,
+  calculateTimeAccuracy,
+  formatDeadline
+};
@@ -0,0 +1,215 @@
+// Server-rendered TODO lists (GET /api/todo, the chat prompt and the offline "ưu tiên" answer)
+// Open tasks are sorted into the TODO_TEMPLATE buckets, first matching rule wins:
+//   OVERDUE      - past the deadline
+//   URGENT       - priority urgent, or due today (Vietnam time)
+//   IN-PROGRESS  - status in-progress
+//   HIGH         - priority high, or due within 7 days ("this week" only when due within 7 days)
+//   LOW          - priority low
+//   MEDIUM       - everything else
+// Inside a bucket: earliest deadline first (no deadline last), then priority.
+//
+// Views (the columns follow TODO_TEMPLATE.templates[view].format):
+//   priority     - every open task: [Task] - [Time] - [Priority bucket]
+//   schedule     - today's events and the tasks that can't wait: [Task] - [Time] - [Duration]
+//   productivity - the first few tasks to act on: [Action] - [When] - [Impact]
+
+const TODO_TEMPLATE = require('./todo-template');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+const { toLocalParts, fromLocalParts, expandEvents } = require('./recurrence');
+const { isOverdue } = require('./task-stats');
+
+const TODO_VIEWS = Object.keys(TODO_TEMPLATE.templates);
+const TODO_FORMATS = ['json', 'text', 'markdown'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ITEMS = 20;
+const MAX_PRODUCTIVITY_ACTIONS = 5;
+const PRIORITY_RANK = { urgent: 0, high: 1, medium: 2, low: 3 };
+
+// Buckets shown in the schedule view next to today's events
+const SCHEDULE_BUCKETS = ['OVERDUE', 'URGENT', 'IN-PROGRESS'];
+// Impact column of the productivity view
+const BUCKET_IMPACT = { OVERDUE: 'HIGH', URGENT: 'HIGH', 'IN-PROGRESS': 'MEDIUM', HIGH: 'MEDIUM', MEDIUM: 'LOW', LOW: 'LOW' };
+
+function isSameLocalDay(a, b) {
+  const first = toLocalParts(a);
+  const second = toLocalParts(b);
+  return first.year === second.year && first.month === second.month && first.day === second.day;
+}
+
+// Helper function to pick the TODO_TEMPLATE bucket of an open task
+function bucketOf(task, now) {
+  if (isOverdue(task, now)) return 'OVERDUE';
+
+  const due = task.dueDate ? new Date(task.dueDate).getTime() : NaN;
+  const hasDue = !isNaN(due);
+  if (task.priority === 'urgent' || (hasDue && isSameLocalDay(due, now.getTime()))) return 'URGENT';
+  if (task.status === 'in-progress') return 'IN-PROGRESS';
+  if (task.priority === 'high' || (hasDue && due - now.getTime() < 7 * DAY_MS)) return 'HIGH';
+  if (task.priority === 'low') return 'LOW';
+  return 'MEDIUM';
+}
+
+// Helper function to get the "when" of a bucket; HIGH is "this week" only for tasks due within 7 days,
+// a high priority task with a far deadline gets the UPCOMING indicator instead
+function timeIndicator(locale, bucket, task = null, now = new Date()) {
+  const due = task && task.dueDate ? new Date(task.dueDate).getTime() : NaN;
+  if (bucket === 'HIGH' && !isNaN(due) && due - now.getTime() >= 7 * DAY_MS) {
+    return t(locale, 'todo.timeIndicators.UPCOMING');
+  }
+  return t(locale, `todo.timeIndicators.${bucket.replace('-', '_')}`);
+}
+
+// Helper function to format a time as "17:00", "17:00 25/10" or "17:00 25/10/2027" outside the current year (Vietnam time)
+function formatLocalTime(value, { withDate = false, now = new Date() } = {}) {
+  const parts = toLocalParts(new Date(value).getTime());
+  const pad = number => String(number).padStart(2, '0');
+  const time = `${pad(parts.hours)}:${pad(parts.minutes)}`;
+  if (!withDate) return time;
+  const year = parts.year === toLocalParts(now.getTime()).year ? '' : `/${parts.year}`;
+  return `${time} ${pad(parts.day)}/${pad(parts.month + 1)}${year}`;
+}
+
+function formatDuration(locale, minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return t(locale, 'todo.minutes', { minutes: rest });
+  return rest === 0 ? t(locale, 'todo.hours', { hours }) : t(locale, 'todo.hoursMinutes', { hours, minutes: rest });
+}
+
+// Helper function to turn a task into a list item (time and detail are the two text columns)
+function taskItem(task, bucket, time, detail) {
+  return {
+    id: task.id || null,
+    title: task.title,
+    type: task.type || 'task',
+    bucket,
+    dueDate: task.dueDate || null,
+    priority: task.priority || null,
+    status: task.status || 'pending',
+    estimatedDuration: task.estimatedDuration || null,
+    time,
+    detail
+  };
+}
+
+// Helper function to sort the open tasks into buckets, in TODO_TEMPLATE.priorityOrder
+function sortIntoBuckets(tasks, now) {
+  const dueMs = task => {
+    const ms = task.dueDate ? new Date(task.dueDate).getTime() : NaN;
+    return isNaN(ms) ? Infinity : ms;
+  };
+  const order = bucket => TODO_TEMPLATE.priorityOrder.indexOf(bucket);
+
+  return (tasks || [])
+    .filter(task => task && task.type !== 'event' && task.status !== 'completed')
+    .map(task => ({ task, bucket: bucketOf(task, now) }))
+    .sort((a, b) =>
+      order(a.bucket) - order(b.bucket) ||
+      dueMs(a.task) - dueMs(b.task) ||
+      (PRIORITY_RANK[a.task.priority] ?? 4) - (PRIORITY_RANK[b.task.priority] ?? 4)
+    );
+}
+
+// Helper function to describe when a task is due: "Tuần này (hạn 17:00 25/10)" or just "Tuần này"
+function dueColumn(locale, task, bucket, now) {
+  const indicator = timeIndicator(locale, bucket, task, now);
+  if (!task.dueDate || isNaN(new Date(task.dueDate).getTime())) return indicator;
+  return t(locale, 'todo.due', { indicator, date: formatLocalTime(task.dueDate, { withDate: true, now }) });
+}
+
+// Helper function to list today's event occurrences, with the tasks that can't wait (schedule view)
+function scheduleItems(items, sorted, now, locale) {
+  const today = toLocalParts(now.getTime());
+  const dayStart = fromLocalParts(today.year, today.month, today.day);
+
+  const events = expandEvents(items, new Date(dayStart), new Date(dayStart + DAY_MS)).map(occurrence => ({
+    id: occurrence.id,
+    title: occurrence.title,
+    type: 'event',
+    bucket: 'EVENT',
+    startTime: occurrence.startTime,
+    endTime: occurrence.endTime,
+    time: `${formatLocalTime(occurrence.startTime)}-${formatLocalTime(occurrence.endTime)}`,
+    detail: formatDuration(locale, occurrence.durationMinutes)
+  }));
+
+  const tasks = sorted
+    .filter(({ bucket }) => SCHEDULE_BUCKETS.includes(bucket))
+    .map(({ task, bucket }) => {
+      const dueToday = task.dueDate && isSameLocalDay(new Date(task.dueDate).getTime(), now.getTime());
+      const time = dueToday && bucket !== 'OVERDUE'
+        ? t(locale, 'todo.dueBy', { time: formatLocalTime(task.dueDate) })
+        : dueColumn(locale, task, bucket, now);
+      const detail = task.estimatedDuration > 0 ? formatDuration(locale, task.estimatedDuration) : bucket;
+      return taskItem(task, bucket, time, detail);
+    });
+
+  return [...events, ...tasks];
+}
+
+// Builds the list of a view: { view, language, generatedAt, title, advice, total, counts, items, more }
+// Options: { view, locale, now, limit }
+function buildTodoList(tasks, { view = 'priority', locale = DEFAULT_LOCALE, now = new Date(), limit = MAX_ITEMS } = {}) {
+  if (!TODO_VIEWS.includes(view)) {
+    throw new Error(`Unknown TODO view "${view}" (available: ${TODO_VIEWS.join(', ')})`);
+  }
+
+  const sorted = sortIntoBuckets(tasks, now);
+  const counts = Object.fromEntries(TODO_TEMPLATE.priorityOrder.map(bucket => [bucket, 0]));
+  sorted.forEach(({ bucket }) => counts[bucket]++);
+
+  let items;
+  if (view === 'schedule') {
+    items = scheduleItems(tasks, sorted, now, locale);
+  } else if (view === 'productivity') {
+    items = sorted.slice(0, MAX_PRODUCTIVITY_ACTIONS)
+      .map(({ task, bucket }) => taskItem(task, bucket, timeIndicator(locale, bucket, task, now), BUCKET_IMPACT[bucket]));
+  } else {
+    items = sorted.map(({ task, bucket }) => taskItem(task, bucket, dueColumn(locale, task, bucket, now), bucket));
+  }
+
+  return {
+    view,
+    language: locale,
+    generatedAt: now.toISOString(),
+    title: t(locale, `todo.titles.${view}`),
+    advice: t(locale, `todo.advice.${view}`),
+    total: sorted.length,
+    counts,
+    items: items.slice(0, limit),
+    more: Math.max(0, items.length - limit)
+  };
+}
+
+function stripMarkdown(text) {
+  return text.replace(/\*\*/g, '');
+}
+
+// Renders a list from buildTodoList with TODO_TEMPLATE.createTodoList:
+// 'text' (plain, for the chat), 'markdown' (bold title and advice, one list item per line) or 'json' (the object)
+function renderTodoList(list, format = 'text') {
+  if (!TODO_FORMATS.includes(format)) {
+    throw new Error(`Unknown TODO format "${format}" (available: ${TODO_FORMATS.join(', ')})`);
+  }
+  if (format === 'json') {
+    return { ...list, title: stripMarkdown(list.title), advice: stripMarkdown(list.advice) };
+  }
+
+  const lines = list.items.length > 0
+    ? list.items.map(item => TODO_TEMPLATE.createTodoItem(item.title, item.time, item.detail, item.bucket))
+    : [t(list.language, `todo.empty.${list.view}`)];
+  if (list.more > 0) lines.push(t(list.language, 'todo.more', { count: list.more }));
+
+  if (format === 'markdown') {
+    return TODO_TEMPLATE.createTodoList(list.title, lines.map(line => `- ${line}`), list.advice);
+  }
+  return TODO_TEMPLATE.createTodoList(stripMarkdown(list.title), lines, stripMarkdown(list.advice));
+}
+
+module.exports = {
+  TODO_VIEWS,
+  TODO_FORMATS,
+  buildTodoList,
+  renderTodoList
+};
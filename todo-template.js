@@ -1,5 +1,9 @@
 // TODO List Template cho AI Chatbot
 // Template này cung cấp format chuẩn cho AI khi trả lời về ưu tiên
+// todo-list.js dùng template này cho GET /api/todo, prompt chat và câu trả lời fallback
+// Chữ hiển thị (tiêu đề, lời khuyên, time indicators) nằm trong locales/<lang>.js (todo), ở đây là bản tiếng Việt
+
+const { todo: viTodo } = require('./locales/vi');
 
 const TODO_TEMPLATE = {
   // Format cơ bản cho mỗi todo item
@@ -16,14 +20,7 @@ const TODO_TEMPLATE = {
   ],
   
   // Time indicators
-  timeIndicators: {
-    OVERDUE: "NGAY LẬP TỨC",
-    URGENT: "Hôm nay",
-    HIGH: "Tuần này", 
-    MEDIUM: "Khi có thời gian",
-    LOW: "Sau này",
-    IN_PROGRESS: "Liên tục"
-  },
+  timeIndicators: viTodo.timeIndicators,
   
   // Emoji cho từng loại priority
   priorityEmojis: {
@@ -32,33 +29,34 @@ const TODO_TEMPLATE = {
     HIGH: "🔥",
     MEDIUM: "📋",
     LOW: "📝",
-    IN_PROGRESS: "🔄"
+    IN_PROGRESS: "🔄",
+    EVENT: "📅" // Lịch cố định (view schedule)
   },
   
   // Template cho các loại câu hỏi khác nhau
   templates: {
     priority: {
-      title: "📋 **TODO LIST ƯU TIÊN**",
+      title: viTodo.titles.priority,
       format: "☐ [Task] - [Time] - [Priority]",
-      advice: "💡 **Lời khuyên:** Bắt đầu với tasks quá hạn và urgent trước!"
+      advice: viTodo.advice.priority
     },
     
     schedule: {
-      title: "📅 **LỊCH TRÌNH HÔM NAY**", 
+      title: viTodo.titles.schedule,
       format: "☐ [Task] - [Time] - [Duration]",
-      advice: "⏰ **Tip:** Dành 25% thời gian cho buffer time!"
+      advice: viTodo.advice.schedule
     },
     
     productivity: {
-      title: "🚀 **PLAN TĂNG PRODUCTIVITY**",
+      title: viTodo.titles.productivity,
       format: "☐ [Action] - [When] - [Impact]",
-      advice: "💪 **Focus:** Pomodoro 25 phút + 5 phút break!"
+      advice: viTodo.advice.productivity
     }
   },
   
-  // Helper function để tạo todo item
-  createTodoItem: (task, time, priority) => {
-    const emoji = TODO_TEMPLATE.priorityEmojis[priority] || "📝";
+  // Helper function để tạo todo item (emojiKey: khi cột cuối không phải priority, vd. duration)
+  createTodoItem: (task, time, priority, emojiKey = priority) => {
+    const emoji = TODO_TEMPLATE.priorityEmojis[String(emojiKey).replace('-', '_')] || "📝";
     return `${emoji} ☐ ${task} - ${time} - ${priority}`;
   },
   
@@ -0,0 +1,37 @@
+// User settings repository
+// Stores each user's settings under "settings:<userId>" (no TTL)
+//
+// Settings are { planner, updatedAt }: planner holds the user's planner options (dayStart, quietHours, ...
+// see scheduler.js). They are used everywhere a plan or a free-time count is built, options sent with
+// a single request still win over them.
+
+function settingsKey(userId) {
+  return `settings:${encodeURIComponent(userId)}`;
+}
+
+function emptySettings() {
+  return { planner: {}, updatedAt: null };
+}
+
+function createUserSettingsRepository(store) {
+  return {
+    async get(userId) {
+      return (await store.get(settingsKey(userId))) || emptySettings();
+    },
+
+    async getPlannerOptions(userId) {
+      return (await this.get(userId)).planner;
+    },
+
+    // The given planner options replace the stored ones
+    async savePlannerOptions(userId, planner) {
+      const settings = { ...(await this.get(userId)), planner, updatedAt: new Date().toISOString() };
+      await store.set(settingsKey(userId), settings);
+      return settings;
+    }
+  };
+}
+
+module.exports = {
+  createUserSettingsRepository
+};
@@ -0,0 +1,161 @@
+// Declarative request validation
+// A schema lists the rules for the fields of req.body, req.query and req.params:
+//   {
+//     body: { message: { type: 'string', required: true, maxLength: 4000 } },
+//     query: { format: { type: 'string', enum: ['structured', 'legacy'] } },
+//     params: { id: { type: 'string', required: true } },
+//     validate: ({ body, query, params }) => [{ field, message }]   // cross-field checks, run when the fields are valid
+//   }
+// Field rules: type ('string'|'number'|'integer'|'boolean'|'object'|'array'|'date'), required, nullable, enum,
+// min/max, minLength/maxLength, maxItems, pattern, items (rule for every array item), properties (rules for
+// the fields of an object) and validate(value) for checks of their own (returns messages or { field, message }).
+// Fields without a rule are ignored. Query strings are checked as strings ("true", "12") but never rewritten.
+
+const { validationError } = require('./errors');
+const { logger } = require('./logger');
+const { toUtcIso } = require('./task-model');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Helper function to check the type of a value, query strings may stand for numbers and booleans
+function matchesType(type, value, fromQuery) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return fromQuery ? value.trim() !== '' && Number.isFinite(Number(value)) : typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(fromQuery ? (value.trim() === '' ? NaN : Number(value)) : value);
+    case 'boolean':
+      return fromQuery ? value === 'true' || value === 'false' : typeof value === 'boolean';
+    case 'object':
+      return describeType(value) === 'object';
+    case 'array':
+      return Array.isArray(value);
+    case 'date':
+      return (typeof value === 'string' || typeof value === 'number') && toUtcIso(value) !== null;
+    default:
+      throw new Error(`Unknown schema type "${type}"`);
+  }
+}
+
+// Helper function to join a field path: "taskData" + "priority" -> "taskData.priority", + 2 -> "tasks[2]"
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+// Helper function to check one value against its rule, returns [{ field, message }]
+function checkValue(rule, value, field, { fromQuery = false } = {}) {
+  if (value === undefined || (fromQuery && value === '')) {
+    return rule.required ? [{ field, message: `${field} is required` }] : [];
+  }
+  if (value === null) {
+    return rule.nullable || !rule.required ? [] : [{ field, message: `${field} is required` }];
+  }
+
+  // A query parameter given twice arrives as an array
+  if (fromQuery && typeof value !== 'string' && rule.type !== 'array') {
+    return [{ field, message: `${field} must be given once` }];
+  }
+
+  if (rule.type && !matchesType(rule.type, value, fromQuery)) {
+    const expected = rule.type === 'date' ? 'a valid date' : `of type ${rule.type}`;
+    return [{ field, message: `${field} must be ${expected} (got ${fromQuery ? JSON.stringify(value) : describeType(value)})` }];
+  }
+
+  const errors = [];
+  const number = fromQuery && (rule.type === 'number' || rule.type === 'integer') ? Number(value) : value;
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({ field, message: `${field} must be one of: ${rule.enum.join(', ')}` });
+  }
+  if (typeof number === 'number') {
+    if (rule.min !== undefined && number < rule.min) errors.push({ field, message: `${field} must be at least ${rule.min}` });
+    if (rule.max !== undefined && number > rule.max) errors.push({ field, message: `${field} must be at most ${rule.max}` });
+  }
+  if (typeof value === 'string') {
+    if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+      errors.push({ field, message: rule.minLength === 1 ? `${field} must not be empty` : `${field} must be at least ${rule.minLength} characters` });
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      errors.push({ field, message: `${field} must be at most ${rule.maxLength} characters` });
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push({ field, message: rule.patternMessage ? `${field} ${rule.patternMessage}` : `${field} has an invalid format` });
+    }
+  }
+  if (Array.isArray(value)) {
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      errors.push({ field, message: `${field} must have at most ${rule.maxItems} items` });
+    }
+    if (rule.items) {
+      value.forEach((item, index) => errors.push(...checkValue(rule.items, item, joinPath(field, index), { fromQuery })));
+    }
+  }
+  if (rule.properties && describeType(value) === 'object') {
+    errors.push(...checkFields(rule.properties, value, field));
+  }
+
+  if (errors.length === 0 && rule.validate) {
+    errors.push(...rule.validate(value).map(error => (
+      typeof error === 'string' || !error.field ? { field, message: error.message || error } : { ...error, field: joinPath(field, error.field) }
+    )));
+  }
+
+  return errors;
+}
+
+// Helper function to check the fields of an object against a map of rules
+function checkFields(rules, values, path = '', options = {}) {
+  return Object.entries(rules).flatMap(([key, rule]) =>
+    checkValue(rule, values ? values[key] : undefined, joinPath(path, key), options)
+  );
+}
+
+// Helper function to check a whole request, returns [{ field, message }] with fields named as sent (e.g. "taskData.title")
+// A text body (iCalendar import) skips the body rules, the schema's validate() checks it
+function checkRequest(schema, req) {
+  const errors = [];
+
+  LOCATIONS.forEach(location => {
+    if (!schema[location]) return;
+    const values = req[location];
+    if (location === 'body' && typeof values === 'string') return;
+    if (location === 'body' && values !== undefined && describeType(values) !== 'object') {
+      errors.push({ field: 'body', message: 'Request body must be a JSON object' });
+      return;
+    }
+    errors.push(...checkFields(schema[location], values || {}, '', { fromQuery: location === 'query' }));
+  });
+
+  if (errors.length === 0 && schema.validate) {
+    errors.push(...schema.validate({ body: req.body || {}, query: req.query, params: req.params }));
+  }
+
+  return errors;
+}
+
+// Middleware factory: rejects the request with VALIDATION_ERROR and field-level details
+function validate(schema) {
+  return (req, res, next) => {
+    const errors = checkRequest(schema, req);
+    if (errors.length === 0) return next();
+
+    logger.info('Invalid request', { method: req.method, path: req.originalUrl.split('?')[0], fields: errors.map(error => error.field) });
+    next(validationError(errors));
+  };
+}
+
+module.exports = {
+  checkValue,
+  checkFields,
+  checkRequest,
+  validate
+};